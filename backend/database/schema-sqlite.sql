@@ -14,6 +14,7 @@ CREATE TABLE users (
     last_login DATETIME,
     reset_token VARCHAR(255),
     reset_token_expires DATETIME,
+    token_version INTEGER DEFAULT 0 NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -24,9 +25,11 @@ CREATE TABLE categories (
     name VARCHAR(100) NOT NULL,
     description TEXT,
     slug VARCHAR(100) UNIQUE NOT NULL,
+    parent_id INTEGER,
     is_active BOOLEAN DEFAULT 1,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE SET NULL
 );
 
 -- Tabla de productos
@@ -37,8 +40,22 @@ CREATE TABLE products (
     price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
     category_id INTEGER,
     sku VARCHAR(100) UNIQUE,
+    brand VARCHAR(100),
     image_url VARCHAR(500),
+    tax_class VARCHAR(20) NOT NULL DEFAULT 'standard' CHECK (tax_class IN ('standard', 'reduced', 'exempt')),
+    weight DECIMAL(10,3) CHECK (weight >= 0),
+    length DECIMAL(10,2) CHECK (length >= 0),
+    width DECIMAL(10,2) CHECK (width >= 0),
+    height DECIMAL(10,2) CHECK (height >= 0),
     is_active BOOLEAN DEFAULT 1,
+    average_rating DECIMAL(3,2) NOT NULL DEFAULT 0,
+    review_count INTEGER NOT NULL DEFAULT 0,
+    rating_1_count INTEGER NOT NULL DEFAULT 0,
+    rating_2_count INTEGER NOT NULL DEFAULT 0,
+    rating_3_count INTEGER NOT NULL DEFAULT 0,
+    rating_4_count INTEGER NOT NULL DEFAULT 0,
+    rating_5_count INTEGER NOT NULL DEFAULT 0,
+    rating_score DECIMAL(3,2) NOT NULL DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL
@@ -48,12 +65,15 @@ CREATE TABLE products (
 CREATE TABLE inventory (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     product_id INTEGER NOT NULL,
+    variant_id INTEGER UNIQUE,
     quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    reserved_quantity INTEGER NOT NULL DEFAULT 0 CHECK (reserved_quantity >= 0),
     min_stock INTEGER DEFAULT 5,
     max_stock INTEGER DEFAULT 100,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
 );
 
 -- Tabla de pedidos
@@ -66,9 +86,22 @@ CREATE TABLE orders (
     shipping_address TEXT NOT NULL,
     billing_address TEXT NOT NULL,
     payment_status VARCHAR(30) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'paid', 'failed', 'refunded')),
+    coupon_id INTEGER,
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    free_shipping BOOLEAN DEFAULT 0,
+    shipping_country VARCHAR(2),
+    shipping_region VARCHAR(100),
+    prices_include_tax BOOLEAN DEFAULT 0,
+    subtotal_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (subtotal_amount >= 0),
+    net_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (net_amount >= 0),
+    tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0),
+    shipping_method_id INTEGER,
+    shipping_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (shipping_amount >= 0),
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE SET NULL,
+    FOREIGN KEY (shipping_method_id) REFERENCES shipping_methods(id) ON DELETE SET NULL
 );
 
 -- Tabla de items de pedido
@@ -76,12 +109,17 @@ CREATE TABLE order_items (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     order_id INTEGER NOT NULL,
     product_id INTEGER NOT NULL,
+    variant_id INTEGER,
     quantity INTEGER NOT NULL CHECK (quantity > 0),
     unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
     total_price DECIMAL(10,2) NOT NULL CHECK (total_price >= 0),
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    tax_rate DECIMAL(6,4) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0),
+    tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0),
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
-    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL
 );
 
 -- Tabla de resenas
@@ -92,20 +130,629 @@ CREATE TABLE reviews (
     rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
     comment TEXT,
     is_verified_purchase BOOLEAN DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'hidden')),
+    rejection_reason VARCHAR(255),
+    is_flagged BOOLEAN DEFAULT 0,
+    flagged_terms TEXT,
+    report_count INTEGER NOT NULL DEFAULT 0,
+    moderated_by INTEGER,
+    moderated_at DATETIME,
+    helpful_count INTEGER NOT NULL DEFAULT 0,
+    not_helpful_count INTEGER NOT NULL DEFAULT 0,
+    helpfulness_score REAL NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (moderated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Tabla de carritos (usuarios autenticados o visitantes identificados por token)
+CREATE TABLE carts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER UNIQUE,
+    cart_token VARCHAR(64) UNIQUE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Tabla de items de carrito
+CREATE TABLE cart_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cart_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    variant_id INTEGER,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (cart_id, product_id, variant_id),
+    FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+);
+
+-- Tabla de sesiones (refresh tokens rotativos agrupados por familia)
+CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    family_id VARCHAR(64) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    expires_at DATETIME NOT NULL,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    revoked_reason VARCHAR(30) CHECK (revoked_reason IN ('rotated', 'logout', 'revoked', 'reuse_detected', 'password_changed', 'password_reset', 'account_deactivated')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Tabla de movimientos de inventario (historial de cambios de stock)
+CREATE TABLE inventory_movements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    variant_id INTEGER,
+    quantity_before INTEGER NOT NULL CHECK (quantity_before >= 0),
+    quantity_after INTEGER NOT NULL CHECK (quantity_after >= 0),
+    delta INTEGER NOT NULL,
+    reason_code VARCHAR(30) NOT NULL CHECK (reason_code IN ('stock_update', 'reservation', 'release', 'manual', 'damaged', 'expired', 'theft', 'correction', 'order_created', 'order_cancelled', 'order_shipped', 'order_returned')),
+    notes TEXT,
+    user_id INTEGER,
+    order_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+);
+
+-- Tabla de reservas de stock de pedidos
+CREATE TABLE stock_reservations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    variant_id INTEGER,
+    order_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'released', 'expired', 'fulfilled')),
+    expires_at DATETIME NOT NULL,
+    closed_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
+
+-- Tabla de historial de estados de pedidos
+CREATE TABLE order_status_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    from_status VARCHAR(20) CHECK (from_status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled')),
+    to_status VARCHAR(20) NOT NULL CHECK (to_status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled')),
+    changed_by INTEGER,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Tabla de pagos de pedidos
+CREATE TABLE payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    provider_payment_id VARCHAR(100) UNIQUE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'requires_action', 'authorized', 'captured', 'failed', 'refunded')),
+    refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refunded_amount >= 0),
+    card_last4 VARCHAR(4),
+    failure_code VARCHAR(50),
+    failure_message VARCHAR(255),
+    captured_at DATETIME,
+    refunded_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
+
+-- Tabla de solicitudes de devolucion (RMA)
+CREATE TABLE return_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rma_number VARCHAR(50) UNIQUE NOT NULL,
+    order_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'approved', 'rejected', 'received', 'refunded')),
+    reason TEXT NOT NULL,
+    admin_note TEXT,
+    refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refund_amount >= 0),
+    reviewed_by INTEGER,
+    reviewed_at DATETIME,
+    received_at DATETIME,
+    refunded_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Tabla de items de una devolucion
+CREATE TABLE return_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    return_request_id INTEGER NOT NULL,
+    order_item_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    disposition VARCHAR(20) CHECK (disposition IN ('restock', 'write_off')),
+    refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refund_amount >= 0),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (return_request_id) REFERENCES return_requests(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE
+);
+
+-- Tabla de cupones de descuento
+CREATE TABLE coupons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    description TEXT,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('percentage', 'fixed_amount', 'free_shipping')),
+    value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+    min_order_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (min_order_amount >= 0),
+    starts_at DATETIME,
+    expires_at DATETIME,
+    usage_limit INTEGER CHECK (usage_limit > 0),
+    usage_limit_per_user INTEGER CHECK (usage_limit_per_user > 0),
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Productos a los que aplica un cupon
+CREATE TABLE coupon_products (
+    coupon_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    PRIMARY KEY (coupon_id, product_id),
+    FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Categorias a las que aplica un cupon (incluye subcategorias)
+CREATE TABLE coupon_categories (
+    coupon_id INTEGER NOT NULL,
+    category_id INTEGER NOT NULL,
+    PRIMARY KEY (coupon_id, category_id),
+    FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+);
+
+-- Tabla de usos de cupones en pedidos
+CREATE TABLE coupon_redemptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    coupon_id INTEGER NOT NULL,
+    order_id INTEGER UNIQUE NOT NULL,
+    user_id INTEGER NOT NULL,
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    voided_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Tabla de tasas de impuesto por region
+CREATE TABLE tax_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    country VARCHAR(2) NOT NULL,
+    region VARCHAR(100),
+    tax_class VARCHAR(20) NOT NULL DEFAULT 'standard' CHECK (tax_class IN ('standard', 'reduced', 'exempt')),
+    name VARCHAR(100) NOT NULL,
+    rate DECIMAL(6,4) NOT NULL CHECK (rate >= 0 AND rate <= 1),
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(country, region, tax_class)
+);
+
+-- Lineas de impuesto aplicadas a cada item de un pedido
+CREATE TABLE order_tax_lines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    order_item_id INTEGER NOT NULL,
+    tax_rate_id INTEGER,
+    name VARCHAR(100) NOT NULL,
+    rate DECIMAL(6,4) NOT NULL CHECK (rate >= 0),
+    taxable_amount DECIMAL(10,2) NOT NULL CHECK (taxable_amount >= 0),
+    tax_amount DECIMAL(10,2) NOT NULL CHECK (tax_amount >= 0),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL
+);
+
+-- Tabla de zonas de envio
+CREATE TABLE shipping_zones (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL,
+    is_default BOOLEAN DEFAULT 0,
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Paises y regiones que cubre cada zona de envio (region NULL = todo el pais)
+CREATE TABLE shipping_zone_locations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    zone_id INTEGER NOT NULL,
+    country VARCHAR(2) NOT NULL,
+    region VARCHAR(100),
+    FOREIGN KEY (zone_id) REFERENCES shipping_zones(id) ON DELETE CASCADE
+);
+
+-- Tabla de metodos de envio por zona
+CREATE TABLE shipping_methods (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    zone_id INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    rate_type VARCHAR(20) NOT NULL DEFAULT 'flat' CHECK (rate_type IN ('flat', 'weight_based')),
+    base_rate DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (base_rate >= 0),
+    rate_per_kg DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (rate_per_kg >= 0),
+    free_shipping_threshold DECIMAL(10,2) CHECK (free_shipping_threshold >= 0),
+    max_weight DECIMAL(10,3) CHECK (max_weight > 0),
+    min_delivery_days INTEGER CHECK (min_delivery_days >= 0),
+    max_delivery_days INTEGER CHECK (max_delivery_days >= 0),
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (zone_id) REFERENCES shipping_zones(id) ON DELETE CASCADE
+);
+
+-- Libreta de direcciones de los usuarios
+CREATE TABLE addresses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    label VARCHAR(50),
+    recipient_name VARCHAR(150) NOT NULL,
+    line1 VARCHAR(200) NOT NULL,
+    line2 VARCHAR(200),
+    city VARCHAR(100) NOT NULL,
+    region VARCHAR(100),
+    postal_code VARCHAR(20),
+    country VARCHAR(2) NOT NULL,
+    phone VARCHAR(30),
+    is_default_shipping BOOLEAN DEFAULT 0,
+    is_default_billing BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Copia de las direcciones usadas en cada pedido (no cambia si luego se edita la libreta)
+CREATE TABLE order_addresses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    address_type VARCHAR(20) NOT NULL CHECK (address_type IN ('shipping', 'billing')),
+    address_id INTEGER,
+    recipient_name VARCHAR(150),
+    line1 VARCHAR(200) NOT NULL,
+    line2 VARCHAR(200),
+    city VARCHAR(100) NOT NULL,
+    region VARCHAR(100),
+    postal_code VARCHAR(20),
+    country VARCHAR(2) NOT NULL,
+    phone VARCHAR(30),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(order_id, address_type),
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (address_id) REFERENCES addresses(id) ON DELETE SET NULL
+);
+
+-- Tipos de opcion de un producto (talla, color...)
+CREATE TABLE product_options (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(product_id, name),
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Valores de cada tipo de opcion (S, M, L...)
+CREATE TABLE product_option_values (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    option_id INTEGER NOT NULL,
+    value VARCHAR(100) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(option_id, value),
+    FOREIGN KEY (option_id) REFERENCES product_options(id) ON DELETE CASCADE
+);
+
+-- Variantes vendibles de un producto, cada una con su SKU, precio e inventario
+CREATE TABLE product_variants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    sku VARCHAR(100) UNIQUE NOT NULL,
+    price DECIMAL(10,2) CHECK (price >= 0),
+    weight DECIMAL(10,3) CHECK (weight >= 0),
+    image_url VARCHAR(500),
+    position INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Valor de cada tipo de opcion que define una variante
+CREATE TABLE product_variant_values (
+    variant_id INTEGER NOT NULL,
+    option_value_id INTEGER NOT NULL,
+    PRIMARY KEY (variant_id, option_value_id),
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (option_value_id) REFERENCES product_option_values(id) ON DELETE CASCADE
+);
+
+-- Galeria de imagenes de productos (archivos en el almacenamiento configurado)
+CREATE TABLE product_images (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    original_key VARCHAR(255) NOT NULL,
+    medium_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(50) NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+    width INTEGER,
+    height INTEGER,
+    alt_text VARCHAR(255),
+    position INTEGER NOT NULL DEFAULT 0,
+    is_primary BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Tabla de definiciones de atributos de producto (especificaciones)
+CREATE TABLE attribute_definitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('text', 'number', 'boolean', 'enum')),
+    unit VARCHAR(20),
+    options TEXT,
+    is_filterable BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de atributos asignados a cada categoria (las subcategorias los heredan)
+CREATE TABLE category_attributes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    category_id INTEGER NOT NULL,
+    attribute_id INTEGER NOT NULL,
+    is_required BOOLEAN DEFAULT 0,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    FOREIGN KEY (attribute_id) REFERENCES attribute_definitions(id) ON DELETE CASCADE,
+    UNIQUE (category_id, attribute_id)
+);
+
+-- Tabla de valores de atributos por producto (una columna por tipo para poder filtrar)
+CREATE TABLE product_attribute_values (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    attribute_id INTEGER NOT NULL,
+    value_text VARCHAR(255),
+    value_number DECIMAL(14,4),
+    value_boolean BOOLEAN,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (attribute_id) REFERENCES attribute_definitions(id) ON DELETE CASCADE,
+    UNIQUE (product_id, attribute_id)
+);
+
+-- Tabla de listas de deseos (cada usuario puede tener varias, con nombre)
+CREATE TABLE wishlists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    is_public BOOLEAN DEFAULT 0,
+    share_token VARCHAR(64) UNIQUE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE (user_id, name)
+);
+
+-- Tabla de productos guardados en listas de deseos y sus suscripciones de aviso
+CREATE TABLE wishlist_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wishlist_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    variant_id INTEGER,
+    price_at_add DECIMAL(10,2) NOT NULL,
+    notify_back_in_stock BOOLEAN DEFAULT 0,
+    notify_price_drop BOOLEAN DEFAULT 0,
+    back_in_stock_notified_at DATETIME,
+    price_drop_notified_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (wishlist_id) REFERENCES wishlists(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+);
+
+-- Tabla de denuncias de resenas hechas por clientes
+CREATE TABLE review_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('spam', 'offensive', 'off_topic', 'fake', 'other')),
+    details VARCHAR(500),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE (review_id, user_id)
+);
+
+-- Tabla de votos de utilidad de resenas (un voto por usuario y resena)
+CREATE TABLE review_votes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    is_helpful BOOLEAN NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE (review_id, user_id)
+);
+
+-- Tabla de respuestas oficiales de la tienda a resenas (una por resena)
+CREATE TABLE review_replies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER UNIQUE NOT NULL,
+    author_id INTEGER,
+    body TEXT NOT NULL,
+    edited_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Tabla de historial de ediciones de respuestas (texto anterior a cada edicion)
+CREATE TABLE review_reply_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reply_id INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    edited_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (reply_id) REFERENCES review_replies(id) ON DELETE CASCADE,
+    FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Tabla de preguntas de clientes sobre productos
+CREATE TABLE product_questions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'hidden')),
+    rejection_reason VARCHAR(255),
+    is_flagged BOOLEAN DEFAULT 0,
+    flagged_terms TEXT,
+    upvote_count INTEGER NOT NULL DEFAULT 0,
+    answer_count INTEGER NOT NULL DEFAULT 0,
+    moderated_by INTEGER,
+    moderated_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (moderated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Tabla de respuestas a preguntas (oficiales de la tienda o de compradores verificados)
+CREATE TABLE product_answers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    question_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    is_official BOOLEAN DEFAULT 0,
+    is_verified_purchase BOOLEAN DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'hidden')),
+    rejection_reason VARCHAR(255),
+    is_flagged BOOLEAN DEFAULT 0,
+    flagged_terms TEXT,
+    upvote_count INTEGER NOT NULL DEFAULT 0,
+    moderated_by INTEGER,
+    moderated_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (question_id) REFERENCES product_questions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (moderated_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE (question_id, user_id)
+);
+
+-- Tabla de votos positivos de preguntas y respuestas (cada voto apunta a una sola de las dos)
+CREATE TABLE product_qa_votes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    question_id INTEGER,
+    answer_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (question_id) REFERENCES product_questions(id) ON DELETE CASCADE,
+    FOREIGN KEY (answer_id) REFERENCES product_answers(id) ON DELETE CASCADE,
+    CHECK ((question_id IS NULL) <> (answer_id IS NULL)),
+    UNIQUE (user_id, question_id),
+    UNIQUE (user_id, answer_id)
+);
+
 -- Indices para mejorar rendimiento
 CREATE INDEX idx_products_category ON products(category_id);
+CREATE INDEX idx_products_brand ON products(brand);
 CREATE INDEX idx_orders_user ON orders(user_id);
 CREATE INDEX idx_order_items_order ON order_items(order_id);
 CREATE INDEX idx_order_items_product ON order_items(product_id);
 CREATE INDEX idx_reviews_product ON reviews(product_id);
 CREATE INDEX idx_reviews_user ON reviews(user_id);
 CREATE INDEX idx_inventory_product ON inventory(product_id);
+CREATE INDEX idx_cart_items_cart ON cart_items(cart_id);
+CREATE INDEX idx_sessions_user ON sessions(user_id);
+CREATE INDEX idx_sessions_family ON sessions(family_id);
+CREATE INDEX idx_inventory_movements_product ON inventory_movements(product_id, created_at);
+CREATE INDEX idx_inventory_movements_order ON inventory_movements(order_id);
+CREATE INDEX idx_stock_reservations_order ON stock_reservations(order_id);
+CREATE INDEX idx_stock_reservations_status_expires ON stock_reservations(status, expires_at);
+CREATE INDEX idx_categories_parent ON categories(parent_id);
+CREATE INDEX idx_order_status_history_order ON order_status_history(order_id, created_at);
+CREATE INDEX idx_payments_order ON payments(order_id);
+CREATE INDEX idx_return_requests_order ON return_requests(order_id);
+CREATE INDEX idx_return_items_request ON return_items(return_request_id);
+CREATE INDEX idx_return_items_order_item ON return_items(order_item_id);
+CREATE INDEX idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id);
+CREATE INDEX idx_coupon_redemptions_user ON coupon_redemptions(coupon_id, user_id);
+CREATE INDEX idx_tax_rates_lookup ON tax_rates(country, tax_class);
+CREATE INDEX idx_order_tax_lines_order ON order_tax_lines(order_id);
+CREATE INDEX idx_shipping_zone_locations_country ON shipping_zone_locations(country);
+CREATE INDEX idx_shipping_methods_zone ON shipping_methods(zone_id);
+CREATE INDEX idx_addresses_user ON addresses(user_id);
+CREATE UNIQUE INDEX idx_inventory_product_base ON inventory(product_id) WHERE variant_id IS NULL;
+CREATE INDEX idx_product_variants_product ON product_variants(product_id);
+CREATE INDEX idx_order_items_variant ON order_items(variant_id);
+CREATE INDEX idx_product_images_product ON product_images(product_id, position);
+CREATE INDEX idx_category_attributes_attribute ON category_attributes(attribute_id);
+CREATE INDEX idx_product_attribute_values_attribute ON product_attribute_values(attribute_id, value_text);
+CREATE INDEX idx_product_attribute_values_number ON product_attribute_values(attribute_id, value_number);
+CREATE INDEX idx_wishlists_user ON wishlists(user_id);
+CREATE INDEX idx_wishlist_items_wishlist ON wishlist_items(wishlist_id);
+CREATE INDEX idx_wishlist_items_product ON wishlist_items(product_id);
+CREATE INDEX idx_reviews_status ON reviews(status, product_id);
+CREATE INDEX idx_review_reports_review ON review_reports(review_id, status);
+CREATE INDEX idx_reviews_helpfulness ON reviews(product_id, helpfulness_score);
+CREATE INDEX idx_products_rating_score ON products(rating_score);
+CREATE INDEX idx_review_reply_revisions_reply ON review_reply_revisions(reply_id);
+CREATE INDEX idx_product_questions_product ON product_questions(product_id, status);
+CREATE INDEX idx_product_answers_question ON product_answers(question_id, status);
+
+-- Indice de busqueda de texto completo de productos (FTS5)
+-- rowid = id del producto, lo mantienen los hooks de Product y Category
+-- remove_diacritics ignora acentos y prefix acelera las busquedas por prefijo
+CREATE VIRTUAL TABLE products_fts USING fts5(
+    name,
+    description,
+    sku,
+    category_name,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
 
 -- Datos de ejemplo para categorias
 INSERT INTO categories (name, description, slug) VALUES
@@ -116,12 +763,42 @@ INSERT INTO categories (name, description, slug) VALUES
 ('Accesorios', 'Accesorios y gadgets tecnologicos', 'accesorios');
 
 -- Datos de ejemplo para productos
-INSERT INTO products (name, description, price, category_id, sku, image_url) VALUES
-('Laptop Hacker Pro', 'Laptop de alta seguridad con encriptacion de hardware', 1299.99, 1, 'LAP-001', '/images/laptop-hacker.jpg'),
-('Firewall Enterprise', 'Firewall de nivel empresarial con proteccion avanzada', 899.99, 3, 'FW-001', '/images/firewall.jpg'),
-('Cable de Red Blindado', 'Cable de red con blindaje electromagnetico', 45.99, 4, 'CBL-001', '/images/cable-red.jpg'),
-('Software Antivirus Pro', 'Antivirus con proteccion en tiempo real', 79.99, 2, 'AV-001', '/images/antivirus.jpg'),
-('Teclado Mecanico', 'Teclado mecanico con switches Cherry MX', 149.99, 5, 'KB-001', '/images/teclado.jpg');
+INSERT INTO products (name, description, price, category_id, sku, brand, image_url) VALUES
+('Laptop Hacker Pro', 'Laptop de alta seguridad con encriptacion de hardware', 1299.99, 1, 'LAP-001', 'E Corp', '/images/laptop-hacker.jpg'),
+('Firewall Enterprise', 'Firewall de nivel empresarial con proteccion avanzada', 899.99, 3, 'FW-001', 'Allsafe', '/images/firewall.jpg'),
+('Cable de Red Blindado', 'Cable de red con blindaje electromagnetico', 45.99, 4, 'CBL-001', 'E Corp', '/images/cable-red.jpg'),
+('Software Antivirus Pro', 'Antivirus con proteccion en tiempo real', 79.99, 2, 'AV-001', 'Allsafe', '/images/antivirus.jpg'),
+('Teclado Mecanico', 'Teclado mecanico con switches Cherry MX', 149.99, 5, 'KB-001', 'fsociety', '/images/teclado.jpg');
+
+-- Indexar los productos de ejemplo para la busqueda de texto completo
+INSERT INTO products_fts (rowid, name, description, sku, category_name)
+SELECT p.id, p.name, COALESCE(p.description, ''), COALESCE(p.sku, ''), COALESCE(c.name, '')
+FROM products p
+LEFT JOIN categories c ON c.id = p.category_id;
+
+-- Datos de ejemplo para atributos de producto
+INSERT INTO attribute_definitions (code, name, type, unit, options) VALUES
+('ram_gb', 'Memoria RAM', 'number', 'GB', NULL),
+('almacenamiento_gb', 'Almacenamiento', 'number', 'GB', NULL),
+('color', 'Color', 'enum', NULL, '["Negro","Blanco","Gris"]'),
+('inalambrico', 'Inalambrico', 'boolean', NULL, NULL),
+('material', 'Material', 'text', NULL, NULL);
+
+INSERT INTO category_attributes (category_id, attribute_id, is_required, position) VALUES
+(1, 1, 0, 0),
+(1, 2, 0, 1),
+(1, 3, 0, 2),
+(5, 3, 0, 0),
+(5, 4, 0, 1),
+(5, 5, 0, 2);
+
+INSERT INTO product_attribute_values (product_id, attribute_id, value_text, value_number, value_boolean) VALUES
+(1, 1, NULL, 32, NULL),
+(1, 2, NULL, 1024, NULL),
+(1, 3, 'Negro', NULL, NULL),
+(5, 3, 'Negro', NULL, NULL),
+(5, 4, NULL, NULL, 0),
+(5, 5, 'Aluminio', NULL, NULL);
 
 -- Datos de ejemplo para inventario
 INSERT INTO inventory (product_id, quantity, min_stock, max_stock) VALUES
@@ -130,3 +807,30 @@ INSERT INTO inventory (product_id, quantity, min_stock, max_stock) VALUES
 (3, 100, 20, 200),
 (4, 50, 10, 100),
 (5, 25, 5, 75);
+
+-- Datos de ejemplo para tasas de impuesto
+INSERT INTO tax_rates (country, region, tax_class, name, rate) VALUES
+('ES', NULL, 'standard', 'IVA General', 0.2100),
+('ES', NULL, 'reduced', 'IVA Reducido', 0.1000),
+('ES', 'Canarias', 'standard', 'IGIC General', 0.0700),
+('ES', 'Canarias', 'reduced', 'IGIC Reducido', 0.0300),
+('MX', NULL, 'standard', 'IVA', 0.1600);
+
+-- Datos de ejemplo para zonas y metodos de envio
+INSERT INTO shipping_zones (name, is_default) VALUES
+('Espana peninsular', 0),
+('Canarias', 0),
+('Mexico', 0),
+('Internacional', 1);
+
+INSERT INTO shipping_zone_locations (zone_id, country, region) VALUES
+(1, 'ES', NULL),
+(2, 'ES', 'Canarias'),
+(3, 'MX', NULL);
+
+INSERT INTO shipping_methods (zone_id, name, rate_type, base_rate, rate_per_kg, free_shipping_threshold, max_weight, min_delivery_days, max_delivery_days) VALUES
+(1, 'Estandar', 'flat', 4.99, 0, 50.00, NULL, 3, 5),
+(1, 'Express', 'weight_based', 6.99, 1.50, NULL, 30.000, 1, 2),
+(2, 'Estandar Canarias', 'weight_based', 9.99, 2.50, 150.00, 30.000, 5, 8),
+(3, 'Estandar', 'flat', 149.00, 0, 2000.00, NULL, 4, 7),
+(4, 'Internacional', 'weight_based', 19.99, 5.00, NULL, 20.000, 7, 15);
@@ -19,6 +19,7 @@ if (!fs.existsSync(dbDir)) {
 // Verificar si el archivo de base de datos ya existe
 if (fs.existsSync(dbFile)) {
   console.log(`La base de datos ya existe en: ${dbFile}`);
+  console.log('Para aplicar los cambios de esquema a una base existente use: npm run upgrade-db');
   process.exit(0);
 }
 
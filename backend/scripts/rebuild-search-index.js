@@ -0,0 +1,24 @@
+// Script para reconstruir el indice de busqueda de texto completo de productos
+// Uso: npm run rebuild-search-index
+const { sequelize } = require('../src/config/database');
+const productSearchIndex = require('../src/utils/productSearchIndex');
+
+const rebuild = async () => {
+  console.log('🔎 Reconstruyendo indice de busqueda de productos...');
+
+  try {
+    const total = await sequelize.transaction(async (transaction) => {
+      await productSearchIndex.ensureIndex({ transaction });
+      return await productSearchIndex.rebuildIndex({ transaction });
+    });
+    console.log(`✅ Indice reconstruido: ${total} productos indexados`);
+  } catch (error) {
+    console.error('❌ Error reconstruyendo el indice de busqueda:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+// Ejecutar el script
+rebuild();
@@ -72,7 +72,9 @@ const testData = {
       name: 'Laptop Gaming Pro',
       description: 'Laptop de alto rendimiento para gaming',
       sku: 'LAP-GAM-001',
+      brand: 'E Corp',
       price: 1299.99,
+      weight: 2.5,
       category_id: 1,
       is_active: 1
     },
@@ -80,7 +82,9 @@ const testData = {
       name: 'Smartphone Ultra',
       description: 'Smartphone de ultima generacion',
       sku: 'PHN-ULT-001',
+      brand: 'E Corp',
       price: 899.99,
+      weight: 0.2,
       category_id: 1,
       is_active: 1
     },
@@ -88,7 +92,9 @@ const testData = {
       name: 'Camiseta Basica',
       description: 'Camiseta de algodon 100%',
       sku: 'TSH-BAS-001',
+      brand: 'fsociety',
       price: 19.99,
+      weight: 0.15,
       category_id: 2,
       is_active: 1
     },
@@ -96,7 +102,9 @@ const testData = {
       name: 'Sofa Moderno',
       description: 'Sofa elegante para sala',
       sku: 'SOF-MOD-001',
+      brand: 'Dark Army',
       price: 599.99,
+      weight: 45,
       category_id: 3,
       is_active: 1
     },
@@ -104,7 +112,9 @@ const testData = {
       name: 'Balon de Futbol',
       description: 'Balon oficial de futbol',
       sku: 'BAL-FUT-001',
+      brand: 'fsociety',
       price: 29.99,
+      weight: 0.45,
       category_id: 4,
       is_active: 1
     }
@@ -163,9 +173,9 @@ const insertData = async () => {
     for (const product of testData.products) {
       await new Promise((resolve, reject) => {
         db.run(`
-          INSERT INTO products (name, description, sku, price, category_id, is_active, created_at, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
-        `, [product.name, product.description, product.sku, product.price, product.category_id, product.is_active], (err) => {
+          INSERT INTO products (name, description, sku, brand, price, weight, category_id, is_active, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+        `, [product.name, product.description, product.sku, product.brand, product.price, product.weight, product.category_id, product.is_active], (err) => {
           if (err) {
             console.error('Error insertando producto:', err.message);
             reject(err);
@@ -177,7 +187,30 @@ const insertData = async () => {
       });
     }
 
+    // Los productos se insertan sin pasar por los modelos: reconstruir el indice de busqueda
+    console.log('🔎 Reconstruyendo indice de busqueda...');
+    for (const sql of [
+      'DELETE FROM products_fts',
+      `INSERT INTO products_fts (rowid, name, description, sku, category_name)
+       SELECT p.id, p.name, COALESCE(p.description, ''), COALESCE(p.sku, ''), COALESCE(c.name, '')
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id`
+    ]) {
+      await new Promise((resolve, reject) => {
+        db.run(sql, (err) => {
+          if (err) {
+            console.error('Error reconstruyendo indice de busqueda:', err.message);
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+    console.log('✅ Indice de busqueda reconstruido');
+
     // Insertar inventario para cada producto
+    // El esquema ya trae inventario de ejemplo y solo puede haber una fila base por producto
     console.log('📊 Creando inventario...');
     for (let i = 0; i < testData.products.length; i++) {
       const productId = i + 1;
@@ -185,13 +218,18 @@ const insertData = async () => {
       await new Promise((resolve, reject) => {
         db.run(`
           INSERT INTO inventory (product_id, quantity, min_stock, max_stock, created_at, updated_at)
-          VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
-        `, [productId, stock, 5, 200], (err) => {
+          SELECT ?, ?, ?, ?, datetime('now'), datetime('now')
+          WHERE NOT EXISTS (
+            SELECT 1 FROM inventory WHERE product_id = ? AND variant_id IS NULL
+          )
+        `, [productId, stock, 5, 200, productId], function (err) {
           if (err) {
             console.error('Error insertando inventario:', err.message);
             reject(err);
           } else {
-            console.log(`✅ Inventario creado para producto ID ${productId}`);
+            console.log(this.changes > 0
+              ? `✅ Inventario creado para producto ID ${productId}`
+              : `ℹ️  Inventario ya existente para producto ID ${productId}`);
             resolve();
           }
         });
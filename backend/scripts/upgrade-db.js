@@ -0,0 +1,32 @@
+// Script para aplicar los cambios de esquema a una base de datos existente
+// Uso: npm run upgrade-db (el servidor tambien lo aplica al iniciar)
+const { sequelize } = require('../src/config/database');
+const { upgradeSchema } = require('../src/utils/schemaUpgrade');
+const productSearchIndex = require('../src/utils/productSearchIndex');
+
+const upgrade = async () => {
+  console.log('🛠️  Actualizando esquema de la base de datos...');
+
+  try {
+    const { createdTables, addedColumns } = await upgradeSchema();
+    if (await productSearchIndex.ensureIndex()) {
+      await productSearchIndex.rebuildIndex();
+      createdTables.push('products_fts');
+    }
+
+    if (createdTables.length === 0 && addedColumns.length === 0) {
+      console.log('✅ El esquema ya esta al dia');
+    } else {
+      console.log(`✅ Tablas creadas (${createdTables.length}): ${createdTables.join(', ') || '-'}`);
+      console.log(`✅ Columnas agregadas (${addedColumns.length}): ${addedColumns.join(', ') || '-'}`);
+    }
+  } catch (error) {
+    console.error('❌ Error actualizando el esquema:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+// Ejecutar el script
+upgrade();
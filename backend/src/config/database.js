@@ -1,12 +1,31 @@
 const { Sequelize } = require('sequelize');
+const sqlite3 = require('sqlite3');
 const path = require('path');
 require('dotenv').config();
 
 // Configuracion de la base de datos SQLite
 const dbPath = path.join(__dirname, '..', '..', 'database', 'mr_robot_commerce.db');
 
+// SQLite abre una conexion por transaccion: ante una escritura concurrente se espera a que
+// se libere la base en lugar de fallar de inmediato con SQLITE_BUSY
+const BUSY_TIMEOUT_MS = parseInt(process.env.DB_BUSY_TIMEOUT_MS) || 5000;
+
+// Modulo sqlite3 cuyas conexiones configuran el busy timeout al abrirse (opcion dialectModule)
+class BusyTimeoutDatabase extends sqlite3.Database {
+  constructor(filename, mode, callback) {
+    super(filename, mode, (error) => {
+      if (!error) {
+        this.configure('busyTimeout', BUSY_TIMEOUT_MS);
+      }
+      callback(error);
+    });
+  }
+}
+const sqliteModule = Object.assign(Object.create(sqlite3), { Database: BusyTimeoutDatabase });
+
 const sequelize = new Sequelize({
   dialect: 'sqlite',
+  dialectModule: sqliteModule,
   storage: dbPath,
   logging: process.env.NODE_ENV === 'development' ? console.log : false,
   pool: {
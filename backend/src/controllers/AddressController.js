@@ -0,0 +1,111 @@
+const AddressService = require('../services/AddressService');
+const { validationSchema } = require('../models/Address');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+/**
+ * Valida que el parametro de ruta sea un ID de direccion
+ */
+const parseAddressId = (value) => parseId(value, 'ID de direccion invalido');
+
+class AddressController {
+  /**
+   * Lista las direcciones del usuario actual
+   * GET /auth/addresses
+   */
+  static async getAddresses(req, res) {
+    try {
+      const addresses = await AddressService.listAddresses(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: addresses
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al listar direcciones:');
+    }
+  }
+
+  /**
+   * Obtiene una direccion del usuario actual
+   * GET /auth/addresses/:id
+   */
+  static async getAddressById(req, res) {
+    try {
+      const address = await AddressService.getAddressById(req.user.id, parseAddressId(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        data: address
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener direccion:');
+    }
+  }
+
+  /**
+   * Agrega una direccion a la libreta del usuario actual
+   * POST /auth/addresses
+   */
+  static async createAddress(req, res) {
+    try {
+      const { error, value } = validationSchema.create.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const address = await AddressService.createAddress(req.user.id, value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Direccion creada exitosamente',
+        data: address
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al crear direccion:');
+    }
+  }
+
+  /**
+   * Actualiza una direccion del usuario actual
+   * PUT /auth/addresses/:id
+   */
+  static async updateAddress(req, res) {
+    try {
+      const addressId = parseAddressId(req.params.id);
+      const { error, value } = validationSchema.update.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const address = await AddressService.updateAddress(req.user.id, addressId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Direccion actualizada exitosamente',
+        data: address
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar direccion:');
+    }
+  }
+
+  /**
+   * Elimina una direccion del usuario actual
+   * DELETE /auth/addresses/:id
+   */
+  static async deleteAddress(req, res) {
+    try {
+      await AddressService.deleteAddress(req.user.id, parseAddressId(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        message: 'Direccion eliminada exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar direccion:');
+    }
+  }
+}
+
+module.exports = AddressController;
@@ -1,6 +1,16 @@
 const AuthService = require('../services/AuthService');
+const CartService = require('../services/CartService');
 const { User } = require('../models');
-const { ValidationError, AuthenticationError, ConflictError } = require('../utils/errors');
+const { ValidationError, AuthenticationError } = require('../utils/errors');
+const { sendError } = require('../utils/httpHelpers');
+
+/**
+ * Obtiene los datos del dispositivo que inicia o renueva la sesion
+ */
+const getSessionContext = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ipAddress: req.ip || null
+});
 
 class AuthController {
   /**
@@ -39,7 +49,7 @@ class AuthController {
         first_name,
         last_name,
         role: role || 'customer'
-      });
+      }, getSessionContext(req));
 
       res.status(201).json({
         success: true,
@@ -47,18 +57,7 @@ class AuthController {
         data: result
       });
     } catch (error) {
-      if (error instanceof ValidationError || error instanceof ConflictError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error en registro:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error en registro:');
     }
   }
 
@@ -81,7 +80,17 @@ class AuthController {
         throw new ValidationError('Formato de email invalido');
       }
 
-      const result = await AuthService.login(email.toLowerCase(), password);
+      const result = await AuthService.login(email.toLowerCase(), password, getSessionContext(req));
+
+      // Fusionar el carrito anonimo del visitante con el carrito del usuario
+      const cartToken = req.body.cart_token || req.headers['x-cart-token'];
+      if (cartToken) {
+        try {
+          await CartService.mergeGuestCart(cartToken, result.user.id);
+        } catch (error) {
+          console.error('Error al fusionar carrito:', error);
+        }
+      }
 
       res.status(200).json({
         success: true,
@@ -89,25 +98,7 @@ class AuthController {
         data: result
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof AuthenticationError) {
-        return res.status(401).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error en login:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error en login:');
     }
   }
 
@@ -125,18 +116,7 @@ class AuthController {
         data: user
       });
     } catch (error) {
-      if (error instanceof AuthenticationError) {
-        return res.status(401).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener usuario actual:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener usuario actual:');
     }
   }
 
@@ -176,25 +156,7 @@ class AuthController {
         data: user
       });
     } catch (error) {
-      if (error instanceof ValidationError || error instanceof ConflictError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof AuthenticationError) {
-        return res.status(401).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al actualizar perfil:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al actualizar perfil:');
     }
   }
 
@@ -224,25 +186,7 @@ class AuthController {
         message: result.message
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof AuthenticationError) {
-        return res.status(401).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al cambiar contrasena:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al cambiar contrasena:');
     }
   }
 
@@ -260,18 +204,7 @@ class AuthController {
         message: result.message
       });
     } catch (error) {
-      if (error instanceof AuthenticationError) {
-        return res.status(401).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al desactivar cuenta:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al desactivar cuenta:');
     }
   }
 
@@ -299,18 +232,7 @@ class AuthController {
         }
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al verificar email:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al verificar email:');
     }
   }
 
@@ -338,18 +260,154 @@ class AuthController {
         }
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
+      sendError(res, error, 'Error al verificar username:');
+    }
+  }
+
+  /**
+   * Solicita el restablecimiento de contrasena
+   * POST /auth/forgot-password
+   */
+  static async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        throw new ValidationError('Email es requerido');
       }
 
-      console.error('Error al verificar username:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
+      // Validar formato de email
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        throw new ValidationError('Formato de email invalido');
+      }
+
+      const result = await AuthService.requestPasswordReset(email.toLowerCase());
+
+      res.status(200).json({
+        success: true,
+        message: result.message
       });
+    } catch (error) {
+      sendError(res, error, 'Error al solicitar restablecimiento de contrasena:');
+    }
+  }
+
+  /**
+   * Restablece la contrasena con el token recibido por correo
+   * POST /auth/reset-password
+   */
+  static async resetPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body;
+
+      // Validar datos requeridos
+      if (!token || !newPassword) {
+        throw new ValidationError('Token y nueva contrasena son requeridos');
+      }
+
+      // Validar longitud de nueva contrasena
+      if (newPassword.length < 6) {
+        throw new ValidationError('La nueva contrasena debe tener al menos 6 caracteres');
+      }
+
+      const result = await AuthService.resetPassword(token, newPassword);
+
+      res.status(200).json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al restablecer contrasena:');
+    }
+  }
+
+  /**
+   * Renueva el token de acceso usando el refresh token (rotacion)
+   * POST /auth/refresh
+   */
+  static async refresh(req, res) {
+    try {
+      const { refresh_token } = req.body;
+
+      if (!refresh_token) {
+        throw new ValidationError('Refresh token es requerido');
+      }
+
+      const result = await AuthService.refresh(refresh_token, getSessionContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Sesion renovada exitosamente',
+        data: result
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al renovar sesion:');
+    }
+  }
+
+  /**
+   * Cierra la sesion actual (revoca su refresh token)
+   * Acepta el token de acceso o el refresh_token en el cuerpo, para cerrar sesion aunque el
+   * token de acceso ya haya vencido
+   * POST /auth/logout
+   */
+  static async logout(req, res) {
+    try {
+      const { refresh_token } = req.body;
+
+      if (!req.user && !refresh_token) {
+        throw new AuthenticationError('Token de acceso o refresh token requerido');
+      }
+
+      const result = await AuthService.logout(req.user, refresh_token);
+
+      res.status(200).json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al cerrar sesion:');
+    }
+  }
+
+  /**
+   * Lista las sesiones activas (dispositivos) del usuario actual
+   * GET /auth/sessions
+   */
+  static async getSessions(req, res) {
+    try {
+      const sessions = await AuthService.getSessions(req.user.id, req.user.sessionId);
+
+      res.status(200).json({
+        success: true,
+        data: sessions
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener sesiones:');
+    }
+  }
+
+  /**
+   * Revoca una sesion (dispositivo) del usuario actual
+   * DELETE /auth/sessions/:sessionId
+   */
+  static async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      if (!sessionId) {
+        throw new ValidationError('ID de sesion es requerido');
+      }
+
+      const result = await AuthService.revokeSession(req.user.id, sessionId);
+
+      res.status(200).json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al revocar sesion:');
     }
   }
 }
@@ -0,0 +1,197 @@
+const CartService = require('../services/CartService');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+/**
+ * Obtiene el propietario del carrito a partir del request
+ * Usuarios autenticados usan su ID; visitantes anonimos usan el header X-Cart-Token
+ */
+const getCartOwner = (req) => ({
+  userId: req.user ? req.user.id : null,
+  cartToken: req.headers['x-cart-token'] || null
+});
+
+/**
+ * Valida el ID de variante opcional de un item del carrito
+ */
+const parseVariantId = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return parseId(value, 'ID de variante invalido');
+};
+
+class CartController {
+  /**
+   * Obtiene el carrito actual con totales calculados
+   * GET /cart
+   */
+  static async getCart(req, res) {
+    try {
+      const cart = await CartService.getCart(getCartOwner(req));
+
+      res.status(200).json({
+        success: true,
+        data: cart
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener carrito:');
+    }
+  }
+
+  /**
+   * Agrega un producto al carrito
+   * POST /cart/items
+   */
+  static async addItem(req, res) {
+    try {
+      const { product_id, variant_id, quantity = 1 } = req.body;
+
+      if (!product_id || isNaN(parseInt(product_id))) {
+        throw new ValidationError('ID de producto invalido');
+      }
+
+      if (isNaN(parseInt(quantity)) || parseInt(quantity) <= 0) {
+        throw new ValidationError('La cantidad debe ser un numero mayor a 0');
+      }
+
+      const cart = await CartService.addItem(
+        getCartOwner(req),
+        parseInt(product_id),
+        parseInt(quantity),
+        parseVariantId(variant_id)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Producto agregado al carrito',
+        data: cart
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al agregar producto al carrito:');
+    }
+  }
+
+  /**
+   * Actualiza la cantidad de un producto (o de una de sus variantes) en el carrito
+   * PUT /cart/items/:productId?variant_id=N
+   */
+  static async updateItem(req, res) {
+    try {
+      const productId = parseId(req.params.productId, 'ID de producto invalido');
+      const { quantity } = req.body;
+
+      if (quantity === undefined || isNaN(parseInt(quantity)) || parseInt(quantity) < 0) {
+        throw new ValidationError('La cantidad es requerida y no puede ser negativa');
+      }
+
+      const cart = await CartService.updateItemQuantity(
+        getCartOwner(req),
+        productId,
+        parseInt(quantity),
+        parseVariantId(req.query.variant_id)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Carrito actualizado exitosamente',
+        data: cart
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar carrito:');
+    }
+  }
+
+  /**
+   * Elimina un producto (o una de sus variantes) del carrito
+   * DELETE /cart/items/:productId?variant_id=N
+   */
+  static async removeItem(req, res) {
+    try {
+      const productId = parseId(req.params.productId, 'ID de producto invalido');
+
+      const cart = await CartService.removeItem(
+        getCartOwner(req),
+        productId,
+        parseVariantId(req.query.variant_id)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Producto eliminado del carrito',
+        data: cart
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar producto del carrito:');
+    }
+  }
+
+  /**
+   * Vacia el carrito
+   * DELETE /cart
+   */
+  static async clearCart(req, res) {
+    try {
+      const cart = await CartService.clearCart(getCartOwner(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Carrito vaciado exitosamente',
+        data: cart
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al vaciar carrito:');
+    }
+  }
+
+  /**
+   * Convierte el carrito del usuario en un pedido
+   * POST /cart/checkout
+   */
+  static async checkout(req, res) {
+    try {
+      const {
+        shipping_address,
+        billing_address,
+        shipping_address_id,
+        billing_address_id,
+        shipping_method_id,
+        coupon_code
+      } = req.body;
+
+      if (!shipping_method_id || isNaN(parseInt(shipping_method_id)) || parseInt(shipping_method_id) <= 0) {
+        throw new ValidationError('Debe seleccionar un metodo de envio valido');
+      }
+
+      if (coupon_code !== undefined && coupon_code !== null && typeof coupon_code !== 'string') {
+        throw new ValidationError('El codigo de cupon debe ser texto');
+      }
+
+      // Sin direccion ni ID se usa la direccion por defecto de la libreta del usuario
+      for (const addressId of [shipping_address_id, billing_address_id]) {
+        if (addressId !== undefined && addressId !== null && (isNaN(parseInt(addressId)) || parseInt(addressId) <= 0)) {
+          throw new ValidationError('ID de direccion invalido');
+        }
+      }
+
+      const order = await CartService.checkout(req.user.id, {
+        shipping_address,
+        billing_address,
+        shipping_address_id: shipping_address_id ? parseInt(shipping_address_id) : null,
+        billing_address_id: billing_address_id ? parseInt(billing_address_id) : null,
+        shipping_method_id: parseInt(shipping_method_id),
+        coupon_code: coupon_code ? coupon_code.trim() : null
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Pedido creado exitosamente',
+        data: order
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al procesar el carrito:');
+    }
+  }
+}
+
+module.exports = CartController;
@@ -1,5 +1,6 @@
 const CategoryService = require('../services/CategoryService');
-const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
 
 class CategoryController {
   /**
@@ -19,11 +20,7 @@ class CategoryController {
         data: categories
       });
     } catch (error) {
-      console.error('Error al obtener categorias:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener categorias:');
     }
   }
 
@@ -33,38 +30,16 @@ class CategoryController {
    */
   static async getCategoryById(req, res) {
     try {
-      const { id } = req.params;
-
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de categoria invalido');
-      }
+      const id = parseId(req.params.id, 'ID de categoria invalido');
 
-      const category = await CategoryService.getCategoryById(parseInt(id));
+      const category = await CategoryService.getCategoryById(id);
 
       res.status(200).json({
         success: true,
         data: category
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener categoria:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener categoria:');
     }
   }
 
@@ -87,25 +62,7 @@ class CategoryController {
         data: category
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener categoria por slug:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener categoria por slug:');
     }
   }
 
@@ -115,16 +72,21 @@ class CategoryController {
    */
   static async createCategory(req, res) {
     try {
-      const { name, description, parent_id } = req.body;
+      const { name, description, slug, parent_id } = req.body;
 
       // Validar datos requeridos
       if (!name) {
         throw new ValidationError('Nombre de categoria es requerido');
       }
 
+      if (parent_id !== undefined && parent_id !== null && isNaN(parseInt(parent_id))) {
+        throw new ValidationError('ID de categoria padre invalido');
+      }
+
       const categoryData = {
         name,
         description: description || '',
+        slug: slug || undefined,
         parent_id: parent_id ? parseInt(parent_id) : null
       };
 
@@ -136,25 +98,7 @@ class CategoryController {
         data: category
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof ConflictError) {
-        return res.status(409).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al crear categoria:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al crear categoria:');
     }
   }
 
@@ -164,19 +108,22 @@ class CategoryController {
    */
   static async updateCategory(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de categoria invalido');
       const updateData = req.body;
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de categoria invalido');
-      }
-
       // Validar que al menos un campo se actualice
       if (Object.keys(updateData).length === 0) {
         throw new ValidationError('Al menos un campo debe ser actualizado');
       }
 
-      const category = await CategoryService.updateCategory(parseInt(id), updateData);
+      if (updateData.parent_id !== undefined && updateData.parent_id !== null) {
+        if (isNaN(parseInt(updateData.parent_id))) {
+          throw new ValidationError('ID de categoria padre invalido');
+        }
+        updateData.parent_id = parseInt(updateData.parent_id);
+      }
+
+      const category = await CategoryService.updateCategory(id, updateData);
 
       res.status(200).json({
         success: true,
@@ -184,32 +131,7 @@ class CategoryController {
         data: category
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof ConflictError) {
-        return res.status(409).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al actualizar categoria:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al actualizar categoria:');
     }
   }
 
@@ -219,38 +141,16 @@ class CategoryController {
    */
   static async deleteCategory(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de categoria invalido');
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de categoria invalido');
-      }
-
-      await CategoryService.deleteCategory(parseInt(id));
+      await CategoryService.deleteCategory(id);
 
       res.status(200).json({
         success: true,
         message: 'Categoria eliminada exitosamente'
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al eliminar categoria:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al eliminar categoria:');
     }
   }
 
@@ -260,39 +160,35 @@ class CategoryController {
    */
   static async getActiveCategories(req, res) {
     try {
-      const categories = await CategoryService.getActiveCategories();
+      const categories = await CategoryService.listActiveCategories();
 
       res.status(200).json({
         success: true,
         data: categories
       });
     } catch (error) {
-      console.error('Error al obtener categorias activas:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener categorias activas:');
     }
   }
 
   /**
-   * Obtiene el arbol de categorias (jerarquia)
+   * Obtiene el arbol de categorias (jerarquia) con conteo de productos
    * GET /categories/tree
    */
   static async getCategoryTree(req, res) {
     try {
-      const tree = await CategoryService.getCategoryTree();
+      const { include_inactive = 'false' } = req.query;
+
+      const tree = await CategoryService.getCategoryTree({
+        includeInactive: include_inactive === 'true'
+      });
 
       res.status(200).json({
         success: true,
         data: tree
       });
     } catch (error) {
-      console.error('Error al obtener arbol de categorias:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener arbol de categorias:');
     }
   }
 
@@ -302,50 +198,29 @@ class CategoryController {
    */
   static async getCategoryProducts(req, res) {
     try {
-      const { id } = req.params;
-      const { page = 1, limit = 10 } = req.query;
-
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de categoria invalido');
-      }
+      const id = parseId(req.params.id, 'ID de categoria invalido');
+      const { page = 1, limit = 10, include_subcategories = 'false' } = req.query;
 
       const options = {
-        page: parseInt(page),
-        limit: parseInt(limit)
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 10,
+        includeSubcategories: include_subcategories === 'true'
       };
 
-      const result = await CategoryService.getCategoryProducts(parseInt(id), options);
+      const result = await CategoryService.getCategoryProducts(id, options);
 
       res.status(200).json({
         success: true,
         data: result.products,
         pagination: {
-          current_page: result.current_page,
-          total_pages: result.total_pages,
-          total_items: result.total_items,
-          items_per_page: result.items_per_page
+          current_page: result.pagination.page,
+          total_pages: result.pagination.totalPages,
+          total_items: result.pagination.total,
+          items_per_page: result.pagination.limit
         }
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener productos de categoria:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener productos de categoria:');
     }
   }
 
@@ -362,11 +237,7 @@ class CategoryController {
         data: stats
       });
     } catch (error) {
-      console.error('Error al obtener estadisticas de categorias:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener estadisticas de categorias:');
     }
   }
 }
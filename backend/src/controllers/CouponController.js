@@ -0,0 +1,218 @@
+const CouponService = require('../services/CouponService');
+const { validationSchema } = require('../models/Coupon');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+/**
+ * Valida que el parametro de ruta sea un ID de cupon
+ */
+const parseCouponId = (value) => parseId(value, 'ID de cupon invalido');
+
+/**
+ * Convierte un parametro de fecha del query en Date (o null si no viene)
+ */
+const parseDateParam = (value, fieldName) => {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Fecha invalida en ${fieldName}`);
+  }
+
+  return date;
+};
+
+class CouponController {
+  /**
+   * Lista cupones con paginacion y filtros (solo admin)
+   * GET /coupons
+   */
+  static async getAllCoupons(req, res) {
+    try {
+      const { page = 1, limit = 10, search, is_active } = req.query;
+
+      if (is_active !== undefined && !['true', 'false'].includes(is_active)) {
+        throw new ValidationError('is_active debe ser true o false');
+      }
+
+      const result = await CouponService.listCoupons({
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 10, 100),
+        search: search || '',
+        is_active: is_active !== undefined ? is_active === 'true' : null
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.coupons,
+        pagination: {
+          current_page: result.pagination.page,
+          total_pages: result.pagination.totalPages,
+          total_items: result.pagination.total,
+          items_per_page: result.pagination.limit
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al listar cupones:');
+    }
+  }
+
+  /**
+   * Reporte de usos de cupones por rango de fechas (solo admin)
+   * GET /coupons/report
+   */
+  static async getRedemptionReport(req, res) {
+    try {
+      const dateFrom = parseDateParam(req.query.date_from, 'date_from');
+      const dateTo = parseDateParam(req.query.date_to, 'date_to');
+
+      // Incluir todo el dia final cuando solo se envia la fecha
+      if (dateTo && /^\d{4}-\d{2}-\d{2}$/.test(req.query.date_to)) {
+        dateTo.setUTCHours(23, 59, 59, 999);
+      }
+
+      const report = await CouponService.getRedemptionReport({ dateFrom, dateTo });
+
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al generar reporte de cupones:');
+    }
+  }
+
+  /**
+   * Calcula el descuento de un cupon para una lista de items sin crear el pedido
+   * POST /coupons/validate
+   */
+  static async validateCoupon(req, res) {
+    try {
+      const { error, value } = validationSchema.validate.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const preview = await CouponService.previewCoupon(value.code, value.items, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al validar cupon:');
+    }
+  }
+
+  /**
+   * Obtiene un cupon por ID (solo admin)
+   * GET /coupons/:id
+   */
+  static async getCouponById(req, res) {
+    try {
+      const coupon = await CouponService.getCouponById(parseCouponId(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        data: coupon
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener cupon:');
+    }
+  }
+
+  /**
+   * Lista los usos de un cupon (solo admin)
+   * GET /coupons/:id/redemptions
+   */
+  static async getCouponRedemptions(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const result = await CouponService.getCouponRedemptions(parseCouponId(req.params.id), {
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 20, 100)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.redemptions,
+        pagination: {
+          current_page: result.pagination.page,
+          total_pages: result.pagination.totalPages,
+          total_items: result.pagination.total,
+          items_per_page: result.pagination.limit
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener usos del cupon:');
+    }
+  }
+
+  /**
+   * Crea un cupon (solo admin)
+   * POST /coupons
+   */
+  static async createCoupon(req, res) {
+    try {
+      const { error, value } = validationSchema.create.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const coupon = await CouponService.createCoupon(value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Cupon creado exitosamente',
+        data: coupon
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al crear cupon:');
+    }
+  }
+
+  /**
+   * Actualiza un cupon (solo admin)
+   * PUT /coupons/:id
+   */
+  static async updateCoupon(req, res) {
+    try {
+      const couponId = parseCouponId(req.params.id);
+      const { error, value } = validationSchema.update.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const coupon = await CouponService.updateCoupon(couponId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Cupon actualizado exitosamente',
+        data: coupon
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar cupon:');
+    }
+  }
+
+  /**
+   * Elimina un cupon sin usos (solo admin)
+   * DELETE /coupons/:id
+   */
+  static async deleteCoupon(req, res) {
+    try {
+      await CouponService.deleteCoupon(parseCouponId(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        message: 'Cupon eliminado exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar cupon:');
+    }
+  }
+}
+
+module.exports = CouponController;
@@ -1,5 +1,53 @@
 const InventoryService = require('../services/InventoryService');
-const { ValidationError, NotFoundError, ConflictError, BusinessLogicError } = require('../utils/errors');
+const { InventoryMovement } = require('../models');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+/**
+ * Valida y convierte los filtros del historial de movimientos recibidos por query
+ */
+const parseMovementFilters = (query) => {
+  const { error, value } = InventoryMovement.validationSchema.filters.validate({
+    product_id: query.product_id,
+    user_id: query.user_id,
+    order_id: query.order_id,
+    reason_code: query.reason_code,
+    date_from: query.date_from,
+    date_to: query.date_to
+  });
+
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  // Incluir todo el dia final cuando solo se envia la fecha
+  if (value.date_to && /^\d{4}-\d{2}-\d{2}$/.test(query.date_to)) {
+    value.date_to.setUTCHours(23, 59, 59, 999);
+  }
+
+  if (value.date_from && value.date_to && value.date_from > value.date_to) {
+    throw new ValidationError('date_from no puede ser posterior a date_to');
+  }
+
+  return {
+    productId: value.product_id || null,
+    reasonCodes: value.reason_code ? [value.reason_code] : null,
+    userId: value.user_id || null,
+    orderId: value.order_id || null,
+    dateFrom: value.date_from || null,
+    dateTo: value.date_to || null
+  };
+};
+
+/**
+ * Valida el ID de variante opcional (el stock propio del producto si no se envia)
+ */
+const parseVariantId = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return parseId(value, 'ID de variante invalido');
+};
 
 class InventoryController {
   /**
@@ -44,68 +92,41 @@ class InventoryController {
         }
       });
     } catch (error) {
-      console.error('Error al obtener inventario:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener inventario:');
     }
   }
 
   /**
-   * Obtiene inventario de un producto
-   * GET /inventory/product/:product_id
+   * Obtiene inventario de un producto (o de una variante con ?variant_id)
+   * GET /inventory/product/:productId
    */
   static async getProductInventory(req, res) {
     try {
-      const { product_id } = req.params;
+      const productId = parseId(req.params.productId, 'ID de producto invalido');
 
-      if (!product_id || isNaN(parseInt(product_id))) {
-        throw new ValidationError('ID de producto invalido');
-      }
-
-      const inventory = await InventoryService.getProductInventory(parseInt(product_id));
+      const inventory = await InventoryService.getInventoryByProductId(
+        productId,
+        parseVariantId(req.query.variant_id)
+      );
 
       res.status(200).json({
         success: true,
         data: inventory
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener inventario de producto:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener inventario de producto:');
     }
   }
 
   /**
    * Actualiza el stock de un producto
-   * PUT /inventory/product/:product_id/stock
+   * PUT /inventory/product/:productId/stock
    */
   static async updateStock(req, res) {
     try {
-      const { product_id } = req.params;
+      const productId = parseId(req.params.productId, 'ID de producto invalido');
       const { quantity, operation = 'set', reason = '' } = req.body;
 
-      if (!product_id || isNaN(parseInt(product_id))) {
-        throw new ValidationError('ID de producto invalido');
-      }
-
       if (quantity === undefined || isNaN(parseInt(quantity))) {
         throw new ValidationError('Cantidad es requerida y debe ser un numero');
       }
@@ -115,13 +136,16 @@ class InventoryController {
         throw new ValidationError('Operacion invalida. Debe ser add, subtract o set');
       }
 
-      const stockData = {
-        quantity: parseInt(quantity),
-        operation,
-        reason: reason || ''
-      };
+      if (parseInt(quantity) < 0) {
+        throw new ValidationError('La cantidad no puede ser negativa');
+      }
 
-      const inventory = await InventoryService.updateStock(parseInt(product_id), stockData);
+      const inventory = await InventoryService.updateStock(
+        productId,
+        parseInt(quantity),
+        operation,
+        { variantId: parseVariantId(req.body.variant_id), userId: req.user.id, notes: reason || null }
+      );
 
       res.status(200).json({
         success: true,
@@ -129,60 +153,28 @@ class InventoryController {
         data: inventory
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof BusinessLogicError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al actualizar stock:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al actualizar stock:');
     }
   }
 
   /**
-   * Reserva stock para un pedido
-   * POST /inventory/reserve
+   * Reserva stock de un producto
+   * POST /inventory/product/:productId/reserve
    */
   static async reserveStock(req, res) {
     try {
-      const { items } = req.body;
+      const productId = parseId(req.params.productId, 'ID de producto invalido');
+      const { quantity, notes } = req.body;
 
-      if (!items || !Array.isArray(items) || items.length === 0) {
-        throw new ValidationError('Items son requeridos');
+      if (!quantity || isNaN(parseInt(quantity)) || parseInt(quantity) <= 0) {
+        throw new ValidationError('La cantidad debe ser un numero mayor a 0');
       }
 
-      // Validar estructura de items
-      for (const item of items) {
-        if (!item.product_id || !item.quantity || item.quantity <= 0) {
-          throw new ValidationError('Cada item debe tener product_id y quantity valida');
-        }
-      }
-
-      const reservationData = items.map(item => ({
-        product_id: parseInt(item.product_id),
-        quantity: parseInt(item.quantity)
-      }));
-
-      const result = await InventoryService.reserveStock(reservationData);
+      const result = await InventoryService.reserveStock(productId, parseInt(quantity), {
+        variantId: parseVariantId(req.body.variant_id),
+        userId: req.user.id,
+        notes: notes || null
+      });
 
       res.status(200).json({
         success: true,
@@ -190,53 +182,28 @@ class InventoryController {
         data: result
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof BusinessLogicError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al reservar stock:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al reservar stock:');
     }
   }
 
   /**
-   * Libera stock reservado
-   * POST /inventory/release
+   * Libera stock reservado de un producto
+   * POST /inventory/product/:productId/release
    */
   static async releaseStock(req, res) {
     try {
-      const { items } = req.body;
-
-      if (!items || !Array.isArray(items) || items.length === 0) {
-        throw new ValidationError('Items son requeridos');
-      }
+      const productId = parseId(req.params.productId, 'ID de producto invalido');
+      const { quantity, notes } = req.body;
 
-      // Validar estructura de items
-      for (const item of items) {
-        if (!item.product_id || !item.quantity || item.quantity <= 0) {
-          throw new ValidationError('Cada item debe tener product_id y quantity valida');
-        }
+      if (!quantity || isNaN(parseInt(quantity)) || parseInt(quantity) <= 0) {
+        throw new ValidationError('La cantidad debe ser un numero mayor a 0');
       }
 
-      const releaseData = items.map(item => ({
-        product_id: parseInt(item.product_id),
-        quantity: parseInt(item.quantity)
-      }));
-
-      const result = await InventoryService.releaseStock(releaseData);
+      const result = await InventoryService.releaseStock(productId, parseInt(quantity), {
+        variantId: parseVariantId(req.body.variant_id),
+        userId: req.user.id,
+        notes: notes || null
+      });
 
       res.status(200).json({
         success: true,
@@ -244,25 +211,7 @@ class InventoryController {
         data: result
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof BusinessLogicError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al liberar stock:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al liberar stock:');
     }
   }
 
@@ -281,11 +230,7 @@ class InventoryController {
         data: alerts
       });
     } catch (error) {
-      console.error('Error al obtener alertas de inventario:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener alertas de inventario:');
     }
   }
 
@@ -304,11 +249,7 @@ class InventoryController {
         data: products
       });
     } catch (error) {
-      console.error('Error al obtener productos con stock bajo:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener productos con stock bajo:');
     }
   }
 
@@ -327,21 +268,21 @@ class InventoryController {
         data: products
       });
     } catch (error) {
-      console.error('Error al obtener productos sin stock:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener productos sin stock:');
     }
   }
 
   /**
-   * Verifica disponibilidad de stock para items
+   * Verifica disponibilidad de stock (en mano - reservado) para items
+   * GET /inventory/check/:productId?quantity=N&variant_id=M
    * POST /inventory/check-availability
    */
   static async checkStockAvailability(req, res) {
     try {
-      const { items } = req.body;
+      const { productId } = req.params;
+      const items = productId !== undefined
+        ? [{ product_id: productId, variant_id: req.query.variant_id, quantity: req.query.quantity || 1 }]
+        : req.body.items;
 
       if (!items || !Array.isArray(items) || items.length === 0) {
         throw new ValidationError('Items son requeridos');
@@ -349,13 +290,14 @@ class InventoryController {
 
       // Validar estructura de items
       for (const item of items) {
-        if (!item.product_id || !item.quantity || item.quantity <= 0) {
+        if (isNaN(parseInt(item.product_id)) || isNaN(parseInt(item.quantity)) || parseInt(item.quantity) <= 0) {
           throw new ValidationError('Cada item debe tener product_id y quantity valida');
         }
       }
 
       const checkData = items.map(item => ({
         product_id: parseInt(item.product_id),
+        variant_id: parseVariantId(item.variant_id),
         quantity: parseInt(item.quantity)
       }));
 
@@ -366,32 +308,18 @@ class InventoryController {
         data: result
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al verificar disponibilidad de stock:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al verificar disponibilidad de stock:');
     }
   }
 
   /**
-   * Ajusta inventario con razon
-   * POST /inventory/adjust
+   * Ajusta inventario con razon (cantidad positiva o negativa)
+   * POST /inventory/product/:productId/adjust
    */
   static async adjustInventory(req, res) {
     try {
-      const { product_id, quantity, reason, adjustment_type = 'manual' } = req.body;
-
-      if (!product_id || isNaN(parseInt(product_id))) {
-        throw new ValidationError('ID de producto invalido');
-      }
+      const productId = parseId(req.params.productId, 'ID de producto invalido');
+      const { quantity, reason, adjustment_type = 'manual' } = req.body;
 
       if (quantity === undefined || isNaN(parseInt(quantity))) {
         throw new ValidationError('Cantidad es requerida y debe ser un numero');
@@ -406,13 +334,16 @@ class InventoryController {
         throw new ValidationError('Tipo de ajuste invalido');
       }
 
-      const adjustmentData = {
-        quantity: parseInt(quantity),
-        reason,
-        adjustment_type
-      };
+      if (parseInt(quantity) === 0) {
+        throw new ValidationError('El ajuste no puede ser 0');
+      }
 
-      const result = await InventoryService.adjustInventory(parseInt(product_id), adjustmentData);
+      const result = await InventoryService.processInventoryAdjustment(
+        productId,
+        parseInt(quantity),
+        reason,
+        { variantId: parseVariantId(req.body.variant_id), userId: req.user.id, adjustmentType: adjustment_type }
+      );
 
       res.status(200).json({
         success: true,
@@ -420,25 +351,7 @@ class InventoryController {
         data: result
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al ajustar inventario:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al ajustar inventario:');
     }
   }
 
@@ -455,64 +368,91 @@ class InventoryController {
         data: stats
       });
     } catch (error) {
-      console.error('Error al obtener estadisticas de inventario:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener estadisticas de inventario:');
     }
   }
 
   /**
-   * Obtiene historial de ajustes de inventario
-   * GET /inventory/:product_id/adjustments
+   * Obtiene el historial de ajustes manuales de inventario
+   * GET /inventory/adjustments
    */
   static async getInventoryAdjustments(req, res) {
     try {
-      const { product_id } = req.params;
-      const { page = 1, limit = 10 } = req.query;
-
-      if (!product_id || isNaN(parseInt(product_id))) {
-        throw new ValidationError('ID de producto invalido');
-      }
-
-      const options = {
-        page: parseInt(page),
-        limit: parseInt(limit)
-      };
+      const filters = parseMovementFilters(req.query);
+      const { page = 1, limit = 20 } = req.query;
 
-      const result = await InventoryService.getInventoryAdjustments(parseInt(product_id), options);
+      const result = await InventoryService.getInventoryAdjustments(filters.productId, {
+        ...filters,
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 20, 100)
+      });
 
       res.status(200).json({
         success: true,
-        data: result.adjustments,
+        data: result.movements,
         pagination: {
-          current_page: result.current_page,
-          total_pages: result.total_pages,
-          total_items: result.total_items,
-          items_per_page: result.items_per_page
+          current_page: result.pagination.page,
+          total_pages: result.pagination.totalPages,
+          total_items: result.pagination.total,
+          items_per_page: result.pagination.limit
         }
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
+      sendError(res, error, 'Error al obtener ajustes de inventario:');
+    }
+  }
+
+  /**
+   * Obtiene el historial de movimientos de inventario (global o por producto)
+   * Con format=csv retorna el historial completo filtrado como archivo CSV
+   * GET /inventory/movements
+   * GET /inventory/product/:productId/movements
+   */
+  static async getInventoryMovements(req, res) {
+    try {
+      const { productId } = req.params;
+
+      if (productId !== undefined && isNaN(parseInt(productId))) {
+        throw new ValidationError('ID de producto invalido');
       }
 
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
+      const filters = parseMovementFilters({
+        ...req.query,
+        product_id: productId !== undefined ? productId : req.query.product_id
+      });
+
+      if (req.query.format === 'csv') {
+        const csv = await InventoryService.exportInventoryMovementsCsv(filters);
+        const fileName = filters.productId
+          ? `movimientos-inventario-producto-${filters.productId}.csv`
+          : 'movimientos-inventario.csv';
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.status(200).send(csv);
       }
 
-      console.error('Error al obtener ajustes de inventario:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
+      const { page = 1, limit = 20, sort_order = 'DESC' } = req.query;
+
+      const result = await InventoryService.getInventoryMovements({
+        ...filters,
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 20, 100),
+        sortOrder: String(sort_order).toUpperCase()
       });
+
+      res.status(200).json({
+        success: true,
+        data: result.movements,
+        pagination: {
+          current_page: result.pagination.page,
+          total_pages: result.pagination.totalPages,
+          total_items: result.pagination.total,
+          items_per_page: result.pagination.limit
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener movimientos de inventario:');
     }
   }
 }
@@ -1,5 +1,6 @@
 const OrderService = require('../services/OrderService');
-const { ValidationError, NotFoundError, ConflictError, BusinessLogicError } = require('../utils/errors');
+const { ValidationError, AuthorizationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
 
 class OrderController {
   /**
@@ -46,52 +47,35 @@ class OrderController {
         }
       });
     } catch (error) {
-      console.error('Error al obtener pedidos:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener pedidos:');
     }
   }
 
   /**
-   * Obtiene un pedido por ID
+   * Obtiene un pedido por ID con sus items y la linea de tiempo de estados
    * GET /orders/:id
    */
   static async getOrderById(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de pedido invalido');
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de pedido invalido');
-      }
+      const order = await OrderService.getOrderById(id, {
+        includeItems: true,
+        includeProducts: true,
+        includeHistory: true
+      });
 
-      const order = await OrderService.getOrderById(parseInt(id));
+      // Solo el duenio del pedido o un administrador pueden verlo
+      if (req.user.role !== 'admin' && order.user_id !== req.user.id) {
+        throw new AuthorizationError('No tienes permisos para ver este pedido');
+      }
 
       res.status(200).json({
         success: true,
         data: order
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener pedido:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener pedido:');
     }
   }
 
@@ -114,25 +98,7 @@ class OrderController {
         data: order
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener pedido por numero:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener pedido por numero:');
     }
   }
 
@@ -142,11 +108,30 @@ class OrderController {
    */
   static async createOrder(req, res) {
     try {
-      const { user_id, items, shipping_address, notes } = req.body;
+      const {
+        user_id,
+        items,
+        shipping_address,
+        billing_address,
+        shipping_address_id,
+        billing_address_id,
+        shipping_method_id,
+        coupon_code,
+        notes
+      } = req.body;
 
       // Validar datos requeridos
-      if (!user_id || !items || !Array.isArray(items) || items.length === 0) {
-        throw new ValidationError('Usuario y items son requeridos');
+      if (!items || !Array.isArray(items) || items.length === 0) {
+        throw new ValidationError('Los items son requeridos');
+      }
+
+      // El pedido es del usuario autenticado; solo un administrador puede crearlo a nombre de otro
+      let ownerId = req.user.id;
+      if (user_id !== undefined && user_id !== null && parseInt(user_id) !== req.user.id) {
+        if (req.user.role !== 'admin') {
+          throw new AuthorizationError('No puedes crear pedidos a nombre de otro usuario');
+        }
+        ownerId = parseId(user_id, 'ID de usuario invalido');
       }
 
       // Validar estructura de items
@@ -154,19 +139,45 @@ class OrderController {
         if (!item.product_id || !item.quantity || item.quantity <= 0) {
           throw new ValidationError('Cada item debe tener product_id y quantity valida');
         }
+        // Los productos con variantes se piden indicando la variante elegida
+        if (item.variant_id !== undefined && item.variant_id !== null &&
+          (isNaN(parseInt(item.variant_id)) || parseInt(item.variant_id) <= 0)) {
+          throw new ValidationError('ID de variante invalido');
+        }
+      }
+
+      if (!shipping_method_id || isNaN(parseInt(shipping_method_id)) || parseInt(shipping_method_id) <= 0) {
+        throw new ValidationError('Debe seleccionar un metodo de envio valido');
+      }
+
+      if (coupon_code !== undefined && coupon_code !== null && typeof coupon_code !== 'string') {
+        throw new ValidationError('El codigo de cupon debe ser texto');
+      }
+
+      // Las direcciones de la libreta se indican por ID; si no se envia ninguna se usa la de por defecto
+      for (const addressId of [shipping_address_id, billing_address_id]) {
+        if (addressId !== undefined && addressId !== null && (isNaN(parseInt(addressId)) || parseInt(addressId) <= 0)) {
+          throw new ValidationError('ID de direccion invalido');
+        }
       }
 
       const orderData = {
-        user_id: parseInt(user_id),
+        user_id: ownerId,
         items: items.map(item => ({
           product_id: parseInt(item.product_id),
+          variant_id: item.variant_id ? parseInt(item.variant_id) : null,
           quantity: parseInt(item.quantity)
         })),
-        shipping_address: shipping_address || '',
+        shipping_address: shipping_address || null,
+        billing_address: billing_address || null,
+        shipping_address_id: shipping_address_id ? parseInt(shipping_address_id) : null,
+        billing_address_id: billing_address_id ? parseInt(billing_address_id) : null,
+        shipping_method_id: parseInt(shipping_method_id),
+        coupon_code: coupon_code ? coupon_code.trim() : null,
         notes: notes || ''
       };
 
-      const order = await OrderService.createOrder(orderData);
+      const order = await OrderService.createOrder(orderData, orderData.items);
 
       res.status(201).json({
         success: true,
@@ -174,25 +185,7 @@ class OrderController {
         data: order
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof BusinessLogicError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al crear pedido:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al crear pedido:');
     }
   }
 
@@ -202,23 +195,26 @@ class OrderController {
    */
   static async updateOrderStatus(req, res) {
     try {
-      const { id } = req.params;
-      const { status } = req.body;
-
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de pedido invalido');
-      }
+      const id = parseId(req.params.id, 'ID de pedido invalido');
+      const { status, note } = req.body;
 
       if (!status) {
         throw new ValidationError('Estado es requerido');
       }
 
-      const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+      const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
       if (!validStatuses.includes(status)) {
         throw new ValidationError('Estado invalido');
       }
 
-      const order = await OrderService.updateOrderStatus(parseInt(id), status);
+      if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+        throw new ValidationError('La nota debe ser un texto de maximo 500 caracteres');
+      }
+
+      const order = await OrderService.updateOrderStatus(id, status, {
+        actor: { id: req.user.id, role: req.user.role },
+        note: note || null
+      });
 
       res.status(200).json({
         success: true,
@@ -226,49 +222,27 @@ class OrderController {
         data: order
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof BusinessLogicError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al actualizar estado de pedido:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al actualizar estado de pedido:');
     }
   }
 
   /**
-   * Cancela un pedido
-   * PUT /orders/:id/cancel
+   * Cancela un pedido (el cliente solo puede cancelar sus pedidos pendientes)
+   * DELETE /orders/:id
    */
   static async cancelOrder(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de pedido invalido');
       const { reason } = req.body;
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de pedido invalido');
+      if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+        throw new ValidationError('El motivo debe ser un texto de maximo 500 caracteres');
       }
 
-      const order = await OrderService.cancelOrder(parseInt(id), reason);
+      const order = await OrderService.cancelOrder(id, {
+        actor: { id: req.user.id, role: req.user.role },
+        reason
+      });
 
       res.status(200).json({
         success: true,
@@ -276,48 +250,18 @@ class OrderController {
         data: order
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof BusinessLogicError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al cancelar pedido:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al cancelar pedido:');
     }
   }
 
   /**
-   * Obtiene pedidos de un usuario
-   * GET /orders/user/:user_id
+   * Obtiene los pedidos del usuario autenticado
+   * GET /orders/my-orders
    */
   static async getUserOrders(req, res) {
     try {
-      const { user_id } = req.params;
       const { page = 1, limit = 10, status } = req.query;
 
-      if (!user_id || isNaN(parseInt(user_id))) {
-        throw new ValidationError('ID de usuario invalido');
-      }
-
       const filters = {};
       if (status) filters.status = status;
 
@@ -327,7 +271,7 @@ class OrderController {
         filters
       };
 
-      const result = await OrderService.getUserOrders(parseInt(user_id), options);
+      const result = await OrderService.getUserOrders(req.user.id, options);
 
       res.status(200).json({
         success: true,
@@ -340,18 +284,7 @@ class OrderController {
         }
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener pedidos de usuario:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener pedidos de usuario:');
     }
   }
 
@@ -370,11 +303,7 @@ class OrderController {
         data: stats
       });
     } catch (error) {
-      console.error('Error al obtener estadisticas de pedidos:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener estadisticas de pedidos:');
     }
   }
 
@@ -414,18 +343,7 @@ class OrderController {
         }
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener pedidos por estado:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener pedidos por estado:');
     }
   }
 
@@ -435,38 +353,16 @@ class OrderController {
    */
   static async getOrderItems(req, res) {
     try {
-      const { id } = req.params;
-
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de pedido invalido');
-      }
+      const id = parseId(req.params.id, 'ID de pedido invalido');
 
-      const items = await OrderService.getOrderItems(parseInt(id));
+      const items = await OrderService.getOrderItems(id);
 
       res.status(200).json({
         success: true,
         data: items
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener items de pedido:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener items de pedido:');
     }
   }
 }
@@ -0,0 +1,141 @@
+const PaymentService = require('../services/PaymentService');
+const { validationSchema } = require('../models/Payment');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+class PaymentController {
+  /**
+   * Inicia el pago con tarjeta de un pedido
+   * POST /payments
+   */
+  static async createPayment(req, res) {
+    try {
+      const { error, value } = validationSchema.create.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const payment = await PaymentService.createPayment(value.order_id, value.card, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: payment.status === 'failed' ? 'El pago fue rechazado' : 'Pago procesado',
+        data: payment
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al procesar pago:');
+    }
+  }
+
+  /**
+   * Obtiene un pago por ID (duenio del pedido o admin)
+   * GET /payments/:id
+   */
+  static async getPaymentById(req, res) {
+    try {
+      const paymentId = parseId(req.params.id, 'ID de pago invalido');
+      const payment = await PaymentService.getPaymentById(paymentId, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: PaymentService.toPaymentResponse(payment)
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener pago:');
+    }
+  }
+
+  /**
+   * Lista los pagos de un pedido (duenio del pedido o admin)
+   * GET /payments/order/:orderId
+   */
+  static async getOrderPayments(req, res) {
+    try {
+      const orderId = parseId(req.params.orderId, 'ID de pedido invalido');
+      const payments = await PaymentService.getOrderPayments(orderId, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: payments
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener pagos del pedido:');
+    }
+  }
+
+  /**
+   * Completa el desafio 3-D Secure de un pago
+   * POST /payments/:id/authenticate
+   */
+  static async authenticatePayment(req, res) {
+    try {
+      const paymentId = parseId(req.params.id, 'ID de pago invalido');
+      const { approved = true } = req.body;
+
+      if (typeof approved !== 'boolean') {
+        throw new ValidationError('approved debe ser true o false');
+      }
+
+      const payment = await PaymentService.completeAuthentication(paymentId, approved, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: payment.status === 'failed' ? 'La autenticacion del pago fallo' : 'Pago autenticado',
+        data: payment
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al autenticar pago:');
+    }
+  }
+
+  /**
+   * Reembolsa un pago capturado, total o parcialmente (solo admin)
+   * POST /payments/:id/refund
+   */
+  static async refundPayment(req, res) {
+    try {
+      const paymentId = parseId(req.params.id, 'ID de pago invalido');
+      const { amount } = req.body;
+
+      if (amount !== undefined && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+        throw new ValidationError('El monto a reembolsar debe ser un numero mayor a 0');
+      }
+
+      const payment = await PaymentService.refundPayment(
+        paymentId,
+        amount !== undefined ? parseFloat(amount) : null
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Pago reembolsado',
+        data: payment
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al reembolsar pago:');
+    }
+  }
+
+  /**
+   * Recibe un webhook firmado del proveedor de pagos
+   * POST /payments/webhooks/:provider
+   */
+  static async handleWebhook(req, res) {
+    try {
+      const result = await PaymentService.handleWebhook(
+        req.params.provider,
+        req.rawBody,
+        req.headers['x-payment-signature']
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al procesar webhook de pago:');
+    }
+  }
+}
+
+module.exports = PaymentController;
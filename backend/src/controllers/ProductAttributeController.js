@@ -0,0 +1,153 @@
+const ProductAttributeService = require('../services/ProductAttributeService');
+const { validationSchema, ATTRIBUTE_TYPES } = require('../models/AttributeDefinition');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+class ProductAttributeController {
+  /**
+   * Lista las definiciones de atributos
+   * GET /attributes
+   */
+  static async getAttributes(req, res) {
+    try {
+      const { type } = req.query;
+
+      if (type && !ATTRIBUTE_TYPES.includes(type)) {
+        throw new ValidationError(`El tipo de atributo debe ser: ${ATTRIBUTE_TYPES.join(', ')}`);
+      }
+
+      const attributes = await ProductAttributeService.listAttributes({ type });
+
+      res.status(200).json({
+        success: true,
+        data: attributes
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al listar atributos:');
+    }
+  }
+
+  /**
+   * Obtiene una definicion de atributo por ID
+   * GET /attributes/:id
+   */
+  static async getAttributeById(req, res) {
+    try {
+      const attribute = await ProductAttributeService.getAttributeById(parseId(req.params.id, 'ID de atributo invalido'));
+
+      res.status(200).json({
+        success: true,
+        data: attribute
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener atributo:');
+    }
+  }
+
+  /**
+   * Crea una definicion de atributo (solo admin)
+   * POST /attributes
+   */
+  static async createAttribute(req, res) {
+    try {
+      const { error, value } = validationSchema.create.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const attribute = await ProductAttributeService.createAttribute(value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Atributo creado exitosamente',
+        data: attribute
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al crear atributo:');
+    }
+  }
+
+  /**
+   * Actualiza una definicion de atributo (solo admin)
+   * PUT /attributes/:id
+   */
+  static async updateAttribute(req, res) {
+    try {
+      const attributeId = parseId(req.params.id, 'ID de atributo invalido');
+      const { error, value } = validationSchema.update.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const attribute = await ProductAttributeService.updateAttribute(attributeId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Atributo actualizado exitosamente',
+        data: attribute
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar atributo:');
+    }
+  }
+
+  /**
+   * Elimina una definicion de atributo sin valores guardados (solo admin)
+   * DELETE /attributes/:id
+   */
+  static async deleteAttribute(req, res) {
+    try {
+      await ProductAttributeService.deleteAttribute(parseId(req.params.id, 'ID de atributo invalido'));
+
+      res.status(200).json({
+        success: true,
+        message: 'Atributo eliminado exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar atributo:');
+    }
+  }
+
+  /**
+   * Obtiene el conjunto de atributos de una categoria, incluidos los heredados
+   * GET /categories/:id/attributes
+   */
+  static async getCategoryAttributes(req, res) {
+    try {
+      const attributes = await ProductAttributeService.getCategoryAttributes(parseId(req.params.id, 'ID de categoria invalido'));
+
+      res.status(200).json({
+        success: true,
+        data: attributes
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener atributos de categoria:');
+    }
+  }
+
+  /**
+   * Reemplaza los atributos asignados a una categoria (solo admin)
+   * PUT /categories/:id/attributes
+   */
+  static async setCategoryAttributes(req, res) {
+    try {
+      const categoryId = parseId(req.params.id, 'ID de categoria invalido');
+      const { error, value } = validationSchema.categorySet.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const attributes = await ProductAttributeService.setCategoryAttributes(categoryId, value.attributes);
+
+      res.status(200).json({
+        success: true,
+        message: 'Atributos de categoria actualizados exitosamente',
+        data: attributes
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar atributos de categoria:');
+    }
+  }
+}
+
+module.exports = ProductAttributeController;
@@ -1,5 +1,88 @@
 const ProductService = require('../services/ProductService');
-const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { TAX_CLASSES } = require('../models/TaxRate');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+/**
+ * Valida peso (kg) y dimensiones (cm) de un producto; solo devuelve los campos enviados
+ */
+const parseShippingDimensions = (data) => {
+  const labels = { weight: 'Peso', length: 'Largo', width: 'Ancho', height: 'Alto' };
+  const result = {};
+
+  for (const [field, label] of Object.entries(labels)) {
+    if (data[field] === undefined) {
+      continue;
+    }
+    if (data[field] === null || data[field] === '') {
+      result[field] = null;
+      continue;
+    }
+
+    const value = parseFloat(data[field]);
+    if (isNaN(value) || value < 0) {
+      throw new ValidationError(`${label} debe ser un numero no negativo`);
+    }
+    result[field] = value;
+  }
+
+  return result;
+};
+
+/**
+ * Normaliza la marca de un producto (vacia = sin marca)
+ */
+const parseBrand = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const brand = String(value).trim();
+  if (brand.length > 100) {
+    throw new ValidationError('La marca no puede exceder 100 caracteres');
+  }
+  return brand || null;
+};
+
+/**
+ * Lee un parametro de seleccion multiple (?brand=a,b o ?brand=a&brand=b)
+ */
+const parseList = (value) => {
+  if (value === undefined) {
+    return [];
+  }
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Lee los filtros de facetas del listado y la busqueda de productos
+ */
+const parseFacetFilters = (query) => {
+  const categoryIds = parseList(query.category_id).map(value => {
+    const id = parseInt(value);
+    if (isNaN(id) || id <= 0) {
+      throw new ValidationError('ID de categoria invalido');
+    }
+    return id;
+  });
+
+  return {
+    categoryIds,
+    includeSubcategories: query.include_subcategories === 'true',
+    brands: parseList(query.brand),
+    priceRanges: parseList(query.price_range),
+    ratings: parseList(query.rating),
+    availability: parseList(query.availability),
+    minPrice: query.min_price ? parseFloat(query.min_price) || null : null,
+    maxPrice: query.max_price ? parseFloat(query.max_price) || null : null,
+    minRating: query.min_rating !== undefined ? parseFloat(query.min_rating) : null,
+    // ?attr[ram_gb][gte]=16, ?attr[color]=Negro o ?attr[color][in]=Negro,Gris
+    attributeFilters: query.attr || {}
+  };
+};
 
 class ProductController {
   /**
@@ -14,26 +97,26 @@ class ProductController {
         page = 1,
         limit = 10,
         search,
-        category_id,
-        min_price,
-        max_price,
         in_stock,
-        sort_by = 'created_at',
+        sort,
+        sort_by,
         sort_order = 'DESC'
       } = req.query;
 
       console.log('📋 Query params:', req.query);
 
+      // Facetas: category_id, brand, price_range, rating, availability y attr aceptan varios valores
       const options = {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
         search: search || '',
-        categoryId: category_id ? parseInt(category_id) || null : null,
-        minPrice: min_price ? parseFloat(min_price) || null : null,
-        maxPrice: max_price ? parseFloat(max_price) || null : null,
+        ...parseFacetFilters(req.query),
         is_active: in_stock !== undefined ? in_stock === 'true' : true,
-        sortBy: sort_by,
-        sortOrder: sort_order
+        // Sin sort_by: relevancia si hay busqueda, fecha de creacion si no
+        // sort es un alias de sort_by (sort=rating ordena por la puntuacion bayesiana)
+        sortBy: sort_by || sort || null,
+        sortOrder: sort_order,
+        includeFacets: true
       };
 
       console.log('⚙️ Opciones:', options);
@@ -55,17 +138,13 @@ class ProductController {
           total_pages: result.pagination.totalPages,
           total_items: result.pagination.total,
           items_per_page: result.pagination.limit
-        }
+        },
+        facets: result.facets
       });
       
       console.log('✅ Respuesta enviada exitosamente');
     } catch (error) {
-      console.error('❌ Error al obtener productos:', error);
-      console.error('Stack trace:', error.stack);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, '❌ Error al obtener productos:');
     }
   }
 
@@ -75,43 +154,21 @@ class ProductController {
    */
   static async getProductById(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de producto invalido');
       const { include_reviews = 'false' } = req.query;
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de producto invalido');
-      }
-
       const options = {
         includeReviews: include_reviews === 'true'
       };
 
-      const product = await ProductService.getProductById(parseInt(id), options);
+      const product = await ProductService.getProductById(id, options);
 
       res.status(200).json({
         success: true,
         data: product
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener producto:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener producto:');
     }
   }
 
@@ -134,25 +191,7 @@ class ProductController {
         data: product
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener producto por SKU:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener producto por SKU:');
     }
   }
 
@@ -167,9 +206,16 @@ class ProductController {
         description,
         price,
         category_id,
+        brand = null,
+        tax_class = 'standard',
+        weight = null,
+        length = null,
+        width = null,
+        height = null,
         initial_stock = 0,
         min_stock = 0,
-        max_stock = 1000
+        max_stock = 1000,
+        attributes = {}
       } = req.body;
 
       // Validar datos requeridos
@@ -187,14 +233,24 @@ class ProductController {
         throw new ValidationError('Stock inicial debe ser un numero no negativo');
       }
 
+      if (!TAX_CLASSES.includes(tax_class)) {
+        throw new ValidationError(`Clase de impuesto invalida. Valores permitidos: ${TAX_CLASSES.join(', ')}`);
+      }
+
+      const shippingData = parseShippingDimensions({ weight, length, width, height });
+
       const productData = {
         name,
         description,
         price: parseFloat(price),
         category_id: parseInt(category_id),
+        brand: parseBrand(brand),
+        tax_class,
+        ...shippingData,
         initial_stock: parseInt(initial_stock),
         min_stock: parseInt(min_stock),
-        max_stock: parseInt(max_stock)
+        max_stock: parseInt(max_stock),
+        attributes
       };
 
       const product = await ProductService.createProduct(productData);
@@ -205,25 +261,7 @@ class ProductController {
         data: product
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof ConflictError) {
-        return res.status(409).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al crear producto:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al crear producto:');
     }
   }
 
@@ -233,13 +271,9 @@ class ProductController {
    */
   static async updateProduct(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de producto invalido');
       const updateData = req.body;
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de producto invalido');
-      }
-
       // Validar que al menos un campo se actualice
       if (Object.keys(updateData).length === 0) {
         throw new ValidationError('Al menos un campo debe ser actualizado');
@@ -250,7 +284,17 @@ class ProductController {
         throw new ValidationError('Precio debe ser un numero positivo');
       }
 
-      const product = await ProductService.updateProduct(parseInt(id), updateData);
+      if (updateData.tax_class !== undefined && !TAX_CLASSES.includes(updateData.tax_class)) {
+        throw new ValidationError(`Clase de impuesto invalida. Valores permitidos: ${TAX_CLASSES.join(', ')}`);
+      }
+
+      Object.assign(updateData, parseShippingDimensions(updateData));
+
+      if (updateData.brand !== undefined) {
+        updateData.brand = parseBrand(updateData.brand);
+      }
+
+      const product = await ProductService.updateProduct(id, updateData);
 
       res.status(200).json({
         success: true,
@@ -258,32 +302,7 @@ class ProductController {
         data: product
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof ConflictError) {
-        return res.status(409).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al actualizar producto:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al actualizar producto:');
     }
   }
 
@@ -293,38 +312,16 @@ class ProductController {
    */
   static async deleteProduct(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de producto invalido');
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de producto invalido');
-      }
-
-      await ProductService.deleteProduct(parseInt(id));
+      await ProductService.deleteProduct(id);
 
       res.status(200).json({
         success: true,
         message: 'Producto eliminado exitosamente'
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al eliminar producto:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al eliminar producto:');
     }
   }
 
@@ -334,15 +331,19 @@ class ProductController {
    */
   static async searchProducts(req, res) {
     try {
-      const { q, page = 1, limit = 10 } = req.query;
+      const { q, page = 1, limit = 10, sort } = req.query;
 
       if (!q || q.trim().length === 0) {
         throw new ValidationError('Termino de busqueda es requerido');
       }
 
       const options = {
-        page: parseInt(page),
-        limit: parseInt(limit)
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 10,
+        ...parseFacetFilters(req.query),
+        // Por defecto por relevancia; sort=rating ordena por valoracion
+        ...(sort === 'rating' ? { sortBy: 'rating', sortOrder: 'DESC' } : {}),
+        includeFacets: true
       };
 
       const result = await ProductService.searchProducts(q.trim(), options);
@@ -351,25 +352,15 @@ class ProductController {
         success: true,
         data: result.products,
         pagination: {
-          current_page: result.current_page,
-          total_pages: result.total_pages,
-          total_items: result.total_items,
-          items_per_page: result.items_per_page
-        }
+          current_page: result.pagination.page,
+          total_pages: result.pagination.totalPages,
+          total_items: result.pagination.total,
+          items_per_page: result.pagination.limit
+        },
+        facets: result.facets
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al buscar productos:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al buscar productos:');
     }
   }
 
@@ -388,11 +379,7 @@ class ProductController {
         data: products
       });
     } catch (error) {
-      console.error('Error al obtener productos destacados:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener productos destacados:');
     }
   }
 
@@ -402,39 +389,17 @@ class ProductController {
    */
   static async getRelatedProducts(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de producto invalido');
       const { limit = 4 } = req.query;
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de producto invalido');
-      }
-
-      const products = await ProductService.getRelatedProducts(parseInt(id), parseInt(limit));
+      const products = await ProductService.getRelatedProducts(id, parseInt(limit));
 
       res.status(200).json({
         success: true,
         data: products
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener productos relacionados:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener productos relacionados:');
     }
   }
 
@@ -451,11 +416,7 @@ class ProductController {
         data: stats
       });
     } catch (error) {
-      console.error('Error al obtener estadisticas de productos:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener estadisticas de productos:');
     }
   }
 }
@@ -0,0 +1,118 @@
+const ProductImageService = require('../services/ProductImageService');
+const { validationSchema } = require('../models/ProductImage');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+class ProductImageController {
+  /**
+   * Obtiene la galeria de imagenes de un producto
+   * GET /products/:id/images
+   */
+  static async getImages(req, res) {
+    try {
+      const images = await ProductImageService.listImages(parseId(req.params.id, 'ID de producto invalido'));
+
+      res.status(200).json({
+        success: true,
+        data: images
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener imagenes:');
+    }
+  }
+
+  /**
+   * Sube imagenes (multipart, campo "images") a la galeria de un producto
+   * POST /products/:id/images
+   */
+  static async uploadImages(req, res) {
+    try {
+      const productId = parseId(req.params.id, 'ID de producto invalido');
+      const { error, value } = validationSchema.upload.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const images = await ProductImageService.uploadImages(productId, req.files, value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Imagenes subidas exitosamente',
+        data: images
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al subir imagenes:');
+    }
+  }
+
+  /**
+   * Reordena la galeria de un producto
+   * PUT /products/:id/images/order
+   */
+  static async reorderImages(req, res) {
+    try {
+      const productId = parseId(req.params.id, 'ID de producto invalido');
+      const { error, value } = validationSchema.reorder.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const images = await ProductImageService.reorderImages(productId, value.image_ids);
+
+      res.status(200).json({
+        success: true,
+        message: 'Imagenes reordenadas exitosamente',
+        data: images
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al reordenar imagenes:');
+    }
+  }
+
+  /**
+   * Actualiza una imagen (texto alternativo, posicion o imagen principal)
+   * PUT /products/:id/images/:imageId
+   */
+  static async updateImage(req, res) {
+    try {
+      const productId = parseId(req.params.id, 'ID de producto invalido');
+      const imageId = parseId(req.params.imageId, 'ID de imagen invalido');
+      const { error, value } = validationSchema.update.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const image = await ProductImageService.updateImage(productId, imageId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Imagen actualizada exitosamente',
+        data: image
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar imagen:');
+    }
+  }
+
+  /**
+   * Elimina una imagen de la galeria
+   * DELETE /products/:id/images/:imageId
+   */
+  static async deleteImage(req, res) {
+    try {
+      const productId = parseId(req.params.id, 'ID de producto invalido');
+      const imageId = parseId(req.params.imageId, 'ID de imagen invalido');
+
+      await ProductImageService.deleteImage(productId, imageId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Imagen eliminada exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar imagen:');
+    }
+  }
+}
+
+module.exports = ProductImageController;
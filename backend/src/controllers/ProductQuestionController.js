@@ -0,0 +1,270 @@
+const ProductQAService = require('../services/ProductQAService');
+const { validationSchema, QA_STATUSES } = require('../models/ProductQuestion');
+const { validationSchema: reviewValidationSchema } = require('../models/Review');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+const parseQuestionId = (value) => parseId(value, 'ID de pregunta invalido');
+const parseAnswerId = (value) => parseId(value, 'ID de respuesta invalido');
+
+/**
+ * Valida el cuerpo de una pregunta o respuesta con su esquema Joi
+ */
+const validateBody = (schema, body) => {
+  const { error, value } = schema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+  return value;
+};
+
+const formatPagination = (pagination) => ({
+  current_page: pagination.page,
+  total_pages: pagination.totalPages,
+  total_items: pagination.total,
+  items_per_page: pagination.limit
+});
+
+class ProductQuestionController {
+  /**
+   * Lista las preguntas publicadas de un producto con sus respuestas
+   * GET /products/:id/questions?q=&sort=votes|newest|answered&answered=true|false
+   */
+  static async getProductQuestions(req, res) {
+    try {
+      const productId = parseId(req.params.id, 'ID de producto invalido');
+      const { page = 1, limit = 10, q, sort, answered } = req.query;
+
+      const result = await ProductQAService.listProductQuestions(productId, {
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 10, 50),
+        search: q ? String(q).trim() : '',
+        sort: sort || 'votes',
+        answered: answered === undefined ? undefined : answered === 'true'
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.questions,
+        sort: result.sort,
+        pagination: formatPagination(result.pagination)
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener preguntas del producto:');
+    }
+  }
+
+  /**
+   * Obtiene una pregunta publicada con sus respuestas
+   * GET /questions/:id
+   */
+  static async getQuestion(req, res) {
+    try {
+      const question = await ProductQAService.getQuestion(parseQuestionId(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        data: question
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener pregunta:');
+    }
+  }
+
+  /**
+   * Pregunta sobre un producto
+   * POST /products/:id/questions
+   */
+  static async askQuestion(req, res) {
+    try {
+      const productId = parseId(req.params.id, 'ID de producto invalido');
+      const value = validateBody(validationSchema.ask, req.body);
+
+      const question = await ProductQAService.askQuestion(productId, req.user.id, value);
+
+      res.status(201).json({
+        success: true,
+        message: question.isPublic()
+          ? 'Pregunta publicada exitosamente'
+          : 'Pregunta enviada, se publicara cuando sea aprobada',
+        data: question
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al registrar pregunta:');
+    }
+  }
+
+  /**
+   * Responde una pregunta (administradores o clientes que compraron el producto)
+   * POST /questions/:id/answers
+   */
+  static async answerQuestion(req, res) {
+    try {
+      const questionId = parseQuestionId(req.params.id);
+      const value = validateBody(validationSchema.answer, req.body);
+
+      const answer = await ProductQAService.answerQuestion(questionId, req.user, value);
+
+      res.status(201).json({
+        success: true,
+        message: answer.isPublic()
+          ? 'Respuesta publicada exitosamente'
+          : 'Respuesta enviada, se publicara cuando sea aprobada',
+        data: answer
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al responder pregunta:');
+    }
+  }
+
+  /**
+   * Vota positivamente una pregunta
+   * POST /questions/:id/vote
+   */
+  static async voteQuestion(req, res) {
+    try {
+      const summary = await ProductQAService.addVote('question', parseQuestionId(req.params.id), req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al votar pregunta:');
+    }
+  }
+
+  /**
+   * Retira el voto de una pregunta
+   * DELETE /questions/:id/vote
+   */
+  static async removeQuestionVote(req, res) {
+    try {
+      const summary = await ProductQAService.removeVote('question', parseQuestionId(req.params.id), req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al retirar voto de pregunta:');
+    }
+  }
+
+  /**
+   * Vota positivamente una respuesta
+   * POST /questions/answers/:answerId/vote
+   */
+  static async voteAnswer(req, res) {
+    try {
+      const summary = await ProductQAService.addVote('answer', parseAnswerId(req.params.answerId), req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al votar respuesta:');
+    }
+  }
+
+  /**
+   * Retira el voto de una respuesta
+   * DELETE /questions/answers/:answerId/vote
+   */
+  static async removeAnswerVote(req, res) {
+    try {
+      const summary = await ProductQAService.removeVote('answer', parseAnswerId(req.params.answerId), req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al retirar voto de respuesta:');
+    }
+  }
+
+  /**
+   * Cola de moderacion de preguntas o respuestas (admin)
+   * GET /questions/moderation/queue?type=question|answer&status=pending|all&flagged=true
+   */
+  static async getModerationQueue(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        type = 'question',
+        status = 'pending',
+        flagged,
+        product_id
+      } = req.query;
+
+      // status=all muestra la cola completa sin filtrar por estado
+      if (status !== 'all' && !QA_STATUSES.includes(status)) {
+        throw new ValidationError(`El estado debe ser: all, ${QA_STATUSES.join(', ')}`);
+      }
+
+      const result = await ProductQAService.getModerationQueue({
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 20, 100),
+        type,
+        status: status === 'all' ? null : status,
+        flagged: flagged === undefined ? undefined : flagged === 'true',
+        productId: product_id ? parseInt(product_id) : null
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.items,
+        pagination: formatPagination(result.pagination)
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener cola de moderacion de preguntas:');
+    }
+  }
+
+  /**
+   * Modera una pregunta (admin)
+   * PUT /questions/:id/moderation
+   */
+  static async moderateQuestion(req, res) {
+    try {
+      const questionId = parseQuestionId(req.params.id);
+      const value = validateBody(reviewValidationSchema.moderate, req.body);
+
+      const question = await ProductQAService.moderate('question', questionId, value, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Pregunta moderada exitosamente',
+        data: question
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al moderar pregunta:');
+    }
+  }
+
+  /**
+   * Modera una respuesta (admin)
+   * PUT /questions/answers/:answerId/moderation
+   */
+  static async moderateAnswer(req, res) {
+    try {
+      const answerId = parseAnswerId(req.params.answerId);
+      const value = validateBody(reviewValidationSchema.moderate, req.body);
+
+      const answer = await ProductQAService.moderate('answer', answerId, value, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Respuesta moderada exitosamente',
+        data: answer
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al moderar respuesta:');
+    }
+  }
+}
+
+module.exports = ProductQuestionController;
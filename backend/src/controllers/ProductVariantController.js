@@ -0,0 +1,98 @@
+const ProductVariantService = require('../services/ProductVariantService');
+const { validationSchema } = require('../models/ProductVariant');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+class ProductVariantController {
+  /**
+   * Obtiene la matriz de variantes de un producto
+   * GET /products/:id/variants
+   */
+  static async getVariants(req, res) {
+    try {
+      const productId = parseId(req.params.id, 'ID de producto invalido');
+
+      const matrix = await ProductVariantService.getVariantMatrix(productId, {
+        includeInactive: req.query.include_inactive === 'true'
+      });
+
+      res.status(200).json({
+        success: true,
+        data: matrix
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener variantes:');
+    }
+  }
+
+  /**
+   * Crea una variante de un producto
+   * POST /products/:id/variants
+   */
+  static async createVariant(req, res) {
+    try {
+      const productId = parseId(req.params.id, 'ID de producto invalido');
+      const { error, value } = validationSchema.create.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const variant = await ProductVariantService.createVariant(productId, value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Variante creada exitosamente',
+        data: variant
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al crear variante:');
+    }
+  }
+
+  /**
+   * Actualiza una variante de un producto
+   * PUT /products/:id/variants/:variantId
+   */
+  static async updateVariant(req, res) {
+    try {
+      const productId = parseId(req.params.id, 'ID de producto invalido');
+      const variantId = parseId(req.params.variantId, 'ID de variante invalido');
+      const { error, value } = validationSchema.update.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const variant = await ProductVariantService.updateVariant(productId, variantId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Variante actualizada exitosamente',
+        data: variant
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar variante:');
+    }
+  }
+
+  /**
+   * Elimina una variante de un producto
+   * DELETE /products/:id/variants/:variantId
+   */
+  static async deleteVariant(req, res) {
+    try {
+      const productId = parseId(req.params.id, 'ID de producto invalido');
+      const variantId = parseId(req.params.variantId, 'ID de variante invalido');
+
+      await ProductVariantService.deleteVariant(productId, variantId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Variante eliminada exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar variante:');
+    }
+  }
+}
+
+module.exports = ProductVariantController;
@@ -0,0 +1,177 @@
+const ReturnService = require('../services/ReturnService');
+const { validationSchema } = require('../models/ReturnRequest');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+/**
+ * Obtiene y valida los IDs de pedido y devolucion de la ruta
+ */
+const parseReturnParams = (params) => {
+  const orderId = parseId(params.id, 'ID de pedido invalido');
+  if (params.returnId === undefined) {
+    return { orderId };
+  }
+  return { orderId, returnId: parseId(params.returnId, 'ID de devolucion invalido') };
+};
+
+/**
+ * Valida el cuerpo del request con un esquema Joi
+ */
+const validateBody = (schema, body) => {
+  const { error, value } = schema.validate(body || {});
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+  return value;
+};
+
+class ReturnController {
+  /**
+   * Solicita la devolucion de items de un pedido entregado
+   * POST /orders/:id/returns
+   */
+  static async createReturn(req, res) {
+    try {
+      const { orderId } = parseReturnParams(req.params);
+      const returnData = validateBody(validationSchema.create, req.body);
+
+      const returnRequest = await ReturnService.createReturn(orderId, returnData, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Solicitud de devolucion creada exitosamente',
+        data: returnRequest
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al crear devolucion:');
+    }
+  }
+
+  /**
+   * Lista las devoluciones de un pedido
+   * GET /orders/:id/returns
+   */
+  static async getOrderReturns(req, res) {
+    try {
+      const { orderId } = parseReturnParams(req.params);
+      const returns = await ReturnService.getOrderReturns(orderId, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: returns
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener devoluciones:');
+    }
+  }
+
+  /**
+   * Obtiene una devolucion de un pedido
+   * GET /orders/:id/returns/:returnId
+   */
+  static async getReturnById(req, res) {
+    try {
+      const { orderId, returnId } = parseReturnParams(req.params);
+      const returnRequest = await ReturnService.getReturnById(orderId, returnId, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: returnRequest
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener devolucion:');
+    }
+  }
+
+  /**
+   * Aprueba una devolucion solicitada (solo admin)
+   * PUT /orders/:id/returns/:returnId/approve
+   */
+  static async approveReturn(req, res) {
+    try {
+      const { orderId, returnId } = parseReturnParams(req.params);
+      const { note } = validateBody(validationSchema.review, req.body);
+
+      const returnRequest = await ReturnService.reviewReturn(orderId, returnId, 'approved', {
+        actor: req.user,
+        note
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Devolucion aprobada',
+        data: returnRequest
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al aprobar devolucion:');
+    }
+  }
+
+  /**
+   * Rechaza una devolucion solicitada (solo admin)
+   * PUT /orders/:id/returns/:returnId/reject
+   */
+  static async rejectReturn(req, res) {
+    try {
+      const { orderId, returnId } = parseReturnParams(req.params);
+      const { note } = validateBody(validationSchema.review, req.body);
+
+      const returnRequest = await ReturnService.reviewReturn(orderId, returnId, 'rejected', {
+        actor: req.user,
+        note
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Devolucion rechazada',
+        data: returnRequest
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al rechazar devolucion:');
+    }
+  }
+
+  /**
+   * Registra la recepcion de los items devueltos (solo admin)
+   * PUT /orders/:id/returns/:returnId/receive
+   */
+  static async receiveReturn(req, res) {
+    try {
+      const { orderId, returnId } = parseReturnParams(req.params);
+      const receiveData = validateBody(validationSchema.receive, req.body);
+
+      const returnRequest = await ReturnService.receiveReturn(orderId, returnId, receiveData, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Devolucion recibida',
+        data: returnRequest
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al recibir devolucion:');
+    }
+  }
+
+  /**
+   * Reembolsa una devolucion recibida (solo admin)
+   * POST /orders/:id/returns/:returnId/refund
+   */
+  static async refundReturn(req, res) {
+    try {
+      const { orderId, returnId } = parseReturnParams(req.params);
+      const refundData = validateBody(validationSchema.refund, req.body);
+
+      const returnRequest = await ReturnService.refundReturn(orderId, returnId, refundData, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Devolucion reembolsada',
+        data: returnRequest
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al reembolsar devolucion:');
+    }
+  }
+}
+
+module.exports = ReturnController;
@@ -1,5 +1,9 @@
 const ReviewService = require('../services/ReviewService');
-const { ValidationError, NotFoundError, ConflictError, BusinessLogicError } = require('../utils/errors');
+const ReviewReplyService = require('../services/ReviewReplyService');
+const { validationSchema, REVIEW_STATUSES } = require('../models/Review');
+const { validationSchema: replyValidationSchema } = require('../models/ReviewReply');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
 
 class ReviewController {
   /**
@@ -46,11 +50,7 @@ class ReviewController {
         }
       });
     } catch (error) {
-      console.error('Error al obtener resenas:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener resenas:');
     }
   }
 
@@ -60,38 +60,20 @@ class ReviewController {
    */
   static async getReviewById(req, res) {
     try {
-      const { id } = req.params;
-
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de resena invalido');
-      }
+      const id = parseId(req.params.id, 'ID de resena invalido');
 
-      const review = await ReviewService.getReviewById(parseInt(id));
+      // Las resenas pendientes, rechazadas u ocultas no son visibles publicamente
+      const review = await ReviewService.getReviewById(id, {
+        includeUser: true,
+        approvedOnly: true
+      });
 
       res.status(200).json({
         success: true,
         data: review
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener resena:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener resena:');
     }
   }
 
@@ -124,36 +106,13 @@ class ReviewController {
 
       res.status(201).json({
         success: true,
-        message: 'Resena creada exitosamente',
+        message: review.isPublic()
+          ? 'Resena creada exitosamente'
+          : 'Resena enviada, se publicara cuando sea aprobada',
         data: review
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof ConflictError) {
-        return res.status(409).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof BusinessLogicError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al crear resena:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al crear resena:');
     }
   }
 
@@ -163,13 +122,9 @@ class ReviewController {
    */
   static async updateReview(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de resena invalido');
       const updateData = req.body;
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de resena invalido');
-      }
-
       // Validar que al menos un campo se actualice
       if (Object.keys(updateData).length === 0) {
         throw new ValidationError('Al menos un campo debe ser actualizado');
@@ -180,33 +135,17 @@ class ReviewController {
         throw new ValidationError('Rating debe ser un numero entre 1 y 5');
       }
 
-      const review = await ReviewService.updateReview(parseInt(id), updateData);
+      const review = await ReviewService.updateReview(id, updateData);
 
       res.status(200).json({
         success: true,
-        message: 'Resena actualizada exitosamente',
+        message: review.isPublic()
+          ? 'Resena actualizada exitosamente'
+          : 'Resena actualizada, se publicara cuando sea aprobada',
         data: review
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al actualizar resena:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al actualizar resena:');
     }
   }
 
@@ -216,111 +155,84 @@ class ReviewController {
    */
   static async deleteReview(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de resena invalido');
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de resena invalido');
-      }
-
-      await ReviewService.deleteReview(parseInt(id));
+      await ReviewService.deleteReview(id);
 
       res.status(200).json({
         success: true,
         message: 'Resena eliminada exitosamente'
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al eliminar resena:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al eliminar resena:');
     }
   }
 
   /**
-   * Obtiene resenas de un producto
-   * GET /reviews/product/:product_id
+   * Obtiene las resenas aprobadas de un producto
+   * GET /reviews/product/:productId?sort=helpful&rating=4,5&with_text=true
    */
   static async getProductReviews(req, res) {
     try {
-      const { product_id } = req.params;
-      const { page = 1, limit = 10, rating, verified_only = 'false' } = req.query;
+      const productId = parseId(req.params.productId, 'ID de producto invalido');
+      const {
+        page = 1,
+        limit = 10,
+        rating,
+        verified_only = 'false',
+        with_text = 'false',
+        sort = 'newest'
+      } = req.query;
 
-      if (!product_id || isNaN(parseInt(product_id))) {
-        throw new ValidationError('ID de producto invalido');
+      // rating acepta varias estrellas separadas por coma (rating=4,5)
+      const ratings = rating
+        ? String(rating).split(',').map(value => parseInt(value.trim()))
+        : [];
+      if (ratings.some(value => isNaN(value) || value < 1 || value > 5)) {
+        throw new ValidationError('Rating debe ser un numero entre 1 y 5');
       }
 
-      const filters = {};
-      if (rating) filters.rating = rating;
-      if (verified_only === 'true') filters.verified_only = true;
-
       const options = {
         page: parseInt(page),
         limit: parseInt(limit),
-        filters
+        rating: ratings,
+        verifiedOnly: verified_only === 'true',
+        withText: with_text === 'true',
+        sort: String(sort)
       };
 
-      const result = await ReviewService.getProductReviews(parseInt(product_id), options);
+      const result = await ReviewService.getProductReviews(productId, options);
 
       res.status(200).json({
         success: true,
         data: result.reviews,
+        sort: result.sort,
         pagination: {
-          current_page: result.current_page,
-          total_pages: result.total_pages,
-          total_items: result.total_items,
-          items_per_page: result.items_per_page
+          current_page: result.pagination.page,
+          total_pages: result.pagination.totalPages,
+          total_items: result.pagination.total,
+          items_per_page: result.pagination.limit
         }
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener resenas de producto:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener resenas de producto:');
     }
   }
 
   /**
-   * Obtiene resenas de un usuario
-   * GET /reviews/user/:user_id
+   * Obtiene las resenas del usuario autenticado
+   * GET /reviews/user/me
    */
   static async getUserReviews(req, res) {
     try {
-      const { user_id } = req.params;
       const { page = 1, limit = 10 } = req.query;
 
-      if (!user_id || isNaN(parseInt(user_id))) {
-        throw new ValidationError('ID de usuario invalido');
-      }
-
       const options = {
         page: parseInt(page),
         limit: parseInt(limit)
       };
 
-      const result = await ReviewService.getUserReviews(parseInt(user_id), options);
+      const result = await ReviewService.getUserReviews(req.user.id, options);
 
       res.status(200).json({
         success: true,
@@ -333,18 +245,7 @@ class ReviewController {
         }
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      console.error('Error al obtener resenas de usuario:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener resenas de usuario:');
     }
   }
 
@@ -363,11 +264,7 @@ class ReviewController {
         data: reviews
       });
     } catch (error) {
-      console.error('Error al obtener resenas destacadas:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener resenas destacadas:');
     }
   }
 
@@ -386,34 +283,26 @@ class ReviewController {
         data: reviews
       });
     } catch (error) {
-      console.error('Error al obtener resenas recientes:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener resenas recientes:');
     }
   }
 
   /**
-   * Obtiene estadisticas de resenas
-   * GET /reviews/stats
+   * Obtiene estadisticas de resenas de un producto (promedio, puntuacion e histograma)
+   * GET /reviews/stats?product_id=1
    */
   static async getReviewStats(req, res) {
     try {
-      const { product_id } = req.query;
+      const productId = parseId(req.query.product_id, 'ID de producto invalido');
 
-      const stats = await ReviewService.getReviewStats(product_id ? parseInt(product_id) : null);
+      const stats = await ReviewService.getProductReviewStats(productId);
 
       res.status(200).json({
         success: true,
         data: stats
       });
     } catch (error) {
-      console.error('Error al obtener estadisticas de resenas:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
-      });
+      sendError(res, error, 'Error al obtener estadisticas de resenas:');
     }
   }
 
@@ -423,17 +312,10 @@ class ReviewController {
    */
   static async canUserReview(req, res) {
     try {
-      const { user_id, product_id } = req.params;
+      const userId = parseId(req.params.user_id, 'ID de usuario invalido');
+      const productId = parseId(req.params.product_id, 'ID de producto invalido');
 
-      if (!user_id || isNaN(parseInt(user_id))) {
-        throw new ValidationError('ID de usuario invalido');
-      }
-
-      if (!product_id || isNaN(parseInt(product_id))) {
-        throw new ValidationError('ID de producto invalido');
-      }
-
-      const canReview = await ReviewService.canUserReview(parseInt(user_id), parseInt(product_id));
+      const canReview = await ReviewService.canUserReview(userId, productId);
 
       res.status(200).json({
         success: true,
@@ -443,60 +325,258 @@ class ReviewController {
         }
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
+      sendError(res, error, 'Error al verificar si usuario puede hacer resena:');
+    }
+  }
+
+  /**
+   * Vota si una resena resulto util; un nuevo voto reemplaza al anterior
+   * POST /reviews/:id/vote
+   */
+  static async voteReview(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de resena invalido');
+
+      const { error, value } = validationSchema.vote.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const summary = await ReviewService.voteReview(id, req.user.id, value.helpful);
+
+      res.status(200).json({
+        success: true,
+        message: 'Voto registrado exitosamente',
+        data: summary
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al votar resena:');
+    }
+  }
+
+  /**
+   * Retira el voto de utilidad del usuario actual
+   * DELETE /reviews/:id/vote
+   */
+  static async removeVote(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de resena invalido');
+
+      const summary = await ReviewService.removeVote(id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Voto retirado exitosamente',
+        data: summary
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al retirar voto de resena:');
+    }
+  }
+
+  /**
+   * Obtiene la cola de moderacion de resenas
+   * GET /reviews/moderation/queue
+   */
+  static async getModerationQueue(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = 'pending',
+        flagged,
+        reported,
+        product_id
+      } = req.query;
+
+      // status=all muestra la cola completa sin filtrar por estado
+      if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+        throw new ValidationError(`El estado debe ser: all, ${REVIEW_STATUSES.join(', ')}`);
       }
 
-      console.error('Error al verificar si usuario puede hacer resena:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
+      const result = await ReviewService.getModerationQueue({
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 20, 100),
+        status: status === 'all' ? null : status,
+        flagged: flagged === undefined ? undefined : flagged === 'true',
+        reported: reported === undefined ? undefined : reported === 'true',
+        productId: product_id ? parseInt(product_id) : null
       });
+
+      res.status(200).json({
+        success: true,
+        data: result.reviews,
+        pagination: {
+          current_page: result.pagination.page,
+          total_pages: result.pagination.totalPages,
+          total_items: result.pagination.total,
+          items_per_page: result.pagination.limit
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener cola de moderacion:');
     }
   }
 
   /**
-   * Marca una resena como verificada
-   * PUT /reviews/:id/verify
+   * Cambia el estado de moderacion de una resena
+   * PUT /reviews/:id/moderation
    */
-  static async verifyReview(req, res) {
+  static async moderateReview(req, res) {
     try {
-      const { id } = req.params;
+      const id = parseId(req.params.id, 'ID de resena invalido');
 
-      if (!id || isNaN(parseInt(id))) {
-        throw new ValidationError('ID de resena invalido');
+      const { error, value } = validationSchema.moderate.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
       }
 
-      const review = await ReviewService.verifyReview(parseInt(id));
+      const review = await ReviewService.moderateReview(id, value, req.user.id);
 
       res.status(200).json({
         success: true,
-        message: 'Resena marcada como verificada',
+        message: 'Resena moderada exitosamente',
         data: review
       });
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
+      sendError(res, error, 'Error al moderar resena:');
+    }
+  }
+
+  /**
+   * Aplica el mismo estado de moderacion a varias resenas
+   * POST /reviews/moderation/bulk
+   */
+  static async bulkModerateReviews(req, res) {
+    try {
+      const { error, value } = validationSchema.bulkModerate.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
       }
 
-      if (error instanceof NotFoundError) {
-        return res.status(404).json({
-          success: false,
-          error: error.message
-        });
+      const { review_ids: reviewIds, ...decision } = value;
+      const result = await ReviewService.bulkModerateReviews(reviewIds, decision, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Resenas moderadas exitosamente',
+        data: result
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al moderar resenas:');
+    }
+  }
+
+  /**
+   * Denuncia una resena publicada
+   * POST /reviews/:id/report
+   */
+  static async reportReview(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de resena invalido');
+
+      const { error, value } = validationSchema.report.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
       }
 
-      console.error('Error al verificar resena:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor'
+      const report = await ReviewService.reportReview(id, req.user.id, value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Denuncia registrada, la revisaremos pronto',
+        data: report
       });
+    } catch (error) {
+      sendError(res, error, 'Error al denunciar resena:');
+    }
+  }
+
+  /**
+   * Obtiene la respuesta de la tienda a una resena con su historial de ediciones
+   * GET /reviews/:id/reply
+   */
+  static async getReply(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de resena invalido');
+
+      const reply = await ReviewReplyService.getReply(id);
+
+      res.status(200).json({
+        success: true,
+        data: reply
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener respuesta de resena:');
+    }
+  }
+
+  /**
+   * Publica la respuesta oficial de la tienda a una resena
+   * POST /reviews/:id/reply
+   */
+  static async createReply(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de resena invalido');
+
+      const { error, value } = replyValidationSchema.save.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const reply = await ReviewReplyService.createReply(id, req.user.id, value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Respuesta publicada exitosamente',
+        data: reply
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al responder resena:');
+    }
+  }
+
+  /**
+   * Edita la respuesta de la tienda; el texto anterior queda en el historial
+   * PUT /reviews/:id/reply
+   */
+  static async updateReply(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de resena invalido');
+
+      const { error, value } = replyValidationSchema.save.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const reply = await ReviewReplyService.updateReply(id, req.user.id, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Respuesta actualizada exitosamente',
+        data: reply
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al editar respuesta de resena:');
+    }
+  }
+
+  /**
+   * Elimina la respuesta de la tienda
+   * DELETE /reviews/:id/reply
+   */
+  static async deleteReply(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de resena invalido');
+
+      await ReviewReplyService.deleteReply(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Respuesta eliminada exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar respuesta de resena:');
     }
   }
 }
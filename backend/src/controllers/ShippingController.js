@@ -0,0 +1,184 @@
+const ShippingService = require('../services/ShippingService');
+const ShippingZone = require('../models/ShippingZone');
+const ShippingMethod = require('../models/ShippingMethod');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+/**
+ * Valida el cuerpo de la peticion con un esquema Joi y devuelve los valores normalizados
+ */
+const validateBody = (schema, body) => {
+  const { error, value } = schema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+  return value;
+};
+
+class ShippingController {
+  /**
+   * Cotiza el envio de una lista de items a un destino
+   * POST /shipping/quote
+   */
+  static async getQuote(req, res) {
+    try {
+      const { items, address } = validateBody(ShippingMethod.validationSchema.quote, req.body);
+      const quote = await ShippingService.quote(items, address);
+
+      res.status(200).json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al cotizar envio:');
+    }
+  }
+
+  /**
+   * Lista las zonas de envio con sus metodos (solo admin)
+   * GET /shipping/zones
+   */
+  static async getZones(req, res) {
+    try {
+      const zones = await ShippingService.listZones();
+
+      res.status(200).json({
+        success: true,
+        data: zones
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al listar zonas de envio:');
+    }
+  }
+
+  /**
+   * Obtiene una zona de envio (solo admin)
+   * GET /shipping/zones/:id
+   */
+  static async getZoneById(req, res) {
+    try {
+      const zone = await ShippingService.getZoneById(parseId(req.params.id, 'ID de zona invalido'));
+
+      res.status(200).json({
+        success: true,
+        data: zone
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener zona de envio:');
+    }
+  }
+
+  /**
+   * Crea una zona de envio (solo admin)
+   * POST /shipping/zones
+   */
+  static async createZone(req, res) {
+    try {
+      const zoneData = validateBody(ShippingZone.validationSchema.create, req.body);
+      const zone = await ShippingService.createZone(zoneData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Zona de envio creada exitosamente',
+        data: zone
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al crear zona de envio:');
+    }
+  }
+
+  /**
+   * Actualiza una zona de envio (solo admin)
+   * PUT /shipping/zones/:id
+   */
+  static async updateZone(req, res) {
+    try {
+      const zoneId = parseId(req.params.id, 'ID de zona invalido');
+      const zoneData = validateBody(ShippingZone.validationSchema.update, req.body);
+      const zone = await ShippingService.updateZone(zoneId, zoneData);
+
+      res.status(200).json({
+        success: true,
+        message: 'Zona de envio actualizada exitosamente',
+        data: zone
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar zona de envio:');
+    }
+  }
+
+  /**
+   * Elimina una zona de envio y sus metodos (solo admin)
+   * DELETE /shipping/zones/:id
+   */
+  static async deleteZone(req, res) {
+    try {
+      await ShippingService.deleteZone(parseId(req.params.id, 'ID de zona invalido'));
+
+      res.status(200).json({
+        success: true,
+        message: 'Zona de envio eliminada exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar zona de envio:');
+    }
+  }
+
+  /**
+   * Crea un metodo de envio (solo admin)
+   * POST /shipping/methods
+   */
+  static async createMethod(req, res) {
+    try {
+      const methodData = validateBody(ShippingMethod.validationSchema.create, req.body);
+      const method = await ShippingService.createMethod(methodData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Metodo de envio creado exitosamente',
+        data: method
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al crear metodo de envio:');
+    }
+  }
+
+  /**
+   * Actualiza un metodo de envio (solo admin)
+   * PUT /shipping/methods/:id
+   */
+  static async updateMethod(req, res) {
+    try {
+      const methodId = parseId(req.params.id, 'ID de metodo de envio invalido');
+      const methodData = validateBody(ShippingMethod.validationSchema.update, req.body);
+      const method = await ShippingService.updateMethod(methodId, methodData);
+
+      res.status(200).json({
+        success: true,
+        message: 'Metodo de envio actualizado exitosamente',
+        data: method
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar metodo de envio:');
+    }
+  }
+
+  /**
+   * Elimina un metodo de envio (solo admin)
+   * DELETE /shipping/methods/:id
+   */
+  static async deleteMethod(req, res) {
+    try {
+      await ShippingService.deleteMethod(parseId(req.params.id, 'ID de metodo de envio invalido'));
+
+      res.status(200).json({
+        success: true,
+        message: 'Metodo de envio eliminado exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar metodo de envio:');
+    }
+  }
+}
+
+module.exports = ShippingController;
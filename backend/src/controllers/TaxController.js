@@ -0,0 +1,130 @@
+const TaxService = require('../services/TaxService');
+const { validationSchema, TAX_CLASSES } = require('../models/TaxRate');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+/**
+ * Valida que el parametro de ruta sea un ID de tasa de impuesto
+ */
+const parseTaxRateId = (value) => parseId(value, 'ID de tasa de impuesto invalido');
+
+class TaxController {
+  /**
+   * Lista las tasas de impuesto (solo admin)
+   * GET /taxes/rates
+   */
+  static async getTaxRates(req, res) {
+    try {
+      const { country, tax_class, is_active } = req.query;
+
+      if (country && !/^[A-Za-z]{2}$/.test(country)) {
+        throw new ValidationError('El pais debe ser un codigo ISO de 2 letras');
+      }
+
+      if (tax_class && !TAX_CLASSES.includes(tax_class)) {
+        throw new ValidationError(`La clase de impuesto debe ser: ${TAX_CLASSES.join(', ')}`);
+      }
+
+      if (is_active !== undefined && !['true', 'false'].includes(is_active)) {
+        throw new ValidationError('is_active debe ser true o false');
+      }
+
+      const taxRates = await TaxService.listTaxRates({
+        country,
+        tax_class,
+        is_active: is_active !== undefined ? is_active === 'true' : null
+      });
+
+      res.status(200).json({
+        success: true,
+        data: taxRates,
+        prices_include_tax: TaxService.pricesIncludeTax()
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al listar tasas de impuesto:');
+    }
+  }
+
+  /**
+   * Obtiene una tasa de impuesto por ID (solo admin)
+   * GET /taxes/rates/:id
+   */
+  static async getTaxRateById(req, res) {
+    try {
+      const taxRate = await TaxService.getTaxRateById(parseTaxRateId(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        data: taxRate
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener tasa de impuesto:');
+    }
+  }
+
+  /**
+   * Crea una tasa de impuesto (solo admin)
+   * POST /taxes/rates
+   */
+  static async createTaxRate(req, res) {
+    try {
+      const { error, value } = validationSchema.create.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const taxRate = await TaxService.createTaxRate(value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Tasa de impuesto creada exitosamente',
+        data: taxRate
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al crear tasa de impuesto:');
+    }
+  }
+
+  /**
+   * Actualiza una tasa de impuesto (solo admin)
+   * PUT /taxes/rates/:id
+   */
+  static async updateTaxRate(req, res) {
+    try {
+      const taxRateId = parseTaxRateId(req.params.id);
+      const { error, value } = validationSchema.update.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const taxRate = await TaxService.updateTaxRate(taxRateId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tasa de impuesto actualizada exitosamente',
+        data: taxRate
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar tasa de impuesto:');
+    }
+  }
+
+  /**
+   * Elimina una tasa de impuesto (solo admin)
+   * DELETE /taxes/rates/:id
+   */
+  static async deleteTaxRate(req, res) {
+    try {
+      await TaxService.deleteTaxRate(parseTaxRateId(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        message: 'Tasa de impuesto eliminada exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar tasa de impuesto:');
+    }
+  }
+}
+
+module.exports = TaxController;
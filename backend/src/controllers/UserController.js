@@ -0,0 +1,195 @@
+const UserService = require('../services/UserService');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+/**
+ * Convierte un parametro de fecha del query en Date (o null si no viene)
+ */
+const parseDateParam = (value, fieldName) => {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Fecha invalida en ${fieldName}`);
+  }
+
+  return date;
+};
+
+class UserController {
+  /**
+   * Lista usuarios con paginacion, busqueda y filtros (solo admin)
+   * GET /users
+   */
+  static async getAllUsers(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        search,
+        role,
+        is_active,
+        registered_from,
+        registered_to,
+        sort_by = 'created_at',
+        sort_order = 'DESC'
+      } = req.query;
+
+      if (role && !['customer', 'admin'].includes(role)) {
+        throw new ValidationError('Rol invalido. Debe ser customer o admin');
+      }
+
+      if (is_active !== undefined && !['true', 'false'].includes(is_active)) {
+        throw new ValidationError('is_active debe ser true o false');
+      }
+
+      const registeredFrom = parseDateParam(registered_from, 'registered_from');
+      const registeredTo = parseDateParam(registered_to, 'registered_to');
+
+      // Incluir todo el dia final cuando solo se envia la fecha
+      if (registeredTo && /^\d{4}-\d{2}-\d{2}$/.test(registered_to)) {
+        registeredTo.setUTCHours(23, 59, 59, 999);
+      }
+
+      if (registeredFrom && registeredTo && registeredFrom > registeredTo) {
+        throw new ValidationError('registered_from no puede ser posterior a registered_to');
+      }
+
+      const options = {
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 10, 100),
+        search: search || '',
+        role: role || '',
+        is_active: is_active !== undefined ? is_active === 'true' : null,
+        registeredFrom,
+        registeredTo,
+        sortBy: sort_by,
+        sortOrder: sort_order
+      };
+
+      const result = await UserService.listUsers(options, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: result.users,
+        pagination: {
+          current_page: result.pagination.page,
+          total_pages: result.pagination.totalPages,
+          total_items: result.pagination.total,
+          items_per_page: result.pagination.limit
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al listar usuarios:');
+    }
+  }
+
+  /**
+   * Obtiene estadisticas de usuarios (solo admin)
+   * GET /users/stats
+   */
+  static async getUserStats(req, res) {
+    try {
+      const stats = await UserService.getUserStats(req.user);
+
+      res.status(200).json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener estadisticas de usuarios:');
+    }
+  }
+
+  /**
+   * Obtiene un usuario por ID (solo admin)
+   * GET /users/:id
+   */
+  static async getUserById(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de usuario invalido');
+
+      const user = await UserService.getUserById(id, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: user
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener usuario:');
+    }
+  }
+
+  /**
+   * Activa o desactiva un usuario (solo admin)
+   * PUT /users/:id/status
+   */
+  static async updateUserStatus(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de usuario invalido');
+      const { is_active } = req.body;
+
+      if (typeof is_active !== 'boolean') {
+        throw new ValidationError('is_active es requerido y debe ser booleano');
+      }
+
+      const user = await UserService.toggleUserStatus(id, is_active, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: is_active ? 'Usuario activado exitosamente' : 'Usuario desactivado exitosamente',
+        data: user
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al cambiar estado de usuario:');
+    }
+  }
+
+  /**
+   * Cambia el rol de un usuario (solo admin)
+   * PUT /users/:id/role
+   */
+  static async updateUserRole(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de usuario invalido');
+      const { role } = req.body;
+
+      if (!role) {
+        throw new ValidationError('El rol es requerido');
+      }
+
+      const user = await UserService.changeUserRole(id, role, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Rol actualizado exitosamente',
+        data: user
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al cambiar rol de usuario:');
+    }
+  }
+
+  /**
+   * Elimina un usuario (solo admin)
+   * DELETE /users/:id
+   */
+  static async deleteUser(req, res) {
+    try {
+      const id = parseId(req.params.id, 'ID de usuario invalido');
+
+      await UserService.deleteUser(id, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Usuario eliminado exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar usuario:');
+    }
+  }
+}
+
+module.exports = UserController;
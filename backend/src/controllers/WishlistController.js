@@ -0,0 +1,212 @@
+const WishlistService = require('../services/WishlistService');
+const { validationSchema } = require('../models/Wishlist');
+const { ValidationError } = require('../utils/errors');
+const { sendError, parseId } = require('../utils/httpHelpers');
+
+const parseWishlistId = (value) => parseId(value, 'ID de lista de deseos invalido');
+
+class WishlistController {
+  /**
+   * Lista las listas de deseos del usuario actual
+   * GET /wishlists
+   */
+  static async getWishlists(req, res) {
+    try {
+      const wishlists = await WishlistService.listWishlists(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: wishlists
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al listar listas de deseos:');
+    }
+  }
+
+  /**
+   * Obtiene una lista de deseos del usuario actual con sus productos
+   * GET /wishlists/:id
+   */
+  static async getWishlistById(req, res) {
+    try {
+      const wishlist = await WishlistService.getWishlist(req.user.id, parseWishlistId(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        data: wishlist
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener lista de deseos:');
+    }
+  }
+
+  /**
+   * Obtiene una lista publica por su enlace compartido (no requiere autenticacion)
+   * GET /wishlists/shared/:token
+   */
+  static async getSharedWishlist(req, res) {
+    try {
+      const wishlist = await WishlistService.getSharedWishlist(String(req.params.token));
+
+      res.status(200).json({
+        success: true,
+        data: wishlist
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al obtener lista de deseos compartida:');
+    }
+  }
+
+  /**
+   * Crea una lista de deseos
+   * POST /wishlists
+   */
+  static async createWishlist(req, res) {
+    try {
+      const { error, value } = validationSchema.create.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const wishlist = await WishlistService.createWishlist(req.user.id, value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Lista de deseos creada exitosamente',
+        data: wishlist
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al crear lista de deseos:');
+    }
+  }
+
+  /**
+   * Actualiza el nombre o la visibilidad de una lista
+   * PUT /wishlists/:id
+   */
+  static async updateWishlist(req, res) {
+    try {
+      const wishlistId = parseWishlistId(req.params.id);
+      const { error, value } = validationSchema.update.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const wishlist = await WishlistService.updateWishlist(req.user.id, wishlistId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Lista de deseos actualizada exitosamente',
+        data: wishlist
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar lista de deseos:');
+    }
+  }
+
+  /**
+   * Genera un nuevo enlace compartido para la lista
+   * POST /wishlists/:id/share-token
+   */
+  static async regenerateShareToken(req, res) {
+    try {
+      const wishlist = await WishlistService.regenerateShareToken(req.user.id, parseWishlistId(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        message: 'Enlace de la lista regenerado exitosamente',
+        data: wishlist
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al regenerar enlace de lista de deseos:');
+    }
+  }
+
+  /**
+   * Elimina una lista de deseos
+   * DELETE /wishlists/:id
+   */
+  static async deleteWishlist(req, res) {
+    try {
+      await WishlistService.deleteWishlist(req.user.id, parseWishlistId(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        message: 'Lista de deseos eliminada exitosamente'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al eliminar lista de deseos:');
+    }
+  }
+
+  /**
+   * Agrega un producto a una lista, con sus suscripciones de aviso
+   * POST /wishlists/:id/items
+   */
+  static async addItem(req, res) {
+    try {
+      const wishlistId = parseWishlistId(req.params.id);
+      const { error, value } = validationSchema.addItem.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const item = await WishlistService.addItem(req.user.id, wishlistId, value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Producto agregado a la lista de deseos',
+        data: item
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al agregar producto a la lista de deseos:');
+    }
+  }
+
+  /**
+   * Actualiza las suscripciones de aviso de un producto guardado
+   * PUT /wishlists/:id/items/:itemId
+   */
+  static async updateItem(req, res) {
+    try {
+      const wishlistId = parseWishlistId(req.params.id);
+      const itemId = parseId(req.params.itemId, 'ID de producto guardado invalido');
+      const { error, value } = validationSchema.updateItem.validate(req.body);
+      if (error) {
+        throw new ValidationError(error.details[0].message);
+      }
+
+      const item = await WishlistService.updateItem(req.user.id, wishlistId, itemId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Avisos actualizados exitosamente',
+        data: item
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al actualizar producto de la lista de deseos:');
+    }
+  }
+
+  /**
+   * Quita un producto de una lista
+   * DELETE /wishlists/:id/items/:itemId
+   */
+  static async removeItem(req, res) {
+    try {
+      const wishlistId = parseWishlistId(req.params.id);
+      const itemId = parseId(req.params.itemId, 'ID de producto guardado invalido');
+
+      await WishlistService.removeItem(req.user.id, wishlistId, itemId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Producto quitado de la lista de deseos'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error al quitar producto de la lista de deseos:');
+    }
+  }
+}
+
+module.exports = WishlistController;
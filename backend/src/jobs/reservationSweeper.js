@@ -0,0 +1,59 @@
+const InventoryService = require('../services/InventoryService');
+
+// Cada cuantos segundos se buscan reservas vencidas (0 desactiva el barrido)
+const SWEEP_INTERVAL_SECONDS = process.env.STOCK_RESERVATION_SWEEP_SECONDS !== undefined
+  ? parseInt(process.env.STOCK_RESERVATION_SWEEP_SECONDS)
+  : 60;
+
+let sweepTimer = null;
+let sweeping = false;
+
+/**
+ * Libera las reservas vencidas de pedidos pendientes
+ * Evita solapar ejecuciones si un barrido tarda mas que el intervalo
+ * Cada liberacion queda en el historial de inventario ("Reserva vencida"), por eso no se registra aqui
+ */
+const sweepExpiredReservations = async () => {
+  if (sweeping) {
+    return 0;
+  }
+
+  sweeping = true;
+  try {
+    return await InventoryService.releaseExpiredReservations();
+  } catch (error) {
+    console.error('Error en el barrido de reservas de stock:', error);
+    return 0;
+  } finally {
+    sweeping = false;
+  }
+};
+
+/**
+ * Inicia el barrido periodico de reservas vencidas dentro del proceso
+ */
+const startReservationSweeper = (intervalSeconds = SWEEP_INTERVAL_SECONDS) => {
+  if (sweepTimer || !intervalSeconds || intervalSeconds <= 0) {
+    return;
+  }
+
+  sweepTimer = setInterval(sweepExpiredReservations, intervalSeconds * 1000);
+  // No mantener vivo el proceso solo por el barrido
+  sweepTimer.unref();
+};
+
+/**
+ * Detiene el barrido periodico de reservas vencidas
+ */
+const stopReservationSweeper = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  sweepExpiredReservations,
+  startReservationSweeper,
+  stopReservationSweeper
+};
@@ -17,13 +17,17 @@ const authenticateToken = async (req, res, next) => {
 
     // Verificar y decodificar token
     const decoded = AuthService.verifyToken(token);
+
+    // Rechazar tokens invalidados (por ejemplo, tras restablecer la contrasena)
+    await AuthService.ensureTokenIsCurrent(decoded);
     
     // Agregar informacion del usuario al request
     req.user = {
       id: decoded.id,
       email: decoded.email,
       username: decoded.username,
-      role: decoded.role
+      role: decoded.role,
+      sessionId: decoded.sid || null
     };
 
     next();
@@ -156,11 +160,13 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = AuthService.verifyToken(token);
+        await AuthService.ensureTokenIsCurrent(decoded);
         req.user = {
           id: decoded.id,
           email: decoded.email,
           username: decoded.username,
-          role: decoded.role
+          role: decoded.role,
+          sessionId: decoded.sid || null
         };
       } catch (error) {
         // Si el token es invalido, simplemente continuamos sin usuario
@@ -0,0 +1,58 @@
+const multer = require('multer');
+
+// Tipos de imagen aceptados y limites de subida
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_IMAGE_SIZE_MB = parseInt(process.env.MAX_IMAGE_SIZE_MB) || 5;
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Mensajes para los errores de multer
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Cada imagen puede pesar como maximo ${MAX_IMAGE_SIZE_MB} MB`,
+  LIMIT_FILE_COUNT: `Solo se pueden subir ${MAX_IMAGES_PER_UPLOAD} imagenes a la vez`,
+  LIMIT_UNEXPECTED_FILE: 'Las imagenes deben enviarse en el campo "images"',
+  INVALID_TYPE: `Tipo de archivo no permitido. Tipos aceptados: ${ALLOWED_IMAGE_TYPES.join(', ')}`
+};
+
+// Los archivos quedan en memoria: el servicio genera las versiones y las guarda en el almacenamiento
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024,
+    files: MAX_IMAGES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.code = 'INVALID_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Middleware para recibir imagenes multipart en el campo "images"
+ * Los errores de subida responden 400 con un mensaje legible
+ */
+const uploadImages = (req, res, next) => {
+  imageUpload.array('images', MAX_IMAGES_PER_UPLOAD)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: UPLOAD_ERROR_MESSAGES[error.code] || 'No se pudo procesar la subida de imagenes'
+      });
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadImages,
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_SIZE_MB
+};
@@ -0,0 +1,151 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+const { structuredAddressSchema, formatAddress, pickAddressFields } = require('../utils/address');
+
+const addressBookFields = {
+  label: Joi.string()
+    .trim()
+    .max(50)
+    .allow('', null)
+    .messages({
+      'string.max': 'La etiqueta no puede exceder 50 caracteres'
+    }),
+  is_default_shipping: Joi.boolean()
+    .messages({
+      'boolean.base': 'is_default_shipping debe ser true o false'
+    }),
+  is_default_billing: Joi.boolean()
+    .messages({
+      'boolean.base': 'is_default_billing debe ser true o false'
+    })
+};
+
+// Esquema de validacion Joi para direcciones de la libreta
+// Reutiliza los campos de direccion estructurada de pedidos; el destinatario es obligatorio
+const addressValidationSchema = {
+  create: structuredAddressSchema.keys(addressBookFields)
+    .fork(['recipient_name'], (schema) => schema.disallow(null).required()),
+
+  update: structuredAddressSchema.keys(addressBookFields)
+    .fork(['recipient_name'], (schema) => schema.disallow(null))
+    .fork(['line1', 'city', 'country'], (schema) => schema.optional())
+    .min(1)
+    .messages({
+      'object.min': 'Debe enviar al menos un campo para actualizar'
+    })
+};
+
+const Address = sequelize.define('Address', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  label: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  recipient_name: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  line1: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  line2: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  region: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  postal_code: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    validate: {
+      len: [2, 2]
+    }
+  },
+  phone: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  is_default_shipping: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  is_default_billing: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+}, {
+  tableName: 'addresses',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  hooks: {
+    // Los paises se guardan en mayusculas y los campos opcionales vacios como NULL
+    beforeValidate: (address) => {
+      if (address.country) {
+        address.country = address.country.trim().toUpperCase();
+      }
+      ['label', 'line2', 'region', 'postal_code', 'phone'].forEach(field => {
+        if (address[field] === '') {
+          address[field] = null;
+        }
+      });
+    }
+  }
+});
+
+// Metodo de clase para obtener la direccion por defecto de un usuario ('shipping' o 'billing')
+Address.findDefault = async function(userId, type, options = {}) {
+  return await this.findOne({
+    where: {
+      user_id: userId,
+      [type === 'billing' ? 'is_default_billing' : 'is_default_shipping']: true
+    },
+    ...options
+  });
+};
+
+// Metodo de instancia para obtener los campos que se copian al pedido
+Address.prototype.toSnapshot = function() {
+  return pickAddressFields(this.get({ plain: true }));
+};
+
+// Metodo de instancia para obtener la direccion en una sola linea
+Address.prototype.toText = function() {
+  return formatAddress(this.toSnapshot());
+};
+
+module.exports = Address;
+module.exports.validationSchema = addressValidationSchema;
@@ -0,0 +1,176 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+// Tipos de atributo: texto libre, numero (con unidad opcional), si/no y lista de opciones
+const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'enum'];
+
+const attributeFields = {
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .messages({
+      'string.empty': 'El nombre del atributo es requerido',
+      'string.min': 'El nombre del atributo debe tener al menos 2 caracteres',
+      'string.max': 'El nombre del atributo no puede exceder 100 caracteres',
+      'any.required': 'El nombre del atributo es requerido'
+    }),
+  unit: Joi.string()
+    .trim()
+    .max(20)
+    .allow(null, '')
+    .messages({
+      'string.max': 'La unidad no puede exceder 20 caracteres'
+    }),
+  options: Joi.array()
+    .items(Joi.string().trim().min(1).max(255))
+    .min(1)
+    .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+    .messages({
+      'array.base': 'Las opciones deben ser una lista de textos',
+      'array.min': 'Un atributo de lista debe tener al menos una opcion',
+      'array.unique': 'Las opciones no pueden repetirse',
+      'string.base': 'Cada opcion debe ser un texto',
+      'string.empty': 'Las opciones no pueden estar vacias',
+      'string.max': 'Cada opcion puede tener como maximo 255 caracteres'
+    }),
+  is_filterable: Joi.boolean()
+};
+
+// Esquema de validacion Joi para definiciones de atributos
+const attributeValidationSchema = {
+  create: Joi.object({
+    ...attributeFields,
+    code: Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z][a-z0-9_]*$/)
+      .max(50)
+      .required()
+      .messages({
+        'string.empty': 'El codigo del atributo es requerido',
+        'string.pattern.base': 'El codigo debe empezar con una letra y solo puede contener letras, numeros y guion bajo',
+        'string.max': 'El codigo no puede exceder 50 caracteres',
+        'any.required': 'El codigo del atributo es requerido'
+      }),
+    name: attributeFields.name.required(),
+    type: Joi.string()
+      .valid(...ATTRIBUTE_TYPES)
+      .required()
+      .messages({
+        'any.only': `El tipo de atributo debe ser: ${ATTRIBUTE_TYPES.join(', ')}`,
+        'any.required': 'El tipo de atributo es requerido'
+      }),
+    options: attributeFields.options.when('type', {
+      is: 'enum',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.required': 'Un atributo de lista requiere sus opciones',
+      'any.unknown': 'Solo los atributos de lista pueden tener opciones'
+    }),
+    unit: attributeFields.unit.when('type', {
+      is: 'number',
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.unknown': 'Solo los atributos numericos pueden tener unidad'
+    }),
+    is_filterable: attributeFields.is_filterable.default(true)
+  }),
+
+  // El codigo y el tipo no cambian: los valores guardados y los filtros dependen de ellos
+  update: Joi.object(attributeFields)
+    .min(1)
+    .messages({
+      'object.min': 'Debe enviar al menos un campo para actualizar'
+    }),
+
+  // Conjunto de atributos de una categoria, en orden
+  categorySet: Joi.object({
+    attributes: Joi.array()
+      .items(Joi.object({
+        attribute_id: Joi.number()
+          .integer()
+          .positive()
+          .required()
+          .messages({
+            'number.base': 'El ID de atributo debe ser un numero',
+            'any.required': 'El ID de atributo es requerido'
+          }),
+        is_required: Joi.boolean().default(false)
+      }))
+      .unique('attribute_id')
+      .required()
+      .messages({
+        'array.base': 'attributes debe ser una lista',
+        'array.unique': 'Un atributo no puede repetirse en la categoria',
+        'any.required': 'attributes es requerido'
+      })
+  })
+};
+
+const AttributeDefinition = sequelize.define('AttributeDefinition', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Identificador estable usado en los filtros (?attr[ram_gb][gte]=16)
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM(...ATTRIBUTE_TYPES),
+    allowNull: false
+  },
+  unit: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  // Opciones de un atributo de lista, guardadas como JSON
+  options: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const raw = this.getDataValue('options');
+      return raw ? JSON.parse(raw) : null;
+    },
+    set(value) {
+      this.setDataValue('options', value ? JSON.stringify(value) : null);
+    }
+  },
+  is_filterable: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'attribute_definitions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Metodo de instancia para mostrar un valor con su unidad
+AttributeDefinition.prototype.formatValue = function(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (this.type === 'boolean') {
+    return value ? 'Si' : 'No';
+  }
+  if (this.type === 'number' && this.unit) {
+    return `${value} ${this.unit}`;
+  }
+  return String(value);
+};
+
+module.exports = AttributeDefinition;
+module.exports.validationSchema = attributeValidationSchema;
+module.exports.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+
+// Esquema de validacion Joi para carritos
+const cartValidationSchema = {
+  create: Joi.object({
+    user_id: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .messages({
+        'number.base': 'El ID del usuario debe ser un numero',
+        'number.integer': 'El ID del usuario debe ser un numero entero',
+        'number.positive': 'El ID del usuario debe ser mayor a 0'
+      }),
+    cart_token: Joi.string()
+      .min(16)
+      .max(64)
+      .optional()
+      .messages({
+        'string.min': 'El token del carrito debe tener al menos 16 caracteres',
+        'string.max': 'El token del carrito no puede exceder 64 caracteres'
+      })
+  })
+};
+
+const Cart = sequelize.define('Cart', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  cart_token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    validate: {
+      len: [16, 64]
+    }
+  }
+}, {
+  tableName: 'carts',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  hooks: {
+    // Generar token del carrito automaticamente si no se proporciona
+    beforeValidate: async (cart) => {
+      if (!cart.cart_token) {
+        cart.cart_token = crypto.randomBytes(24).toString('hex');
+      }
+    }
+  }
+});
+
+// Metodo de clase para buscar carrito por usuario
+Cart.findByUser = async function(userId, options = {}) {
+  return await this.findOne({
+    where: { user_id: userId },
+    ...options
+  });
+};
+
+// Metodo de clase para buscar carrito anonimo por token
+Cart.findByToken = async function(cartToken, options = {}) {
+  return await this.findOne({
+    where: {
+      cart_token: cartToken,
+      user_id: null
+    },
+    ...options
+  });
+};
+
+// Metodo de instancia para obtener items del carrito
+Cart.prototype.getCartItems = async function(options = {}) {
+  const { CartItem } = require('./index');
+  return await CartItem.findAll({
+    where: { cart_id: this.id },
+    include: [{
+      model: require('./Product'),
+      as: 'product',
+      attributes: ['id', 'name', 'sku', 'price', 'image_url', 'is_active']
+    }, {
+      model: require('./ProductVariant'),
+      as: 'variant',
+      attributes: ['id', 'sku', 'price', 'image_url', 'is_active']
+    }],
+    order: [['created_at', 'ASC']],
+    ...options
+  });
+};
+
+// Metodo de instancia para verificar si el carrito es anonimo
+Cart.prototype.isGuest = function() {
+  return this.user_id === null || this.user_id === undefined;
+};
+
+module.exports = Cart;
+module.exports.validationSchema = cartValidationSchema;
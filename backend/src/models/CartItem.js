@@ -0,0 +1,127 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+// Esquema de validacion Joi para items del carrito
+const cartItemValidationSchema = {
+  add: Joi.object({
+    product_id: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .messages({
+        'number.base': 'El ID del producto debe ser un numero',
+        'number.integer': 'El ID del producto debe ser un numero entero',
+        'number.positive': 'El ID del producto debe ser mayor a 0',
+        'any.required': 'El ID del producto es requerido'
+      }),
+    variant_id: Joi.number()
+      .integer()
+      .positive()
+      .allow(null)
+      .messages({
+        'number.base': 'El ID de la variante debe ser un numero',
+        'number.integer': 'El ID de la variante debe ser un numero entero',
+        'number.positive': 'El ID de la variante debe ser mayor a 0'
+      }),
+    quantity: Joi.number()
+      .integer()
+      .positive()
+      .default(1)
+      .messages({
+        'number.base': 'La cantidad debe ser un numero',
+        'number.integer': 'La cantidad debe ser un numero entero',
+        'number.positive': 'La cantidad debe ser mayor a 0'
+      })
+  }),
+  update: Joi.object({
+    quantity: Joi.number()
+      .integer()
+      .min(0)
+      .required()
+      .messages({
+        'number.base': 'La cantidad debe ser un numero',
+        'number.integer': 'La cantidad debe ser un numero entero',
+        'number.min': 'La cantidad no puede ser menor a 0',
+        'any.required': 'La cantidad es requerida'
+      })
+  })
+};
+
+const CartItem = sequelize.define('CartItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  cart_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'carts',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  // Variante del producto (NULL para productos sin variantes)
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  }
+}, {
+  tableName: 'cart_items',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['cart_id', 'product_id', 'variant_id'],
+      name: 'unique_cart_product_variant'
+    }
+  ]
+});
+
+// Metodo de instancia para obtener el precio unitario (requiere el producto y la variante incluidos)
+CartItem.prototype.getUnitPrice = function() {
+  if (!this.product) {
+    return 0;
+  }
+  return this.variant ? this.variant.getUnitPrice(this.product) : parseFloat(this.product.price);
+};
+
+// Metodo de instancia para obtener subtotal (requiere el producto incluido)
+CartItem.prototype.getSubtotal = function() {
+  return this.getUnitPrice() * this.quantity;
+};
+
+module.exports = CartItem;
+module.exports.validationSchema = cartItemValidationSchema;
@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const Joi = require('joi');
 const { sequelize } = require('../config/database');
+const productSearchIndex = require('../utils/productSearchIndex');
 
 // Esquema de validacion Joi para categorias
 const categoryValidationSchema = {
@@ -31,6 +32,16 @@ const categoryValidationSchema = {
         'string.max': 'El slug no puede exceder 100 caracteres',
         'any.required': 'El slug es requerido'
       }),
+    parent_id: Joi.number()
+      .integer()
+      .positive()
+      .allow(null)
+      .optional()
+      .messages({
+        'number.base': 'La categoria padre debe ser un numero',
+        'number.integer': 'La categoria padre debe ser un numero entero',
+        'number.positive': 'La categoria padre debe ser mayor a 0'
+      }),
     is_active: Joi.boolean()
       .default(true)
   }),
@@ -57,6 +68,16 @@ const categoryValidationSchema = {
         'string.min': 'El slug debe tener al menos 2 caracteres',
         'string.max': 'El slug no puede exceder 100 caracteres'
       }),
+    parent_id: Joi.number()
+      .integer()
+      .positive()
+      .allow(null)
+      .optional()
+      .messages({
+        'number.base': 'La categoria padre debe ser un numero',
+        'number.integer': 'La categoria padre debe ser un numero entero',
+        'number.positive': 'La categoria padre debe ser mayor a 0'
+      }),
     is_active: Joi.boolean()
   })
 };
@@ -91,6 +112,18 @@ const Category = sequelize.define('Category', {
       isAlphanumeric: true
     }
   },
+  parent_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
@@ -102,9 +135,9 @@ const Category = sequelize.define('Category', {
   createdAt: 'created_at',
   updatedAt: 'updated_at',
   hooks: {
-    // Generar slug automaticamente si no se proporciona
-    beforeCreate: async (category) => {
-      if (!category.slug) {
+    // Generar slug automaticamente si no se proporciona (antes de validar)
+    beforeValidate: async (category) => {
+      if (!category.slug && category.name) {
         category.slug = category.name
           .toLowerCase()
           .replace(/[^a-z0-9]/g, '')
@@ -118,6 +151,12 @@ const Category = sequelize.define('Category', {
           .replace(/[^a-z0-9]/g, '')
           .substring(0, 100);
       }
+    },
+    // El nombre de la categoria forma parte del indice de busqueda de sus productos
+    afterUpdate: async (category, options) => {
+      if (category.changed('name')) {
+        await productSearchIndex.indexCategory(category.id, { transaction: options.transaction });
+      }
     }
   }
 });
@@ -140,6 +179,11 @@ Category.findBySlug = async function(slug) {
   });
 };
 
+// Metodo de instancia para verificar si es una categoria raiz
+Category.prototype.isRoot = function() {
+  return this.parent_id === null || this.parent_id === undefined;
+};
+
 // Metodo de instancia para obtener productos de la categoria
 Category.prototype.getProducts = async function(options = {}) {
   const { Product } = require('./index');
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Atributo asignado a una categoria; las subcategorias heredan el conjunto de sus ancestros
+const CategoryAttribute = sequelize.define('CategoryAttribute', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'categories',
+      key: 'id'
+    }
+  },
+  attribute_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'attribute_definitions',
+      key: 'id'
+    }
+  },
+  is_required: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'category_attributes',
+  timestamps: false
+});
+
+module.exports = CategoryAttribute;
@@ -0,0 +1,258 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+// Tipos de cupon
+const COUPON_TYPES = ['percentage', 'fixed_amount', 'free_shipping'];
+
+const idListSchema = (label) => Joi.array()
+  .items(Joi.number().integer().positive())
+  .unique()
+  .messages({
+    'array.base': `Los IDs de ${label} deben ser una lista`,
+    'number.base': `Los IDs de ${label} deben ser numeros`,
+    'number.positive': `Los IDs de ${label} deben ser mayores a 0`,
+    'array.unique': `Los IDs de ${label} no pueden repetirse`
+  });
+
+const couponFields = {
+  code: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .min(3)
+    .max(50)
+    .messages({
+      'string.pattern.base': 'El codigo solo puede contener letras, numeros, guiones y guiones bajos',
+      'string.min': 'El codigo debe tener al menos 3 caracteres',
+      'string.max': 'El codigo no puede exceder 50 caracteres',
+      'any.required': 'El codigo es requerido'
+    }),
+  description: Joi.string()
+    .max(500)
+    .allow('', null)
+    .messages({
+      'string.max': 'La descripcion no puede exceder 500 caracteres'
+    }),
+  type: Joi.string()
+    .valid(...COUPON_TYPES)
+    .messages({
+      'any.only': `El tipo debe ser: ${COUPON_TYPES.join(', ')}`,
+      'any.required': 'El tipo de cupon es requerido'
+    }),
+  value: Joi.number()
+    .min(0)
+    .precision(2)
+    .when('type', {
+      is: 'percentage',
+      then: Joi.number().greater(0).max(100),
+      otherwise: Joi.when('type', { is: 'fixed_amount', then: Joi.number().greater(0) })
+    })
+    .messages({
+      'number.base': 'El valor debe ser un numero',
+      'number.min': 'El valor no puede ser negativo',
+      'number.greater': 'El valor debe ser mayor a 0',
+      'number.max': 'El porcentaje no puede ser mayor a 100'
+    }),
+  min_order_amount: Joi.number()
+    .min(0)
+    .precision(2)
+    .messages({
+      'number.base': 'El monto minimo debe ser un numero',
+      'number.min': 'El monto minimo no puede ser negativo'
+    }),
+  starts_at: Joi.date()
+    .iso()
+    .allow(null)
+    .messages({
+      'date.base': 'starts_at debe ser una fecha valida',
+      'date.format': 'starts_at debe tener formato ISO'
+    }),
+  expires_at: Joi.date()
+    .iso()
+    .allow(null)
+    .when('starts_at', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('starts_at'))
+    })
+    .messages({
+      'date.base': 'expires_at debe ser una fecha valida',
+      'date.format': 'expires_at debe tener formato ISO',
+      'date.greater': 'expires_at debe ser posterior a starts_at'
+    }),
+  usage_limit: Joi.number()
+    .integer()
+    .min(1)
+    .allow(null)
+    .messages({
+      'number.base': 'El limite de usos debe ser un numero',
+      'number.min': 'El limite de usos debe ser al menos 1'
+    }),
+  usage_limit_per_user: Joi.number()
+    .integer()
+    .min(1)
+    .allow(null)
+    .messages({
+      'number.base': 'El limite de usos por usuario debe ser un numero',
+      'number.min': 'El limite de usos por usuario debe ser al menos 1'
+    }),
+  is_active: Joi.boolean(),
+  product_ids: idListSchema('productos'),
+  category_ids: idListSchema('categorias')
+};
+
+// Esquema de validacion Joi para cupones
+const couponValidationSchema = {
+  create: Joi.object({
+    ...couponFields,
+    code: couponFields.code.required(),
+    type: couponFields.type.required(),
+    value: couponFields.value.default(0),
+    min_order_amount: couponFields.min_order_amount.default(0),
+    is_active: couponFields.is_active.default(true),
+    product_ids: couponFields.product_ids.default([]),
+    category_ids: couponFields.category_ids.default([])
+  }),
+
+  update: Joi.object(couponFields)
+    .min(1)
+    .messages({
+      'object.min': 'Debe enviar al menos un campo para actualizar'
+    }),
+
+  validate: Joi.object({
+    code: Joi.string()
+      .trim()
+      .required()
+      .messages({
+        'string.empty': 'El codigo del cupon es requerido',
+        'any.required': 'El codigo del cupon es requerido'
+      }),
+    items: Joi.array()
+      .items(Joi.object({
+        product_id: Joi.number().integer().positive().required(),
+        quantity: Joi.number().integer().min(1).required()
+      }))
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'Debe incluir al menos un item',
+        'any.required': 'Los items son requeridos'
+      })
+  })
+};
+
+const Coupon = sequelize.define('Coupon', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      len: [3, 50],
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  type: {
+    type: DataTypes.ENUM(...COUPON_TYPES),
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isDecimal: true,
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('value');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  min_order_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isDecimal: true,
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('min_order_amount');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  starts_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  usage_limit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  usage_limit_per_user: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'coupons',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  hooks: {
+    // Los codigos se guardan en mayusculas para buscarlos sin distinguir mayusculas
+    beforeValidate: (coupon) => {
+      if (coupon.code) {
+        coupon.code = coupon.code.trim().toUpperCase();
+      }
+    }
+  }
+});
+
+// Metodo de clase para buscar un cupon por su codigo
+Coupon.findByCode = async function(code, options = {}) {
+  return await this.findOne({
+    where: { code: String(code).trim().toUpperCase() },
+    ...options
+  });
+};
+
+// Metodo de instancia para verificar si el cupon esta vigente
+Coupon.prototype.isCurrentlyValid = function(now = new Date()) {
+  if (!this.is_active) {
+    return false;
+  }
+  if (this.starts_at && new Date(this.starts_at) > now) {
+    return false;
+  }
+  if (this.expires_at && new Date(this.expires_at) <= now) {
+    return false;
+  }
+  return true;
+};
+
+module.exports = Coupon;
+module.exports.validationSchema = couponValidationSchema;
+module.exports.TYPES = COUPON_TYPES;
@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const CouponRedemption = sequelize.define('CouponRedemption', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  coupon_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  discount_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isDecimal: true,
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('discount_amount');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  voided_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'coupon_redemptions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['coupon_id']
+    },
+    {
+      fields: ['coupon_id', 'user_id']
+    }
+  ]
+});
+
+// Metodo de clase para contar los usos vigentes de un cupon (opcionalmente de un usuario)
+// Los usos de pedidos cancelados quedan anulados y no cuentan
+CouponRedemption.countActive = async function(couponId, userId = null, options = {}) {
+  const where = { coupon_id: couponId, voided_at: null };
+  if (userId) {
+    where.user_id = userId;
+  }
+  return await this.count({ where, ...options });
+};
+
+module.exports = CouponRedemption;
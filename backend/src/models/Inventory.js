@@ -80,7 +80,6 @@ const Inventory = sequelize.define('Inventory', {
   product_id: {
     type: DataTypes.INTEGER,
     allowNull: false,
-    unique: true,
     references: {
       model: 'products',
       key: 'id'
@@ -90,6 +89,16 @@ const Inventory = sequelize.define('Inventory', {
       min: 1
     }
   },
+  // Inventario de una variante; las filas con variant_id NULL son el stock del producto
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
   quantity: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -99,6 +108,22 @@ const Inventory = sequelize.define('Inventory', {
       min: 0
     }
   },
+  reserved_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isInt: true,
+      min: 0
+    }
+  },
+  // Stock disponible para la venta (en mano menos reservado)
+  available_quantity: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.getDataValue('quantity') - (this.getDataValue('reserved_quantity') || 0);
+    }
+  },
   min_stock: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -171,9 +196,14 @@ Inventory.getOutOfStockProducts = async function() {
   });
 };
 
+// Metodo de instancia para obtener el stock disponible (en mano menos reservado)
+Inventory.prototype.getAvailableQuantity = function() {
+  return this.quantity - (this.reserved_quantity || 0);
+};
+
 // Metodo de instancia para verificar si hay stock disponible
 Inventory.prototype.hasStock = function(requiredQuantity = 1) {
-  return this.quantity >= requiredQuantity;
+  return this.getAvailableQuantity() >= requiredQuantity;
 };
 
 // Metodo de instancia para verificar si el stock esta bajo
@@ -188,7 +218,7 @@ Inventory.prototype.isOutOfStock = function() {
 
 // Metodo de instancia para reducir stock (venta)
 Inventory.prototype.reduceStock = async function(quantity) {
-  if (this.quantity < quantity) {
+  if (this.getAvailableQuantity() < quantity) {
     throw new Error('Stock insuficiente');
   }
   
@@ -0,0 +1,181 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+// Codigos de razon de los movimientos de inventario
+const MOVEMENT_REASON_CODES = [
+  'stock_update',
+  'reservation',
+  'release',
+  'manual',
+  'damaged',
+  'expired',
+  'theft',
+  'correction',
+  'order_created',
+  'order_cancelled',
+  'order_shipped',
+  'order_returned'
+];
+
+// Esquema de validacion Joi para filtros del historial de movimientos
+const inventoryMovementValidationSchema = {
+  filters: Joi.object({
+    product_id: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .messages({
+        'number.base': 'El ID del producto debe ser un numero',
+        'number.integer': 'El ID del producto debe ser un numero entero',
+        'number.positive': 'El ID del producto debe ser mayor a 0'
+      }),
+    user_id: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .messages({
+        'number.base': 'El ID del usuario debe ser un numero',
+        'number.integer': 'El ID del usuario debe ser un numero entero',
+        'number.positive': 'El ID del usuario debe ser mayor a 0'
+      }),
+    order_id: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+      .messages({
+        'number.base': 'El ID del pedido debe ser un numero',
+        'number.integer': 'El ID del pedido debe ser un numero entero',
+        'number.positive': 'El ID del pedido debe ser mayor a 0'
+      }),
+    reason_code: Joi.string()
+      .valid(...MOVEMENT_REASON_CODES)
+      .optional()
+      .messages({
+        'any.only': `El codigo de razon debe ser uno de: ${MOVEMENT_REASON_CODES.join(', ')}`
+      }),
+    date_from: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.base': 'date_from debe ser una fecha valida',
+        'date.format': 'date_from debe tener formato ISO (YYYY-MM-DD)'
+      }),
+    date_to: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.base': 'date_to debe ser una fecha valida',
+        'date.format': 'date_to debe tener formato ISO (YYYY-MM-DD)'
+      })
+  })
+};
+
+const InventoryMovement = sequelize.define('InventoryMovement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  // Variante del producto (NULL para productos sin variantes)
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  quantity_before: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: true,
+      min: 0
+    }
+  },
+  quantity_after: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: true,
+      min: 0
+    }
+  },
+  delta: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: true
+    }
+  },
+  reason_code: {
+    type: DataTypes.ENUM(...MOVEMENT_REASON_CODES),
+    allowNull: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 500]
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  }
+}, {
+  tableName: 'inventory_movements',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['product_id', 'created_at']
+    },
+    {
+      fields: ['order_id']
+    }
+  ]
+});
+
+// Metodo de instancia para verificar si el movimiento fue una entrada de stock
+InventoryMovement.prototype.isInbound = function() {
+  return this.delta > 0;
+};
+
+module.exports = InventoryMovement;
+module.exports.validationSchema = inventoryMovementValidationSchema;
+module.exports.REASON_CODES = MOVEMENT_REASON_CODES;
@@ -2,6 +2,24 @@ const { DataTypes } = require('sequelize');
 const Joi = require('joi');
 const { sequelize } = require('../config/database');
 
+// Transiciones de estado permitidas y roles que pueden realizar cada una
+// El rol 'customer' solo aplica al usuario duenio del pedido
+const ORDER_STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['admin'],
+    cancelled: ['admin', 'customer']
+  },
+  confirmed: {
+    shipped: ['admin'],
+    cancelled: ['admin']
+  },
+  shipped: {
+    delivered: ['admin']
+  },
+  delivered: {},
+  cancelled: {}
+};
+
 // Esquema de validacion Joi para pedidos
 const orderValidationSchema = {
   create: Joi.object({
@@ -152,6 +170,87 @@ const Order = sequelize.define('Order', {
     type: DataTypes.ENUM('pending', 'paid', 'failed', 'refunded'),
     defaultValue: 'pending',
     allowNull: false
+  },
+  coupon_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    }
+  },
+  discount_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      isDecimal: true
+    }
+  },
+  free_shipping: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  shipping_country: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  },
+  shipping_region: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  prices_include_tax: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Suma de las lineas a precio de lista, antes de descuentos
+  subtotal_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      isDecimal: true
+    }
+  },
+  // Base imponible (sin impuestos, con descuentos aplicados)
+  net_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      isDecimal: true
+    }
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      isDecimal: true
+    }
+  },
+  shipping_method_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'shipping_methods',
+      key: 'id'
+    }
+  },
+  shipping_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      isDecimal: true
+    }
   }
 }, {
   tableName: 'orders',
@@ -160,7 +259,7 @@ const Order = sequelize.define('Order', {
   updatedAt: 'updated_at',
   hooks: {
     // Generar numero de pedido automaticamente si no se proporciona
-    beforeCreate: async (order) => {
+    beforeValidate: async (order) => {
       if (!order.order_number) {
         const timestamp = Date.now().toString(36);
         const random = Math.random().toString(36).substring(2, 8);
@@ -237,9 +336,26 @@ Order.prototype.calculateTotal = async function() {
   return parseFloat(result?.dataValues?.total || 0);
 };
 
-// Metodo de instancia para verificar si se puede cancelar
+// Metodo de clase para obtener los roles que pueden realizar una transicion
+Order.getTransitionRoles = function(fromStatus, toStatus) {
+  const transitions = ORDER_STATUS_TRANSITIONS[fromStatus] || {};
+  return transitions[toStatus] || null;
+};
+
+// Metodo de instancia para verificar si el pedido puede pasar a un estado
+Order.prototype.canTransitionTo = function(newStatus) {
+  return Order.getTransitionRoles(this.status, newStatus) !== null;
+};
+
+// Metodo de instancia para obtener los estados siguientes permitidos para un rol
+Order.prototype.getAllowedTransitions = function(role = 'admin') {
+  const transitions = ORDER_STATUS_TRANSITIONS[this.status] || {};
+  return Object.keys(transitions).filter(status => transitions[status].includes(role));
+};
+
+// Metodo de instancia para verificar si se puede cancelar (solo antes del envio)
 Order.prototype.canBeCancelled = function() {
-  return ['pending', 'confirmed'].includes(this.status);
+  return this.canTransitionTo('cancelled');
 };
 
 // Metodo de instancia para verificar si se puede enviar
@@ -270,6 +386,19 @@ Order.prototype.getPaymentStatusText = function() {
   return paymentStatusMap[this.payment_status] || this.payment_status;
 };
 
+// Metodo de instancia para obtener el desglose neto, impuesto y bruto del pedido
+Order.prototype.getAmountBreakdown = function() {
+  return {
+    subtotal: parseFloat(this.subtotal_amount || 0),
+    discount: parseFloat(this.discount_amount || 0),
+    net: parseFloat(this.net_amount || 0),
+    tax: parseFloat(this.tax_amount || 0),
+    shipping: parseFloat(this.shipping_amount || 0),
+    gross: parseFloat(this.total_amount || 0),
+    prices_include_tax: Boolean(this.prices_include_tax)
+  };
+};
+
 // Metodo de instancia para formatear monto total
 Order.prototype.getFormattedTotal = function() {
   return `$${parseFloat(this.total_amount).toFixed(2)}`;
@@ -277,3 +406,4 @@ Order.prototype.getFormattedTotal = function() {
 
 module.exports = Order;
 module.exports.validationSchema = orderValidationSchema;
+module.exports.STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
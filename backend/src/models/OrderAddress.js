@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Tipos de direccion que se guardan por pedido
+const ADDRESS_TYPES = ['shipping', 'billing'];
+
+const OrderAddress = sequelize.define('OrderAddress', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  address_type: {
+    type: DataTypes.ENUM(...ADDRESS_TYPES),
+    allowNull: false
+  },
+  // Direccion de la libreta de la que se copio (NULL si se envio en el pedido o se elimino)
+  address_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'addresses',
+      key: 'id'
+    }
+  },
+  recipient_name: {
+    type: DataTypes.STRING(150),
+    allowNull: true
+  },
+  line1: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  line2: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  region: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  postal_code: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: false
+  },
+  phone: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  }
+}, {
+  tableName: 'order_addresses',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+module.exports = OrderAddress;
+module.exports.ADDRESS_TYPES = ADDRESS_TYPES;
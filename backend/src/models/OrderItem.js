@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const Joi = require('joi');
 const { sequelize } = require('../config/database');
+const { roundAmount } = require('../utils/money');
 
 // Esquema de validacion Joi para items de pedido
 const orderItemValidationSchema = {
@@ -25,6 +26,15 @@ const orderItemValidationSchema = {
         'number.positive': 'El ID del producto debe ser mayor a 0',
         'any.required': 'El ID del producto es requerido'
       }),
+    variant_id: Joi.number()
+      .integer()
+      .positive()
+      .allow(null)
+      .messages({
+        'number.base': 'El ID de la variante debe ser un numero',
+        'number.integer': 'El ID de la variante debe ser un numero entero',
+        'number.positive': 'El ID de la variante debe ser mayor a 0'
+      }),
     quantity: Joi.number()
       .integer()
       .positive()
@@ -114,6 +124,15 @@ const OrderItem = sequelize.define('OrderItem', {
       min: 1
     }
   },
+  // Variante del producto (NULL para productos sin variantes)
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
   quantity: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -137,6 +156,33 @@ const OrderItem = sequelize.define('OrderItem', {
       min: 0,
       isDecimal: true
     }
+  },
+  discount_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      isDecimal: true
+    }
+  },
+  tax_rate: {
+    type: DataTypes.DECIMAL(6, 4),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      isDecimal: true
+    }
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      isDecimal: true
+    }
   }
 }, {
   tableName: 'order_items',
@@ -226,5 +272,13 @@ OrderItem.prototype.getSubtotal = function() {
   return parseFloat(this.unit_price) * this.quantity;
 };
 
+// Metodo de instancia para obtener lo que el cliente pago por la linea
+// Con precios sin impuesto el impuesto se suma; con precios con impuesto ya esta incluido
+OrderItem.prototype.getPaidAmount = function(pricesIncludeTax = false) {
+  const paid = parseFloat(this.total_price) - parseFloat(this.discount_amount || 0)
+    + (pricesIncludeTax ? 0 : parseFloat(this.tax_amount || 0));
+  return roundAmount(paid);
+};
+
 module.exports = OrderItem;
 module.exports.validationSchema = orderItemValidationSchema;
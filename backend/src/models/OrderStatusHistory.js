@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
+
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  from_status: {
+    type: DataTypes.ENUM(...ORDER_STATUSES),
+    allowNull: true
+  },
+  to_status: {
+    type: DataTypes.ENUM(...ORDER_STATUSES),
+    allowNull: false
+  },
+  changed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 500]
+    }
+  }
+}, {
+  tableName: 'order_status_history',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['order_id', 'created_at']
+    }
+  ]
+});
+
+// Metodo de clase para obtener la linea de tiempo de un pedido
+OrderStatusHistory.getTimeline = async function(orderId, options = {}) {
+  const { User } = require('./index');
+  return await this.findAll({
+    where: { order_id: orderId },
+    include: [{
+      model: User,
+      as: 'actor',
+      attributes: ['id', 'username', 'role']
+    }],
+    order: [['created_at', 'ASC'], ['id', 'ASC']],
+    ...options
+  });
+};
+
+module.exports = OrderStatusHistory;
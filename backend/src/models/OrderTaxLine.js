@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { roundAmount } = require('../utils/money');
+
+const decimalGetter = (field) => function() {
+  const value = this.getDataValue(field);
+  return value === null || value === undefined ? value : parseFloat(value);
+};
+
+const OrderTaxLine = sequelize.define('OrderTaxLine', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  order_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'order_items',
+      key: 'id'
+    }
+  },
+  tax_rate_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tax_rates',
+      key: 'id'
+    }
+  },
+  // Nombre y tasa se copian para que el pedido no cambie si luego se edita la tasa
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  rate: {
+    type: DataTypes.DECIMAL(6, 4),
+    allowNull: false,
+    get: decimalGetter('rate')
+  },
+  taxable_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    get: decimalGetter('taxable_amount')
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    get: decimalGetter('tax_amount')
+  }
+}, {
+  tableName: 'order_tax_lines',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+// Metodo de clase para resumir las lineas de impuesto de un pedido por tasa
+OrderTaxLine.summarizeByRate = function(taxLines) {
+  const summary = new Map();
+
+  for (const line of taxLines) {
+    const key = `${line.name}|${line.rate}`;
+    const entry = summary.get(key) || { name: line.name, rate: line.rate, taxable_amount: 0, tax_amount: 0 };
+    entry.taxable_amount = roundAmount(entry.taxable_amount + line.taxable_amount);
+    entry.tax_amount = roundAmount(entry.tax_amount + line.tax_amount);
+    summary.set(key, entry);
+  }
+
+  return Array.from(summary.values());
+};
+
+module.exports = OrderTaxLine;
@@ -0,0 +1,194 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+const { roundAmount } = require('../utils/money');
+
+// Estados de un pago
+const PAYMENT_STATUSES = ['pending', 'requires_action', 'authorized', 'captured', 'failed', 'refunded'];
+
+// Esquema de validacion Joi para pagos
+const paymentValidationSchema = {
+  create: Joi.object({
+    order_id: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .messages({
+        'number.base': 'El ID del pedido debe ser un numero',
+        'number.integer': 'El ID del pedido debe ser un numero entero',
+        'number.positive': 'El ID del pedido debe ser mayor a 0',
+        'any.required': 'El ID del pedido es requerido'
+      }),
+    card: Joi.object({
+      number: Joi.string()
+        .pattern(/^\d{12,19}$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'El numero de tarjeta debe tener entre 12 y 19 digitos',
+          'string.empty': 'El numero de tarjeta es requerido',
+          'any.required': 'El numero de tarjeta es requerido'
+        }),
+      exp_month: Joi.number()
+        .integer()
+        .min(1)
+        .max(12)
+        .required()
+        .messages({
+          'number.base': 'El mes de vencimiento debe ser un numero',
+          'number.min': 'El mes de vencimiento debe estar entre 1 y 12',
+          'number.max': 'El mes de vencimiento debe estar entre 1 y 12',
+          'any.required': 'El mes de vencimiento es requerido'
+        }),
+      exp_year: Joi.number()
+        .integer()
+        .min(new Date().getFullYear())
+        .required()
+        .messages({
+          'number.base': 'El anio de vencimiento debe ser un numero',
+          'number.min': 'La tarjeta esta vencida',
+          'any.required': 'El anio de vencimiento es requerido'
+        }),
+      cvc: Joi.string()
+        .pattern(/^\d{3,4}$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'El codigo de seguridad debe tener 3 o 4 digitos',
+          'string.empty': 'El codigo de seguridad es requerido',
+          'any.required': 'El codigo de seguridad es requerido'
+        })
+    })
+      .required()
+      .messages({
+        'any.required': 'Los datos de la tarjeta son requeridos'
+      })
+  })
+};
+
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  provider: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  provider_payment_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    unique: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      isDecimal: true,
+      min: 0.01
+    },
+    get() {
+      const value = this.getDataValue('amount');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  status: {
+    type: DataTypes.ENUM(...PAYMENT_STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  refunded_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isDecimal: true,
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('refunded_amount');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  card_last4: {
+    type: DataTypes.STRING(4),
+    allowNull: true
+  },
+  failure_code: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  failure_message: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  captured_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  refunded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'payments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['order_id']
+    }
+  ]
+});
+
+// Metodo de clase para buscar un pago por su ID en el proveedor
+Payment.findByProviderId = async function(provider, providerPaymentId) {
+  return await this.findOne({
+    where: {
+      provider,
+      provider_payment_id: providerPaymentId
+    }
+  });
+};
+
+// Metodo de instancia para verificar si el pago esta en un estado final
+Payment.prototype.isFinal = function() {
+  return ['failed', 'refunded'].includes(this.status);
+};
+
+// Metodo de instancia para obtener el monto que aun puede reembolsarse
+Payment.prototype.getRefundableAmount = function() {
+  if (this.status !== 'captured') {
+    return 0;
+  }
+  return roundAmount(this.amount - this.refunded_amount);
+};
+
+// Metodo de instancia para verificar si el pago requiere accion del cliente
+Payment.prototype.requiresAction = function() {
+  return this.status === 'requires_action';
+};
+
+module.exports = Payment;
+module.exports.validationSchema = paymentValidationSchema;
+module.exports.STATUSES = PAYMENT_STATUSES;
@@ -1,6 +1,24 @@
 const { DataTypes } = require('sequelize');
 const Joi = require('joi');
 const { sequelize } = require('../config/database');
+const { TAX_CLASSES } = require('./TaxRate');
+const productSearchIndex = require('../utils/productSearchIndex');
+
+// Campos que forman parte del indice de busqueda de texto completo
+const SEARCH_INDEX_FIELDS = ['name', 'description', 'sku', 'category_id'];
+
+// Agregados de las resenas aprobadas; solo los escribe ReviewService.updateProductAverageRating
+const RATING_AGGREGATE_FIELDS = [
+  'average_rating', 'review_count',
+  'rating_1_count', 'rating_2_count', 'rating_3_count', 'rating_4_count', 'rating_5_count',
+  'rating_score'
+];
+
+const ratingCountField = () => ({
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  defaultValue: 0
+});
 
 // Esquema de validacion Joi para productos
 const productValidationSchema = {
@@ -49,6 +67,13 @@ const productValidationSchema = {
         'string.min': 'El SKU debe tener al menos 3 caracteres',
         'string.max': 'El SKU no puede exceder 100 caracteres'
       }),
+    brand: Joi.string()
+      .trim()
+      .max(100)
+      .allow('', null)
+      .messages({
+        'string.max': 'La marca no puede exceder 100 caracteres'
+      }),
     image_url: Joi.string()
       .uri()
       .max(500)
@@ -57,6 +82,45 @@ const productValidationSchema = {
         'string.uri': 'La URL de imagen debe ser valida',
         'string.max': 'La URL de imagen no puede exceder 500 caracteres'
       }),
+    tax_class: Joi.string()
+      .valid(...TAX_CLASSES)
+      .default('standard')
+      .messages({
+        'any.only': `La clase de impuesto debe ser: ${TAX_CLASSES.join(', ')}`
+      }),
+    weight: Joi.number()
+      .min(0)
+      .precision(3)
+      .allow(null)
+      .messages({
+        'number.base': 'El peso debe ser un numero',
+        'number.min': 'El peso no puede ser negativo',
+        'number.precision': 'El peso debe tener maximo 3 decimales'
+      }),
+    length: Joi.number()
+      .min(0)
+      .precision(2)
+      .allow(null)
+      .messages({
+        'number.base': 'El largo debe ser un numero',
+        'number.min': 'El largo no puede ser negativo'
+      }),
+    width: Joi.number()
+      .min(0)
+      .precision(2)
+      .allow(null)
+      .messages({
+        'number.base': 'El ancho debe ser un numero',
+        'number.min': 'El ancho no puede ser negativo'
+      }),
+    height: Joi.number()
+      .min(0)
+      .precision(2)
+      .allow(null)
+      .messages({
+        'number.base': 'El alto debe ser un numero',
+        'number.min': 'El alto no puede ser negativo'
+      }),
     is_active: Joi.boolean()
       .default(true)
   }),
@@ -101,6 +165,13 @@ const productValidationSchema = {
         'string.min': 'El SKU debe tener al menos 3 caracteres',
         'string.max': 'El SKU no puede exceder 100 caracteres'
       }),
+    brand: Joi.string()
+      .trim()
+      .max(100)
+      .allow('', null)
+      .messages({
+        'string.max': 'La marca no puede exceder 100 caracteres'
+      }),
     image_url: Joi.string()
       .uri()
       .max(500)
@@ -109,6 +180,44 @@ const productValidationSchema = {
         'string.uri': 'La URL de imagen debe ser valida',
         'string.max': 'La URL de imagen no puede exceder 500 caracteres'
       }),
+    tax_class: Joi.string()
+      .valid(...TAX_CLASSES)
+      .messages({
+        'any.only': `La clase de impuesto debe ser: ${TAX_CLASSES.join(', ')}`
+      }),
+    weight: Joi.number()
+      .min(0)
+      .precision(3)
+      .allow(null)
+      .messages({
+        'number.base': 'El peso debe ser un numero',
+        'number.min': 'El peso no puede ser negativo',
+        'number.precision': 'El peso debe tener maximo 3 decimales'
+      }),
+    length: Joi.number()
+      .min(0)
+      .precision(2)
+      .allow(null)
+      .messages({
+        'number.base': 'El largo debe ser un numero',
+        'number.min': 'El largo no puede ser negativo'
+      }),
+    width: Joi.number()
+      .min(0)
+      .precision(2)
+      .allow(null)
+      .messages({
+        'number.base': 'El ancho debe ser un numero',
+        'number.min': 'El ancho no puede ser negativo'
+      }),
+    height: Joi.number()
+      .min(0)
+      .precision(2)
+      .allow(null)
+      .messages({
+        'number.base': 'El alto debe ser un numero',
+        'number.min': 'El alto no puede ser negativo'
+      }),
     is_active: Joi.boolean()
   })
 };
@@ -163,6 +272,10 @@ const Product = sequelize.define('Product', {
       isAlphanumeric: true
     }
   },
+  brand: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
   image_url: {
     type: DataTypes.STRING(500),
     allowNull: true,
@@ -171,10 +284,66 @@ const Product = sequelize.define('Product', {
       isUrl: true
     }
   },
+  tax_class: {
+    type: DataTypes.ENUM(...TAX_CLASSES),
+    defaultValue: 'standard',
+    allowNull: false
+  },
+  // Peso en kg y dimensiones en cm, usados para calcular el costo de envio
+  weight: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  length: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  width: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  height: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
     allowNull: false
+  },
+  average_rating: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  review_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Histograma de 1 a 5 estrellas
+  rating_1_count: ratingCountField(),
+  rating_2_count: ratingCountField(),
+  rating_3_count: ratingCountField(),
+  rating_4_count: ratingCountField(),
+  rating_5_count: ratingCountField(),
+  // Promedio bayesiano usado para ordenar por valoracion (0 sin resenas)
+  rating_score: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
   tableName: 'products',
@@ -189,6 +358,18 @@ const Product = sequelize.define('Product', {
         const random = Math.random().toString(36).substring(2, 8);
         product.sku = `PROD-${timestamp}-${random}`.toUpperCase();
       }
+    },
+    // Mantener sincronizado el indice de busqueda de texto completo
+    afterCreate: async (product, options) => {
+      await productSearchIndex.indexProducts([product.id], { transaction: options.transaction });
+    },
+    afterUpdate: async (product, options) => {
+      if (SEARCH_INDEX_FIELDS.some(field => product.changed(field))) {
+        await productSearchIndex.indexProducts([product.id], { transaction: options.transaction });
+      }
+    },
+    afterDestroy: async (product, options) => {
+      await productSearchIndex.removeProducts([product.id], { transaction: options.transaction });
     }
   }
 });
@@ -244,15 +425,15 @@ Product.findBySku = async function(sku) {
 Product.prototype.getInventory = async function() {
   const { Inventory } = require('./index');
   return await Inventory.findOne({
-    where: { product_id: this.id }
+    where: { product_id: this.id, variant_id: null }
   });
 };
 
-// Metodo de instancia para obtener resenas
+// Metodo de instancia para obtener resenas aprobadas
 Product.prototype.getReviews = async function(options = {}) {
   const { Review } = require('./index');
   return await Review.findAll({
-    where: { product_id: this.id },
+    where: { product_id: this.id, status: 'approved' },
     include: [{
       model: require('./User'),
       as: 'user',
@@ -263,11 +444,11 @@ Product.prototype.getReviews = async function(options = {}) {
   });
 };
 
-// Metodo de instancia para calcular rating promedio
+// Metodo de instancia para calcular rating promedio (solo resenas aprobadas)
 Product.prototype.getAverageRating = async function() {
   const { Review } = require('./index');
   const result = await Review.findOne({
-    where: { product_id: this.id },
+    where: { product_id: this.id, status: 'approved' },
     attributes: [
       [sequelize.fn('AVG', sequelize.col('rating')), 'averageRating'],
       [sequelize.fn('COUNT', sequelize.col('id')), 'totalReviews']
@@ -280,6 +461,33 @@ Product.prototype.getAverageRating = async function() {
   };
 };
 
+// Metodo de instancia para obtener el resumen de valoraciones guardado (promedio, puntuacion e histograma)
+Product.prototype.getRatingSummary = function() {
+  const distribution = {};
+  for (let stars = 5; stars >= 1; stars--) {
+    distribution[stars] = this[`rating_${stars}_count`] || 0;
+  }
+
+  return {
+    average_rating: parseFloat(this.average_rating || 0),
+    review_count: this.review_count || 0,
+    rating_score: parseFloat(this.rating_score || 0),
+    distribution
+  };
+};
+
+// Metodo de instancia para obtener el peso facturable de una unidad (kg)
+// Se cobra el mayor entre el peso real y el volumetrico (largo x ancho x alto / divisor)
+Product.prototype.getShippingWeight = function(volumetricDivisor = 5000) {
+  const weight = parseFloat(this.weight || 0);
+  if (!this.length || !this.width || !this.height) {
+    return weight;
+  }
+
+  const volumetricWeight = parseFloat(this.length) * parseFloat(this.width) * parseFloat(this.height) / volumetricDivisor;
+  return Math.max(weight, volumetricWeight);
+};
+
 // Metodo de instancia para formatear precio
 Product.prototype.getFormattedPrice = function() {
   return `$${parseFloat(this.price).toFixed(2)}`;
@@ -287,3 +495,4 @@ Product.prototype.getFormattedPrice = function() {
 
 module.exports = Product;
 module.exports.validationSchema = productValidationSchema;
+module.exports.RATING_AGGREGATE_FIELDS = RATING_AGGREGATE_FIELDS;
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { moderationAttributes } = require('./ProductQuestion');
+
+// Respuesta a una pregunta de producto: oficial (administrador) o de un comprador verificado
+const ProductAnswer = sequelize.define('ProductAnswer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  question_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'product_questions',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [2, 2000]
+    }
+  },
+  is_official: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  is_verified_purchase: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  ...moderationAttributes()
+}, {
+  tableName: 'product_answers',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Metodo de instancia para verificar si es publica
+ProductAnswer.prototype.isPublic = function() {
+  return this.status === 'approved';
+};
+
+module.exports = ProductAnswer;
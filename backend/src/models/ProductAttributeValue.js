@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Columna donde se guarda el valor segun el tipo del atributo
+const VALUE_COLUMNS = {
+  text: 'value_text',
+  enum: 'value_text',
+  number: 'value_number',
+  boolean: 'value_boolean'
+};
+
+// Valor de un atributo para un producto
+const ProductAttributeValue = sequelize.define('ProductAttributeValue', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  attribute_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'attribute_definitions',
+      key: 'id'
+    }
+  },
+  value_text: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  value_number: {
+    type: DataTypes.DECIMAL(14, 4),
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('value_number');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  value_boolean: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true
+  }
+}, {
+  tableName: 'product_attribute_values',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Metodo de instancia para leer el valor segun el tipo del atributo
+ProductAttributeValue.prototype.getValue = function(type) {
+  const value = this.get(VALUE_COLUMNS[type]);
+  return type === 'boolean' && value !== null ? Boolean(value) : value;
+};
+
+module.exports = ProductAttributeValue;
+module.exports.VALUE_COLUMNS = VALUE_COLUMNS;
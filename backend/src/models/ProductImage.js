@@ -0,0 +1,160 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+// Resuelve la URL publica de una clave de archivo; lo configura el servicio de imagenes
+// segun el almacenamiento en uso
+let resolveUrl = (key) => key;
+
+const altTextField = Joi.string()
+  .trim()
+  .max(255)
+  .allow('', null)
+  .messages({
+    'string.max': 'El texto alternativo no puede exceder 255 caracteres'
+  });
+
+// Esquema de validacion Joi para imagenes de producto
+const productImageValidationSchema = {
+  // Campos de texto que acompanan la subida multipart
+  upload: Joi.object({
+    alt_text: altTextField
+  }),
+
+  update: Joi.object({
+    alt_text: altTextField,
+    position: Joi.number()
+      .integer()
+      .min(0)
+      .messages({
+        'number.base': 'La posicion debe ser un numero',
+        'number.min': 'La posicion no puede ser negativa'
+      }),
+    // Solo se puede marcar como principal; la anterior deja de serlo
+    is_primary: Joi.boolean()
+      .valid(true)
+      .messages({
+        'any.only': 'Para cambiar la imagen principal marque otra imagen como principal'
+      })
+  })
+    .min(1)
+    .messages({
+      'object.min': 'Debe enviar al menos un campo para actualizar'
+    }),
+
+  reorder: Joi.object({
+    image_ids: Joi.array()
+      .items(Joi.number().integer().positive())
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'array.base': 'image_ids debe ser una lista de IDs de imagen',
+        'array.min': 'image_ids debe contener al menos una imagen',
+        'array.unique': 'image_ids no puede repetir imagenes',
+        'number.base': 'Cada ID de imagen debe ser un numero',
+        'any.required': 'image_ids es requerido'
+      })
+  })
+};
+
+const ProductImage = sequelize.define('ProductImage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  // Claves de cada version en el almacenamiento
+  original_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  medium_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  thumbnail_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  mime_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  size_bytes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  alt_text: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  is_primary: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // URLs publicas de cada version
+  url: {
+    type: DataTypes.VIRTUAL(DataTypes.STRING, ['original_key']),
+    get() {
+      const key = this.getDataValue('original_key');
+      return key ? resolveUrl(key) : undefined;
+    }
+  },
+  medium_url: {
+    type: DataTypes.VIRTUAL(DataTypes.STRING, ['medium_key']),
+    get() {
+      const key = this.getDataValue('medium_key');
+      return key ? resolveUrl(key) : undefined;
+    }
+  },
+  thumbnail_url: {
+    type: DataTypes.VIRTUAL(DataTypes.STRING, ['thumbnail_key']),
+    get() {
+      const key = this.getDataValue('thumbnail_key');
+      return key ? resolveUrl(key) : undefined;
+    }
+  }
+}, {
+  tableName: 'product_images',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Metodo estatico para configurar como se construyen las URLs de las imagenes
+ProductImage.setUrlResolver = function(resolver) {
+  resolveUrl = resolver;
+};
+
+// Metodo de instancia para obtener las claves de todas las versiones
+ProductImage.prototype.getStorageKeys = function() {
+  return [this.original_key, this.medium_key, this.thumbnail_key];
+};
+
+module.exports = ProductImage;
+module.exports.validationSchema = productImageValidationSchema;
@@ -0,0 +1,138 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+const { REVIEW_STATUSES } = require('./Review');
+
+// Preguntas y respuestas siguen el mismo flujo de moderacion que las resenas
+const QA_STATUSES = REVIEW_STATUSES;
+
+// Esquema de validacion Joi para preguntas y respuestas
+const questionValidationSchema = {
+  ask: Joi.object({
+    body: Joi.string()
+      .trim()
+      .min(10)
+      .max(1000)
+      .required()
+      .messages({
+        'string.empty': 'La pregunta es requerida',
+        'string.min': 'La pregunta debe tener al menos 10 caracteres',
+        'string.max': 'La pregunta no puede exceder 1000 caracteres',
+        'any.required': 'La pregunta es requerida'
+      })
+  }),
+  answer: Joi.object({
+    body: Joi.string()
+      .trim()
+      .min(2)
+      .max(2000)
+      .required()
+      .messages({
+        'string.empty': 'La respuesta es requerida',
+        'string.min': 'La respuesta debe tener al menos 2 caracteres',
+        'string.max': 'La respuesta no puede exceder 2000 caracteres',
+        'any.required': 'La respuesta es requerida'
+      })
+  })
+};
+
+// Campos de moderacion comunes a preguntas y respuestas
+const moderationAttributes = () => ({
+  status: {
+    type: DataTypes.ENUM(...QA_STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  rejection_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Marcada por el filtro de palabras al publicarse
+  is_flagged: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Terminos del filtro encontrados en el texto, guardados como JSON
+  flagged_terms: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const raw = this.getDataValue('flagged_terms');
+      return raw ? JSON.parse(raw) : [];
+    },
+    set(value) {
+      this.setDataValue('flagged_terms', value && value.length > 0 ? JSON.stringify(value) : null);
+    }
+  },
+  upvote_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  moderated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  moderated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+});
+
+// Pregunta de un cliente sobre un producto
+const ProductQuestion = sequelize.define('ProductQuestion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [10, 1000]
+    }
+  },
+  ...moderationAttributes(),
+  // Respuestas aprobadas, recalculado al publicar o moderar una respuesta
+  answer_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'product_questions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Metodo de instancia para verificar si es publica
+ProductQuestion.prototype.isPublic = function() {
+  return this.status === 'approved';
+};
+
+module.exports = ProductQuestion;
+module.exports.validationSchema = questionValidationSchema;
+module.exports.moderationAttributes = moderationAttributes;
+module.exports.QA_STATUSES = QA_STATUSES;
@@ -0,0 +1,186 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+const variantFields = {
+  sku: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9-]+$/)
+    .min(3)
+    .max(100)
+    .messages({
+      'string.empty': 'El SKU de la variante es requerido',
+      'string.pattern.base': 'El SKU solo puede contener letras, numeros y guiones',
+      'string.min': 'El SKU debe tener al menos 3 caracteres',
+      'string.max': 'El SKU no puede exceder 100 caracteres',
+      'any.required': 'El SKU de la variante es requerido'
+    }),
+  price: Joi.number()
+    .positive()
+    .precision(2)
+    .allow(null)
+    .messages({
+      'number.base': 'El precio debe ser un numero',
+      'number.positive': 'El precio debe ser mayor a 0',
+      'number.precision': 'El precio debe tener maximo 2 decimales'
+    }),
+  // Peso propio de la variante en kg; NULL usa el peso del producto
+  weight: Joi.number()
+    .min(0)
+    .precision(3)
+    .allow(null)
+    .messages({
+      'number.base': 'El peso debe ser un numero',
+      'number.min': 'El peso no puede ser negativo',
+      'number.precision': 'El peso debe tener maximo 3 decimales'
+    }),
+  image_url: Joi.string()
+    .uri()
+    .max(500)
+    .allow(null)
+    .messages({
+      'string.uri': 'La URL de imagen debe ser valida',
+      'string.max': 'La URL de imagen no puede exceder 500 caracteres'
+    }),
+  position: Joi.number()
+    .integer()
+    .min(0)
+    .messages({
+      'number.base': 'La posicion debe ser un numero',
+      'number.min': 'La posicion no puede ser negativa'
+    }),
+  is_active: Joi.boolean(),
+  // Valor de cada tipo de opcion, por ejemplo { "talla": "M", "color": "Rojo" }
+  options: Joi.object()
+    .pattern(
+      Joi.string().trim().max(50),
+      Joi.string().trim().min(1).max(100).messages({
+        'string.base': 'El valor de cada opcion debe ser texto',
+        'string.empty': 'El valor de una opcion no puede estar vacio',
+        'string.max': 'El valor de una opcion no puede exceder 100 caracteres'
+      })
+    )
+    .min(1)
+    .messages({
+      'object.base': 'Las opciones deben ser un objeto con el valor de cada opcion',
+      'object.min': 'La variante debe tener al menos una opcion',
+      'any.required': 'Las opciones de la variante son requeridas'
+    })
+};
+
+// Esquema de validacion Joi para variantes de producto
+const productVariantValidationSchema = {
+  create: Joi.object({
+    ...variantFields,
+    sku: variantFields.sku.required(),
+    price: variantFields.price.default(null),
+    options: variantFields.options.required(),
+    // Inventario inicial de la variante
+    stock: Joi.object({
+      quantity: Joi.number().integer().min(0).default(0),
+      min_stock: Joi.number().integer().min(0).default(5),
+      max_stock: Joi.number().integer().min(1).default(100)
+    })
+      .default()
+      .messages({
+        'number.base': 'Los valores de stock deben ser numeros',
+        'number.integer': 'Los valores de stock deben ser numeros enteros',
+        'number.min': 'Los valores de stock no pueden ser negativos'
+      })
+  }),
+
+  update: Joi.object(variantFields)
+    .min(1)
+    .messages({
+      'object.min': 'Debe enviar al menos un campo para actualizar'
+    })
+};
+
+const ProductVariant = sequelize.define('ProductVariant', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  sku: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      len: [3, 100]
+    }
+  },
+  // Precio propio de la variante; NULL usa el precio del producto
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('price');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  // Peso propio de la variante en kg; NULL usa el peso facturable del producto
+  weight: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  image_url: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'product_variants',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Metodo de instancia para obtener el precio de venta (propio o el del producto)
+ProductVariant.prototype.getUnitPrice = function(product) {
+  return this.price !== null && this.price !== undefined ? this.price : parseFloat(product.price);
+};
+
+// Metodo de instancia para obtener el peso de envio de una unidad (propio o el del producto)
+ProductVariant.prototype.getShippingWeight = function(product) {
+  return this.weight !== null && this.weight !== undefined
+    ? parseFloat(this.weight)
+    : product.getShippingWeight();
+};
+
+// Metodo de instancia para obtener las opciones como { opcion: valor }
+// Requiere optionValues incluidos con su tipo de opcion
+ProductVariant.prototype.getOptionMap = function() {
+  return (this.optionValues || []).reduce((options, optionValue) => {
+    if (optionValue.option) {
+      options[optionValue.option.name] = optionValue.value;
+    }
+    return options;
+  }, {});
+};
+
+module.exports = ProductVariant;
+module.exports.validationSchema = productVariantValidationSchema;
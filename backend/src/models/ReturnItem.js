@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { DISPOSITIONS } = require('./ReturnRequest');
+
+const ReturnItem = sequelize.define('ReturnItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  return_request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'return_requests',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  order_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'order_items',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  disposition: {
+    type: DataTypes.ENUM(...DISPOSITIONS),
+    allowNull: true
+  },
+  refund_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isDecimal: true,
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('refund_amount');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  }
+}, {
+  tableName: 'return_items',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['return_request_id']
+    },
+    {
+      fields: ['order_item_id']
+    }
+  ]
+});
+
+// Metodo de clase para obtener la cantidad ya devuelta (o en proceso) de un item de pedido
+ReturnItem.getReturnedQuantity = async function(orderItemId, options = {}) {
+  const ReturnRequest = require('./ReturnRequest');
+  const total = await this.sum('quantity', {
+    where: { order_item_id: orderItemId },
+    include: [{
+      model: ReturnRequest,
+      as: 'returnRequest',
+      where: { status: ['requested', 'approved', 'received', 'refunded'] },
+      attributes: []
+    }],
+    ...options
+  });
+
+  return total || 0;
+};
+
+module.exports = ReturnItem;
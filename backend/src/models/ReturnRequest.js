@@ -0,0 +1,266 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+// Transiciones de estado permitidas de una devolucion (todas las realiza un admin)
+const RETURN_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+const RETURN_STATUSES = Object.keys(RETURN_STATUS_TRANSITIONS);
+
+// Destinos posibles de los items recibidos
+const RETURN_DISPOSITIONS = ['restock', 'write_off'];
+
+// Esquema de validacion Joi para devoluciones
+const returnRequestValidationSchema = {
+  create: Joi.object({
+    reason: Joi.string()
+      .trim()
+      .min(5)
+      .max(1000)
+      .required()
+      .messages({
+        'string.empty': 'El motivo de la devolucion es requerido',
+        'string.min': 'El motivo debe tener al menos 5 caracteres',
+        'string.max': 'El motivo no puede exceder 1000 caracteres',
+        'any.required': 'El motivo de la devolucion es requerido'
+      }),
+    items: Joi.array()
+      .items(Joi.object({
+        order_item_id: Joi.number()
+          .integer()
+          .positive()
+          .required()
+          .messages({
+            'number.base': 'El ID del item debe ser un numero',
+            'number.positive': 'El ID del item debe ser mayor a 0',
+            'any.required': 'El ID del item es requerido'
+          }),
+        quantity: Joi.number()
+          .integer()
+          .min(1)
+          .required()
+          .messages({
+            'number.base': 'La cantidad debe ser un numero',
+            'number.min': 'La cantidad debe ser al menos 1',
+            'any.required': 'La cantidad es requerida'
+          })
+      }))
+      .min(1)
+      .unique('order_item_id')
+      .required()
+      .messages({
+        'array.min': 'Debe incluir al menos un item a devolver',
+        'array.unique': 'Cada item del pedido solo puede aparecer una vez',
+        'any.required': 'Los items a devolver son requeridos'
+      })
+  }),
+
+  review: Joi.object({
+    note: Joi.string()
+      .trim()
+      .max(500)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'La nota no puede exceder 500 caracteres'
+      })
+  }),
+
+  receive: Joi.object({
+    items: Joi.array()
+      .items(Joi.object({
+        return_item_id: Joi.number()
+          .integer()
+          .positive()
+          .required()
+          .messages({
+            'number.base': 'El ID del item de devolucion debe ser un numero',
+            'any.required': 'El ID del item de devolucion es requerido'
+          }),
+        disposition: Joi.string()
+          .valid(...RETURN_DISPOSITIONS)
+          .required()
+          .messages({
+            'any.only': `El destino debe ser: ${RETURN_DISPOSITIONS.join(', ')}`,
+            'any.required': 'El destino del item es requerido'
+          })
+      }))
+      .unique('return_item_id')
+      .default([])
+      .messages({
+        'array.unique': 'Cada item de devolucion solo puede aparecer una vez'
+      }),
+    default_disposition: Joi.string()
+      .valid(...RETURN_DISPOSITIONS)
+      .default('restock')
+      .messages({
+        'any.only': `El destino por defecto debe ser: ${RETURN_DISPOSITIONS.join(', ')}`
+      }),
+    note: Joi.string()
+      .trim()
+      .max(500)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'La nota no puede exceder 500 caracteres'
+      })
+  }),
+
+  refund: Joi.object({
+    items: Joi.array()
+      .items(Joi.object({
+        return_item_id: Joi.number()
+          .integer()
+          .positive()
+          .required()
+          .messages({
+            'number.base': 'El ID del item de devolucion debe ser un numero',
+            'any.required': 'El ID del item de devolucion es requerido'
+          }),
+        amount: Joi.number()
+          .min(0)
+          .precision(2)
+          .required()
+          .messages({
+            'number.base': 'El monto debe ser un numero',
+            'number.min': 'El monto no puede ser negativo',
+            'any.required': 'El monto a reembolsar es requerido'
+          })
+      }))
+      .unique('return_item_id')
+      .optional()
+      .messages({
+        'array.unique': 'Cada item de devolucion solo puede aparecer una vez'
+      })
+  })
+};
+
+const ReturnRequest = sequelize.define('ReturnRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  rma_number: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  status: {
+    type: DataTypes.ENUM(...RETURN_STATUSES),
+    allowNull: false,
+    defaultValue: 'requested'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [5, 1000]
+    }
+  },
+  admin_note: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 500]
+    }
+  },
+  refund_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isDecimal: true,
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('refund_amount');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  reviewed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  received_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  refunded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'return_requests',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['order_id']
+    }
+  ],
+  hooks: {
+    // Generar numero de devolucion automaticamente
+    beforeValidate: (returnRequest) => {
+      if (!returnRequest.rma_number) {
+        const timestamp = Date.now().toString(36);
+        const random = Math.random().toString(36).substring(2, 8);
+        returnRequest.rma_number = `RMA-${timestamp}-${random}`.toUpperCase();
+      }
+    }
+  }
+});
+
+// Metodo de instancia para verificar si la devolucion puede pasar a un estado
+ReturnRequest.prototype.canTransitionTo = function(newStatus) {
+  return (RETURN_STATUS_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+// Metodo de instancia para verificar si la devolucion sigue abierta
+ReturnRequest.prototype.isOpen = function() {
+  return !['rejected', 'refunded'].includes(this.status);
+};
+
+module.exports = ReturnRequest;
+module.exports.validationSchema = returnRequestValidationSchema;
+module.exports.STATUS_TRANSITIONS = RETURN_STATUS_TRANSITIONS;
+module.exports.DISPOSITIONS = RETURN_DISPOSITIONS;
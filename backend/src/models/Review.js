@@ -2,6 +2,35 @@ const { DataTypes } = require('sequelize');
 const Joi = require('joi');
 const { sequelize } = require('../config/database');
 
+// Estados de moderacion: solo las resenas aprobadas son publicas y cuentan en los promedios
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'hidden'];
+
+// Motivos por los que un cliente puede denunciar una resena
+const REPORT_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'other'];
+
+const moderationFields = {
+  status: Joi.string()
+    .valid(...REVIEW_STATUSES)
+    .required()
+    .messages({
+      'any.only': `El estado debe ser: ${REVIEW_STATUSES.join(', ')}`,
+      'any.required': 'El estado es requerido'
+    }),
+  rejection_reason: Joi.string()
+    .trim()
+    .max(255)
+    .when('status', {
+      is: 'rejected',
+      then: Joi.required(),
+      otherwise: Joi.allow(null, '')
+    })
+    .messages({
+      'string.empty': 'El motivo de rechazo es requerido',
+      'string.max': 'El motivo de rechazo no puede exceder 255 caracteres',
+      'any.required': 'El motivo de rechazo es requerido al rechazar una resena'
+    })
+};
+
 // Esquema de validacion Joi para resenas
 const reviewValidationSchema = {
   create: Joi.object({
@@ -64,6 +93,56 @@ const reviewValidationSchema = {
         'string.max': 'El comentario no puede exceder 1000 caracteres'
       }),
     is_verified_purchase: Joi.boolean()
+  }),
+
+  // Cambio de estado por un administrador
+  moderate: Joi.object(moderationFields),
+
+  // Cambio de estado de varias resenas a la vez desde la cola de moderacion
+  bulkModerate: Joi.object({
+    ...moderationFields,
+    review_ids: Joi.array()
+      .items(Joi.number().integer().positive())
+      .min(1)
+      .max(100)
+      .unique()
+      .required()
+      .messages({
+        'array.base': 'review_ids debe ser una lista de IDs',
+        'array.min': 'Debe enviar al menos una resena',
+        'array.max': 'No se pueden moderar mas de 100 resenas a la vez',
+        'array.unique': 'Las resenas no pueden repetirse',
+        'number.base': 'Cada ID de resena debe ser un numero',
+        'any.required': 'review_ids es requerido'
+      })
+  }),
+
+  // Voto de utilidad de un cliente
+  vote: Joi.object({
+    helpful: Joi.boolean()
+      .required()
+      .messages({
+        'boolean.base': 'helpful debe ser verdadero o falso',
+        'any.required': 'helpful es requerido'
+      })
+  }),
+
+  // Denuncia de un cliente
+  report: Joi.object({
+    reason: Joi.string()
+      .valid(...REPORT_REASONS)
+      .required()
+      .messages({
+        'any.only': `El motivo debe ser: ${REPORT_REASONS.join(', ')}`,
+        'any.required': 'El motivo de la denuncia es requerido'
+      }),
+    details: Joi.string()
+      .trim()
+      .max(500)
+      .allow(null, '')
+      .messages({
+        'string.max': 'El detalle no puede exceder 500 caracteres'
+      })
   })
 };
 
@@ -117,6 +196,66 @@ const Review = sequelize.define('Review', {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
     allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(...REVIEW_STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  rejection_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Marcada por el filtro de palabras o por acumular denuncias
+  is_flagged: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Terminos del filtro encontrados en el comentario, guardados como JSON
+  flagged_terms: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const raw = this.getDataValue('flagged_terms');
+      return raw ? JSON.parse(raw) : [];
+    },
+    set(value) {
+      this.setDataValue('flagged_terms', value && value.length > 0 ? JSON.stringify(value) : null);
+    }
+  },
+  report_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  moderated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  moderated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Conteos de votos de utilidad, recalculados en cada voto
+  helpful_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  not_helpful_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Limite inferior del intervalo de Wilson de los votos utiles, usado para ordenar por utilidad
+  helpfulness_score: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
   tableName: 'reviews',
@@ -150,7 +289,7 @@ const Review = sequelize.define('Review', {
 // Metodo de clase para obtener resenas por producto
 Review.getProductReviews = async function(productId, options = {}) {
   return await this.findAll({
-    where: { product_id: productId },
+    where: { product_id: productId, status: 'approved' },
     include: [{
       model: require('./User'),
       as: 'user',
@@ -178,7 +317,7 @@ Review.getUserReviews = async function(userId, options = {}) {
 // Metodo de clase para obtener estadisticas de resenas por producto
 Review.getProductStats = async function(productId) {
   const result = await this.findOne({
-    where: { product_id: productId },
+    where: { product_id: productId, status: 'approved' },
     attributes: [
       [sequelize.fn('AVG', sequelize.col('rating')), 'averageRating'],
       [sequelize.fn('COUNT', sequelize.col('id')), 'totalReviews'],
@@ -206,7 +345,8 @@ Review.getVerifiedReviews = async function(productId, options = {}) {
   return await this.findAll({
     where: { 
       product_id: productId,
-      is_verified_purchase: true
+      is_verified_purchase: true,
+      status: 'approved'
     },
     include: [{
       model: require('./User'),
@@ -241,6 +381,11 @@ Review.prototype.isVerified = function() {
   return this.is_verified_purchase;
 };
 
+// Metodo de instancia para verificar si es publica
+Review.prototype.isPublic = function() {
+  return this.status === 'approved';
+};
+
 // Metodo de instancia para obtener fecha formateada
 Review.prototype.getFormattedDate = function() {
   return this.created_at.toLocaleDateString('es-EC', {
@@ -252,3 +397,5 @@ Review.prototype.getFormattedDate = function() {
 
 module.exports = Review;
 module.exports.validationSchema = reviewValidationSchema;
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
+module.exports.REPORT_REASONS = REPORT_REASONS;
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+// Esquema de validacion Joi para respuestas de la tienda
+const replyValidationSchema = {
+  save: Joi.object({
+    body: Joi.string()
+      .trim()
+      .min(2)
+      .max(2000)
+      .required()
+      .messages({
+        'string.empty': 'La respuesta es requerida',
+        'string.min': 'La respuesta debe tener al menos 2 caracteres',
+        'string.max': 'La respuesta no puede exceder 2000 caracteres',
+        'any.required': 'La respuesta es requerida'
+      })
+  })
+};
+
+// Respuesta oficial de la tienda a una resena; cada resena tiene como maximo una
+const ReviewReply = sequelize.define('ReviewReply', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  review_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'reviews',
+      key: 'id'
+    }
+  },
+  author_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [2, 2000]
+    }
+  },
+  // Fecha de la ultima edicion (null si nunca se edito)
+  edited_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'review_replies',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = ReviewReply;
+module.exports.validationSchema = replyValidationSchema;
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Version anterior de una respuesta de la tienda, guardada cada vez que se edita
+const ReviewReplyRevision = sequelize.define('ReviewReplyRevision', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  reply_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'review_replies',
+      key: 'id'
+    }
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  edited_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'review_reply_revisions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+module.exports = ReviewReplyRevision;
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { REPORT_REASONS } = require('./Review');
+
+// Denuncia de una resena hecha por un cliente; queda abierta hasta que se modera la resena
+const ReviewReport = sequelize.define('ReviewReport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  review_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'reviews',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.ENUM(...REPORT_REASONS),
+    allowNull: false
+  },
+  details: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'resolved'),
+    allowNull: false,
+    defaultValue: 'open'
+  }
+}, {
+  tableName: 'review_reports',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = ReviewReport;
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Voto de utilidad de un cliente sobre una resena; un voto por usuario y resena
+const ReviewVote = sequelize.define('ReviewVote', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  review_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'reviews',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  is_helpful: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  }
+}, {
+  tableName: 'review_votes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = ReviewVote;
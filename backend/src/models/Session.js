@@ -0,0 +1,163 @@
+const { DataTypes, Op } = require('sequelize');
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  family_id: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    validate: {
+      len: [64, 64]
+    }
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_reason: {
+    type: DataTypes.ENUM(
+      'rotated',
+      'logout',
+      'revoked',
+      'reuse_detected',
+      'password_changed',
+      'password_reset',
+      'account_deactivated'
+    ),
+    allowNull: true
+  }
+}, {
+  tableName: 'sessions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['family_id']
+    }
+  ]
+});
+
+// Metodo de clase para obtener el hash de un refresh token
+Session.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Metodo de clase para buscar sesion por refresh token (vigente o no)
+Session.findByToken = async function(token, options = {}) {
+  return await this.findOne({
+    where: { token_hash: this.hashToken(token) },
+    ...options
+  });
+};
+
+// Metodo de clase para obtener las sesiones activas de un usuario
+Session.findActiveByUser = async function(userId) {
+  return await this.findAll({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    },
+    order: [['last_used_at', 'DESC'], ['created_at', 'DESC']]
+  });
+};
+
+// Metodo de clase para verificar si una familia de tokens sigue activa
+Session.isFamilyActive = async function(familyId) {
+  const count = await this.count({
+    where: {
+      family_id: familyId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    }
+  });
+  return count > 0;
+};
+
+// Metodo de clase para revocar todos los tokens de una familia
+Session.revokeFamily = async function(familyId, reason, options = {}) {
+  const [revoked] = await this.update({
+    revoked_at: new Date(),
+    revoked_reason: reason
+  }, {
+    where: { family_id: familyId, revoked_at: null },
+    ...options
+  });
+  return revoked;
+};
+
+// Metodo de clase para revocar todas las sesiones de un usuario
+Session.revokeAllForUser = async function(userId, reason, options = {}) {
+  const [revoked] = await this.update({
+    revoked_at: new Date(),
+    revoked_reason: reason
+  }, {
+    where: { user_id: userId, revoked_at: null },
+    ...options
+  });
+  return revoked;
+};
+
+// Metodo de instancia para verificar si la sesion esta vigente
+Session.prototype.isActive = function() {
+  return !this.revoked_at && new Date(this.expires_at) > new Date();
+};
+
+// Metodo de instancia para obtener datos publicos (sin hash del token)
+Session.prototype.toPublicJSON = function() {
+  return {
+    id: this.family_id,
+    user_agent: this.user_agent,
+    ip_address: this.ip_address,
+    last_used_at: this.last_used_at,
+    expires_at: this.expires_at,
+    created_at: this.created_at
+  };
+};
+
+module.exports = Session;
@@ -0,0 +1,245 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+const { roundAmount } = require('../utils/money');
+
+// Tipos de tarifa: monto fijo por envio o monto base mas un cargo por kg
+const RATE_TYPES = ['flat', 'weight_based'];
+
+const decimalGetter = (field) => function() {
+  const value = this.getDataValue(field);
+  return value === null || value === undefined ? value : parseFloat(value);
+};
+
+const methodFields = {
+  zone_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.base': 'El ID de la zona debe ser un numero',
+      'number.positive': 'El ID de la zona debe ser mayor a 0',
+      'any.required': 'La zona de envio es requerida'
+    }),
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .messages({
+      'string.empty': 'El nombre del metodo es requerido',
+      'string.min': 'El nombre del metodo debe tener al menos 2 caracteres',
+      'string.max': 'El nombre del metodo no puede exceder 100 caracteres',
+      'any.required': 'El nombre del metodo es requerido'
+    }),
+  description: Joi.string()
+    .max(500)
+    .allow('', null)
+    .messages({
+      'string.max': 'La descripcion no puede exceder 500 caracteres'
+    }),
+  rate_type: Joi.string()
+    .valid(...RATE_TYPES)
+    .messages({
+      'any.only': `El tipo de tarifa debe ser: ${RATE_TYPES.join(', ')}`
+    }),
+  base_rate: Joi.number()
+    .min(0)
+    .precision(2)
+    .messages({
+      'number.base': 'La tarifa base debe ser un numero',
+      'number.min': 'La tarifa base no puede ser negativa'
+    }),
+  rate_per_kg: Joi.number()
+    .min(0)
+    .precision(2)
+    .messages({
+      'number.base': 'La tarifa por kg debe ser un numero',
+      'number.min': 'La tarifa por kg no puede ser negativa'
+    }),
+  free_shipping_threshold: Joi.number()
+    .min(0)
+    .precision(2)
+    .allow(null)
+    .messages({
+      'number.base': 'El monto para envio gratis debe ser un numero',
+      'number.min': 'El monto para envio gratis no puede ser negativo'
+    }),
+  max_weight: Joi.number()
+    .greater(0)
+    .precision(3)
+    .allow(null)
+    .messages({
+      'number.base': 'El peso maximo debe ser un numero',
+      'number.greater': 'El peso maximo debe ser mayor a 0'
+    }),
+  min_delivery_days: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .messages({
+      'number.base': 'Los dias minimos de entrega deben ser un numero',
+      'number.min': 'Los dias minimos de entrega no pueden ser negativos'
+    }),
+  max_delivery_days: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .when('min_delivery_days', {
+      is: Joi.number().required(),
+      then: Joi.number().min(Joi.ref('min_delivery_days'))
+    })
+    .messages({
+      'number.base': 'Los dias maximos de entrega deben ser un numero',
+      'number.min': 'Los dias maximos de entrega no pueden ser menores a los minimos'
+    }),
+  is_active: Joi.boolean()
+};
+
+// Esquema de validacion Joi para metodos de envio
+const shippingMethodValidationSchema = {
+  create: Joi.object({
+    ...methodFields,
+    zone_id: methodFields.zone_id.required(),
+    name: methodFields.name.required(),
+    rate_type: methodFields.rate_type.default('flat'),
+    base_rate: methodFields.base_rate.default(0),
+    rate_per_kg: methodFields.rate_per_kg.default(0),
+    is_active: methodFields.is_active.default(true)
+  }),
+
+  update: Joi.object(methodFields)
+    .min(1)
+    .messages({
+      'object.min': 'Debe enviar al menos un campo para actualizar'
+    }),
+
+  quote: Joi.object({
+    items: Joi.array()
+      .items(Joi.object({
+        product_id: Joi.number().integer().positive().required(),
+        variant_id: Joi.number().integer().positive().allow(null),
+        quantity: Joi.number().integer().min(1).required()
+      }))
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'Debe incluir al menos un item',
+        'any.required': 'Los items son requeridos'
+      }),
+    address: Joi.alternatives()
+      .try(Joi.object(), Joi.string().min(10))
+      .required()
+      .messages({
+        'alternatives.match': 'La direccion debe ser un objeto o un texto de al menos 10 caracteres',
+        'any.required': 'La direccion de envio es requerida'
+      })
+  })
+};
+
+const ShippingMethod = sequelize.define('ShippingMethod', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  zone_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'shipping_zones',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [2, 100],
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  rate_type: {
+    type: DataTypes.ENUM(...RATE_TYPES),
+    allowNull: false,
+    defaultValue: 'flat'
+  },
+  base_rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    get: decimalGetter('base_rate')
+  },
+  rate_per_kg: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    get: decimalGetter('rate_per_kg')
+  },
+  // Monto de productos a partir del cual el envio es gratis (NULL = nunca)
+  free_shipping_threshold: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    get: decimalGetter('free_shipping_threshold')
+  },
+  // Peso facturable maximo que acepta el metodo (NULL = sin limite)
+  max_weight: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    get: decimalGetter('max_weight')
+  },
+  min_delivery_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  max_delivery_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'shipping_methods',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Metodo de instancia para verificar si el metodo acepta un envio con ese peso
+ShippingMethod.prototype.acceptsWeight = function(weight) {
+  return this.max_weight === null || this.max_weight === undefined || weight <= this.max_weight;
+};
+
+// Metodo de instancia para calcular el costo de un envio
+// goodsAmount es el monto de los productos ya descontado; weight el peso facturable en kg
+ShippingMethod.prototype.calculateCost = function(goodsAmount, weight) {
+  if (this.free_shipping_threshold !== null && this.free_shipping_threshold !== undefined &&
+      goodsAmount >= this.free_shipping_threshold) {
+    return 0;
+  }
+
+  let cost = this.base_rate;
+  if (this.rate_type === 'weight_based') {
+    // Se cobra por kg o fraccion
+    cost += Math.ceil(weight) * this.rate_per_kg;
+  }
+
+  return roundAmount(cost);
+};
+
+module.exports = ShippingMethod;
+module.exports.validationSchema = shippingMethodValidationSchema;
+module.exports.RATE_TYPES = RATE_TYPES;
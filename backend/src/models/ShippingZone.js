@@ -0,0 +1,125 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+const locationSchema = Joi.object({
+  country: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{2}$/)
+    .required()
+    .messages({
+      'string.empty': 'El pais de la ubicacion es requerido',
+      'string.pattern.base': 'El pais debe ser un codigo ISO de 2 letras',
+      'any.required': 'El pais de la ubicacion es requerido'
+    }),
+  region: Joi.string()
+    .trim()
+    .max(100)
+    .allow(null, '')
+    .default(null)
+    .messages({
+      'string.max': 'La region no puede exceder 100 caracteres'
+    })
+});
+
+const zoneFields = {
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .messages({
+      'string.empty': 'El nombre de la zona es requerido',
+      'string.min': 'El nombre de la zona debe tener al menos 2 caracteres',
+      'string.max': 'El nombre de la zona no puede exceder 100 caracteres',
+      'any.required': 'El nombre de la zona es requerido'
+    }),
+  is_default: Joi.boolean(),
+  is_active: Joi.boolean(),
+  locations: Joi.array()
+    .items(locationSchema)
+    .messages({
+      'array.base': 'Las ubicaciones deben ser una lista'
+    })
+};
+
+// Esquema de validacion Joi para zonas de envio
+const shippingZoneValidationSchema = {
+  create: Joi.object({
+    ...zoneFields,
+    name: zoneFields.name.required(),
+    is_default: zoneFields.is_default.default(false),
+    is_active: zoneFields.is_active.default(true),
+    locations: zoneFields.locations.default([])
+  }),
+
+  update: Joi.object(zoneFields)
+    .min(1)
+    .messages({
+      'object.min': 'Debe enviar al menos un campo para actualizar'
+    })
+};
+
+const ShippingZone = sequelize.define('ShippingZone', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [2, 100],
+      notEmpty: true
+    }
+  },
+  // La zona por defecto cubre los destinos que no coinciden con ninguna otra zona
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'shipping_zones',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Metodo de clase para obtener la zona que cubre un destino
+// Prioridad: zona con la region exacta, luego zona del pais completo, luego zona por defecto
+ShippingZone.findForDestination = async function(country, region, options = {}) {
+  const { ShippingZoneLocation } = require('./index');
+
+  if (country) {
+    const locations = await ShippingZoneLocation.findAll({
+      where: { country: country.toUpperCase() },
+      include: [{
+        model: this,
+        as: 'zone',
+        where: { is_active: true }
+      }],
+      ...options
+    });
+
+    const normalizedRegion = region ? region.toLowerCase() : null;
+    const match = locations.find(location => location.region && location.region.toLowerCase() === normalizedRegion)
+      || locations.find(location => !location.region);
+
+    if (match) {
+      return match.zone;
+    }
+  }
+
+  return await this.findOne({
+    where: { is_default: true, is_active: true },
+    ...options
+  });
+};
+
+module.exports = ShippingZone;
+module.exports.validationSchema = shippingZoneValidationSchema;
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ShippingZoneLocation = sequelize.define('ShippingZoneLocation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  zone_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'shipping_zones',
+      key: 'id'
+    }
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    validate: {
+      len: [2, 2]
+    }
+  },
+  // NULL cubre todo el pais
+  region: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  }
+}, {
+  tableName: 'shipping_zone_locations',
+  timestamps: false,
+  hooks: {
+    beforeValidate: (location) => {
+      if (location.country) {
+        location.country = location.country.trim().toUpperCase();
+      }
+      if (typeof location.region === 'string') {
+        location.region = location.region.trim() || null;
+      }
+    }
+  }
+});
+
+module.exports = ShippingZoneLocation;
@@ -0,0 +1,118 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Estados de una reserva de stock
+const RESERVATION_STATUSES = ['active', 'released', 'expired', 'fulfilled'];
+
+const StockReservation = sequelize.define('StockReservation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  // Variante del producto (NULL para productos sin variantes)
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: true,
+      min: 1
+    }
+  },
+  status: {
+    type: DataTypes.ENUM(...RESERVATION_STATUSES),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  closed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'stock_reservations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['order_id']
+    },
+    {
+      fields: ['status', 'expires_at']
+    }
+  ]
+});
+
+// Metodo de clase para obtener las reservas activas de un pedido
+StockReservation.findActiveByOrder = async function(orderId, options = {}) {
+  return await this.findAll({
+    where: { order_id: orderId, status: 'active' },
+    order: [['id', 'ASC']],
+    ...options
+  });
+};
+
+// Metodo de clase para obtener los pedidos pendientes con reservas activas vencidas
+StockReservation.findExpiredOrderIds = async function(now = new Date()) {
+  const { Order } = require('./index');
+  const reservations = await this.findAll({
+    attributes: ['order_id'],
+    where: {
+      status: 'active',
+      expires_at: { [Op.lte]: now }
+    },
+    include: [{
+      model: Order,
+      as: 'order',
+      where: { status: 'pending' },
+      attributes: []
+    }],
+    group: ['order_id']
+  });
+
+  return reservations.map(reservation => reservation.order_id);
+};
+
+// Metodo de instancia para verificar si la reserva esta vencida
+StockReservation.prototype.isExpired = function(now = new Date()) {
+  return this.status === 'active' && new Date(this.expires_at) <= now;
+};
+
+module.exports = StockReservation;
+module.exports.STATUSES = RESERVATION_STATUSES;
@@ -0,0 +1,161 @@
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+// Clases de impuesto que puede tener un producto ('exempt' nunca paga impuesto)
+const TAX_CLASSES = ['standard', 'reduced', 'exempt'];
+const RATED_TAX_CLASSES = TAX_CLASSES.filter(taxClass => taxClass !== 'exempt');
+
+const taxRateFields = {
+  country: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{2}$/)
+    .messages({
+      'string.empty': 'El pais es requerido',
+      'string.pattern.base': 'El pais debe ser un codigo ISO de 2 letras',
+      'any.required': 'El pais es requerido'
+    }),
+  region: Joi.string()
+    .trim()
+    .max(100)
+    .allow(null)
+    .messages({
+      'string.max': 'La region no puede exceder 100 caracteres'
+    }),
+  tax_class: Joi.string()
+    .valid(...RATED_TAX_CLASSES)
+    .messages({
+      'any.only': `La clase de impuesto de una tasa debe ser: ${RATED_TAX_CLASSES.join(', ')}`
+    }),
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .messages({
+      'string.empty': 'El nombre del impuesto es requerido',
+      'string.min': 'El nombre del impuesto debe tener al menos 2 caracteres',
+      'string.max': 'El nombre del impuesto no puede exceder 100 caracteres',
+      'any.required': 'El nombre del impuesto es requerido'
+    }),
+  rate: Joi.number()
+    .min(0)
+    .max(1)
+    .precision(4)
+    .messages({
+      'number.base': 'La tasa debe ser un numero',
+      'number.min': 'La tasa no puede ser negativa',
+      'number.max': 'La tasa debe expresarse como fraccion (0.21 = 21%)',
+      'any.required': 'La tasa es requerida'
+    }),
+  is_active: Joi.boolean()
+};
+
+// Esquema de validacion Joi para tasas de impuesto
+const taxRateValidationSchema = {
+  create: Joi.object({
+    ...taxRateFields,
+    country: taxRateFields.country.required(),
+    region: taxRateFields.region.default(null),
+    tax_class: taxRateFields.tax_class.default('standard'),
+    name: taxRateFields.name.required(),
+    rate: taxRateFields.rate.required(),
+    is_active: taxRateFields.is_active.default(true)
+  }),
+
+  update: Joi.object(taxRateFields)
+    .min(1)
+    .messages({
+      'object.min': 'Debe enviar al menos un campo para actualizar'
+    })
+};
+
+const TaxRate = sequelize.define('TaxRate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    validate: {
+      len: [2, 2]
+    }
+  },
+  region: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  tax_class: {
+    type: DataTypes.ENUM(...TAX_CLASSES),
+    allowNull: false,
+    defaultValue: 'standard'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  rate: {
+    type: DataTypes.DECIMAL(6, 4),
+    allowNull: false,
+    validate: {
+      isDecimal: true,
+      min: 0,
+      max: 1
+    },
+    get() {
+      const value = this.getDataValue('rate');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'tax_rates',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  hooks: {
+    // Los paises se guardan en mayusculas y la region sin espacios sobrantes
+    beforeValidate: (taxRate) => {
+      if (taxRate.country) {
+        taxRate.country = taxRate.country.trim().toUpperCase();
+      }
+      if (typeof taxRate.region === 'string') {
+        taxRate.region = taxRate.region.trim() || null;
+      }
+    }
+  }
+});
+
+// Metodo de clase para obtener la tasa aplicable a una region y clase de impuesto
+// Una tasa de la region tiene prioridad sobre la tasa general del pais (region NULL)
+TaxRate.findApplicable = async function(country, region, taxClass, options = {}) {
+  if (!country || taxClass === 'exempt') {
+    return null;
+  }
+
+  const rates = await this.findAll({
+    where: {
+      country: country.toUpperCase(),
+      tax_class: taxClass,
+      is_active: true
+    },
+    ...options
+  });
+
+  const normalizedRegion = region ? region.toLowerCase() : null;
+  return rates.find(rate => rate.region && rate.region.toLowerCase() === normalizedRegion)
+    || rates.find(rate => rate.region === null)
+    || null;
+};
+
+module.exports = TaxRate;
+module.exports.validationSchema = taxRateValidationSchema;
+module.exports.TAX_CLASSES = TAX_CLASSES;
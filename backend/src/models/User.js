@@ -1,6 +1,7 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const Joi = require('joi');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { sequelize } = require('../config/database');
 
 // Esquema de validacion Joi para usuarios
@@ -147,6 +148,15 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  token_version: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    validate: {
+      isInt: true,
+      min: 0
+    }
+  },
   first_name: {
     type: DataTypes.STRING(50),
     allowNull: false,
@@ -196,6 +206,34 @@ User.prototype.verifyPassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
+// Metodo de clase para obtener el hash de un token de restablecimiento
+User.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Metodo de clase para buscar usuario por token de restablecimiento vigente
+User.findByResetToken = async function(token) {
+  return await this.findOne({
+    where: {
+      reset_token: this.hashResetToken(token),
+      reset_token_expires: { [Op.gt]: new Date() }
+    }
+  });
+};
+
+// Metodo de instancia para generar token de restablecimiento
+// Solo se guarda el hash; el token en claro se devuelve para enviarlo por correo
+User.prototype.createResetToken = async function(expiresInMinutes = 60) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.update({
+    reset_token: User.hashResetToken(token),
+    reset_token_expires: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
 // Metodo de instancia para obtener nombre completo
 User.prototype.getFullName = function() {
   return `${this.first_name} ${this.last_name}`;
@@ -207,6 +245,7 @@ User.prototype.toPublicJSON = function() {
   delete user.password;
   delete user.reset_token;
   delete user.reset_token_expires;
+  delete user.token_version;
   return user;
 };
 
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const Joi = require('joi');
+const { sequelize } = require('../config/database');
+
+const wishlistFields = {
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .messages({
+      'string.empty': 'El nombre de la lista es requerido',
+      'string.max': 'El nombre de la lista no puede exceder 100 caracteres',
+      'any.required': 'El nombre de la lista es requerido'
+    }),
+  is_public: Joi.boolean()
+    .messages({
+      'boolean.base': 'is_public debe ser true o false'
+    })
+};
+
+const subscriptionFields = {
+  notify_back_in_stock: Joi.boolean()
+    .messages({
+      'boolean.base': 'notify_back_in_stock debe ser true o false'
+    }),
+  notify_price_drop: Joi.boolean()
+    .messages({
+      'boolean.base': 'notify_price_drop debe ser true o false'
+    })
+};
+
+// Esquema de validacion Joi para listas de deseos y sus productos
+const wishlistValidationSchema = {
+  create: Joi.object({
+    ...wishlistFields,
+    name: wishlistFields.name.required(),
+    is_public: wishlistFields.is_public.default(false)
+  }),
+
+  update: Joi.object(wishlistFields)
+    .min(1)
+    .messages({
+      'object.min': 'Debe enviar al menos un campo para actualizar'
+    }),
+
+  addItem: Joi.object({
+    product_id: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .messages({
+        'number.base': 'El ID de producto debe ser un numero',
+        'any.required': 'El ID de producto es requerido'
+      }),
+    variant_id: Joi.number()
+      .integer()
+      .positive()
+      .allow(null)
+      .default(null)
+      .messages({
+        'number.base': 'El ID de variante debe ser un numero'
+      }),
+    notify_back_in_stock: subscriptionFields.notify_back_in_stock.default(false),
+    notify_price_drop: subscriptionFields.notify_price_drop.default(false)
+  }),
+
+  updateItem: Joi.object(subscriptionFields)
+    .min(1)
+    .messages({
+      'object.min': 'Debe enviar al menos un campo para actualizar'
+    })
+};
+
+const Wishlist = sequelize.define('Wishlist', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Solo las listas publicas se pueden ver con el enlace compartido
+  is_public: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  share_token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  }
+}, {
+  tableName: 'wishlists',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  hooks: {
+    // Generar el token del enlace compartido
+    beforeValidate: (wishlist) => {
+      if (!wishlist.share_token) {
+        wishlist.share_token = Wishlist.generateShareToken();
+      }
+    }
+  }
+});
+
+// Metodo de clase para generar un token de enlace compartido
+Wishlist.generateShareToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+module.exports = Wishlist;
+module.exports.validationSchema = wishlistValidationSchema;
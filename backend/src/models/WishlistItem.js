@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Producto (o variante) guardado en una lista de deseos, con sus suscripciones de aviso
+const WishlistItem = sequelize.define('WishlistItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  wishlist_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'wishlists',
+      key: 'id'
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  // Precio al guardar el producto, para mostrar cuanto bajo desde entonces
+  price_at_add: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    get() {
+      const value = this.getDataValue('price_at_add');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  notify_back_in_stock: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  notify_price_drop: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  back_in_stock_notified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  price_drop_notified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'wishlist_items',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = WishlistItem;
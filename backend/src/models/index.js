@@ -8,6 +8,42 @@ const Inventory = require('./Inventory');
 const Order = require('./Order');
 const OrderItem = require('./OrderItem');
 const Review = require('./Review');
+const Cart = require('./Cart');
+const CartItem = require('./CartItem');
+const Session = require('./Session');
+const InventoryMovement = require('./InventoryMovement');
+const StockReservation = require('./StockReservation');
+const OrderStatusHistory = require('./OrderStatusHistory');
+const Payment = require('./Payment');
+const ReturnRequest = require('./ReturnRequest');
+const ReturnItem = require('./ReturnItem');
+const Coupon = require('./Coupon');
+const CouponRedemption = require('./CouponRedemption');
+const TaxRate = require('./TaxRate');
+const OrderTaxLine = require('./OrderTaxLine');
+const ShippingZone = require('./ShippingZone');
+const ShippingZoneLocation = require('./ShippingZoneLocation');
+const ShippingMethod = require('./ShippingMethod');
+const Address = require('./Address');
+const OrderAddress = require('./OrderAddress');
+const ProductOption = require('./ProductOption');
+const ProductOptionValue = require('./ProductOptionValue');
+const ProductVariant = require('./ProductVariant');
+const ProductImage = require('./ProductImage');
+const AttributeDefinition = require('./AttributeDefinition');
+const CategoryAttribute = require('./CategoryAttribute');
+const ProductAttributeValue = require('./ProductAttributeValue');
+const Wishlist = require('./Wishlist');
+const WishlistItem = require('./WishlistItem');
+const ReviewReport = require('./ReviewReport');
+const ReviewVote = require('./ReviewVote');
+const ReviewReply = require('./ReviewReply');
+const ReviewReplyRevision = require('./ReviewReplyRevision');
+const ProductQuestion = require('./ProductQuestion');
+const ProductAnswer = require('./ProductAnswer');
+const ProductQAVote = require('./ProductQAVote');
+const productSearchIndex = require('../utils/productSearchIndex');
+const { upgradeSchema } = require('../utils/schemaUpgrade');
 
 // Definir las asociaciones entre modelos
 const defineAssociations = () => {
@@ -33,10 +69,22 @@ const defineAssociations = () => {
     as: 'category'
   });
 
-  // Producto -> Inventario (1:1)
+  // Categoria -> Subcategorias (1:N)
+  Category.hasMany(Category, {
+    foreignKey: 'parent_id',
+    as: 'children',
+    onDelete: 'SET NULL'
+  });
+  Category.belongsTo(Category, {
+    foreignKey: 'parent_id',
+    as: 'parent'
+  });
+
+  // Producto -> Inventario (1:1, el stock propio del producto; las variantes tienen el suyo)
   Product.hasOne(Inventory, {
     foreignKey: 'product_id',
     as: 'inventory',
+    scope: { variant_id: null },
     onDelete: 'CASCADE'
   });
   Inventory.belongsTo(Product, {
@@ -65,6 +113,104 @@ const defineAssociations = () => {
     foreignKey: 'user_id',
     as: 'user'
   });
+  Review.belongsTo(User, {
+    foreignKey: 'moderated_by',
+    as: 'moderator'
+  });
+
+  // Resena -> Denuncias (1:N)
+  Review.hasMany(ReviewReport, {
+    foreignKey: 'review_id',
+    as: 'reports',
+    onDelete: 'CASCADE'
+  });
+  ReviewReport.belongsTo(Review, {
+    foreignKey: 'review_id',
+    as: 'review'
+  });
+  ReviewReport.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'reporter'
+  });
+
+  // Resena -> Votos de utilidad (1:N)
+  Review.hasMany(ReviewVote, {
+    foreignKey: 'review_id',
+    as: 'votes',
+    onDelete: 'CASCADE'
+  });
+  ReviewVote.belongsTo(Review, {
+    foreignKey: 'review_id',
+    as: 'review'
+  });
+  ReviewVote.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'voter'
+  });
+
+  // Resena -> Respuesta de la tienda (1:1) -> Historial de ediciones (1:N)
+  Review.hasOne(ReviewReply, {
+    foreignKey: 'review_id',
+    as: 'reply',
+    onDelete: 'CASCADE'
+  });
+  ReviewReply.belongsTo(Review, {
+    foreignKey: 'review_id',
+    as: 'review'
+  });
+  ReviewReply.belongsTo(User, {
+    foreignKey: 'author_id',
+    as: 'author'
+  });
+  ReviewReply.hasMany(ReviewReplyRevision, {
+    foreignKey: 'reply_id',
+    as: 'revisions',
+    onDelete: 'CASCADE'
+  });
+  ReviewReplyRevision.belongsTo(User, {
+    foreignKey: 'edited_by',
+    as: 'editor'
+  });
+
+  // Producto -> Preguntas (1:N) -> Respuestas (1:N)
+  Product.hasMany(ProductQuestion, {
+    foreignKey: 'product_id',
+    as: 'questions',
+    onDelete: 'CASCADE'
+  });
+  ProductQuestion.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+  });
+  ProductQuestion.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+  ProductQuestion.hasMany(ProductAnswer, {
+    foreignKey: 'question_id',
+    as: 'answers',
+    onDelete: 'CASCADE'
+  });
+  ProductAnswer.belongsTo(ProductQuestion, {
+    foreignKey: 'question_id',
+    as: 'question'
+  });
+  ProductAnswer.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+
+  // Votos positivos de preguntas y respuestas
+  ProductQuestion.hasMany(ProductQAVote, {
+    foreignKey: 'question_id',
+    as: 'votes',
+    onDelete: 'CASCADE'
+  });
+  ProductAnswer.hasMany(ProductQAVote, {
+    foreignKey: 'answer_id',
+    as: 'votes',
+    onDelete: 'CASCADE'
+  });
 
   // Pedido -> Items de Pedido (1:N)
   Order.hasMany(OrderItem, {
@@ -87,6 +233,480 @@ const defineAssociations = () => {
     foreignKey: 'product_id',
     as: 'product'
   });
+
+  // Usuario -> Carrito (1:1)
+  User.hasOne(Cart, {
+    foreignKey: 'user_id',
+    as: 'cart',
+    onDelete: 'CASCADE'
+  });
+  Cart.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+
+  // Carrito -> Items de Carrito (1:N)
+  Cart.hasMany(CartItem, {
+    foreignKey: 'cart_id',
+    as: 'items',
+    onDelete: 'CASCADE'
+  });
+  CartItem.belongsTo(Cart, {
+    foreignKey: 'cart_id',
+    as: 'cart'
+  });
+
+  // Producto -> Items de Carrito (1:N)
+  Product.hasMany(CartItem, {
+    foreignKey: 'product_id',
+    as: 'cartItems',
+    onDelete: 'CASCADE'
+  });
+  CartItem.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+  });
+
+  // Usuario -> Sesiones (1:N)
+  User.hasMany(Session, {
+    foreignKey: 'user_id',
+    as: 'sessions',
+    onDelete: 'CASCADE'
+  });
+  Session.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+
+  // Producto -> Movimientos de Inventario (1:N)
+  Product.hasMany(InventoryMovement, {
+    foreignKey: 'product_id',
+    as: 'inventoryMovements',
+    onDelete: 'CASCADE'
+  });
+  InventoryMovement.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+  });
+
+  // Movimiento de Inventario -> Usuario que lo realizo (N:1)
+  InventoryMovement.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+    onDelete: 'SET NULL'
+  });
+
+  // Movimiento de Inventario -> Pedido relacionado (N:1)
+  InventoryMovement.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order',
+    onDelete: 'SET NULL'
+  });
+
+  // Pedido -> Reservas de Stock (1:N)
+  Order.hasMany(StockReservation, {
+    foreignKey: 'order_id',
+    as: 'stockReservations',
+    onDelete: 'CASCADE'
+  });
+  StockReservation.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+  });
+
+  // Pedido -> Historial de Estados (1:N)
+  Order.hasMany(OrderStatusHistory, {
+    foreignKey: 'order_id',
+    as: 'statusHistory',
+    onDelete: 'CASCADE'
+  });
+  OrderStatusHistory.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+  });
+
+  // Historial de Estados -> Usuario que realizo el cambio (N:1)
+  OrderStatusHistory.belongsTo(User, {
+    foreignKey: 'changed_by',
+    as: 'actor',
+    onDelete: 'SET NULL'
+  });
+
+  // Pedido -> Pagos (1:N)
+  Order.hasMany(Payment, {
+    foreignKey: 'order_id',
+    as: 'payments',
+    onDelete: 'CASCADE'
+  });
+  Payment.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+  });
+
+  // Producto -> Reservas de Stock (1:N)
+  Product.hasMany(StockReservation, {
+    foreignKey: 'product_id',
+    as: 'stockReservations',
+    onDelete: 'CASCADE'
+  });
+  StockReservation.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+  });
+
+  // Pedido -> Devoluciones (1:N)
+  Order.hasMany(ReturnRequest, {
+    foreignKey: 'order_id',
+    as: 'returns',
+    onDelete: 'CASCADE'
+  });
+  ReturnRequest.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+  });
+
+  // Devolucion -> Usuario que la solicito y admin que la reviso (N:1)
+  ReturnRequest.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+  ReturnRequest.belongsTo(User, {
+    foreignKey: 'reviewed_by',
+    as: 'reviewer',
+    onDelete: 'SET NULL'
+  });
+
+  // Devolucion -> Items de Devolucion (1:N)
+  ReturnRequest.hasMany(ReturnItem, {
+    foreignKey: 'return_request_id',
+    as: 'items',
+    onDelete: 'CASCADE'
+  });
+  ReturnItem.belongsTo(ReturnRequest, {
+    foreignKey: 'return_request_id',
+    as: 'returnRequest'
+  });
+
+  // Item de Devolucion -> Item de Pedido (N:1)
+  ReturnItem.belongsTo(OrderItem, {
+    foreignKey: 'order_item_id',
+    as: 'orderItem'
+  });
+  OrderItem.hasMany(ReturnItem, {
+    foreignKey: 'order_item_id',
+    as: 'returnItems',
+    onDelete: 'CASCADE'
+  });
+
+  // Cupon <-> Productos y Categorias a los que aplica (N:M)
+  Coupon.belongsToMany(Product, {
+    through: 'coupon_products',
+    foreignKey: 'coupon_id',
+    otherKey: 'product_id',
+    as: 'products',
+    timestamps: false
+  });
+  Coupon.belongsToMany(Category, {
+    through: 'coupon_categories',
+    foreignKey: 'coupon_id',
+    otherKey: 'category_id',
+    as: 'categories',
+    timestamps: false
+  });
+
+  // Cupon -> Usos (1:N)
+  Coupon.hasMany(CouponRedemption, {
+    foreignKey: 'coupon_id',
+    as: 'redemptions',
+    onDelete: 'CASCADE'
+  });
+  CouponRedemption.belongsTo(Coupon, {
+    foreignKey: 'coupon_id',
+    as: 'coupon'
+  });
+  CouponRedemption.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+  });
+  CouponRedemption.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+
+  // Pedido -> Cupon aplicado (N:1)
+  Order.belongsTo(Coupon, {
+    foreignKey: 'coupon_id',
+    as: 'coupon',
+    onDelete: 'SET NULL'
+  });
+
+  // Pedido -> Lineas de Impuesto (1:N)
+  Order.hasMany(OrderTaxLine, {
+    foreignKey: 'order_id',
+    as: 'taxLines',
+    onDelete: 'CASCADE'
+  });
+  OrderTaxLine.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+  });
+
+  // Item de Pedido -> Lineas de Impuesto (1:N)
+  OrderItem.hasMany(OrderTaxLine, {
+    foreignKey: 'order_item_id',
+    as: 'taxLines',
+    onDelete: 'CASCADE'
+  });
+  OrderTaxLine.belongsTo(OrderItem, {
+    foreignKey: 'order_item_id',
+    as: 'orderItem'
+  });
+
+  // Tasa de Impuesto -> Lineas de Impuesto (1:N)
+  TaxRate.hasMany(OrderTaxLine, {
+    foreignKey: 'tax_rate_id',
+    as: 'taxLines',
+    onDelete: 'SET NULL'
+  });
+  OrderTaxLine.belongsTo(TaxRate, {
+    foreignKey: 'tax_rate_id',
+    as: 'taxRate'
+  });
+
+  // Zona de Envio -> Ubicaciones (1:N)
+  ShippingZone.hasMany(ShippingZoneLocation, {
+    foreignKey: 'zone_id',
+    as: 'locations',
+    onDelete: 'CASCADE'
+  });
+  ShippingZoneLocation.belongsTo(ShippingZone, {
+    foreignKey: 'zone_id',
+    as: 'zone'
+  });
+
+  // Zona de Envio -> Metodos de Envio (1:N)
+  ShippingZone.hasMany(ShippingMethod, {
+    foreignKey: 'zone_id',
+    as: 'methods',
+    onDelete: 'CASCADE'
+  });
+  ShippingMethod.belongsTo(ShippingZone, {
+    foreignKey: 'zone_id',
+    as: 'zone'
+  });
+
+  // Pedido -> Metodo de Envio (N:1)
+  Order.belongsTo(ShippingMethod, {
+    foreignKey: 'shipping_method_id',
+    as: 'shippingMethod',
+    onDelete: 'SET NULL'
+  });
+
+  // Usuario -> Libreta de Direcciones (1:N)
+  User.hasMany(Address, {
+    foreignKey: 'user_id',
+    as: 'addresses',
+    onDelete: 'CASCADE'
+  });
+  Address.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+
+  // Pedido -> Direcciones copiadas (1:N, una de envio y una de facturacion)
+  Order.hasMany(OrderAddress, {
+    foreignKey: 'order_id',
+    as: 'addresses',
+    onDelete: 'CASCADE'
+  });
+  OrderAddress.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+  });
+
+  // Direccion de la libreta -> Copias en pedidos (1:N)
+  Address.hasMany(OrderAddress, {
+    foreignKey: 'address_id',
+    as: 'orderAddresses',
+    onDelete: 'SET NULL'
+  });
+  OrderAddress.belongsTo(Address, {
+    foreignKey: 'address_id',
+    as: 'address'
+  });
+
+  // Producto -> Tipos de Opcion (1:N)
+  Product.hasMany(ProductOption, {
+    foreignKey: 'product_id',
+    as: 'options',
+    onDelete: 'CASCADE'
+  });
+  ProductOption.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+  });
+
+  // Tipo de Opcion -> Valores (1:N)
+  ProductOption.hasMany(ProductOptionValue, {
+    foreignKey: 'option_id',
+    as: 'values',
+    onDelete: 'CASCADE'
+  });
+  ProductOptionValue.belongsTo(ProductOption, {
+    foreignKey: 'option_id',
+    as: 'option'
+  });
+
+  // Producto -> Variantes (1:N)
+  Product.hasMany(ProductVariant, {
+    foreignKey: 'product_id',
+    as: 'variants',
+    onDelete: 'CASCADE'
+  });
+  ProductVariant.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+  });
+
+  // Variante <-> Valores de Opcion que la definen (N:M)
+  ProductVariant.belongsToMany(ProductOptionValue, {
+    through: 'product_variant_values',
+    foreignKey: 'variant_id',
+    otherKey: 'option_value_id',
+    as: 'optionValues',
+    timestamps: false
+  });
+  ProductOptionValue.belongsToMany(ProductVariant, {
+    through: 'product_variant_values',
+    foreignKey: 'option_value_id',
+    otherKey: 'variant_id',
+    as: 'variants',
+    timestamps: false
+  });
+
+  // Variante -> Inventario (1:1)
+  ProductVariant.hasOne(Inventory, {
+    foreignKey: 'variant_id',
+    as: 'inventory',
+    onDelete: 'CASCADE'
+  });
+  Inventory.belongsTo(ProductVariant, {
+    foreignKey: 'variant_id',
+    as: 'variant'
+  });
+
+  // Items de Pedido, Items de Carrito, Reservas y Movimientos -> Variante (N:1)
+  OrderItem.belongsTo(ProductVariant, {
+    foreignKey: 'variant_id',
+    as: 'variant',
+    onDelete: 'SET NULL'
+  });
+  CartItem.belongsTo(ProductVariant, {
+    foreignKey: 'variant_id',
+    as: 'variant',
+    onDelete: 'CASCADE'
+  });
+  StockReservation.belongsTo(ProductVariant, {
+    foreignKey: 'variant_id',
+    as: 'variant',
+    onDelete: 'CASCADE'
+  });
+  InventoryMovement.belongsTo(ProductVariant, {
+    foreignKey: 'variant_id',
+    as: 'variant',
+    onDelete: 'SET NULL'
+  });
+
+  // Producto -> Imagenes de la galeria (1:N) y su imagen principal (1:1)
+  Product.hasMany(ProductImage, {
+    foreignKey: 'product_id',
+    as: 'images',
+    onDelete: 'CASCADE'
+  });
+  Product.hasOne(ProductImage, {
+    foreignKey: 'product_id',
+    as: 'primaryImage',
+    scope: { is_primary: true }
+  });
+  ProductImage.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+  });
+
+  // Categoria -> Atributos asignados (1:N); cada asignacion apunta a una definicion
+  Category.hasMany(CategoryAttribute, {
+    foreignKey: 'category_id',
+    as: 'attributeAssignments',
+    onDelete: 'CASCADE'
+  });
+  CategoryAttribute.belongsTo(Category, {
+    foreignKey: 'category_id',
+    as: 'category'
+  });
+  AttributeDefinition.hasMany(CategoryAttribute, {
+    foreignKey: 'attribute_id',
+    as: 'categoryAssignments',
+    onDelete: 'CASCADE'
+  });
+  CategoryAttribute.belongsTo(AttributeDefinition, {
+    foreignKey: 'attribute_id',
+    as: 'attribute'
+  });
+
+  // Producto -> Valores de atributos (1:N)
+  Product.hasMany(ProductAttributeValue, {
+    foreignKey: 'product_id',
+    as: 'attributeValues',
+    onDelete: 'CASCADE'
+  });
+  ProductAttributeValue.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+  });
+  AttributeDefinition.hasMany(ProductAttributeValue, {
+    foreignKey: 'attribute_id',
+    as: 'values',
+    onDelete: 'CASCADE'
+  });
+  ProductAttributeValue.belongsTo(AttributeDefinition, {
+    foreignKey: 'attribute_id',
+    as: 'attribute'
+  });
+
+  // Usuario -> Listas de deseos (1:N)
+  User.hasMany(Wishlist, {
+    foreignKey: 'user_id',
+    as: 'wishlists',
+    onDelete: 'CASCADE'
+  });
+  Wishlist.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+
+  // Lista de deseos -> Productos guardados (1:N)
+  Wishlist.hasMany(WishlistItem, {
+    foreignKey: 'wishlist_id',
+    as: 'items',
+    onDelete: 'CASCADE'
+  });
+  WishlistItem.belongsTo(Wishlist, {
+    foreignKey: 'wishlist_id',
+    as: 'wishlist'
+  });
+  Product.hasMany(WishlistItem, {
+    foreignKey: 'product_id',
+    as: 'wishlistItems',
+    onDelete: 'CASCADE'
+  });
+  WishlistItem.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+  });
+  WishlistItem.belongsTo(ProductVariant, {
+    foreignKey: 'variant_id',
+    as: 'variant'
+  });
 };
 
 // Inicializar las asociaciones
@@ -95,7 +715,20 @@ defineAssociations();
 // Sincronizar modelos con la base de datos
 const syncModels = async (force = false) => {
   try {
+    // Las bases creadas con una version anterior reciben las tablas, columnas e indices nuevos
+    if (!force) {
+      const { createdTables, addedColumns } = await upgradeSchema();
+      if (createdTables.length > 0 || addedColumns.length > 0) {
+        console.log(`Esquema actualizado: ${createdTables.length} tablas y ${addedColumns.length} columnas nuevas`);
+      }
+    }
+
     await sequelize.sync({ force });
+
+    // El indice de busqueda es una tabla virtual sin modelo: se crea aparte y se llena si es nueva
+    if (await productSearchIndex.ensureIndex()) {
+      await productSearchIndex.rebuildIndex();
+    }
     console.log('Modelos sincronizados correctamente con la base de datos');
   } catch (error) {
     console.error('Error al sincronizar modelos:', error);
@@ -112,5 +745,39 @@ module.exports = {
   Order,
   OrderItem,
   Review,
+  Cart,
+  CartItem,
+  Session,
+  InventoryMovement,
+  StockReservation,
+  OrderStatusHistory,
+  Payment,
+  ReturnRequest,
+  ReturnItem,
+  Coupon,
+  CouponRedemption,
+  TaxRate,
+  OrderTaxLine,
+  ShippingZone,
+  ShippingZoneLocation,
+  ShippingMethod,
+  Address,
+  OrderAddress,
+  ProductOption,
+  ProductOptionValue,
+  ProductVariant,
+  ProductImage,
+  AttributeDefinition,
+  CategoryAttribute,
+  ProductAttributeValue,
+  Wishlist,
+  WishlistItem,
+  ReviewReport,
+  ReviewVote,
+  ReviewReply,
+  ReviewReplyRevision,
+  ProductQuestion,
+  ProductAnswer,
+  ProductQAVote,
   syncModels
 };
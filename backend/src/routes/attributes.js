@@ -0,0 +1,16 @@
+const express = require('express');
+const ProductAttributeController = require('../controllers/ProductAttributeController');
+const { authenticateToken, requireRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rutas publicas (no requieren autenticacion)
+router.get('/', ProductAttributeController.getAttributes);
+router.get('/:id', ProductAttributeController.getAttributeById);
+
+// Rutas protegidas (requieren autenticacion de admin)
+router.post('/', authenticateToken, requireRoles(['admin']), ProductAttributeController.createAttribute);
+router.put('/:id', authenticateToken, requireRoles(['admin']), ProductAttributeController.updateAttribute);
+router.delete('/:id', authenticateToken, requireRoles(['admin']), ProductAttributeController.deleteAttribute);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const AuthController = require('../controllers/AuthController');
-const { authenticateToken } = require('../middleware/auth');
+const AddressController = require('../controllers/AddressController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -9,11 +10,24 @@ router.post('/register', AuthController.register);
 router.post('/login', AuthController.login);
 router.get('/check-email/:email', AuthController.checkEmail);
 router.get('/check-username/:username', AuthController.checkUsername);
+router.post('/forgot-password', AuthController.forgotPassword);
+router.post('/reset-password', AuthController.resetPassword);
+router.post('/refresh', AuthController.refresh);
 
 // Rutas protegidas (requieren autenticacion)
 router.get('/me', authenticateToken, AuthController.getCurrentUser);
 router.put('/profile', authenticateToken, AuthController.updateProfile);
 router.put('/change-password', authenticateToken, AuthController.changePassword);
 router.delete('/deactivate', authenticateToken, AuthController.deactivateAccount);
+router.post('/logout', optionalAuth, AuthController.logout);
+router.get('/sessions', authenticateToken, AuthController.getSessions);
+router.delete('/sessions/:sessionId', authenticateToken, AuthController.revokeSession);
+
+// Libreta de direcciones del usuario actual
+router.get('/addresses', authenticateToken, AddressController.getAddresses);
+router.get('/addresses/:id', authenticateToken, AddressController.getAddressById);
+router.post('/addresses', authenticateToken, AddressController.createAddress);
+router.put('/addresses/:id', authenticateToken, AddressController.updateAddress);
+router.delete('/addresses/:id', authenticateToken, AddressController.deleteAddress);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const CartController = require('../controllers/CartController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rutas del carrito (usuarios autenticados o visitantes con X-Cart-Token)
+router.get('/', optionalAuth, CartController.getCart);
+router.post('/items', optionalAuth, CartController.addItem);
+router.put('/items/:productId', optionalAuth, CartController.updateItem);
+router.delete('/items/:productId', optionalAuth, CartController.removeItem);
+router.delete('/', optionalAuth, CartController.clearCart);
+
+// Rutas protegidas (requieren autenticacion)
+router.post('/checkout', authenticateToken, CartController.checkout);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const CategoryController = require('../controllers/CategoryController');
+const ProductAttributeController = require('../controllers/ProductAttributeController');
 const { authenticateToken, requireRoles } = require('../middleware/auth');
 
 const router = express.Router();
@@ -12,10 +13,12 @@ router.get('/stats', CategoryController.getCategoryStats);
 router.get('/:id', CategoryController.getCategoryById);
 router.get('/slug/:slug', CategoryController.getCategoryBySlug);
 router.get('/:id/products', CategoryController.getCategoryProducts);
+router.get('/:id/attributes', ProductAttributeController.getCategoryAttributes);
 
 // Rutas protegidas (requieren autenticacion de admin)
 router.post('/', authenticateToken, requireRoles(['admin']), CategoryController.createCategory);
 router.put('/:id', authenticateToken, requireRoles(['admin']), CategoryController.updateCategory);
 router.delete('/:id', authenticateToken, requireRoles(['admin']), CategoryController.deleteCategory);
+router.put('/:id/attributes', authenticateToken, requireRoles(['admin']), ProductAttributeController.setCategoryAttributes);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const CouponController = require('../controllers/CouponController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rutas protegidas (requieren autenticacion)
+router.post('/validate', authenticateToken, CouponController.validateCoupon);
+
+// Rutas de administracion (requieren autenticacion y rol admin)
+router.get('/', authenticateToken, requireAdmin, CouponController.getAllCoupons);
+router.get('/report', authenticateToken, requireAdmin, CouponController.getRedemptionReport);
+router.get('/:id', authenticateToken, requireAdmin, CouponController.getCouponById);
+router.get('/:id/redemptions', authenticateToken, requireAdmin, CouponController.getCouponRedemptions);
+router.post('/', authenticateToken, requireAdmin, CouponController.createCoupon);
+router.put('/:id', authenticateToken, requireAdmin, CouponController.updateCoupon);
+router.delete('/:id', authenticateToken, requireAdmin, CouponController.deleteCoupon);
+
+module.exports = router;
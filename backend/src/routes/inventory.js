@@ -8,12 +8,15 @@ const router = express.Router();
 router.get('/stats', InventoryController.getInventoryStats);
 router.get('/product/:productId', InventoryController.getProductInventory);
 router.get('/check/:productId', InventoryController.checkStockAvailability);
+router.post('/check-availability', InventoryController.checkStockAvailability);
 
 // Rutas protegidas (requieren autenticacion)
 router.get('/alerts', authenticateToken, InventoryController.getInventoryAlerts);
 router.get('/low-stock', authenticateToken, InventoryController.getLowStockProducts);
 router.get('/out-of-stock', authenticateToken, InventoryController.getOutOfStockProducts);
-router.get('/adjustments', authenticateToken, InventoryController.getInventoryAdjustments);
+router.get('/adjustments', authenticateToken, requireRoles(['admin']), InventoryController.getInventoryAdjustments);
+router.get('/movements', authenticateToken, requireRoles(['admin']), InventoryController.getInventoryMovements);
+router.get('/product/:productId/movements', authenticateToken, requireRoles(['admin']), InventoryController.getInventoryMovements);
 
 // Rutas de gestion de inventario (requieren rol admin)
 router.put('/product/:productId/stock', authenticateToken, requireRoles(['admin']), InventoryController.updateStock);
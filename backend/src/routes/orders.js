@@ -1,6 +1,7 @@
 const express = require('express');
 const OrderController = require('../controllers/OrderController');
-const { authenticateToken, requireRoles } = require('../middleware/auth');
+const ReturnController = require('../controllers/ReturnController');
+const { authenticateToken, requireRoles, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -18,4 +19,13 @@ router.post('/', authenticateToken, OrderController.createOrder);
 router.put('/:id/status', authenticateToken, OrderController.updateOrderStatus);
 router.delete('/:id', authenticateToken, OrderController.cancelOrder);
 
+// Rutas de devoluciones (RMA) de un pedido
+router.get('/:id/returns', authenticateToken, ReturnController.getOrderReturns);
+router.post('/:id/returns', authenticateToken, ReturnController.createReturn);
+router.get('/:id/returns/:returnId', authenticateToken, ReturnController.getReturnById);
+router.put('/:id/returns/:returnId/approve', authenticateToken, requireAdmin, ReturnController.approveReturn);
+router.put('/:id/returns/:returnId/reject', authenticateToken, requireAdmin, ReturnController.rejectReturn);
+router.put('/:id/returns/:returnId/receive', authenticateToken, requireAdmin, ReturnController.receiveReturn);
+router.post('/:id/returns/:returnId/refund', authenticateToken, requireAdmin, ReturnController.refundReturn);
+
 module.exports = router;
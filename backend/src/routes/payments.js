@@ -0,0 +1,19 @@
+const express = require('express');
+const PaymentController = require('../controllers/PaymentController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Webhooks del proveedor de pagos (publicos, validados por firma)
+router.post('/webhooks/:provider', PaymentController.handleWebhook);
+
+// Rutas protegidas (requieren autenticacion)
+router.post('/', authenticateToken, PaymentController.createPayment);
+router.get('/order/:orderId', authenticateToken, PaymentController.getOrderPayments);
+router.get('/:id', authenticateToken, PaymentController.getPaymentById);
+router.post('/:id/authenticate', authenticateToken, PaymentController.authenticatePayment);
+
+// Rutas de administracion
+router.post('/:id/refund', authenticateToken, requireAdmin, PaymentController.refundPayment);
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const ProductController = require('../controllers/ProductController');
+const ProductVariantController = require('../controllers/ProductVariantController');
+const ProductImageController = require('../controllers/ProductImageController');
+const ProductQuestionController = require('../controllers/ProductQuestionController');
 const { authenticateToken, requireRoles } = require('../middleware/auth');
+const { uploadImages } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -12,10 +16,23 @@ router.get('/stats', ProductController.getProductStats);
 router.get('/:id', ProductController.getProductById);
 router.get('/sku/:sku', ProductController.getProductBySku);
 router.get('/:id/related', ProductController.getRelatedProducts);
+router.get('/:id/variants', ProductVariantController.getVariants);
+router.get('/:id/images', ProductImageController.getImages);
+router.get('/:id/questions', ProductQuestionController.getProductQuestions);
+
+// Rutas protegidas (requieren autenticacion)
+router.post('/:id/questions', authenticateToken, ProductQuestionController.askQuestion);
 
 // Rutas protegidas (requieren autenticacion de admin)
 router.post('/', authenticateToken, requireRoles(['admin']), ProductController.createProduct);
 router.put('/:id', authenticateToken, requireRoles(['admin']), ProductController.updateProduct);
 router.delete('/:id', authenticateToken, requireRoles(['admin']), ProductController.deleteProduct);
+router.post('/:id/variants', authenticateToken, requireRoles(['admin']), ProductVariantController.createVariant);
+router.put('/:id/variants/:variantId', authenticateToken, requireRoles(['admin']), ProductVariantController.updateVariant);
+router.delete('/:id/variants/:variantId', authenticateToken, requireRoles(['admin']), ProductVariantController.deleteVariant);
+router.post('/:id/images', authenticateToken, requireRoles(['admin']), uploadImages, ProductImageController.uploadImages);
+router.put('/:id/images/order', authenticateToken, requireRoles(['admin']), ProductImageController.reorderImages);
+router.put('/:id/images/:imageId', authenticateToken, requireRoles(['admin']), ProductImageController.updateImage);
+router.delete('/:id/images/:imageId', authenticateToken, requireRoles(['admin']), ProductImageController.deleteImage);
 
 module.exports = router;
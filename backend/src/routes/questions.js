@@ -0,0 +1,22 @@
+const express = require('express');
+const ProductQuestionController = require('../controllers/ProductQuestionController');
+const { authenticateToken, requireRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rutas de administracion (requieren rol admin)
+router.get('/moderation/queue', authenticateToken, requireRoles(['admin']), ProductQuestionController.getModerationQueue);
+router.put('/:id/moderation', authenticateToken, requireRoles(['admin']), ProductQuestionController.moderateQuestion);
+router.put('/answers/:answerId/moderation', authenticateToken, requireRoles(['admin']), ProductQuestionController.moderateAnswer);
+
+// Rutas publicas (no requieren autenticacion)
+router.get('/:id', ProductQuestionController.getQuestion);
+
+// Rutas protegidas (requieren autenticacion)
+router.post('/:id/answers', authenticateToken, ProductQuestionController.answerQuestion);
+router.post('/:id/vote', authenticateToken, ProductQuestionController.voteQuestion);
+router.delete('/:id/vote', authenticateToken, ProductQuestionController.removeQuestionVote);
+router.post('/answers/:answerId/vote', authenticateToken, ProductQuestionController.voteAnswer);
+router.delete('/answers/:answerId/vote', authenticateToken, ProductQuestionController.removeAnswerVote);
+
+module.exports = router;
@@ -16,10 +16,19 @@ router.get('/:id', ReviewController.getReviewById);
 router.get('/user/me', authenticateToken, ReviewController.getUserReviews);
 router.get('/can-review/:productId', authenticateToken, ReviewController.canUserReview);
 router.post('/', authenticateToken, ReviewController.createReview);
+router.post('/:id/report', authenticateToken, ReviewController.reportReview);
+router.post('/:id/vote', authenticateToken, ReviewController.voteReview);
+router.delete('/:id/vote', authenticateToken, ReviewController.removeVote);
 router.put('/:id', authenticateToken, ReviewController.updateReview);
 router.delete('/:id', authenticateToken, ReviewController.deleteReview);
 
 // Rutas de administracion (requieren rol admin)
-router.put('/:id/verify', authenticateToken, requireRoles(['admin']), ReviewController.verifyReview);
+router.get('/moderation/queue', authenticateToken, requireRoles(['admin']), ReviewController.getModerationQueue);
+router.post('/moderation/bulk', authenticateToken, requireRoles(['admin']), ReviewController.bulkModerateReviews);
+router.put('/:id/moderation', authenticateToken, requireRoles(['admin']), ReviewController.moderateReview);
+router.get('/:id/reply', authenticateToken, requireRoles(['admin']), ReviewController.getReply);
+router.post('/:id/reply', authenticateToken, requireRoles(['admin']), ReviewController.createReply);
+router.put('/:id/reply', authenticateToken, requireRoles(['admin']), ReviewController.updateReply);
+router.delete('/:id/reply', authenticateToken, requireRoles(['admin']), ReviewController.deleteReply);
 
 module.exports = router;
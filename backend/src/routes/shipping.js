@@ -0,0 +1,20 @@
+const express = require('express');
+const ShippingController = require('../controllers/ShippingController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rutas publicas
+router.post('/quote', ShippingController.getQuote);
+
+// Rutas de administracion (requieren autenticacion y rol admin)
+router.get('/zones', authenticateToken, requireAdmin, ShippingController.getZones);
+router.get('/zones/:id', authenticateToken, requireAdmin, ShippingController.getZoneById);
+router.post('/zones', authenticateToken, requireAdmin, ShippingController.createZone);
+router.put('/zones/:id', authenticateToken, requireAdmin, ShippingController.updateZone);
+router.delete('/zones/:id', authenticateToken, requireAdmin, ShippingController.deleteZone);
+router.post('/methods', authenticateToken, requireAdmin, ShippingController.createMethod);
+router.put('/methods/:id', authenticateToken, requireAdmin, ShippingController.updateMethod);
+router.delete('/methods/:id', authenticateToken, requireAdmin, ShippingController.deleteMethod);
+
+module.exports = router;
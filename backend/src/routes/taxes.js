@@ -0,0 +1,14 @@
+const express = require('express');
+const TaxController = require('../controllers/TaxController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rutas de administracion (requieren autenticacion y rol admin)
+router.get('/rates', authenticateToken, requireAdmin, TaxController.getTaxRates);
+router.get('/rates/:id', authenticateToken, requireAdmin, TaxController.getTaxRateById);
+router.post('/rates', authenticateToken, requireAdmin, TaxController.createTaxRate);
+router.put('/rates/:id', authenticateToken, requireAdmin, TaxController.updateTaxRate);
+router.delete('/rates/:id', authenticateToken, requireAdmin, TaxController.deleteTaxRate);
+
+module.exports = router;
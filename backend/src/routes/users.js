@@ -0,0 +1,15 @@
+const express = require('express');
+const UserController = require('../controllers/UserController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rutas de administracion (requieren autenticacion y rol admin)
+router.get('/', authenticateToken, requireAdmin, UserController.getAllUsers);
+router.get('/stats', authenticateToken, requireAdmin, UserController.getUserStats);
+router.get('/:id', authenticateToken, requireAdmin, UserController.getUserById);
+router.put('/:id/status', authenticateToken, requireAdmin, UserController.updateUserStatus);
+router.put('/:id/role', authenticateToken, requireAdmin, UserController.updateUserRole);
+router.delete('/:id', authenticateToken, requireAdmin, UserController.deleteUser);
+
+module.exports = router;
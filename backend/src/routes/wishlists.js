@@ -0,0 +1,21 @@
+const express = require('express');
+const WishlistController = require('../controllers/WishlistController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Ruta publica: lista compartida por enlace
+router.get('/shared/:token', WishlistController.getSharedWishlist);
+
+// Rutas protegidas (listas del usuario autenticado)
+router.get('/', authenticateToken, WishlistController.getWishlists);
+router.post('/', authenticateToken, WishlistController.createWishlist);
+router.get('/:id', authenticateToken, WishlistController.getWishlistById);
+router.put('/:id', authenticateToken, WishlistController.updateWishlist);
+router.delete('/:id', authenticateToken, WishlistController.deleteWishlist);
+router.post('/:id/share-token', authenticateToken, WishlistController.regenerateShareToken);
+router.post('/:id/items', authenticateToken, WishlistController.addItem);
+router.put('/:id/items/:itemId', authenticateToken, WishlistController.updateItem);
+router.delete('/:id/items/:itemId', authenticateToken, WishlistController.removeItem);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const { testConnection } = require('./config/database');
 const { syncModels } = require('./models');
+const { startReservationSweeper } = require('./jobs/reservationSweeper');
 require('dotenv').config();
 
 const app = express();
@@ -13,9 +14,20 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json());
+// Conservar el cuerpo original para verificar la firma de los webhooks de pago
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Servir las imagenes subidas cuando se usa el almacenamiento en disco local
+const imageStorage = require('./services/ProductImageService').getStorage();
+if (imageStorage.name === 'local') {
+  app.use(imageStorage.baseUrl, express.static(imageStorage.directory));
+}
+
 // Middleware de logging personalizado estilo Mr. Robot
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -40,7 +52,17 @@ const categoryRoutes = require('./routes/categories');
 const orderRoutes = require('./routes/orders');
 const reviewRoutes = require('./routes/reviews');
 const inventoryRoutes = require('./routes/inventory');
+const cartRoutes = require('./routes/cart');
+const userRoutes = require('./routes/users');
+const paymentRoutes = require('./routes/payments');
+const couponRoutes = require('./routes/coupons');
+const taxRoutes = require('./routes/taxes');
+const shippingRoutes = require('./routes/shipping');
+const attributeRoutes = require('./routes/attributes');
+const wishlistRoutes = require('./routes/wishlists');
+const questionRoutes = require('./routes/questions');
 const errorHandler = require('./middleware/errorHandler');
+const MailService = require('./services/MailService');
 
 // Ruta de salud del sistema
 app.get('/api/health', (req, res) => {
@@ -58,6 +80,15 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/inventory', inventoryRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/taxes', taxRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/attributes', attributeRoutes);
+app.use('/api/wishlists', wishlistRoutes);
+app.use('/api/questions', questionRoutes);
 
 // Middleware de manejo de errores global
 app.use(errorHandler);
@@ -73,12 +104,18 @@ app.use('*', (req, res) => {
 // Iniciar servidor
 const startServer = async () => {
   try {
+    // Sin transporte de correo no se podrian restablecer contrasenas: el servidor no inicia
+    MailService.assertConfigured();
+
     // Probar conexion a la base de datos
     await testConnection();
     
     // Sincronizar modelos con la base de datos
     await syncModels(false); // false = no forzar recreacion de tablas
     
+    // Liberar periodicamente las reservas de stock vencidas de pedidos pendientes
+    startReservationSweeper();
+
     app.listen(PORT, () => {
       console.log(`🚀 Servidor Mr. Robot Commerce iniciado en puerto ${PORT}`);
       console.log(`📡 API disponible en: http://localhost:${PORT}`);
@@ -0,0 +1,212 @@
+const { Op } = require('sequelize');
+const { Address } = require('../models');
+const { parseAddress } = require('../utils/address');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+
+// Columna de la marca por defecto segun el tipo de direccion
+const DEFAULT_FLAGS = {
+    shipping: 'is_default_shipping',
+    billing: 'is_default_billing'
+};
+
+class AddressService {
+    /**
+     * Lista las direcciones de un usuario (primero las marcadas por defecto)
+     * @param {number} userId - ID del usuario
+     * @returns {Array} Direcciones del usuario
+     */
+    static async listAddresses(userId) {
+        try {
+            return await Address.findAll({
+                where: { user_id: userId },
+                order: [['is_default_shipping', 'DESC'], ['is_default_billing', 'DESC'], ['created_at', 'DESC'], ['id', 'DESC']]
+            });
+        } catch (error) {
+            throw new Error('Error al listar direcciones: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene una direccion del usuario por ID
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} addressId - ID de la direccion
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Object} Direccion encontrada
+     */
+    static async getAddressById(userId, addressId, transaction = null) {
+        try {
+            const address = await Address.findOne({
+                where: { id: addressId, user_id: userId },
+                transaction
+            });
+
+            if (!address) {
+                throw new NotFoundError('Direccion no encontrada');
+            }
+
+            return address;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener direccion: ' + error.message);
+        }
+    }
+
+    /**
+     * Deja una sola direccion por defecto de cada tipo para el usuario
+     * @param {Object} address - Direccion recien creada o editada
+     * @param {Object} transaction - Transaccion de base de datos
+     */
+    static async syncDefaultFlags(address, transaction) {
+        for (const flag of Object.values(DEFAULT_FLAGS)) {
+            if (address[flag]) {
+                await Address.update(
+                    { [flag]: false },
+                    { where: { user_id: address.user_id, [flag]: true, id: { [Op.ne]: address.id } }, transaction }
+                );
+            }
+        }
+    }
+
+    /**
+     * Crea una direccion en la libreta del usuario
+     * Si el usuario no tiene direccion por defecto de un tipo, la nueva pasa a serlo
+     * @param {number} userId - ID del usuario
+     * @param {Object} addressData - Datos validados de la direccion
+     * @returns {Object} Direccion creada
+     */
+    static async createAddress(userId, addressData) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const data = { ...addressData, user_id: userId };
+
+            for (const [type, flag] of Object.entries(DEFAULT_FLAGS)) {
+                if (data[flag] === undefined) {
+                    data[flag] = !(await Address.findDefault(userId, type, { transaction }));
+                }
+            }
+
+            const address = await Address.create(data, { transaction });
+            await this.syncDefaultFlags(address, transaction);
+
+            await transaction.commit();
+            return address;
+        } catch (error) {
+            await transaction.rollback();
+            throw new Error('Error al crear direccion: ' + error.message);
+        }
+    }
+
+    /**
+     * Actualiza una direccion de la libreta
+     * Los pedidos ya creados conservan la copia de la direccion con la que se hicieron
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} addressId - ID de la direccion
+     * @param {Object} addressData - Datos validados a actualizar
+     * @returns {Object} Direccion actualizada
+     */
+    static async updateAddress(userId, addressId, addressData) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const address = await this.getAddressById(userId, addressId, transaction);
+
+            await address.update(addressData, { transaction });
+            await this.syncDefaultFlags(address, transaction);
+
+            await transaction.commit();
+            return address;
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al actualizar direccion: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina una direccion de la libreta
+     * Si era la direccion por defecto, la mas reciente de las restantes toma su lugar
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} addressId - ID de la direccion
+     */
+    static async deleteAddress(userId, addressId) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const address = await this.getAddressById(userId, addressId, transaction);
+            await address.destroy({ transaction });
+
+            for (const flag of Object.values(DEFAULT_FLAGS)) {
+                if (!address[flag]) {
+                    continue;
+                }
+
+                const replacement = await Address.findOne({
+                    where: { user_id: userId },
+                    order: [['created_at', 'DESC'], ['id', 'DESC']],
+                    transaction
+                });
+                if (replacement) {
+                    await replacement.update({ [flag]: true }, { transaction });
+                }
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al eliminar direccion: ' + error.message);
+        }
+    }
+
+    /**
+     * Resuelve la direccion de un pedido: de la libreta (por ID), enviada en el pedido
+     * (estructurada o texto) o, si no se envia ninguna, la direccion por defecto del usuario
+     * @param {number} userId - ID del usuario que hace el pedido
+     * @param {string} type - Tipo de direccion ('shipping' o 'billing')
+     * @param {Object} source - Origen ({ addressId, address })
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Object|null} Direccion normalizada ({ text, country, region, structured, addressId }) o null
+     */
+    static async resolveOrderAddress(userId, type, source = {}, transaction = null) {
+        if (source.addressId) {
+            const address = await Address.findOne({
+                where: { id: source.addressId, user_id: userId },
+                transaction
+            });
+            if (!address) {
+                throw new ValidationError('La direccion seleccionada no existe en la libreta del usuario');
+            }
+            return this.fromAddressBook(address);
+        }
+
+        if (source.address) {
+            return { ...parseAddress(source.address), addressId: null };
+        }
+
+        const defaultAddress = await Address.findDefault(userId, type, { transaction });
+        return defaultAddress ? this.fromAddressBook(defaultAddress) : null;
+    }
+
+    /**
+     * Normaliza una direccion de la libreta con el formato de parseAddress
+     */
+    static fromAddressBook(address) {
+        return {
+            text: address.toText(),
+            country: address.country,
+            region: address.region,
+            structured: address.toSnapshot(),
+            addressId: address.id
+        };
+    }
+}
+
+module.exports = AddressService;
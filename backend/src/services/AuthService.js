@@ -1,25 +1,32 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { User } = require('../models');
-const { AuthenticationError, ValidationError, ConflictError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+const MailService = require('./MailService');
+const SessionService = require('./SessionService');
+const { AuthenticationError, ValidationError, ConflictError, NotFoundError } = require('../utils/errors');
 
 class AuthService {
   constructor() {
     this.jwtSecret = process.env.JWT_SECRET || 'dev_secret_key_123';
-    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '24h';
+    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+    this.resetTokenExpiresInMinutes = parseInt(process.env.RESET_TOKEN_EXPIRES_MINUTES) || 60;
   }
 
   /**
-   * Genera un token JWT para el usuario
+   * Genera un token JWT de acceso (corta duracion) para el usuario
    * @param {Object} user - Objeto usuario
+   * @param {string} sessionId - Familia de la sesion a la que pertenece el token
    * @returns {string} Token JWT
    */
-  generateToken(user) {
+  generateToken(user, sessionId = null) {
     const payload = {
       id: user.id,
       email: user.email,
       username: user.username,
-      role: user.role
+      role: user.role,
+      token_version: user.token_version || 0,
+      sid: sessionId
     };
 
     return jwt.sign(payload, this.jwtSecret, {
@@ -40,12 +47,49 @@ class AuthService {
     }
   }
 
+  /**
+   * Crea una sesion y emite el par de tokens (acceso + refresh)
+   * @param {Object} user - Objeto usuario
+   * @param {Object} context - Datos del dispositivo ({ userAgent, ipAddress })
+   * @returns {Object} Token de acceso y refresh token
+   */
+  async issueTokens(user, context = {}) {
+    const { session, refreshToken } = await SessionService.createSession(user.id, context);
+
+    return {
+      token: this.generateToken(user, session.family_id),
+      refresh_token: refreshToken
+    };
+  }
+
+  /**
+   * Verifica que el token no haya sido invalidado (contrasena restablecida o sesion revocada)
+   * @param {Object} decoded - Payload decodificado del token
+   * @returns {Object} Usuario dueno del token
+   */
+  async ensureTokenIsCurrent(decoded) {
+    const user = await User.findByPk(decoded.id, {
+      attributes: ['id', 'token_version']
+    });
+
+    if (!user || (decoded.token_version || 0) !== user.token_version) {
+      throw new AuthenticationError('Token invalido o expirado');
+    }
+
+    if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+      throw new AuthenticationError('La sesion fue cerrada o revocada');
+    }
+
+    return user;
+  }
+
   /**
    * Registra un nuevo usuario
    * @param {Object} userData - Datos del usuario
-   * @returns {Object} Usuario creado con token
+   * @param {Object} context - Datos del dispositivo ({ userAgent, ipAddress })
+   * @returns {Object} Usuario creado con tokens
    */
-  async register(userData) {
+  async register(userData, context = {}) {
     try {
       // Verificar si el email ya existe
       const existingUser = await User.findOne({
@@ -75,12 +119,12 @@ class AuthService {
         role: userData.role || 'customer'
       });
 
-      // Generar token
-      const token = this.generateToken(user);
+      // Crear sesion y generar tokens
+      const tokens = await this.issueTokens(user, context);
 
       return {
         user: user.toPublicJSON(),
-        token
+        ...tokens
       };
     } catch (error) {
       if (error instanceof ConflictError) {
@@ -94,9 +138,10 @@ class AuthService {
    * Autentica un usuario existente
    * @param {string} email - Email del usuario
    * @param {string} password - Contrasena del usuario
-   * @returns {Object} Usuario autenticado con token
+   * @param {Object} context - Datos del dispositivo ({ userAgent, ipAddress })
+   * @returns {Object} Usuario autenticado con tokens
    */
-  async login(email, password) {
+  async login(email, password, context = {}) {
     try {
       // Buscar usuario por email
       const user = await User.findOne({
@@ -123,12 +168,12 @@ class AuthService {
         last_login: new Date()
       });
 
-      // Generar token
-      const token = this.generateToken(user);
+      // Crear sesion y generar tokens
+      const tokens = await this.issueTokens(user, context);
 
       return {
         user: user.toPublicJSON(),
-        token
+        ...tokens
       };
     } catch (error) {
       if (error instanceof AuthenticationError) {
@@ -138,6 +183,79 @@ class AuthService {
     }
   }
 
+  /**
+   * Renueva el token de acceso rotando el refresh token
+   * @param {string} refreshToken - Refresh token actual
+   * @param {Object} context - Datos del dispositivo ({ userAgent, ipAddress })
+   * @returns {Object} Nuevo token de acceso y refresh token
+   */
+  async refresh(refreshToken, context = {}) {
+    try {
+      const { session, refreshToken: newRefreshToken } = await SessionService.rotateSession(refreshToken, context);
+
+      const user = await User.findByPk(session.user_id);
+      if (!user || !user.is_active) {
+        await SessionService.revokeAllSessions(session.user_id, 'account_deactivated');
+        throw new AuthenticationError('Cuenta deshabilitada');
+      }
+
+      return {
+        user: user.toPublicJSON(),
+        token: this.generateToken(user, session.family_id),
+        refresh_token: newRefreshToken
+      };
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        throw error;
+      }
+      throw new AuthenticationError('Error al renovar sesion: ' + error.message);
+    }
+  }
+
+  /**
+   * Cierra la sesion actual del usuario
+   * Con refresh token se revoca su sesion; si no, la del token de acceso
+   * @param {Object} user - Usuario del token de acceso ({ id, sessionId }); null si vencio
+   * @param {string} refreshToken - Refresh token en claro (opcional)
+   * @returns {Object} Confirmacion de cierre
+   */
+  async logout(user, refreshToken = null) {
+    try {
+      if (refreshToken) {
+        await SessionService.revokeSessionByToken(refreshToken, 'logout');
+      } else if (user && user.sessionId) {
+        await SessionService.revokeSession(user.id, user.sessionId, 'logout');
+      }
+
+      return { message: 'Sesion cerrada exitosamente' };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return { message: 'Sesion cerrada exitosamente' };
+      }
+      throw new Error('Error al cerrar sesion: ' + error.message);
+    }
+  }
+
+  /**
+   * Obtiene las sesiones activas (dispositivos) del usuario
+   * @param {number} userId - ID del usuario
+   * @param {string} currentSessionId - Familia de la sesion actual
+   * @returns {Array} Sesiones activas
+   */
+  async getSessions(userId, currentSessionId = null) {
+    return await SessionService.getActiveSessions(userId, currentSessionId);
+  }
+
+  /**
+   * Revoca una sesion (dispositivo) del usuario
+   * @param {number} userId - ID del usuario
+   * @param {string} sessionId - Familia de la sesion a revocar
+   * @returns {Object} Confirmacion de revocacion
+   */
+  async revokeSession(userId, sessionId) {
+    return await SessionService.revokeSession(userId, sessionId, 'revoked');
+  }
+
   /**
    * Obtiene informacion del usuario actual
    * @param {number} userId - ID del usuario
@@ -236,7 +354,10 @@ class AuthService {
       // Actualizar contrasena
       await user.update({ password: newPassword });
 
-      return { message: 'Contrasena actualizada exitosamente' };
+      // Cerrar todas las sesiones abiertas con la contrasena anterior
+      await SessionService.revokeAllSessions(user.id, 'password_changed');
+
+      return { message: 'Contrasena actualizada exitosamente. Inicia sesion nuevamente' };
     } catch (error) {
       if (error instanceof AuthenticationError) {
         throw error;
@@ -259,6 +380,7 @@ class AuthService {
       }
 
       await user.update({ is_active: false });
+      await SessionService.revokeAllSessions(user.id, 'account_deactivated');
 
       return { message: 'Cuenta desactivada exitosamente' };
     } catch (error) {
@@ -268,6 +390,93 @@ class AuthService {
       throw new ValidationError('Error al desactivar cuenta: ' + error.message);
     }
   }
+
+  /**
+   * Solicita el restablecimiento de contrasena y envia el token por correo
+   * Responde igual exista o no el email para no revelar usuarios registrados
+   * @param {string} email - Email del usuario
+   * @returns {Object} Confirmacion de solicitud
+   */
+  async requestPasswordReset(email) {
+    const response = {
+      message: 'Si el email esta registrado, recibiras instrucciones para restablecer tu contrasena'
+    };
+
+    try {
+      const user = await User.findOne({
+        where: { email: email.toLowerCase() }
+      });
+
+      if (!user || !user.is_active) {
+        return response;
+      }
+
+      const token = await user.createResetToken(this.resetTokenExpiresInMinutes);
+
+      // Un fallo de envio solo se registra: responder distinto delataria que el email existe
+      try {
+        await MailService.sendPasswordReset(user, token, this.resetTokenExpiresInMinutes);
+      } catch (error) {
+        console.error(`No se pudo enviar el correo de restablecimiento al usuario ${user.id}:`, error.message);
+      }
+
+      return response;
+    } catch (error) {
+      throw new Error('Error al solicitar restablecimiento de contrasena: ' + error.message);
+    }
+  }
+
+  /**
+   * Restablece la contrasena usando un token de un solo uso
+   * Invalida todos los tokens JWT emitidos previamente
+   * @param {string} token - Token de restablecimiento recibido por correo
+   * @param {string} newPassword - Nueva contrasena
+   * @returns {Object} Confirmacion de restablecimiento
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      const user = await User.findByResetToken(token);
+
+      if (!user || !user.is_active) {
+        throw new ValidationError('Token de restablecimiento invalido o expirado');
+      }
+
+      const transaction = await sequelize.transaction();
+      try {
+        // El token se consume con un UPDATE condicional: de dos usos simultaneos solo uno lo encuentra
+        const [consumed] = await User.update({
+          reset_token: null,
+          reset_token_expires: null
+        }, {
+          where: { id: user.id, reset_token: User.hashResetToken(token) },
+          transaction
+        });
+
+        if (consumed === 0) {
+          throw new ValidationError('Token de restablecimiento invalido o expirado');
+        }
+
+        await user.update({
+          password: newPassword,
+          token_version: user.token_version + 1
+        }, { transaction });
+
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+
+      await SessionService.revokeAllSessions(user.id, 'password_reset');
+
+      return { message: 'Contrasena restablecida exitosamente' };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new Error('Error al restablecer contrasena: ' + error.message);
+    }
+  }
 }
 
 module.exports = new AuthService();
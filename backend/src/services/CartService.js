@@ -0,0 +1,406 @@
+const { Cart, CartItem, Product } = require('../models');
+const InventoryService = require('./InventoryService');
+const OrderService = require('./OrderService');
+const ProductVariantService = require('./ProductVariantService');
+const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+const { roundAmount } = require('../utils/money');
+
+class CartService {
+    /**
+     * Busca el carrito de un propietario sin crearlo
+     * @param {Object} owner - Propietario del carrito ({ userId, cartToken })
+     * @returns {Object|null} Carrito encontrado o null
+     */
+    static async findCart(owner = {}) {
+        const { userId = null, cartToken = null } = owner;
+
+        if (userId) {
+            return await Cart.findByUser(userId);
+        }
+
+        if (cartToken) {
+            return await Cart.findByToken(cartToken);
+        }
+
+        return null;
+    }
+
+    /**
+     * Obtiene el carrito de un propietario o lo crea si no existe
+     * @param {Object} owner - Propietario del carrito ({ userId, cartToken })
+     * @returns {Object} Carrito encontrado o creado
+     */
+    static async getOrCreateCart(owner = {}) {
+        const cart = await this.findCart(owner);
+        if (cart) {
+            return cart;
+        }
+
+        return await Cart.create({
+            user_id: owner.userId || null
+        });
+    }
+
+    /**
+     * Obtiene el carrito con items y totales calculados
+     * @param {Object} owner - Propietario del carrito ({ userId, cartToken })
+     * @returns {Object} Resumen del carrito
+     */
+    static async getCart(owner = {}) {
+        try {
+            const cart = await this.findCart(owner);
+            if (!cart) {
+                return this.buildEmptySummary(owner);
+            }
+
+            return await this.buildCartSummary(cart);
+        } catch (error) {
+            throw new Error('Error al obtener carrito: ' + error.message);
+        }
+    }
+
+    /**
+     * Agrega un producto al carrito (suma la cantidad si ya existe)
+     * Cada variante de un producto ocupa su propio item
+     * @param {Object} owner - Propietario del carrito ({ userId, cartToken })
+     * @param {number} productId - ID del producto
+     * @param {number} quantity - Cantidad a agregar
+     * @param {number} variantId - ID de la variante (requerido si el producto tiene variantes)
+     * @returns {Object} Resumen del carrito actualizado
+     */
+    static async addItem(owner, productId, quantity = 1, variantId = null) {
+        try {
+            const product = await Product.findByPk(productId);
+            if (!product || !product.is_active) {
+                throw new NotFoundError('Producto no encontrado');
+            }
+
+            await ProductVariantService.validateOrderItems([{ product_id: productId, variant_id: variantId }]);
+
+            const cart = await this.getOrCreateCart(owner);
+
+            const existingItem = await CartItem.findOne({
+                where: { cart_id: cart.id, product_id: productId, variant_id: variantId }
+            });
+
+            const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+            await this.ensureStockAvailable(productId, newQuantity, variantId);
+
+            if (existingItem) {
+                await existingItem.update({ quantity: newQuantity });
+            } else {
+                await CartItem.create({
+                    cart_id: cart.id,
+                    product_id: productId,
+                    variant_id: variantId,
+                    quantity: newQuantity
+                });
+            }
+
+            return await this.buildCartSummary(cart);
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error('Error al agregar producto al carrito: ' + error.message);
+        }
+    }
+
+    /**
+     * Actualiza la cantidad de un producto en el carrito (0 lo elimina)
+     * @param {Object} owner - Propietario del carrito ({ userId, cartToken })
+     * @param {number} productId - ID del producto
+     * @param {number} quantity - Nueva cantidad
+     * @param {number} variantId - ID de la variante (opcional)
+     * @returns {Object} Resumen del carrito actualizado
+     */
+    static async updateItemQuantity(owner, productId, quantity, variantId = null) {
+        try {
+            const cart = await this.findCart(owner);
+            if (!cart) {
+                throw new NotFoundError('Carrito no encontrado');
+            }
+
+            const item = await CartItem.findOne({
+                where: { cart_id: cart.id, product_id: productId, variant_id: variantId }
+            });
+
+            if (!item) {
+                throw new NotFoundError('El producto no esta en el carrito');
+            }
+
+            if (quantity === 0) {
+                await item.destroy();
+            } else {
+                await this.ensureStockAvailable(productId, quantity, variantId);
+                await item.update({ quantity });
+            }
+
+            return await this.buildCartSummary(cart);
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error('Error al actualizar cantidad en el carrito: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina un producto del carrito
+     * @param {Object} owner - Propietario del carrito ({ userId, cartToken })
+     * @param {number} productId - ID del producto
+     * @param {number} variantId - ID de la variante (opcional)
+     * @returns {Object} Resumen del carrito actualizado
+     */
+    static async removeItem(owner, productId, variantId = null) {
+        try {
+            const cart = await this.findCart(owner);
+            if (!cart) {
+                throw new NotFoundError('Carrito no encontrado');
+            }
+
+            const deleted = await CartItem.destroy({
+                where: { cart_id: cart.id, product_id: productId, variant_id: variantId }
+            });
+
+            if (deleted === 0) {
+                throw new NotFoundError('El producto no esta en el carrito');
+            }
+
+            return await this.buildCartSummary(cart);
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al eliminar producto del carrito: ' + error.message);
+        }
+    }
+
+    /**
+     * Vacia el carrito
+     * @param {Object} owner - Propietario del carrito ({ userId, cartToken })
+     * @returns {Object} Resumen del carrito vacio
+     */
+    static async clearCart(owner) {
+        try {
+            const cart = await this.findCart(owner);
+            if (!cart) {
+                return this.buildEmptySummary(owner);
+            }
+
+            await CartItem.destroy({ where: { cart_id: cart.id } });
+
+            return await this.buildCartSummary(cart);
+        } catch (error) {
+            throw new Error('Error al vaciar carrito: ' + error.message);
+        }
+    }
+
+    /**
+     * Fusiona el carrito anonimo identificado por token con el carrito del usuario
+     * @param {string} cartToken - Token del carrito anonimo
+     * @param {number} userId - ID del usuario que inicia sesion
+     * @returns {Object|null} Carrito resultante o null si no habia carrito anonimo
+     */
+    static async mergeGuestCart(cartToken, userId) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const guestCart = await Cart.findByToken(cartToken, { transaction });
+            if (!guestCart) {
+                await transaction.commit();
+                return null;
+            }
+
+            const userCart = await Cart.findByUser(userId, { transaction });
+
+            // Si el usuario no tiene carrito, el carrito anonimo pasa a ser suyo
+            if (!userCart) {
+                await guestCart.update({ user_id: userId }, { transaction });
+                await transaction.commit();
+                return guestCart;
+            }
+
+            const guestItems = await CartItem.findAll({
+                where: { cart_id: guestCart.id },
+                transaction
+            });
+
+            for (const guestItem of guestItems) {
+                const existingItem = await CartItem.findOne({
+                    where: { cart_id: userCart.id, product_id: guestItem.product_id, variant_id: guestItem.variant_id },
+                    transaction
+                });
+
+                if (existingItem) {
+                    await existingItem.update({
+                        quantity: existingItem.quantity + guestItem.quantity
+                    }, { transaction });
+                } else {
+                    await CartItem.create({
+                        cart_id: userCart.id,
+                        product_id: guestItem.product_id,
+                        variant_id: guestItem.variant_id,
+                        quantity: guestItem.quantity
+                    }, { transaction });
+                }
+            }
+
+            await CartItem.destroy({ where: { cart_id: guestCart.id }, transaction });
+            await guestCart.destroy({ transaction });
+
+            await transaction.commit();
+            return userCart;
+        } catch (error) {
+            await transaction.rollback();
+            throw new Error('Error al fusionar carritos: ' + error.message);
+        }
+    }
+
+    /**
+     * Convierte el carrito del usuario en un pedido
+     * @param {number} userId - ID del usuario
+     * @param {Object} orderData - Datos del pedido (direcciones, metodo de envio y cupon)
+     * @returns {Object} Pedido creado
+     */
+    static async checkout(userId, orderData) {
+        try {
+            const cart = await Cart.findByUser(userId);
+            const items = cart
+                ? await CartItem.findAll({ where: { cart_id: cart.id } })
+                : [];
+
+            if (items.length === 0) {
+                throw new ValidationError('El carrito esta vacio');
+            }
+
+            const orderItems = items.map(item => ({
+                product_id: item.product_id,
+                variant_id: item.variant_id,
+                quantity: item.quantity
+            }));
+
+            const availability = await InventoryService.checkStockAvailability(orderItems);
+            if (!availability.allAvailable) {
+                const unavailable = availability.items
+                    .filter(item => item.inStock !== true)
+                    .map(item => item.product_name);
+                throw new BusinessLogicError(`Stock insuficiente para: ${unavailable.join(', ')}`);
+            }
+
+            const order = await OrderService.createOrder({
+                user_id: userId,
+                shipping_address: orderData.shipping_address,
+                billing_address: orderData.billing_address,
+                shipping_address_id: orderData.shipping_address_id,
+                billing_address_id: orderData.billing_address_id,
+                shipping_method_id: orderData.shipping_method_id,
+                coupon_code: orderData.coupon_code
+            }, orderItems);
+
+            // Vaciar el carrito una vez creado el pedido
+            await CartItem.destroy({ where: { cart_id: cart.id } });
+
+            return order;
+        } catch (error) {
+            if (error instanceof ValidationError ||
+                error instanceof NotFoundError ||
+                error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error('Error al procesar el carrito: ' + error.message);
+        }
+    }
+
+    /**
+     * Verifica que haya stock suficiente para la cantidad solicitada
+     * @param {number} productId - ID del producto
+     * @param {number} quantity - Cantidad solicitada
+     * @param {number} variantId - ID de la variante (opcional)
+     */
+    static async ensureStockAvailable(productId, quantity, variantId = null) {
+        const availability = await InventoryService.checkStockAvailability([
+            { product_id: productId, variant_id: variantId, quantity }
+        ]);
+
+        if (!availability.allAvailable) {
+            throw new BusinessLogicError(availability.items[0].message);
+        }
+    }
+
+    /**
+     * Construye el resumen del carrito con disponibilidad y totales
+     * @param {Object} cart - Carrito
+     * @returns {Object} Resumen del carrito
+     */
+    static async buildCartSummary(cart) {
+        const items = await cart.getCartItems();
+
+        const availability = items.length > 0
+            ? await InventoryService.checkStockAvailability(items.map(item => ({
+                product_id: item.product_id,
+                variant_id: item.variant_id,
+                quantity: item.quantity
+            })))
+            : { allAvailable: true, items: [] };
+
+        // La verificacion de stock devuelve un resultado por item, en el mismo orden
+        const summaryItems = items.map((item, index) => {
+            const stock = availability.items[index];
+            const unitPrice = item.getUnitPrice();
+
+            return {
+                id: item.id,
+                product_id: item.product_id,
+                variant_id: item.variant_id,
+                quantity: item.quantity,
+                unit_price: unitPrice,
+                subtotal: roundAmount(unitPrice * item.quantity),
+                in_stock: stock ? stock.inStock === true : false,
+                available_quantity: stock && typeof stock.available === 'number' ? stock.available : 0,
+                product: item.product,
+                variant: item.variant || null
+            };
+        });
+
+        const subtotal = summaryItems.reduce((sum, item) => sum + item.subtotal, 0);
+
+        return {
+            id: cart.id,
+            user_id: cart.user_id,
+            cart_token: cart.isGuest() ? cart.cart_token : null,
+            items: summaryItems,
+            totals: {
+                total_products: summaryItems.length,
+                total_quantity: summaryItems.reduce((sum, item) => sum + item.quantity, 0),
+                subtotal: roundAmount(subtotal)
+            },
+            all_available: availability.allAvailable,
+            updated_at: cart.updated_at
+        };
+    }
+
+    /**
+     * Construye el resumen de un carrito que aun no existe
+     * @param {Object} owner - Propietario del carrito ({ userId, cartToken })
+     * @returns {Object} Resumen vacio
+     */
+    static buildEmptySummary(owner = {}) {
+        return {
+            id: null,
+            user_id: owner.userId || null,
+            cart_token: null,
+            items: [],
+            totals: {
+                total_products: 0,
+                total_quantity: 0,
+                subtotal: 0
+            },
+            all_available: true,
+            updated_at: null
+        };
+    }
+}
+
+module.exports = CartService;
@@ -1,5 +1,6 @@
 const { Category, Product } = require('../models');
 const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
 class CategoryService {
@@ -40,7 +41,13 @@ class CategoryService {
                 throw new NotFoundError('Categoria no encontrada');
             }
 
-            return category;
+            // Ruta desde la categoria raiz hasta la categoria actual
+            const breadcrumb = await this.getBreadcrumb(category);
+
+            return {
+                ...category.toJSON(),
+                breadcrumb
+            };
         } catch (error) {
             if (error instanceof NotFoundError) {
                 throw error;
@@ -131,6 +138,160 @@ class CategoryService {
         }
     }
 
+    /**
+     * Obtiene la ruta de ancestros de una categoria (de la raiz a la categoria)
+     * @param {Object} category - Categoria
+     * @returns {Array} Lista de { id, name, slug }
+     */
+    static async getBreadcrumb(category) {
+        const path = [{ id: category.id, name: category.name, slug: category.slug }];
+        const visited = new Set([category.id]);
+        let parentId = category.parent_id;
+
+        while (parentId && !visited.has(parentId)) {
+            const parent = await Category.findByPk(parentId, {
+                attributes: ['id', 'name', 'slug', 'parent_id']
+            });
+            if (!parent) {
+                break;
+            }
+
+            visited.add(parent.id);
+            path.unshift({ id: parent.id, name: parent.name, slug: parent.slug });
+            parentId = parent.parent_id;
+        }
+
+        return path;
+    }
+
+    /**
+     * Obtiene los IDs de una categoria y de todas sus subcategorias
+     * @param {number} categoryId - ID de la categoria
+     * @returns {Array} IDs de la categoria y sus descendientes
+     */
+    static async getDescendantIds(categoryId) {
+        const categories = await Category.findAll({
+            attributes: ['id', 'parent_id']
+        });
+
+        const childrenByParent = categories.reduce((acc, category) => {
+            if (category.parent_id) {
+                acc[category.parent_id] = acc[category.parent_id] || [];
+                acc[category.parent_id].push(category.id);
+            }
+            return acc;
+        }, {});
+
+        const ids = [categoryId];
+        for (let i = 0; i < ids.length; i++) {
+            for (const childId of childrenByParent[ids[i]] || []) {
+                if (!ids.includes(childId)) {
+                    ids.push(childId);
+                }
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Valida la categoria padre asignada a una categoria
+     * Evita ciclos: una categoria no puede colgar de si misma ni de sus subcategorias
+     * @param {number|null} categoryId - ID de la categoria (null si es nueva)
+     * @param {number|null} parentId - ID de la categoria padre
+     */
+    static async validateParent(categoryId, parentId) {
+        if (parentId === null || parentId === undefined) {
+            return;
+        }
+
+        const parent = await Category.findByPk(parentId);
+        if (!parent) {
+            throw new ValidationError('La categoria padre no existe');
+        }
+
+        if (categoryId) {
+            const descendantIds = await this.getDescendantIds(categoryId);
+            if (descendantIds.includes(parent.id)) {
+                throw new ValidationError('Una categoria no puede ser subcategoria de si misma ni de sus subcategorias');
+            }
+        }
+    }
+
+    /**
+     * Obtiene el arbol de categorias con conteo de productos
+     * El total de productos de cada nodo incluye los de sus subcategorias
+     * @param {Object} options - Opciones ({ includeInactive })
+     * @returns {Array} Categorias raiz con sus subcategorias anidadas
+     */
+    static async getCategoryTree(options = {}) {
+        try {
+            const { includeInactive = false } = options;
+
+            const whereClause = {};
+            if (!includeInactive) {
+                whereClause.is_active = true;
+            }
+
+            const categories = await Category.findAll({
+                where: whereClause,
+                attributes: ['id', 'name', 'slug', 'description', 'parent_id', 'is_active'],
+                order: [['name', 'ASC']]
+            });
+
+            const productCounts = await Product.findAll({
+                attributes: [
+                    'category_id',
+                    [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+                ],
+                where: {
+                    is_active: true,
+                    category_id: { [Op.ne]: null }
+                },
+                group: ['category_id'],
+                raw: true
+            });
+
+            const countByCategory = productCounts.reduce((acc, row) => {
+                acc[row.category_id] = parseInt(row.count);
+                return acc;
+            }, {});
+
+            const nodes = new Map();
+            for (const category of categories) {
+                nodes.set(category.id, {
+                    ...category.toJSON(),
+                    product_count: countByCategory[category.id] || 0,
+                    total_product_count: 0,
+                    children: []
+                });
+            }
+
+            // Enlazar cada nodo con su padre (si el padre esta oculto, el subarbol tambien)
+            const roots = [];
+            for (const node of nodes.values()) {
+                if (!node.parent_id) {
+                    roots.push(node);
+                } else if (nodes.has(node.parent_id)) {
+                    nodes.get(node.parent_id).children.push(node);
+                }
+            }
+
+            const rollUp = (node) => {
+                node.total_product_count = node.children.reduce(
+                    (sum, child) => sum + rollUp(child),
+                    node.product_count
+                );
+                return node.total_product_count;
+            };
+            roots.forEach(rollUp);
+
+            return roots;
+        } catch (error) {
+            throw new Error('Error al obtener arbol de categorias: ' + error.message);
+        }
+    }
+
     /**
      * Crea una nueva categoria
      * @param {Object} categoryData - Datos de la categoria
@@ -138,6 +299,8 @@ class CategoryService {
      */
     static async createCategory(categoryData) {
         try {
+            await this.validateParent(null, categoryData.parent_id);
+
             // Verificar si el nombre o slug ya existen
             const existingCategory = await Category.findOne({
                 where: {
@@ -155,7 +318,7 @@ class CategoryService {
             const category = await Category.create(categoryData);
             return category;
         } catch (error) {
-            if (error instanceof ConflictError) {
+            if (error instanceof ConflictError || error instanceof ValidationError) {
                 throw error;
             }
             throw new Error('Error al crear categoria: ' + error.message);
@@ -192,10 +355,14 @@ class CategoryService {
                 }
             }
 
+            if (updateData.parent_id !== undefined) {
+                await this.validateParent(categoryId, updateData.parent_id);
+            }
+
             await category.update(updateData);
             return category;
         } catch (error) {
-            if (error instanceof NotFoundError || error instanceof ConflictError) {
+            if (error instanceof NotFoundError || error instanceof ConflictError || error instanceof ValidationError) {
                 throw error;
             }
             throw new Error('Error al actualizar categoria: ' + error.message);
@@ -246,6 +413,14 @@ class CategoryService {
                 throw new ValidationError(`No se puede eliminar la categoria. Tiene ${productCount} productos asociados.`);
             }
 
+            const childCount = await Category.count({
+                where: { parent_id: categoryId }
+            });
+
+            if (childCount > 0) {
+                throw new ValidationError(`No se puede eliminar la categoria. Tiene ${childCount} subcategorias.`);
+            }
+
             await category.destroy();
             return true;
         } catch (error) {
@@ -257,9 +432,9 @@ class CategoryService {
     }
 
     /**
-     * Obtiene productos de una categoria
+     * Obtiene productos de una categoria (opcionalmente con sus subcategorias)
      * @param {number} categoryId - ID de la categoria
-     * @param {Object} options - Opciones de paginacion y filtros
+     * @param {Object} options - Opciones de paginacion y filtros ({ includeSubcategories })
      * @returns {Object} Lista de productos y metadata
      */
     static async getCategoryProducts(categoryId, options = {}) {
@@ -273,14 +448,18 @@ class CategoryService {
                 page = 1,
                 limit = 10,
                 sortBy = 'created_at',
-                sortOrder = 'DESC'
+                sortOrder = 'DESC',
+                includeSubcategories = false
             } = options;
 
             const offset = (page - 1) * limit;
+            const categoryIds = includeSubcategories
+                ? await this.getDescendantIds(categoryId)
+                : [categoryId];
 
             const { count, rows } = await Product.findAndCountAll({
                 where: { 
-                    category_id: categoryId,
+                    category_id: { [Op.in]: categoryIds },
                     is_active: true
                 },
                 order: [[sortBy, sortOrder]],
@@ -0,0 +1,536 @@
+const { Op } = require('sequelize');
+const { Coupon, CouponRedemption, Product, Category, Order, User } = require('../models');
+const CategoryService = require('./CategoryService');
+const { ValidationError, NotFoundError, ConflictError, BusinessLogicError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+const { roundAmount } = require('../utils/money');
+
+class CouponService {
+    /**
+     * Lista cupones con paginacion y filtros
+     * @param {Object} options - Opciones ({ page, limit, search, is_active })
+     * @returns {Object} Cupones y paginacion
+     */
+    static async listCoupons(options = {}) {
+        try {
+            const { page = 1, limit = 10, search = '', is_active = null } = options;
+            const offset = (page - 1) * limit;
+            const whereClause = {};
+
+            if (search) {
+                whereClause[Op.or] = [
+                    { code: { [Op.like]: `%${search}%` } },
+                    { description: { [Op.like]: `%${search}%` } }
+                ];
+            }
+
+            if (is_active !== null) {
+                whereClause.is_active = is_active;
+            }
+
+            const { count, rows } = await Coupon.findAndCountAll({
+                where: whereClause,
+                order: [['created_at', 'DESC'], ['id', 'DESC']],
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
+
+            const coupons = [];
+            for (const coupon of rows) {
+                coupons.push({
+                    ...coupon.toJSON(),
+                    times_used: await CouponRedemption.countActive(coupon.id)
+                });
+            }
+
+            return {
+                coupons,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: count,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            throw new Error('Error al listar cupones: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene un cupon por ID con su alcance y cantidad de usos
+     * @param {number} couponId - ID del cupon
+     * @returns {Object} Cupon encontrado
+     */
+    static async getCouponById(couponId) {
+        try {
+            const coupon = await Coupon.findByPk(couponId, {
+                include: [
+                    { model: Product, as: 'products', attributes: ['id', 'name', 'sku'], through: { attributes: [] } },
+                    { model: Category, as: 'categories', attributes: ['id', 'name', 'slug'], through: { attributes: [] } }
+                ]
+            });
+
+            if (!coupon) {
+                throw new NotFoundError('Cupon no encontrado');
+            }
+
+            return {
+                ...coupon.toJSON(),
+                times_used: await CouponRedemption.countActive(coupon.id)
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener cupon: ' + error.message);
+        }
+    }
+
+    /**
+     * Verifica que los productos y categorias del alcance existan
+     * @param {Array} productIds - IDs de productos
+     * @param {Array} categoryIds - IDs de categorias
+     */
+    static async validateScope(productIds = [], categoryIds = []) {
+        if (productIds.length > 0) {
+            const found = await Product.count({ where: { id: productIds } });
+            if (found !== productIds.length) {
+                throw new ValidationError('Uno o mas productos del cupon no existen');
+            }
+        }
+
+        if (categoryIds.length > 0) {
+            const found = await Category.count({ where: { id: categoryIds } });
+            if (found !== categoryIds.length) {
+                throw new ValidationError('Una o mas categorias del cupon no existen');
+            }
+        }
+    }
+
+    /**
+     * Crea un nuevo cupon
+     * @param {Object} couponData - Datos del cupon (incluye product_ids y category_ids)
+     * @returns {Object} Cupon creado
+     */
+    static async createCoupon(couponData) {
+        try {
+            const { product_ids: productIds = [], category_ids: categoryIds = [], ...data } = couponData;
+
+            const existing = await Coupon.findByCode(data.code);
+            if (existing) {
+                throw new ConflictError('Ya existe un cupon con ese codigo');
+            }
+
+            await this.validateScope(productIds, categoryIds);
+
+            const coupon = await sequelize.transaction(async (transaction) => {
+                const created = await Coupon.create(data, { transaction });
+                await created.setProducts(productIds, { transaction });
+                await created.setCategories(categoryIds, { transaction });
+                return created;
+            });
+
+            return await this.getCouponById(coupon.id);
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al crear cupon: ' + error.message);
+        }
+    }
+
+    /**
+     * Actualiza un cupon existente
+     * @param {number} couponId - ID del cupon
+     * @param {Object} updateData - Datos a actualizar (product_ids y category_ids reemplazan el alcance)
+     * @returns {Object} Cupon actualizado
+     */
+    static async updateCoupon(couponId, updateData) {
+        try {
+            const coupon = await Coupon.findByPk(couponId);
+            if (!coupon) {
+                throw new NotFoundError('Cupon no encontrado');
+            }
+
+            const { product_ids: productIds, category_ids: categoryIds, ...data } = updateData;
+
+            if (data.code) {
+                const existing = await Coupon.findByCode(data.code);
+                if (existing && existing.id !== coupon.id) {
+                    throw new ConflictError('Ya existe un cupon con ese codigo');
+                }
+            }
+
+            await this.validateScope(productIds, categoryIds);
+
+            const type = data.type || coupon.type;
+            const value = data.value !== undefined ? data.value : coupon.value;
+            if (type === 'percentage' && (value <= 0 || value > 100)) {
+                throw new ValidationError('El porcentaje debe ser mayor a 0 y no mayor a 100');
+            }
+            if (type === 'fixed_amount' && value <= 0) {
+                throw new ValidationError('El monto del descuento debe ser mayor a 0');
+            }
+
+            await sequelize.transaction(async (transaction) => {
+                await coupon.update(data, { transaction });
+                if (productIds) {
+                    await coupon.setProducts(productIds, { transaction });
+                }
+                if (categoryIds) {
+                    await coupon.setCategories(categoryIds, { transaction });
+                }
+            });
+
+            return await this.getCouponById(coupon.id);
+        } catch (error) {
+            if (error instanceof ValidationError ||
+                error instanceof NotFoundError ||
+                error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al actualizar cupon: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina un cupon que nunca fue usado
+     * @param {number} couponId - ID del cupon
+     * @returns {boolean} true si se elimino
+     */
+    static async deleteCoupon(couponId) {
+        try {
+            const coupon = await Coupon.findByPk(couponId);
+            if (!coupon) {
+                throw new NotFoundError('Cupon no encontrado');
+            }
+
+            const redemptions = await CouponRedemption.count({ where: { coupon_id: couponId } });
+            if (redemptions > 0) {
+                throw new ConflictError('No se puede eliminar un cupon con usos registrados. Desactivelo en su lugar');
+            }
+
+            await coupon.destroy();
+            return true;
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al eliminar cupon: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene los IDs de productos a los que aplica un cupon
+     * Retorna null si el cupon no tiene alcance (aplica a todo el pedido)
+     * @param {Object} coupon - Cupon con products y categories cargados
+     * @returns {Object|null} { productIds, categoryIds } o null
+     */
+    static async resolveScope(coupon) {
+        const productIds = (coupon.products || []).map(product => product.id);
+        const categoryIds = [];
+
+        for (const category of coupon.categories || []) {
+            for (const id of await CategoryService.getDescendantIds(category.id)) {
+                if (!categoryIds.includes(id)) {
+                    categoryIds.push(id);
+                }
+            }
+        }
+
+        if (productIds.length === 0 && categoryIds.length === 0) {
+            return null;
+        }
+
+        return { productIds, categoryIds };
+    }
+
+    /**
+     * Calcula el descuento de un cupon y lo prorratea entre las lineas elegibles
+     * @param {Object} coupon - Cupon
+     * @param {Array} lines - Lineas del pedido ({ product_id, category_id, line_total })
+     * @param {Object|null} scope - Alcance del cupon (ver resolveScope)
+     * @returns {Object} { discountAmount, lineDiscounts, freeShipping }
+     */
+    static calculateDiscount(coupon, lines, scope) {
+        const eligible = lines.map(line => !scope ||
+            scope.productIds.includes(line.product_id) ||
+            scope.categoryIds.includes(line.category_id));
+
+        const eligibleSubtotal = roundAmount(lines.reduce(
+            (sum, line, index) => (eligible[index] ? sum + line.line_total : sum), 0
+        ));
+
+        if (eligibleSubtotal <= 0) {
+            throw new BusinessLogicError('El cupon no aplica a los productos del pedido');
+        }
+
+        let discountAmount = 0;
+        if (coupon.type === 'percentage') {
+            discountAmount = roundAmount(eligibleSubtotal * coupon.value / 100);
+        } else if (coupon.type === 'fixed_amount') {
+            discountAmount = roundAmount(Math.min(coupon.value, eligibleSubtotal));
+        }
+
+        // Prorrateo proporcional al total de cada linea; el ultimo item absorbe el redondeo
+        const lineDiscounts = lines.map(() => 0);
+        const lastEligible = eligible.lastIndexOf(true);
+        let assigned = 0;
+
+        lines.forEach((line, index) => {
+            if (!eligible[index] || discountAmount === 0) {
+                return;
+            }
+            if (index === lastEligible) {
+                lineDiscounts[index] = roundAmount(discountAmount - assigned);
+            } else {
+                lineDiscounts[index] = roundAmount(discountAmount * line.line_total / eligibleSubtotal);
+                assigned = roundAmount(assigned + lineDiscounts[index]);
+            }
+        });
+
+        return {
+            discountAmount,
+            lineDiscounts,
+            freeShipping: coupon.type === 'free_shipping'
+        };
+    }
+
+    /**
+     * Valida un cupon para un pedido y calcula su descuento
+     * Dentro de la transaccion del pedido, los limites de uso se verifican con los usos confirmados;
+     * la transaccion debe ser inmediata para que el conteo y el registro del uso no se intercalen
+     * @param {string} code - Codigo del cupon
+     * @param {Object} orderContext - Contexto ({ userId, lines, subtotal })
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Object} { coupon, discountAmount, lineDiscounts, freeShipping }
+     */
+    static async applyCoupon(code, orderContext, transaction = null) {
+        const { userId, lines, subtotal } = orderContext;
+
+        const coupon = await Coupon.findByCode(code, {
+            include: [
+                { model: Product, as: 'products', attributes: ['id'], through: { attributes: [] } },
+                { model: Category, as: 'categories', attributes: ['id'], through: { attributes: [] } }
+            ],
+            transaction
+        });
+
+        if (!coupon || !coupon.isCurrentlyValid()) {
+            throw new BusinessLogicError('El cupon no existe o no esta vigente');
+        }
+
+        if (subtotal < coupon.min_order_amount) {
+            throw new BusinessLogicError(
+                `El cupon requiere un pedido minimo de ${coupon.min_order_amount.toFixed(2)}`
+            );
+        }
+
+        if (coupon.usage_limit) {
+            const used = await CouponRedemption.countActive(coupon.id, null, { transaction });
+            if (used >= coupon.usage_limit) {
+                throw new BusinessLogicError('El cupon alcanzo su limite de usos');
+            }
+        }
+
+        if (coupon.usage_limit_per_user && userId) {
+            const usedByUser = await CouponRedemption.countActive(coupon.id, userId, { transaction });
+            if (usedByUser >= coupon.usage_limit_per_user) {
+                throw new BusinessLogicError('Ya usaste este cupon el maximo de veces permitido');
+            }
+        }
+
+        const scope = await this.resolveScope(coupon);
+
+        return {
+            coupon,
+            ...this.calculateDiscount(coupon, lines, scope)
+        };
+    }
+
+    /**
+     * Calcula el descuento de un cupon para un carrito sin registrar su uso
+     * @param {string} code - Codigo del cupon
+     * @param {Array} items - Items ({ product_id, quantity })
+     * @param {number} userId - ID del usuario
+     * @returns {Object} Resumen del descuento
+     */
+    static async previewCoupon(code, items, userId) {
+        try {
+            const lines = [];
+            for (const item of items) {
+                const product = await Product.findByPk(item.product_id);
+                if (!product) {
+                    throw new NotFoundError(`Producto con ID ${item.product_id} no encontrado`);
+                }
+                lines.push({
+                    product_id: product.id,
+                    category_id: product.category_id,
+                    line_total: roundAmount(parseFloat(product.price) * item.quantity)
+                });
+            }
+
+            const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.line_total, 0));
+            const result = await this.applyCoupon(code, { userId, lines, subtotal });
+
+            return {
+                code: result.coupon.code,
+                type: result.coupon.type,
+                subtotal,
+                discount_amount: result.discountAmount,
+                free_shipping: result.freeShipping,
+                total: roundAmount(subtotal - result.discountAmount),
+                items: items.map((item, index) => ({
+                    product_id: item.product_id,
+                    quantity: item.quantity,
+                    discount_amount: result.lineDiscounts[index]
+                }))
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error('Error al validar cupon: ' + error.message);
+        }
+    }
+
+    /**
+     * Registra el uso de un cupon en un pedido
+     * @param {Object} coupon - Cupon aplicado
+     * @param {Object} order - Pedido creado
+     * @param {number} discountAmount - Descuento otorgado
+     * @param {Object} transaction - Transaccion del pedido
+     */
+    static async recordRedemption(coupon, order, discountAmount, transaction) {
+        await CouponRedemption.create({
+            coupon_id: coupon.id,
+            order_id: order.id,
+            user_id: order.user_id,
+            discount_amount: discountAmount
+        }, { transaction });
+    }
+
+    /**
+     * Anula el uso de cupon de un pedido cancelado para que no cuente en los limites
+     * @param {number} orderId - ID del pedido
+     * @param {Object} transaction - Transaccion de base de datos
+     */
+    static async voidOrderRedemption(orderId, transaction) {
+        await CouponRedemption.update(
+            { voided_at: new Date() },
+            { where: { order_id: orderId, voided_at: null }, transaction }
+        );
+    }
+
+    /**
+     * Lista los usos de un cupon
+     * @param {number} couponId - ID del cupon
+     * @param {Object} options - Opciones ({ page, limit })
+     * @returns {Object} Usos y paginacion
+     */
+    static async getCouponRedemptions(couponId, options = {}) {
+        try {
+            const coupon = await Coupon.findByPk(couponId);
+            if (!coupon) {
+                throw new NotFoundError('Cupon no encontrado');
+            }
+
+            const { page = 1, limit = 20 } = options;
+            const offset = (page - 1) * limit;
+
+            const { count, rows } = await CouponRedemption.findAndCountAll({
+                where: { coupon_id: couponId },
+                include: [
+                    { model: Order, as: 'order', attributes: ['id', 'order_number', 'status', 'total_amount'] },
+                    { model: User, as: 'user', attributes: ['id', 'username', 'email'] }
+                ],
+                order: [['created_at', 'DESC'], ['id', 'DESC']],
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
+
+            return {
+                redemptions: rows,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: count,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener usos del cupon: ' + error.message);
+        }
+    }
+
+    /**
+     * Reporte de usos por cupon en un rango de fechas
+     * @param {Object} filters - Filtros ({ dateFrom, dateTo })
+     * @returns {Object} Resumen por cupon y totales
+     */
+    static async getRedemptionReport(filters = {}) {
+        try {
+            const where = {};
+            if (filters.dateFrom || filters.dateTo) {
+                where.created_at = {};
+                if (filters.dateFrom) {
+                    where.created_at[Op.gte] = filters.dateFrom;
+                }
+                if (filters.dateTo) {
+                    where.created_at[Op.lte] = filters.dateTo;
+                }
+            }
+
+            const redemptions = await CouponRedemption.findAll({
+                where,
+                include: [{ model: Coupon, as: 'coupon', attributes: ['id', 'code', 'type', 'value'] }]
+            });
+
+            const byCoupon = new Map();
+            for (const redemption of redemptions) {
+                const key = redemption.coupon_id;
+                if (!byCoupon.has(key)) {
+                    byCoupon.set(key, {
+                        coupon_id: key,
+                        code: redemption.coupon.code,
+                        type: redemption.coupon.type,
+                        redemptions: 0,
+                        voided: 0,
+                        total_discount: 0,
+                        users: new Set()
+                    });
+                }
+
+                const row = byCoupon.get(key);
+                if (redemption.voided_at) {
+                    row.voided += 1;
+                    continue;
+                }
+                row.redemptions += 1;
+                row.total_discount = roundAmount(row.total_discount + redemption.discount_amount);
+                row.users.add(redemption.user_id);
+            }
+
+            const coupons = [...byCoupon.values()]
+                .map(({ users, ...row }) => ({ ...row, unique_users: users.size }))
+                .sort((a, b) => b.total_discount - a.total_discount);
+
+            return {
+                coupons,
+                totals: {
+                    redemptions: coupons.reduce((sum, row) => sum + row.redemptions, 0),
+                    voided: coupons.reduce((sum, row) => sum + row.voided, 0),
+                    total_discount: roundAmount(coupons.reduce((sum, row) => sum + row.total_discount, 0))
+                }
+            };
+        } catch (error) {
+            throw new Error('Error al generar reporte de cupones: ' + error.message);
+        }
+    }
+}
+
+module.exports = CouponService;
@@ -1,26 +1,75 @@
-const { Inventory, Product } = require('../models');
+const { Inventory, InventoryMovement, StockReservation, Product, ProductVariant, User } = require('../models');
+const WishlistService = require('./WishlistService');
 const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
+// Codigos de razon que corresponden a ajustes manuales de inventario
+const ADJUSTMENT_REASON_CODES = ['manual', 'damaged', 'expired', 'theft', 'correction'];
+
+// Minutos que una reserva de stock de un pedido pendiente se mantiene activa
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30;
+
+// Columnas del CSV exportado del historial de movimientos
+const MOVEMENT_CSV_COLUMNS = [
+    'id', 'created_at', 'product_id', 'product_sku', 'product_name', 'variant_id', 'variant_sku',
+    'reason_code', 'quantity_before', 'delta', 'quantity_after', 'user_id', 'username', 'order_id', 'notes'
+];
+
+/**
+ * Filtro del registro de inventario de un producto o de una de sus variantes
+ * El stock propio del producto es la fila con variant_id NULL
+ */
+const inventoryWhere = (productId, variantId = null) => ({
+    product_id: productId,
+    variant_id: variantId || null
+});
+
+/**
+ * Excluye la fila base (variant_id NULL) de los productos con variantes: ese stock no se puede vender
+ * Se combina con otras condiciones sobre Inventory (clave simbolica, se puede esparcir en un where)
+ */
+const sellableInventoryWhere = () => ({
+    [Op.or]: [
+        { variant_id: { [Op.ne]: null } },
+        sequelize.literal('NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = `Inventory`.`product_id`)')
+    ]
+});
+
+/**
+ * Error de inventario inexistente para un producto o variante
+ */
+const inventoryNotFound = (variantId = null) => new NotFoundError(
+    variantId ? 'Inventario no encontrado para esta variante' : 'Inventario no encontrado para este producto'
+);
+
 class InventoryService {
     /**
-     * Obtiene el inventario de un producto
+     * Obtiene el inventario de un producto o de una de sus variantes
      * @param {number} productId - ID del producto
-     * @returns {Object} Inventario del producto
+     * @param {number} variantId - ID de la variante (opcional)
+     * @returns {Object} Inventario del producto o variante
      */
-    static async getInventoryByProductId(productId) {
+    static async getInventoryByProductId(productId, variantId = null) {
         try {
             const inventory = await Inventory.findOne({
-                where: { product_id: productId },
-                include: [{
-                    model: Product,
-                    as: 'product',
-                    attributes: ['id', 'name', 'sku', 'price']
-                }]
+                where: inventoryWhere(productId, variantId),
+                include: [
+                    {
+                        model: Product,
+                        as: 'product',
+                        attributes: ['id', 'name', 'sku', 'price']
+                    },
+                    {
+                        model: ProductVariant,
+                        as: 'variant',
+                        attributes: ['id', 'sku', 'price']
+                    }
+                ]
             });
 
             if (!inventory) {
-                throw new NotFoundError('Inventario no encontrado para este producto');
+                throw inventoryNotFound(variantId);
             }
 
             return inventory;
@@ -33,44 +82,149 @@ class InventoryService {
     }
 
     /**
-     * Actualiza la cantidad de stock de un producto
+     * Ejecuta una operacion dentro de la transaccion del contexto o en una propia
+     * @param {Object} context - Contexto con la transaccion externa (opcional)
+     * @param {Function} callback - Operacion que recibe la transaccion
+     * @returns {*} Resultado de la operacion
+     */
+    static async withTransaction(context, callback) {
+        if (context.transaction) {
+            return await callback(context.transaction);
+        }
+        return await sequelize.transaction(callback);
+    }
+
+    /**
+     * Busca el inventario de un producto o variante dentro de una transaccion
      * @param {number} productId - ID del producto
-     * @param {number} quantity - Nueva cantidad
-     * @param {string} operation - Tipo de operacion ('add', 'subtract', 'set')
+     * @param {Object} transaction - Transaccion de base de datos
+     * @param {number} variantId - ID de la variante (opcional)
+     * @returns {Object} Inventario del producto o variante
+     */
+    static async findInventoryForUpdate(productId, transaction, variantId = null) {
+        const inventory = await Inventory.findOne({
+            where: inventoryWhere(productId, variantId),
+            transaction
+        });
+
+        if (!inventory) {
+            throw inventoryNotFound(variantId);
+        }
+
+        return inventory;
+    }
+
+    /**
+     * Aplica un cambio de stock en mano y lo registra en el historial de movimientos
+     * El cambio y el movimiento se guardan en la misma transaccion
+     * @param {number} productId - ID del producto
+     * @param {Function} calculateQuantity - Recibe la cantidad actual y retorna la nueva
+     * @param {string} reasonCode - Codigo de razon del movimiento
+     * @param {Object} context - Contexto ({ variantId, userId, orderId, notes, transaction })
      * @returns {Object} Inventario actualizado
      */
-    static async updateStock(productId, quantity, operation = 'set') {
-        try {
-            const inventory = await Inventory.findOne({
-                where: { product_id: productId }
-            });
+    static async applyStockChange(productId, calculateQuantity, reasonCode, context = {}) {
+        return await this.withTransaction(context, async (transaction) => {
+            const inventory = await this.findInventoryForUpdate(productId, transaction, context.variantId);
 
-            if (!inventory) {
-                throw new NotFoundError('Inventario no encontrado para este producto');
+            const quantityBefore = inventory.quantity;
+            const quantityAfter = calculateQuantity(quantityBefore);
+
+            // El stock en mano nunca puede quedar por debajo de lo reservado por pedidos
+            if (quantityAfter < inventory.reserved_quantity) {
+                throw new BusinessLogicError(
+                    `No hay suficiente stock disponible. Reservado: ${inventory.reserved_quantity}, Resultante: ${quantityAfter}`
+                );
             }
 
-            let newQuantity;
+            await inventory.update({ quantity: quantityAfter }, { transaction });
 
-            switch (operation) {
-                case 'add':
-                    newQuantity = inventory.quantity + quantity;
-                    break;
-                case 'subtract':
-                    newQuantity = inventory.quantity - quantity;
-                    if (newQuantity < 0) {
-                        throw new BusinessLogicError('No hay suficiente stock disponible');
-                    }
-                    break;
-                case 'set':
-                    newQuantity = quantity;
-                    break;
-                default:
-                    throw new ValidationError('Operacion invalida');
+            if (quantityAfter !== quantityBefore) {
+                await this.recordMovement(inventory, quantityBefore, quantityAfter, reasonCode, {
+                    ...context,
+                    transaction
+                });
             }
 
-            await inventory.update({ quantity: newQuantity });
+            return inventory;
+        });
+    }
 
-            return await this.getInventoryByProductId(productId);
+    /**
+     * Registra un movimiento en el historial de inventario
+     * Los cambios de stock registran el stock en mano; las reservas y liberaciones, el disponible
+     * @param {Object} inventory - Inventario del producto o variante
+     * @param {number} quantityBefore - Cantidad antes del movimiento
+     * @param {number} quantityAfter - Cantidad despues del movimiento
+     * @param {string} reasonCode - Codigo de razon del movimiento
+     * @param {Object} context - Contexto ({ userId, orderId, notes, transaction })
+     */
+    static async recordMovement(inventory, quantityBefore, quantityAfter, reasonCode, context = {}) {
+        await InventoryMovement.create({
+            product_id: inventory.product_id,
+            variant_id: inventory.variant_id || null,
+            quantity_before: quantityBefore,
+            quantity_after: quantityAfter,
+            delta: quantityAfter - quantityBefore,
+            reason_code: reasonCode,
+            notes: context.notes || null,
+            user_id: context.userId || null,
+            order_id: context.orderId || null
+        }, { transaction: context.transaction });
+    }
+
+    /**
+     * Avisa a las listas de deseos si el cambio dejo con stock disponible un inventario que no tenia
+     * Dentro de una transaccion externa el aviso espera a que se confirme
+     * @param {Object} inventory - Inventario despues del cambio
+     * @param {number} quantityBefore - Stock en mano antes del cambio
+     * @param {Object} context - Contexto ({ transaction })
+     */
+    static async notifyIfRestocked(inventory, quantityBefore, context = {}) {
+        const reserved = inventory.reserved_quantity || 0;
+        if (quantityBefore - reserved > 0 || inventory.getAvailableQuantity() <= 0) {
+            return;
+        }
+
+        const notify = () => WishlistService.notifyBackInStock(inventory.product_id, inventory.variant_id);
+        if (context.transaction) {
+            context.transaction.afterCommit(notify);
+        } else {
+            await notify();
+        }
+    }
+
+    /**
+     * Actualiza la cantidad de stock de un producto
+     * @param {number} productId - ID del producto
+     * @param {number} quantity - Nueva cantidad
+     * @param {string} operation - Tipo de operacion ('add', 'subtract', 'set')
+     * @param {Object} context - Contexto del movimiento ({ variantId, userId, notes })
+     * @returns {Object} Inventario actualizado
+     */
+    static async updateStock(productId, quantity, operation = 'set', context = {}) {
+        try {
+            let quantityBefore = null;
+            const inventory = await this.applyStockChange(productId, (current) => {
+                quantityBefore = current;
+                switch (operation) {
+                    case 'add':
+                        return current + quantity;
+                    case 'subtract':
+                        if (current - quantity < 0) {
+                            throw new BusinessLogicError('No hay suficiente stock disponible');
+                        }
+                        return current - quantity;
+                    case 'set':
+                        return quantity;
+                    default:
+                        throw new ValidationError('Operacion invalida');
+                }
+            }, 'stock_update', context);
+
+            await this.notifyIfRestocked(inventory, quantityBefore, context);
+
+            return await this.getInventoryByProductId(productId, context.variantId);
         } catch (error) {
             if (error instanceof NotFoundError || error instanceof BusinessLogicError || error instanceof ValidationError) {
                 throw error;
@@ -80,30 +234,51 @@ class InventoryService {
     }
 
     /**
-     * Reserva stock para un pedido
+     * Reserva stock sin descontarlo del stock en mano
+     * Si se indica un pedido, la reserva queda registrada con vencimiento
      * @param {number} productId - ID del producto
      * @param {number} quantity - Cantidad a reservar
+     * @param {Object} context - Contexto de la reserva ({ variantId, orderId, userId, notes, transaction })
      * @returns {Object} Inventario actualizado
      */
-    static async reserveStock(productId, quantity) {
+    static async reserveStock(productId, quantity, context = {}) {
         try {
-            const inventory = await Inventory.findOne({
-                where: { product_id: productId }
-            });
+            const inventory = await this.withTransaction(context, async (transaction) => {
+                const inventory = await this.findInventoryForUpdate(productId, transaction, context.variantId);
+                const available = inventory.getAvailableQuantity();
 
-            if (!inventory) {
-                throw new NotFoundError('Inventario no encontrado para este producto');
-            }
+                if (available < quantity) {
+                    throw new BusinessLogicError(`Stock insuficiente. Disponible: ${available}, Solicitado: ${quantity}`);
+                }
 
-            if (inventory.quantity < quantity) {
-                throw new BusinessLogicError(`Stock insuficiente. Disponible: ${inventory.quantity}, Solicitado: ${quantity}`);
-            }
+                await inventory.update({
+                    reserved_quantity: inventory.reserved_quantity + quantity
+                }, { transaction });
+                await this.recordMovement(inventory, available, available - quantity, 'reservation', {
+                    ...context,
+                    transaction
+                });
 
-            await inventory.update({
-                quantity: inventory.quantity - quantity
+                if (context.orderId) {
+                    await StockReservation.create({
+                        product_id: productId,
+                        variant_id: context.variantId || null,
+                        order_id: context.orderId,
+                        quantity,
+                        status: 'active',
+                        expires_at: new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000)
+                    }, { transaction });
+                }
+
+                return inventory;
             });
 
-            return await this.getInventoryByProductId(productId);
+            // Dentro de una transaccion externa se retorna el registro sin recargar
+            if (context.transaction) {
+                return inventory;
+            }
+
+            return await this.getInventoryByProductId(productId, context.variantId);
         } catch (error) {
             if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
                 throw error;
@@ -113,34 +288,203 @@ class InventoryService {
     }
 
     /**
-     * Libera stock reservado (en caso de cancelacion de pedido)
+     * Libera stock reservado sin modificar el stock en mano
      * @param {number} productId - ID del producto
      * @param {number} quantity - Cantidad a liberar
+     * @param {Object} context - Contexto de la liberacion ({ variantId, orderId, userId, notes, transaction })
      * @returns {Object} Inventario actualizado
      */
-    static async releaseStock(productId, quantity) {
+    static async releaseStock(productId, quantity, context = {}) {
         try {
-            const inventory = await Inventory.findOne({
-                where: { product_id: productId }
-            });
+            const inventory = await this.withTransaction(context, async (transaction) => {
+                const inventory = await this.findInventoryForUpdate(productId, transaction, context.variantId);
 
-            if (!inventory) {
-                throw new NotFoundError('Inventario no encontrado para este producto');
-            }
+                if (inventory.reserved_quantity < quantity) {
+                    throw new BusinessLogicError(
+                        `No hay suficiente stock reservado. Reservado: ${inventory.reserved_quantity}, Solicitado: ${quantity}`
+                    );
+                }
 
-            await inventory.update({
-                quantity: inventory.quantity + quantity
+                const available = inventory.getAvailableQuantity();
+                await inventory.update({
+                    reserved_quantity: inventory.reserved_quantity - quantity
+                }, { transaction });
+                await this.recordMovement(inventory, available, available + quantity, 'release', {
+                    ...context,
+                    transaction
+                });
+
+                return inventory;
             });
 
-            return await this.getInventoryByProductId(productId);
+            // Dentro de una transaccion externa se retorna el registro sin recargar
+            if (context.transaction) {
+                return inventory;
+            }
+
+            return await this.getInventoryByProductId(productId, context.variantId);
         } catch (error) {
-            if (error instanceof NotFoundError) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
                 throw error;
             }
             throw new Error('Error al liberar stock: ' + error.message);
         }
     }
 
+    /**
+     * Reserva el stock de los items de un pedido (por variante cuando el item tiene una)
+     * @param {number} orderId - ID del pedido
+     * @param {Array} items - Items del pedido ({ product_id, variant_id, quantity })
+     * @param {Object} context - Contexto ({ transaction })
+     */
+    static async reserveOrderStock(orderId, items, context = {}) {
+        for (const item of items) {
+            await this.reserveStock(item.product_id, item.quantity, {
+                ...context,
+                variantId: item.variant_id || null,
+                orderId
+            });
+        }
+    }
+
+    /**
+     * Vuelve a reservar el stock de un pedido cuyas reservas vencieron
+     * No hace nada si el pedido tiene reservas activas o ya despachadas
+     * @param {number} orderId - ID del pedido
+     * @param {Array} items - Items del pedido ({ product_id, variant_id, quantity })
+     * @param {Object} context - Contexto ({ transaction })
+     * @returns {boolean} true si se crearon reservas nuevas
+     */
+    static async ensureOrderReservations(orderId, items, context = {}) {
+        const held = await StockReservation.count({
+            where: {
+                order_id: orderId,
+                status: { [Op.in]: ['active', 'fulfilled'] }
+            },
+            transaction: context.transaction
+        });
+
+        if (held > 0) {
+            return false;
+        }
+
+        await this.reserveOrderStock(orderId, items, context);
+        return true;
+    }
+
+    /**
+     * Libera las reservas activas de un pedido
+     * @param {number} orderId - ID del pedido
+     * @param {string} status - Estado final de las reservas ('released' o 'expired')
+     * @param {Object} context - Contexto ({ userId, notes, transaction })
+     * @returns {number} Cantidad de reservas liberadas
+     */
+    static async releaseOrderReservations(orderId, status = 'released', context = {}) {
+        return await this.withTransaction(context, async (transaction) => {
+            const reservations = await StockReservation.findActiveByOrder(orderId, { transaction });
+
+            for (const reservation of reservations) {
+                await this.releaseStock(reservation.product_id, reservation.quantity, {
+                    transaction,
+                    orderId,
+                    userId: context.userId,
+                    notes: status === 'expired' ? 'Reserva vencida' : context.notes,
+                    variantId: reservation.variant_id
+                });
+                await reservation.update({ status, closed_at: new Date() }, { transaction });
+            }
+
+            return reservations.length;
+        });
+    }
+
+    /**
+     * Despacha un pedido: convierte sus reservas activas en salida de stock en mano
+     * @param {number} orderId - ID del pedido
+     * @param {Object} context - Contexto del movimiento ({ userId, transaction })
+     * @returns {number} Cantidad de reservas despachadas
+     */
+    static async fulfillOrderReservations(orderId, context = {}) {
+        return await this.withTransaction(context, async (transaction) => {
+            const reservations = await StockReservation.findActiveByOrder(orderId, { transaction });
+
+            for (const reservation of reservations) {
+                await this.releaseStock(reservation.product_id, reservation.quantity, {
+                    transaction,
+                    orderId,
+                    userId: context.userId,
+                    notes: 'Reserva despachada',
+                    variantId: reservation.variant_id
+                });
+                await this.applyStockChange(
+                    reservation.product_id,
+                    (current) => current - reservation.quantity,
+                    'order_shipped',
+                    { transaction, orderId, userId: context.userId, variantId: reservation.variant_id }
+                );
+                await reservation.update({ status: 'fulfilled', closed_at: new Date() }, { transaction });
+            }
+
+            return reservations.length;
+        });
+    }
+
+    /**
+     * Libera el stock de un pedido cancelado
+     * Las reservas activas se liberan y el stock ya despachado vuelve al stock en mano
+     * @param {number} orderId - ID del pedido
+     * @param {Object} context - Contexto del movimiento ({ userId, notes, transaction })
+     */
+    static async releaseOrderStock(orderId, context = {}) {
+        return await this.withTransaction(context, async (transaction) => {
+            await this.releaseOrderReservations(orderId, 'released', {
+                transaction,
+                userId: context.userId,
+                notes: context.notes
+            });
+
+            const fulfilled = await StockReservation.findAll({
+                where: { order_id: orderId, status: 'fulfilled' },
+                transaction
+            });
+
+            for (const reservation of fulfilled) {
+                await this.applyStockChange(
+                    reservation.product_id,
+                    (current) => current + reservation.quantity,
+                    'order_cancelled',
+                    {
+                        transaction,
+                        orderId,
+                        userId: context.userId,
+                        notes: context.notes,
+                        variantId: reservation.variant_id
+                    }
+                );
+                await reservation.update({ status: 'released', closed_at: new Date() }, { transaction });
+            }
+        });
+    }
+
+    /**
+     * Libera las reservas vencidas de pedidos que siguen pendientes
+     * @param {Date} now - Fecha de referencia
+     * @returns {number} Cantidad de pedidos cuyas reservas fueron liberadas
+     */
+    static async releaseExpiredReservations(now = new Date()) {
+        try {
+            const orderIds = await StockReservation.findExpiredOrderIds(now);
+
+            for (const orderId of orderIds) {
+                await this.releaseOrderReservations(orderId, 'expired');
+            }
+
+            return orderIds.length;
+        } catch (error) {
+            throw new Error('Error al liberar reservas vencidas: ' + error.message);
+        }
+    }
+
     /**
      * Actualiza los limites de stock de un producto
      * @param {number} productId - ID del producto
@@ -193,7 +537,7 @@ class InventoryService {
             } = options;
 
             const offset = (page - 1) * limit;
-            const whereClause = {};
+            const whereClause = sellableInventoryWhere();
 
             if (threshold !== null) {
                 whereClause.quantity = { [Op.lte]: threshold };
@@ -245,7 +589,7 @@ class InventoryService {
             const offset = (page - 1) * limit;
 
             const { count, rows } = await Inventory.findAndCountAll({
-                where: { quantity: 0 },
+                where: { quantity: 0, ...sellableInventoryWhere() },
                 include: [{
                     model: Product,
                     as: 'product',
@@ -288,7 +632,7 @@ class InventoryService {
 
             if (includeOutOfStock) {
                 alerts.outOfStock = await Inventory.count({
-                    where: { quantity: 0 },
+                    where: { quantity: 0, ...sellableInventoryWhere() },
                     include: [{
                         model: Product,
                         as: 'product',
@@ -305,7 +649,8 @@ class InventoryService {
                                 { [Op.gt]: 0 },
                                 { [Op.lte]: require('sequelize').col('min_stock') }
                             ]
-                        }
+                        },
+                        ...sellableInventoryWhere()
                     },
                     include: [{
                         model: Product,
@@ -318,7 +663,8 @@ class InventoryService {
             if (includeOverStock) {
                 alerts.overStock = await Inventory.count({
                     where: {
-                        quantity: { [Op.gte]: require('sequelize').col('max_stock') }
+                        quantity: { [Op.gte]: require('sequelize').col('max_stock') },
+                        ...sellableInventoryWhere()
                     },
                     include: [{
                         model: Product,
@@ -341,6 +687,7 @@ class InventoryService {
     static async getInventoryStats() {
         try {
             const totalProducts = await Inventory.count({
+                where: sellableInventoryWhere(),
                 include: [{
                     model: Product,
                     as: 'product',
@@ -349,7 +696,7 @@ class InventoryService {
             });
 
             const outOfStockProducts = await Inventory.count({
-                where: { quantity: 0 },
+                where: { quantity: 0, ...sellableInventoryWhere() },
                 include: [{
                     model: Product,
                     as: 'product',
@@ -364,7 +711,8 @@ class InventoryService {
                             { [Op.gt]: 0 },
                             { [Op.lte]: require('sequelize').col('min_stock') }
                         ]
-                    }
+                    },
+                    ...sellableInventoryWhere()
                 },
                 include: [{
                     model: Product,
@@ -375,7 +723,8 @@ class InventoryService {
 
             const overStockProducts = await Inventory.count({
                 where: {
-                    quantity: { [Op.gte]: require('sequelize').col('max_stock') }
+                    quantity: { [Op.gte]: require('sequelize').col('max_stock') },
+                    ...sellableInventoryWhere()
                 },
                 include: [{
                     model: Product,
@@ -386,6 +735,7 @@ class InventoryService {
 
             // Valor total del inventario
             const totalValue = await Inventory.sum('quantity', {
+                where: sellableInventoryWhere(),
                 include: [{
                     model: Product,
                     as: 'product',
@@ -408,7 +758,8 @@ class InventoryService {
 
     /**
      * Verifica disponibilidad de stock para un pedido
-     * @param {Array} items - Items del pedido
+     * Los items con variant_id se verifican contra el inventario de la variante
+     * @param {Array} items - Items del pedido ({ product_id, variant_id, quantity })
      * @returns {Object} Resultado de verificacion
      */
     static async checkStockAvailability(items) {
@@ -417,40 +768,75 @@ class InventoryService {
             let allAvailable = true;
 
             for (const item of items) {
+                // Un producto con variantes se vende por variante: su stock base no esta disponible
+                if (!item.variant_id && await ProductVariant.count({ where: { product_id: item.product_id } }) > 0) {
+                    const product = await Product.findByPk(item.product_id, { attributes: ['id', 'name'] });
+                    results.push({
+                        product_id: item.product_id,
+                        variant_id: null,
+                        product_name: product.name,
+                        requested: item.quantity,
+                        on_hand: 0,
+                        reserved: 0,
+                        available: 0,
+                        inStock: false,
+                        message: 'El producto tiene variantes, indica variant_id'
+                    });
+                    allAvailable = false;
+                    continue;
+                }
+
                 const inventory = await Inventory.findOne({
-                    where: { product_id: item.product_id },
-                    include: [{
-                        model: Product,
-                        as: 'product',
-                        attributes: ['id', 'name', 'sku']
-                    }]
+                    where: inventoryWhere(item.product_id, item.variant_id),
+                    include: [
+                        {
+                            model: Product,
+                            as: 'product',
+                            attributes: ['id', 'name', 'sku']
+                        },
+                        {
+                            model: ProductVariant,
+                            as: 'variant',
+                            attributes: ['id', 'sku']
+                        }
+                    ]
                 });
 
                 if (!inventory) {
                     results.push({
                         product_id: item.product_id,
-                        product_name: 'Producto no encontrado',
+                        variant_id: item.variant_id || null,
+                        product_name: item.variant_id ? 'Variante no encontrada' : 'Producto no encontrado',
                         requested: item.quantity,
+                        on_hand: 0,
+                        reserved: 0,
                         available: 0,
-                        available: false,
-                        message: 'Producto no encontrado'
+                        inStock: false,
+                        message: item.variant_id ? 'Variante no encontrada' : 'Producto no encontrado'
                     });
                     allAvailable = false;
                     continue;
                 }
 
-                const available = inventory.quantity >= item.quantity;
-                if (!available) {
+                // Disponible = stock en mano - stock reservado por pedidos
+                const availableQuantity = inventory.getAvailableQuantity();
+                const inStock = availableQuantity >= item.quantity;
+                if (!inStock) {
                     allAvailable = false;
                 }
 
                 results.push({
                     product_id: item.product_id,
-                    product_name: inventory.product.name,
+                    variant_id: inventory.variant_id,
+                    product_name: inventory.variant
+                        ? `${inventory.product.name} (${inventory.variant.sku})`
+                        : inventory.product.name,
                     requested: item.quantity,
-                    available: inventory.quantity,
-                    inStock: available,
-                    message: available ? 'Stock disponible' : `Stock insuficiente. Disponible: ${inventory.quantity}`
+                    on_hand: inventory.quantity,
+                    reserved: inventory.reserved_quantity,
+                    available: availableQuantity,
+                    inStock,
+                    message: inStock ? 'Stock disponible' : `Stock insuficiente. Disponible: ${availableQuantity}`
                 });
             }
 
@@ -468,40 +854,213 @@ class InventoryService {
      * @param {number} productId - ID del producto
      * @param {number} adjustment - Ajuste (positivo o negativo)
      * @param {string} reason - Razon del ajuste
+     * @param {Object} context - Contexto del ajuste ({ variantId, userId, adjustmentType })
      * @returns {Object} Inventario actualizado
      */
-    static async processInventoryAdjustment(productId, adjustment, reason) {
+    static async processInventoryAdjustment(productId, adjustment, reason, context = {}) {
         try {
-            const inventory = await Inventory.findOne({
-                where: { product_id: productId }
+            const adjustmentType = context.adjustmentType || 'manual';
+            if (!ADJUSTMENT_REASON_CODES.includes(adjustmentType)) {
+                throw new ValidationError('Tipo de ajuste invalido');
+            }
+
+            let quantityBefore = null;
+            const inventory = await this.applyStockChange(productId, (current) => {
+                quantityBefore = current;
+                if (current + adjustment < 0) {
+                    throw new BusinessLogicError('El ajuste resultaria en stock negativo');
+                }
+                return current + adjustment;
+            }, adjustmentType, {
+                variantId: context.variantId,
+                userId: context.userId,
+                notes: reason
             });
 
-            if (!inventory) {
-                throw new NotFoundError('Inventario no encontrado para este producto');
+            await this.notifyIfRestocked(inventory, quantityBefore);
+
+            return await this.getInventoryByProductId(productId, context.variantId);
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError || error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error('Error al procesar ajuste de inventario: ' + error.message);
+        }
+    }
+
+    /**
+     * Construye el filtro de consulta del historial de movimientos
+     * @param {Object} filters - Filtros ({ productId, reasonCodes, userId, orderId, dateFrom, dateTo })
+     * @returns {Object} Clausula where
+     */
+    static buildMovementWhere(filters = {}) {
+        const { productId, reasonCodes, userId, orderId, dateFrom, dateTo } = filters;
+        const whereClause = {};
+
+        if (productId) {
+            whereClause.product_id = productId;
+        }
+
+        if (reasonCodes && reasonCodes.length > 0) {
+            whereClause.reason_code = { [Op.in]: reasonCodes };
+        }
+
+        if (userId) {
+            whereClause.user_id = userId;
+        }
+
+        if (orderId) {
+            whereClause.order_id = orderId;
+        }
+
+        if (dateFrom || dateTo) {
+            whereClause.created_at = {};
+            if (dateFrom) {
+                whereClause.created_at[Op.gte] = dateFrom;
+            }
+            if (dateTo) {
+                whereClause.created_at[Op.lte] = dateTo;
             }
+        }
+
+        return whereClause;
+    }
+
+    /**
+     * Obtiene el historial de movimientos de inventario (global o por producto)
+     * @param {Object} options - Filtros y paginacion
+     * @returns {Object} Movimientos y metadata de paginacion
+     */
+    static async getInventoryMovements(options = {}) {
+        try {
+            const {
+                page = 1,
+                limit = 20,
+                sortOrder = 'DESC',
+                ...filters
+            } = options;
 
-            const newQuantity = inventory.quantity + adjustment;
-            if (newQuantity < 0) {
-                throw new BusinessLogicError('El ajuste resultaria en stock negativo');
+            if (filters.productId) {
+                const product = await Product.findByPk(filters.productId);
+                if (!product) {
+                    throw new NotFoundError('Producto no encontrado');
+                }
             }
 
-            await inventory.update({ quantity: newQuantity });
+            const offset = (page - 1) * limit;
 
-            // TODO: Registrar el ajuste en un log de auditoria
-            // await InventoryLog.create({
-            //     product_id: productId,
-            //     adjustment: adjustment,
-            //     reason: reason,
-            //     previous_quantity: inventory.quantity,
-            //     new_quantity: newQuantity
-            // });
+            const { count, rows } = await InventoryMovement.findAndCountAll({
+                where: this.buildMovementWhere(filters),
+                include: [
+                    {
+                        model: Product,
+                        as: 'product',
+                        attributes: ['id', 'name', 'sku']
+                    },
+                    {
+                        model: User,
+                        as: 'user',
+                        attributes: ['id', 'username']
+                    }
+                ],
+                order: [['created_at', sortOrder === 'ASC' ? 'ASC' : 'DESC'], ['id', sortOrder === 'ASC' ? 'ASC' : 'DESC']],
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
 
-            return await this.getInventoryByProductId(productId);
+            return {
+                movements: rows,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: count,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
         } catch (error) {
-            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+            if (error instanceof NotFoundError) {
                 throw error;
             }
-            throw new Error('Error al procesar ajuste de inventario: ' + error.message);
+            throw new Error('Error al obtener movimientos de inventario: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene solo los ajustes manuales de inventario (danos, robos, correcciones...)
+     * @param {number|null} productId - ID del producto (null para todos)
+     * @param {Object} options - Filtros y paginacion
+     * @returns {Object} Ajustes y metadata de paginacion
+     */
+    static async getInventoryAdjustments(productId = null, options = {}) {
+        return await this.getInventoryMovements({
+            ...options,
+            productId,
+            reasonCodes: ADJUSTMENT_REASON_CODES
+        });
+    }
+
+    /**
+     * Exporta el historial de movimientos a CSV
+     * @param {Object} filters - Filtros del historial
+     * @returns {string} Contenido CSV
+     */
+    static async exportInventoryMovementsCsv(filters = {}) {
+        try {
+            const movements = await InventoryMovement.findAll({
+                where: this.buildMovementWhere(filters),
+                include: [
+                    {
+                        model: Product,
+                        as: 'product',
+                        attributes: ['id', 'name', 'sku']
+                    },
+                    {
+                        model: ProductVariant,
+                        as: 'variant',
+                        attributes: ['id', 'sku']
+                    },
+                    {
+                        model: User,
+                        as: 'user',
+                        attributes: ['id', 'username']
+                    }
+                ],
+                order: [['created_at', 'ASC'], ['id', 'ASC']]
+            });
+
+            const escapeCsv = (value) => {
+                if (value === null || value === undefined) {
+                    return '';
+                }
+                let text = value instanceof Date ? value.toISOString() : String(value);
+                // Los textos que una hoja de calculo interpretaria como formula se exportan como texto
+                if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                    text = `'${text}`;
+                }
+                return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+
+            const lines = movements.map(movement => [
+                movement.id,
+                movement.created_at,
+                movement.product_id,
+                movement.product ? movement.product.sku : null,
+                movement.product ? movement.product.name : null,
+                movement.variant_id,
+                movement.variant ? movement.variant.sku : null,
+                movement.reason_code,
+                movement.quantity_before,
+                movement.delta,
+                movement.quantity_after,
+                movement.user_id,
+                movement.user ? movement.user.username : null,
+                movement.order_id,
+                movement.notes
+            ].map(escapeCsv).join(','));
+
+            return [MOVEMENT_CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+        } catch (error) {
+            throw new Error('Error al exportar movimientos de inventario: ' + error.message);
         }
     }
 }
@@ -0,0 +1,106 @@
+const { createTransport } = require('../utils/mailTransports');
+
+/**
+ * Elige el transporte de correo segun MAIL_TRANSPORT (ver .env.example)
+ * Los transportes memory y file son para pruebas: solo memory se usa sin configurar y con NODE_ENV=test
+ * @returns {string|null} Tipo de transporte, null si no esta configurado
+ */
+const resolveTransportType = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+
+  if (process.env.NODE_ENV === 'test') {
+    return 'memory';
+  }
+
+  return null;
+};
+
+class MailService {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'no-reply@mrrobot.com';
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const transportType = resolveTransportType();
+    this.transport = transportType
+      ? createTransport(transportType, { directory: process.env.MAIL_DIR })
+      : null;
+  }
+
+  /**
+   * Verifica que haya un transporte de correo configurado (se llama al iniciar el servidor)
+   */
+  assertConfigured() {
+    if (!this.transport) {
+      throw new Error('MAIL_TRANSPORT no configurado: usa memory o file en pruebas, o disabled para no enviar correos (ver .env.example)');
+    }
+  }
+
+  /**
+   * Reemplaza el transporte de correo
+   * @param {Object} transport - Objeto con un metodo async send(message)
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('El transporte de correo debe implementar send(message)');
+    }
+    this.transport = transport;
+  }
+
+  /**
+   * Obtiene el transporte de correo actual
+   * @returns {Object} Transporte de correo
+   */
+  getTransport() {
+    return this.transport;
+  }
+
+  /**
+   * Envia un correo usando el transporte configurado
+   * @param {Object} message - Datos del correo (to, subject, text, html)
+   * @returns {Object} Informacion del envio
+   */
+  async send(message) {
+    try {
+      this.assertConfigured();
+      return await this.transport.send({
+        from: this.from,
+        ...message
+      });
+    } catch (error) {
+      throw new Error('Error al enviar correo: ' + error.message);
+    }
+  }
+
+  /**
+   * Envia el correo de restablecimiento de contrasena
+   * @param {Object} user - Usuario destinatario
+   * @param {string} token - Token de restablecimiento en claro
+   * @param {number} expiresInMinutes - Minutos de validez del token
+   * @returns {Object} Informacion del envio
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const resetUrl = `${this.frontendUrl}/reset-password?token=${token}`;
+
+    return await this.send({
+      to: user.email,
+      subject: 'Restablecimiento de contrasena',
+      text: [
+        `Hola ${user.first_name},`,
+        '',
+        'Recibimos una solicitud para restablecer tu contrasena.',
+        `Usa el siguiente enlace (valido por ${expiresInMinutes} minutos):`,
+        resetUrl,
+        '',
+        `Token: ${token}`,
+        '',
+        'Si no solicitaste este cambio, ignora este mensaje.'
+      ].join('\n'),
+      metadata: {
+        type: 'password_reset'
+      }
+    });
+  }
+}
+
+module.exports = new MailService();
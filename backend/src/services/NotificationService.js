@@ -0,0 +1,126 @@
+const { createNotifier } = require('../utils/notifiers');
+
+class NotificationService {
+  constructor() {
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    this.notifier = createNotifier(process.env.NOTIFIER || 'email');
+  }
+
+  /**
+   * Reemplaza el notificador
+   * @param {Object} notifier - Objeto con un metodo async notify(notification)
+   */
+  setNotifier(notifier) {
+    if (!notifier || typeof notifier.notify !== 'function') {
+      throw new Error('El notificador debe implementar notify(notification)');
+    }
+    this.notifier = notifier;
+  }
+
+  /**
+   * Obtiene el notificador actual
+   * @returns {Object} Notificador
+   */
+  getNotifier() {
+    return this.notifier;
+  }
+
+  /**
+   * Envia una notificacion usando el notificador configurado
+   * @param {Object} notification - Notificacion ({ user, type, subject, text, data })
+   * @returns {Object} Informacion del envio
+   */
+  async notify(notification) {
+    try {
+      return await this.notifier.notify(notification);
+    } catch (error) {
+      throw new Error('Error al enviar notificacion: ' + error.message);
+    }
+  }
+
+  /**
+   * Avisa que un producto de la lista de deseos vuelve a tener stock
+   * @param {Object} user - Usuario destinatario
+   * @param {Object} product - Producto repuesto
+   * @param {Object} variant - Variante repuesta (opcional)
+   * @returns {Object} Informacion del envio
+   */
+  async sendBackInStock(user, product, variant = null) {
+    const productName = variant ? `${product.name} (${variant.sku})` : product.name;
+
+    return await this.notify({
+      user,
+      type: 'back_in_stock',
+      subject: `${product.name} vuelve a estar disponible`,
+      text: [
+        `Hola ${user.first_name},`,
+        '',
+        `${productName}, que guardaste en tu lista de deseos, vuelve a tener stock.`,
+        `${this.frontendUrl}/products/${product.id}`
+      ].join('\n'),
+      data: {
+        product_id: product.id,
+        variant_id: variant ? variant.id : null
+      }
+    });
+  }
+
+  /**
+   * Avisa que bajo el precio de un producto de la lista de deseos
+   * @param {Object} user - Usuario destinatario
+   * @param {Object} product - Producto con el nuevo precio
+   * @param {number} previousPrice - Precio anterior
+   * @param {number} currentPrice - Precio actual
+   * @returns {Object} Informacion del envio
+   */
+  async sendPriceDrop(user, product, previousPrice, currentPrice) {
+    return await this.notify({
+      user,
+      type: 'price_drop',
+      subject: `${product.name} bajo de precio`,
+      text: [
+        `Hola ${user.first_name},`,
+        '',
+        `${product.name}, que guardaste en tu lista de deseos, bajo de $${previousPrice.toFixed(2)} a $${currentPrice.toFixed(2)}.`,
+        `${this.frontendUrl}/products/${product.id}`
+      ].join('\n'),
+      data: {
+        product_id: product.id,
+        previous_price: previousPrice,
+        current_price: currentPrice
+      }
+    });
+  }
+
+  /**
+   * Avisa al autor de una resena que la tienda le respondio
+   * @param {Object} user - Autor de la resena
+   * @param {Object} product - Producto resenado
+   * @param {Object} review - Resena respondida
+   * @param {Object} reply - Respuesta de la tienda
+   * @returns {Object} Informacion del envio
+   */
+  async sendReviewReply(user, product, review, reply) {
+    return await this.notify({
+      user,
+      type: 'review_reply',
+      subject: `La tienda respondio tu resena de ${product.name}`,
+      text: [
+        `Hola ${user.first_name},`,
+        '',
+        `Respondimos a tu resena de ${product.name}:`,
+        '',
+        reply.body,
+        '',
+        `${this.frontendUrl}/products/${product.id}`
+      ].join('\n'),
+      data: {
+        product_id: product.id,
+        review_id: review.id,
+        reply_id: reply.id
+      }
+    });
+  }
+}
+
+module.exports = new NotificationService();
@@ -1,20 +1,32 @@
-const { Order, OrderItem, User, Product, Inventory } = require('../models');
-const { ValidationError, NotFoundError, ConflictError, BusinessLogicError } = require('../utils/errors');
+const { Transaction } = require('sequelize');
+const { Order, OrderItem, OrderStatusHistory, OrderTaxLine, OrderAddress, ShippingMethod, Payment, User, Product, ProductVariant, Inventory } = require('../models');
+const InventoryService = require('./InventoryService');
+const CouponService = require('./CouponService');
+const TaxService = require('./TaxService');
+const ShippingService = require('./ShippingService');
+const AddressService = require('./AddressService');
+const ProductVariantService = require('./ProductVariantService');
+const { pickAddressFields } = require('../utils/address');
+const { ValidationError, NotFoundError, ConflictError, BusinessLogicError, AuthorizationError } = require('../utils/errors');
 const { sequelize } = require('../config/database');
+const { roundAmount } = require('../utils/money');
 
 class OrderService {
     /**
      * Crea un nuevo pedido con validacion de stock
+     * Los montos se guardan desglosados: subtotal, descuento, neto, impuesto, envio y total (bruto)
      * @param {Object} orderData - Datos del pedido
      * @param {Array} items - Array de items del pedido
      * @returns {Object} Pedido creado con items
      */
     static async createOrder(orderData, items) {
-        const transaction = await sequelize.transaction();
+        // Transaccion inmediata: el bloqueo de escritura se toma al empezar, asi dos pedidos
+        // concurrentes no pueden contar los usos de un cupon a la vez y superar su limite
+        const transaction = await sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE });
         
         try {
             // Validar que el usuario existe
-            const user = await User.findByPk(orderData.user_id);
+            const user = await User.findByPk(orderData.user_id, { transaction });
             if (!user) {
                 throw new NotFoundError('Usuario no encontrado');
             }
@@ -24,52 +36,136 @@ class OrderService {
                 throw new ValidationError('El pedido debe contener al menos un item');
             }
 
-            // Verificar stock disponible para todos los items
-            const stockValidation = await this.validateStockAvailability(items);
+            // Los productos con variantes se piden por variante (activa y del mismo producto)
+            await ProductVariantService.validateOrderItems(items, transaction);
+
+            // Verificar stock dentro de la transaccion, asi el stock validado es el que se confirma
+            const stockValidation = await this.validateStockAvailability(items, transaction);
             if (!stockValidation.available) {
                 throw new BusinessLogicError(`Stock insuficiente para: ${stockValidation.unavailableItems.join(', ')}`);
             }
 
-            // Calcular total del pedido
-            const totalAmount = await this.calculateOrderTotal(items);
+            // Las direcciones se toman de la libreta del usuario (por ID o la de por defecto)
+            // o llegan en el pedido, estructuradas o como texto libre
+            const shippingAddress = await AddressService.resolveOrderAddress(user.id, 'shipping', {
+                addressId: orderData.shipping_address_id,
+                address: orderData.shipping_address
+            }, transaction);
+            if (!shippingAddress) {
+                throw new ValidationError('La direccion de envio es requerida');
+            }
+
+            const billingAddress = await AddressService.resolveOrderAddress(user.id, 'billing', {
+                addressId: orderData.billing_address_id,
+                address: orderData.billing_address
+            }, transaction) || shippingAddress;
+
+            // Calcular subtotal y aplicar el cupon (si se envio) dentro de la transaccion
+            const lines = await this.buildOrderLines(items, transaction);
+            const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.line_total, 0));
+
+            let couponResult = null;
+            if (orderData.coupon_code) {
+                couponResult = await CouponService.applyCoupon(orderData.coupon_code, {
+                    userId: orderData.user_id,
+                    lines,
+                    subtotal
+                }, transaction);
+            }
+
+            const discountAmount = couponResult ? couponResult.discountAmount : 0;
+            lines.forEach((line, index) => {
+                line.discount_amount = couponResult ? couponResult.lineDiscounts[index] : 0;
+            });
+
+            // Impuestos por linea segun la region de envio y la clase de impuesto del producto
+            // Solo se gravan los productos; el envio se suma al total sin impuesto
+            const tax = await TaxService.calculateTax(lines, shippingAddress, { transaction });
+
+            // El envio se cotiza sobre el monto ya descontado; un cupon de envio gratis lo anula
+            const shipping = await ShippingService.calculateShipping(orderData.shipping_method_id, shippingAddress, {
+                goodsAmount: tax.grossAmount,
+                weight: lines.reduce((sum, line) => sum + line.weight, 0)
+            }, transaction);
+            const freeShipping = couponResult ? couponResult.freeShipping : false;
+            const shippingAmount = freeShipping ? 0 : shipping.cost;
 
             // Crear el pedido
             const order = await Order.create({
                 user_id: orderData.user_id,
-                total_amount: totalAmount,
-                shipping_address: orderData.shipping_address,
-                billing_address: orderData.billing_address,
+                subtotal_amount: subtotal,
+                net_amount: tax.netAmount,
+                tax_amount: tax.taxAmount,
+                shipping_amount: shippingAmount,
+                total_amount: roundAmount(tax.grossAmount + shippingAmount),
+                prices_include_tax: tax.pricesIncludeTax,
+                shipping_method_id: shipping.method.id,
+                shipping_address: shippingAddress.text,
+                billing_address: billingAddress.text,
+                shipping_country: shippingAddress.country,
+                shipping_region: shippingAddress.region,
                 status: 'pending',
-                payment_status: 'pending'
+                payment_status: 'pending',
+                coupon_id: couponResult ? couponResult.coupon.id : null,
+                discount_amount: discountAmount,
+                free_shipping: freeShipping
             }, { transaction });
 
-            // Crear items del pedido y reservar stock
-            const orderItems = [];
-            for (const item of items) {
-                const product = await Product.findByPk(item.product_id);
-                if (!product) {
-                    throw new NotFoundError(`Producto con ID ${item.product_id} no encontrado`);
+            // Copiar las direcciones estructuradas para que editar la libreta no cambie el pedido
+            for (const [addressType, address] of [['shipping', shippingAddress], ['billing', billingAddress]]) {
+                if (address.structured) {
+                    await OrderAddress.create({
+                        order_id: order.id,
+                        address_type: addressType,
+                        address_id: address.addressId,
+                        ...pickAddressFields(address.structured)
+                    }, { transaction });
                 }
+            }
 
+            // Crear items del pedido con su parte del descuento y sus lineas de impuesto
+            const orderItems = [];
+            for (const [index, line] of lines.entries()) {
+                const taxLine = tax.lines[index];
                 const orderItem = await OrderItem.create({
                     order_id: order.id,
-                    product_id: item.product_id,
-                    quantity: item.quantity,
-                    unit_price: product.price,
-                    total_price: product.price * item.quantity
+                    product_id: line.product_id,
+                    variant_id: line.variant_id,
+                    quantity: line.quantity,
+                    unit_price: line.unit_price,
+                    total_price: line.line_total,
+                    discount_amount: line.discount_amount,
+                    tax_rate: taxLine.rate,
+                    tax_amount: taxLine.tax_amount
                 }, { transaction });
 
-                // Reservar stock
-                await Inventory.update({
-                    quantity: sequelize.literal(`quantity - ${item.quantity}`)
-                }, {
-                    where: { product_id: item.product_id },
-                    transaction
-                });
+                if (taxLine.tax_rate_id) {
+                    await OrderTaxLine.create({
+                        order_id: order.id,
+                        order_item_id: orderItem.id,
+                        tax_rate_id: taxLine.tax_rate_id,
+                        name: taxLine.name,
+                        rate: taxLine.rate,
+                        taxable_amount: taxLine.net_amount,
+                        tax_amount: taxLine.tax_amount
+                    }, { transaction });
+                }
 
                 orderItems.push(orderItem);
             }
 
+            if (couponResult) {
+                await CouponService.recordRedemption(couponResult.coupon, order, discountAmount, transaction);
+            }
+
+            // Reservar stock hasta que el pedido se despache (vence si sigue pendiente)
+            await InventoryService.reserveOrderStock(order.id, items, { transaction });
+
+            await this.recordStatusChange(order.id, null, 'pending', {
+                actorId: orderData.user_id,
+                note: 'Pedido creado'
+            }, transaction);
+
             await transaction.commit();
 
             // Retornar pedido completo con items
@@ -98,7 +194,8 @@ class OrderService {
             const {
                 includeItems = false,
                 includeUser = false,
-                includeProducts = false
+                includeProducts = false,
+                includeHistory = false
             } = options;
 
             const includeClause = [];
@@ -115,7 +212,7 @@ class OrderService {
                 const itemInclude = {
                     model: OrderItem,
                     as: 'orderItems',
-                    attributes: ['id', 'quantity', 'unit_price', 'total_price', 'created_at']
+                    attributes: ['id', 'variant_id', 'quantity', 'unit_price', 'total_price', 'discount_amount', 'tax_rate', 'tax_amount', 'created_at']
                 };
 
                 if (includeProducts) {
@@ -123,14 +220,49 @@ class OrderService {
                         model: Product,
                         as: 'product',
                         attributes: ['id', 'name', 'sku', 'image_url']
+                    }, {
+                        model: ProductVariant,
+                        as: 'variant',
+                        attributes: ['id', 'sku', 'image_url']
                     }];
                 }
 
                 includeClause.push(itemInclude);
+                includeClause.push({
+                    model: OrderTaxLine,
+                    as: 'taxLines',
+                    attributes: ['id', 'order_item_id', 'name', 'rate', 'taxable_amount', 'tax_amount']
+                });
+                includeClause.push({
+                    model: OrderAddress,
+                    as: 'addresses',
+                    attributes: { exclude: ['order_id', 'created_at'] }
+                });
+                includeClause.push({
+                    model: ShippingMethod,
+                    as: 'shippingMethod',
+                    attributes: ['id', 'name', 'min_delivery_days', 'max_delivery_days']
+                });
+            }
+
+            if (includeHistory) {
+                includeClause.push({
+                    model: OrderStatusHistory,
+                    as: 'statusHistory',
+                    attributes: ['id', 'from_status', 'to_status', 'note', 'created_at'],
+                    include: [{
+                        model: User,
+                        as: 'actor',
+                        attributes: ['id', 'username', 'role']
+                    }]
+                });
             }
 
             const order = await Order.findByPk(orderId, {
-                include: includeClause
+                include: includeClause,
+                order: includeHistory
+                    ? [[{ model: OrderStatusHistory, as: 'statusHistory' }, 'created_at', 'ASC'], [{ model: OrderStatusHistory, as: 'statusHistory' }, 'id', 'ASC']]
+                    : undefined
             });
 
             if (!order) {
@@ -171,11 +303,15 @@ class OrderService {
                 includeClause.push({
                     model: OrderItem,
                     as: 'orderItems',
-                    attributes: ['id', 'quantity', 'unit_price', 'total_price'],
+                    attributes: ['id', 'variant_id', 'quantity', 'unit_price', 'total_price', 'discount_amount', 'tax_rate', 'tax_amount'],
                     include: [{
                         model: Product,
                         as: 'product',
                         attributes: ['id', 'name', 'sku', 'image_url']
+                    }, {
+                        model: ProductVariant,
+                        as: 'variant',
+                        attributes: ['id', 'sku', 'image_url']
                     }]
                 });
             }
@@ -205,58 +341,139 @@ class OrderService {
     }
 
     /**
-     * Actualiza el estado de un pedido
+     * Verifica que un actor pueda mover el pedido al nuevo estado
+     * @param {Object} order - Pedido
+     * @param {string} newStatus - Nuevo estado
+     * @param {Object} actor - Usuario que realiza el cambio ({ id, role }); null para procesos del sistema
+     */
+    static assertTransitionAllowed(order, newStatus, actor = null) {
+        if (!Object.keys(Order.STATUS_TRANSITIONS).includes(newStatus)) {
+            throw new ValidationError('Estado de pedido invalido');
+        }
+
+        if (order.status === newStatus) {
+            throw new ConflictError(`El pedido ya esta en estado ${order.getStatusText().toLowerCase()}`);
+        }
+
+        const roles = Order.getTransitionRoles(order.status, newStatus);
+        if (!roles) {
+            throw new BusinessLogicError(`No se puede cambiar el estado del pedido de ${order.status} a ${newStatus}`);
+        }
+
+        if (!actor) {
+            return;
+        }
+
+        const allowedAsAdmin = actor.role === 'admin' && roles.includes('admin');
+        const allowedAsOwner = roles.includes('customer') && order.user_id === actor.id;
+
+        if (!allowedAsAdmin && !allowedAsOwner) {
+            throw new AuthorizationError('No tienes permisos para cambiar el pedido a este estado');
+        }
+    }
+
+    /**
+     * Registra un cambio de estado en el historial del pedido
+     * @param {number} orderId - ID del pedido
+     * @param {string|null} fromStatus - Estado anterior (null al crear el pedido)
+     * @param {string} toStatus - Estado nuevo
+     * @param {Object} options - Datos del cambio ({ actorId, note })
+     * @param {Object} transaction - Transaccion de base de datos
+     */
+    static async recordStatusChange(orderId, fromStatus, toStatus, options = {}, transaction = null) {
+        await OrderStatusHistory.create({
+            order_id: orderId,
+            from_status: fromStatus,
+            to_status: toStatus,
+            changed_by: options.actorId || null,
+            note: options.note || null
+        }, { transaction });
+    }
+
+    /**
+     * Actualiza el estado de un pedido siguiendo la tabla de transiciones
      * @param {number} orderId - ID del pedido
      * @param {string} newStatus - Nuevo estado
+     * @param {Object} options - Opciones adicionales ({ actor, note })
      * @returns {Object} Pedido actualizado
      */
-    static async updateOrderStatus(orderId, newStatus) {
-        const transaction = await sequelize.transaction();
-        
+    static async updateOrderStatus(orderId, newStatus, options = {}) {
+        const { actor = null, note = null } = options;
+        const actorId = actor ? actor.id : null;
+
+        // Transaccion inmediata: un webhook de pago no puede cambiar el estado de pago del pedido
+        // entre que se lee y se cancela
+        const transaction = await sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE });
+
         try {
+
             const order = await Order.findByPk(orderId, { transaction });
             if (!order) {
                 throw new NotFoundError('Pedido no encontrado');
             }
 
-            const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
-            if (!validStatuses.includes(newStatus)) {
-                throw new ValidationError('Estado de pedido invalido');
-            }
+            this.assertTransitionAllowed(order, newStatus, actor);
+
+            const previousStatus = order.status;
+            const changes = { status: newStatus };
 
             // Si se cancela el pedido, liberar stock
-            if (newStatus === 'cancelled' && order.status !== 'cancelled') {
-                await this.releaseOrderStock(orderId, transaction);
+            if (newStatus === 'cancelled') {
+                await this.releaseOrderStock(orderId, transaction, actorId, note);
+                await CouponService.voidOrderRedemption(orderId, transaction);
+
+                if (order.payment_status === 'paid') {
+                    await this.refundOrderForCancel(orderId, transaction);
+                    changes.payment_status = 'refunded';
+                }
             }
 
-            // Si se confirma el pedido, verificar stock nuevamente
-            if (newStatus === 'confirmed' && order.status === 'pending') {
+            // Si las reservas vencieron mientras estaba pendiente, reservar nuevamente al confirmar
+            if (newStatus === 'confirmed') {
                 const orderItems = await OrderItem.findAll({
                     where: { order_id: orderId },
                     transaction
                 });
 
-                const stockValidation = await this.validateStockAvailability(
-                    orderItems.map(item => ({
-                        product_id: item.product_id,
-                        quantity: item.quantity
-                    }))
-                );
-
-                if (!stockValidation.available) {
-                    throw new BusinessLogicError('Stock insuficiente para confirmar el pedido');
+                try {
+                    await InventoryService.ensureOrderReservations(
+                        orderId,
+                        orderItems.map(item => ({
+                            product_id: item.product_id,
+                            variant_id: item.variant_id,
+                            quantity: item.quantity
+                        })),
+                        { transaction }
+                    );
+                } catch (error) {
+                    if (error instanceof BusinessLogicError) {
+                        throw new BusinessLogicError('Stock insuficiente para confirmar el pedido');
+                    }
+                    throw error;
                 }
             }
 
-            await order.update({ status: newStatus }, { transaction });
+            // El stock sale del inventario en mano recien al despachar el pedido
+            if (newStatus === 'shipped') {
+                await InventoryService.fulfillOrderReservations(orderId, {
+                    transaction,
+                    userId: actorId
+                });
+            }
+
+            await order.update(changes, { transaction });
+            await this.recordStatusChange(orderId, previousStatus, newStatus, { actorId, note }, transaction);
             await transaction.commit();
 
-            return await this.getOrderById(orderId, { includeItems: true });
+            return await this.getOrderById(orderId, { includeItems: true, includeHistory: true });
 
         } catch (error) {
             await transaction.rollback();
+
             if (error instanceof ValidationError || 
                 error instanceof NotFoundError || 
+                error instanceof ConflictError || 
+                error instanceof AuthorizationError || 
                 error instanceof BusinessLogicError) {
                 throw error;
             }
@@ -265,54 +482,47 @@ class OrderService {
     }
 
     /**
-     * Cancela un pedido y libera el stock
+     * Reembolsa en el proveedor de pagos los cobros de un pedido pagado que se va a cancelar
+     * Se llama al final de la transaccion de la cancelacion, asi el pago y el pedido quedan
+     * reembolsados juntos; si el proveedor falla no se cancela nada
      * @param {number} orderId - ID del pedido
-     * @returns {Object} Pedido cancelado
+     * @param {Object} transaction - Transaccion de la cancelacion
      */
-    static async cancelOrder(orderId) {
-        const transaction = await sequelize.transaction();
-        
-        try {
-            const order = await Order.findByPk(orderId, { transaction });
-            if (!order) {
-                throw new NotFoundError('Pedido no encontrado');
-            }
-
-            if (order.status === 'cancelled') {
-                throw new ConflictError('El pedido ya esta cancelado');
-            }
-
-            if (order.status === 'delivered') {
-                throw new BusinessLogicError('No se puede cancelar un pedido ya entregado');
-            }
-
-            // Liberar stock
-            await this.releaseOrderStock(orderId, transaction);
-
-            // Actualizar estado
-            await order.update({ 
-                status: 'cancelled',
-                payment_status: 'refunded'
-            }, { transaction });
-
-            await transaction.commit();
-
-            return await this.getOrderById(orderId, { includeItems: true });
+    static async refundOrderForCancel(orderId, transaction) {
+        const PaymentService = require('./PaymentService');
 
+        let refundedPayments;
+        try {
+            refundedPayments = await PaymentService.refundOrderPayments(orderId, { transaction });
         } catch (error) {
-            await transaction.rollback();
-            if (error instanceof ValidationError || 
-                error instanceof NotFoundError || 
-                error instanceof ConflictError || 
-                error instanceof BusinessLogicError) {
-                throw error;
-            }
-            throw new Error('Error al cancelar pedido: ' + error.message);
+            console.error(`Error al reembolsar los pagos del pedido ${orderId}:`, error.message);
+            throw new BusinessLogicError('No se pudo reembolsar el pago del pedido, el pedido no fue cancelado');
+        }
+
+        // Pagado sin cobros capturados en el proveedor (por ejemplo marcado como pagado a mano):
+        // no hay nada que reembolsar automaticamente y cancelarlo dejaria el pedido pagado
+        if (refundedPayments === 0) {
+            throw new BusinessLogicError('El pedido figura como pagado pero no tiene cobros en el proveedor de pagos; devuelve el pago por fuera antes de cancelarlo');
         }
     }
 
+    /**
+     * Cancela un pedido y libera el stock (solo antes del envio)
+     * @param {number} orderId - ID del pedido
+     * @param {Object} options - Opciones adicionales ({ actor, reason })
+     * @returns {Object} Pedido cancelado
+     */
+    static async cancelOrder(orderId, options = {}) {
+        return await this.updateOrderStatus(orderId, 'cancelled', {
+            actor: options.actor,
+            note: options.reason || null
+        });
+    }
+
     /**
      * Obtiene estadisticas de pedidos
+     * Los ingresos se informan netos (sin impuestos), de impuestos, de envio, brutos (lo cobrado)
+     * y descontando lo reembolsado en el proveedor de pagos
      * @param {Object} filters - Filtros opcionales
      * @returns {Object} Estadisticas de pedidos
      */
@@ -331,10 +541,48 @@ class OrderService {
                 attributes: [
                     [sequelize.fn('COUNT', sequelize.col('id')), 'totalOrders'],
                     [sequelize.fn('SUM', sequelize.col('total_amount')), 'totalRevenue'],
+                    [sequelize.fn('SUM', sequelize.col('net_amount')), 'netRevenue'],
+                    [sequelize.fn('SUM', sequelize.col('tax_amount')), 'taxCollected'],
+                    [sequelize.fn('SUM', sequelize.col('shipping_amount')), 'shippingRevenue'],
                     [sequelize.fn('AVG', sequelize.col('total_amount')), 'averageOrderValue']
                 ]
             });
 
+            // Impuestos agrupados por tasa aplicada, para conciliar con contabilidad
+            const taxBreakdown = await OrderTaxLine.findAll({
+                attributes: [
+                    'name',
+                    'rate',
+                    [sequelize.fn('SUM', sequelize.col('taxable_amount')), 'taxableAmount'],
+                    [sequelize.fn('SUM', sequelize.col('OrderTaxLine.tax_amount')), 'taxAmount']
+                ],
+                include: [{
+                    model: Order,
+                    as: 'order',
+                    attributes: [],
+                    where: whereClause
+                }],
+                group: ['name', 'rate'],
+                raw: true
+            });
+
+            // Reembolsos (totales y parciales) registrados en los pagos de los pedidos filtrados
+            const refunds = await Payment.findOne({
+                attributes: [
+                    [sequelize.fn('SUM', sequelize.col('refunded_amount')), 'refundedAmount']
+                ],
+                include: [{
+                    model: Order,
+                    as: 'order',
+                    attributes: [],
+                    where: whereClause
+                }],
+                raw: true
+            });
+
+            const totalRevenue = parseFloat(stats?.dataValues?.totalRevenue || 0);
+            const refundedAmount = roundAmount(parseFloat(refunds?.refundedAmount || 0));
+
             const statusCounts = await Order.findAll({
                 where: whereClause,
                 attributes: [
@@ -346,8 +594,19 @@ class OrderService {
 
             return {
                 totalOrders: parseInt(stats?.dataValues?.totalOrders || 0),
-                totalRevenue: parseFloat(stats?.dataValues?.totalRevenue || 0),
+                totalRevenue,
+                netRevenue: parseFloat(stats?.dataValues?.netRevenue || 0),
+                taxCollected: parseFloat(stats?.dataValues?.taxCollected || 0),
+                shippingRevenue: parseFloat(stats?.dataValues?.shippingRevenue || 0),
+                refundedAmount,
+                revenueAfterRefunds: roundAmount(totalRevenue - refundedAmount),
                 averageOrderValue: parseFloat(stats?.dataValues?.averageOrderValue || 0),
+                taxBreakdown: taxBreakdown.map(item => ({
+                    name: item.name,
+                    rate: parseFloat(item.rate),
+                    taxableAmount: roundAmount(parseFloat(item.taxableAmount || 0)),
+                    taxAmount: roundAmount(parseFloat(item.taxAmount || 0))
+                })),
                 statusBreakdown: statusCounts.reduce((acc, item) => {
                     acc[item.status] = parseInt(item.dataValues.count);
                     return acc;
@@ -378,6 +637,10 @@ class OrderService {
                         model: Product,
                         as: 'product',
                         attributes: ['id', 'name', 'sku', 'image_url']
+                    }, {
+                        model: ProductVariant,
+                        as: 'variant',
+                        attributes: ['id', 'sku', 'image_url']
                     }]
                 }]
             });
@@ -396,21 +659,25 @@ class OrderService {
     }
 
     /**
-     * Valida disponibilidad de stock para items
+     * Valida disponibilidad de stock para items (por variante cuando el item tiene una)
      * @param {Array} items - Array de items a validar
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
      * @returns {Object} Resultado de validacion
      */
-    static async validateStockAvailability(items) {
+    static async validateStockAvailability(items, transaction = null) {
         const unavailableItems = [];
 
         for (const item of items) {
             const inventory = await Inventory.findOne({
-                where: { product_id: item.product_id }
+                where: { product_id: item.product_id, variant_id: item.variant_id || null },
+                include: [{ model: ProductVariant, as: 'variant', attributes: ['sku'] }],
+                transaction
             });
 
-            if (!inventory || inventory.quantity < item.quantity) {
-                const product = await Product.findByPk(item.product_id);
-                unavailableItems.push(product ? product.name : `Producto ID ${item.product_id}`);
+            if (!inventory || !inventory.hasStock(item.quantity)) {
+                const product = await Product.findByPk(item.product_id, { transaction });
+                const name = product ? product.name : `Producto ID ${item.product_id}`;
+                unavailableItems.push(inventory && inventory.variant ? `${name} (${inventory.variant.sku})` : name);
             }
         }
 
@@ -420,6 +687,39 @@ class OrderService {
         };
     }
 
+    /**
+     * Construye las lineas de un pedido con el precio actual de cada producto
+     * Las variantes con precio o peso propio reemplazan los del producto
+     * @param {Array} items - Array de items del pedido ({ product_id, variant_id, quantity })
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Array} Lineas ({ product_id, variant_id, category_id, tax_class, quantity, weight, unit_price, line_total })
+     */
+    static async buildOrderLines(items, transaction = null) {
+        const lines = [];
+
+        for (const item of items) {
+            const product = await Product.findByPk(item.product_id, { transaction });
+            if (!product) {
+                throw new NotFoundError(`Producto con ID ${item.product_id} no encontrado`);
+            }
+
+            const variant = item.variant_id ? await ProductVariant.findByPk(item.variant_id, { transaction }) : null;
+            const unitPrice = variant ? variant.getUnitPrice(product) : parseFloat(product.price);
+            lines.push({
+                product_id: product.id,
+                variant_id: variant ? variant.id : null,
+                category_id: product.category_id,
+                tax_class: product.tax_class,
+                quantity: item.quantity,
+                weight: (variant ? variant.getShippingWeight(product) : product.getShippingWeight()) * item.quantity,
+                unit_price: unitPrice,
+                line_total: roundAmount(unitPrice * item.quantity)
+            });
+        }
+
+        return lines;
+    }
+
     /**
      * Calcula el total de un pedido
      * @param {Array} items - Array de items del pedido
@@ -443,21 +743,15 @@ class OrderService {
      * Libera el stock de un pedido
      * @param {number} orderId - ID del pedido
      * @param {Object} transaction - Transaccion de base de datos
+     * @param {number} actorId - ID del usuario que cancela (opcional)
+     * @param {string} notes - Motivo de la cancelacion (opcional)
      */
-    static async releaseOrderStock(orderId, transaction) {
-        const orderItems = await OrderItem.findAll({
-            where: { order_id: orderId },
-            transaction
+    static async releaseOrderStock(orderId, transaction, actorId = null, notes = null) {
+        await InventoryService.releaseOrderStock(orderId, {
+            transaction,
+            userId: actorId,
+            notes
         });
-
-        for (const item of orderItems) {
-            await Inventory.update({
-                quantity: sequelize.literal(`quantity + ${item.quantity}`)
-            }, {
-                where: { product_id: item.product_id },
-                transaction
-            });
-        }
     }
 }
 
@@ -0,0 +1,478 @@
+const { Payment, Order } = require('../models');
+const OrderService = require('./OrderService');
+const { createPaymentProvider } = require('../utils/paymentProviders');
+const {
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+  ConflictError,
+  BusinessLogicError
+} = require('../utils/errors');
+const { roundAmount } = require('../utils/money');
+
+// Estados de un pago que impiden iniciar otro pago para el mismo pedido
+const ACTIVE_PAYMENT_STATUSES = ['pending', 'requires_action', 'authorized', 'captured'];
+
+class PaymentService {
+  constructor() {
+    this.currency = process.env.PAYMENT_CURRENCY || 'USD';
+    if (!process.env.PAYMENT_WEBHOOK_SECRET && process.env.NODE_ENV !== 'test') {
+      console.warn('⚠️  PAYMENT_WEBHOOK_SECRET no configurado: se rechazaran los webhooks de pago recibidos por HTTP');
+    }
+    this.setProvider(createPaymentProvider(process.env.PAYMENT_PROVIDER || 'fake', {
+      webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET
+    }));
+  }
+
+  /**
+   * Reemplaza el proveedor de pagos
+   * @param {Object} provider - Objeto con authorize, capture, refund y verifyWebhook
+   */
+  setProvider(provider) {
+    const required = ['authorize', 'capture', 'refund', 'verifyWebhook'];
+    if (!provider || required.some(method => typeof provider[method] !== 'function')) {
+      throw new Error(`El proveedor de pagos debe implementar ${required.join(', ')}`);
+    }
+
+    this.provider = provider;
+
+    // Los proveedores en proceso entregan sus webhooks directamente al servicio
+    if (typeof provider.setWebhookHandler === 'function') {
+      provider.setWebhookHandler((payload, signature) => this.handleWebhook(provider.name, payload, signature));
+    }
+  }
+
+  /**
+   * Obtiene el proveedor de pagos actual
+   * @returns {Object} Proveedor de pagos
+   */
+  getProvider() {
+    return this.provider;
+  }
+
+  /**
+   * Verifica que el usuario sea el duenio del pedido o administrador
+   * @param {Object} order - Pedido
+   * @param {Object} actor - Usuario ({ id, role })
+   */
+  assertCanAccessOrder(order, actor) {
+    if (actor && actor.role !== 'admin' && order.user_id !== actor.id) {
+      throw new AuthorizationError('No tienes permisos sobre los pagos de este pedido');
+    }
+  }
+
+  /**
+   * Inicia el pago con tarjeta de un pedido pendiente
+   * El estado de pago del pedido se actualiza al recibir el webhook del proveedor
+   * @param {number} orderId - ID del pedido
+   * @param {Object} card - Datos de la tarjeta ({ number, exp_month, exp_year, cvc })
+   * @param {Object} actor - Usuario que paga ({ id, role })
+   * @returns {Object} Pago creado
+   */
+  async createPayment(orderId, card, actor) {
+    try {
+      const order = await Order.findByPk(orderId);
+      if (!order) {
+        throw new NotFoundError('Pedido no encontrado');
+      }
+
+      this.assertCanAccessOrder(order, actor);
+
+      if (order.status !== 'pending' || !['pending', 'failed'].includes(order.payment_status)) {
+        throw new BusinessLogicError('El pedido no admite nuevos pagos');
+      }
+
+      const activePayment = await Payment.findOne({
+        where: { order_id: orderId, status: ACTIVE_PAYMENT_STATUSES }
+      });
+      if (activePayment) {
+        throw new ConflictError('El pedido ya tiene un pago en curso');
+      }
+
+      // El numero de tarjeta nunca se guarda, solo sus ultimos 4 digitos
+      const payment = await Payment.create({
+        order_id: order.id,
+        provider: this.provider.name,
+        amount: roundAmount(parseFloat(order.total_amount)),
+        currency: this.currency,
+        status: 'pending',
+        card_last4: card.number.slice(-4)
+      });
+
+      let result;
+      try {
+        result = await this.provider.authorize({
+          amount: payment.amount,
+          currency: payment.currency,
+          card,
+          reference: payment.id
+        });
+
+        if (result.status === 'authorized') {
+          result = await this.provider.capture(result.id);
+        }
+      } catch (error) {
+        await payment.update({
+          status: 'failed',
+          failure_code: 'provider_error',
+          failure_message: error.message.substring(0, 255)
+        });
+        throw new BusinessLogicError('El proveedor de pagos no pudo procesar el pago');
+      }
+
+      await payment.update({
+        provider_payment_id: result.id,
+        status: result.status,
+        failure_code: result.failureCode || null,
+        failure_message: result.failureMessage || null,
+        captured_at: result.status === 'captured' ? new Date() : null
+      });
+
+      return this.toPaymentResponse(payment);
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError ||
+          error instanceof BusinessLogicError) {
+        throw error;
+      }
+      throw new Error('Error al procesar pago: ' + error.message);
+    }
+  }
+
+  /**
+   * Completa la autenticacion del cliente (3-D Secure) de un pago pendiente
+   * @param {number} paymentId - ID del pago
+   * @param {boolean} approved - Resultado del desafio
+   * @param {Object} actor - Usuario que paga ({ id, role })
+   * @returns {Object} Pago actualizado
+   */
+  async completeAuthentication(paymentId, approved, actor) {
+    try {
+      const payment = await this.getPaymentById(paymentId, actor);
+
+      if (!payment.requiresAction()) {
+        throw new BusinessLogicError('El pago no requiere autenticacion');
+      }
+
+      // Un pedido cancelado mientras esperaba el desafio no debe cobrarse
+      if (payment.order.status !== 'pending') {
+        await payment.update({
+          status: 'failed',
+          failure_code: 'order_not_pending',
+          failure_message: 'El pedido ya no admite pagos'
+        });
+        throw new BusinessLogicError('El pedido ya no admite pagos');
+      }
+
+      if (typeof this.provider.completeAction !== 'function') {
+        throw new BusinessLogicError('El proveedor de pagos no permite completar la autenticacion desde la API');
+      }
+
+      const result = await this.provider.completeAction(payment.provider_payment_id, approved);
+
+      await payment.update({
+        status: result.status,
+        failure_code: result.failureCode || null,
+        failure_message: result.failureMessage || null,
+        captured_at: result.status === 'captured' ? new Date() : null
+      });
+
+      return this.toPaymentResponse(payment);
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof BusinessLogicError) {
+        throw error;
+      }
+      throw new Error('Error al autenticar pago: ' + error.message);
+    }
+  }
+
+  /**
+   * Reembolsa un pago capturado, total o parcialmente
+   * @param {number} paymentId - ID del pago
+   * @param {number} amount - Monto a reembolsar (por defecto el saldo restante)
+   * @param {Object} options - Opciones adicionales ({ transaction })
+   * @returns {Object} Pago actualizado
+   */
+  async refundPayment(paymentId, amount = null, options = {}) {
+    const { transaction = null } = options;
+
+    try {
+      const payment = await this.getPaymentById(paymentId, null, { transaction });
+
+      if (payment.status !== 'captured') {
+        throw new BusinessLogicError('Solo se pueden reembolsar pagos capturados');
+      }
+
+      const refundable = payment.getRefundableAmount();
+      const refundAmount = amount === null ? refundable : roundAmount(amount);
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        throw new BusinessLogicError(`Monto de reembolso invalido. Disponible: ${refundable}`);
+      }
+
+      const result = await this.provider.refund(payment.provider_payment_id, refundAmount);
+      await payment.update({
+        status: result.status,
+        refunded_amount: result.amountRefunded,
+        refunded_at: new Date()
+      }, { transaction });
+
+      return this.toPaymentResponse(payment);
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+        throw error;
+      }
+      throw new Error('Error al reembolsar pago: ' + error.message);
+    }
+  }
+
+  /**
+   * Reembolsa todos los pagos capturados de un pedido (por ejemplo al cancelarlo)
+   * @param {number} orderId - ID del pedido
+   * @param {Object} options - Opciones adicionales ({ transaction })
+   * @returns {number} Cantidad de pagos reembolsados
+   */
+  async refundOrderPayments(orderId, options = {}) {
+    const { transaction = null } = options;
+    const payments = await Payment.findAll({
+      where: { order_id: orderId, status: 'captured' },
+      transaction
+    });
+
+    for (const payment of payments) {
+      await this.refundPayment(payment.id, null, { transaction });
+    }
+
+    return payments.length;
+  }
+
+  /**
+   * Calcula cuanto se puede reembolsar de un pedido con sus pagos capturados
+   * @param {number} orderId - ID del pedido
+   * @returns {number} Monto reembolsable
+   */
+  async getRefundableOrderAmount(orderId) {
+    const payments = await Payment.findAll({
+      where: { order_id: orderId, status: 'captured' }
+    });
+
+    const refundable = payments.reduce((sum, payment) => sum + payment.getRefundableAmount(), 0);
+    return roundAmount(refundable);
+  }
+
+  /**
+   * Reembolsa un monto parcial de un pedido repartido entre sus pagos capturados
+   * @param {number} orderId - ID del pedido
+   * @param {number} amount - Monto a reembolsar
+   * @returns {number} Monto reembolsado en el proveedor
+   */
+  async refundOrderAmount(orderId, amount) {
+    const payments = await Payment.findAll({
+      where: { order_id: orderId, status: 'captured' },
+      order: [['id', 'ASC']]
+    });
+
+    let pending = roundAmount(amount);
+    for (const payment of payments) {
+      if (pending <= 0) {
+        break;
+      }
+
+      const refundAmount = Math.min(pending, payment.getRefundableAmount());
+      if (refundAmount > 0) {
+        await this.refundPayment(payment.id, refundAmount);
+        pending = roundAmount(pending - refundAmount);
+      }
+    }
+
+    return roundAmount(amount - pending);
+  }
+
+  /**
+   * Obtiene un pago por ID
+   * @param {number} paymentId - ID del pago
+   * @param {Object} actor - Usuario que consulta ({ id, role }); null para procesos internos
+   * @param {Object} options - Opciones adicionales ({ transaction })
+   * @returns {Object} Pago encontrado
+   */
+  async getPaymentById(paymentId, actor = null, options = {}) {
+    const payment = await Payment.findByPk(paymentId, {
+      transaction: options.transaction || null,
+      include: [{
+        model: Order,
+        as: 'order',
+        attributes: ['id', 'user_id', 'order_number', 'status', 'payment_status']
+      }]
+    });
+
+    if (!payment) {
+      throw new NotFoundError('Pago no encontrado');
+    }
+
+    this.assertCanAccessOrder(payment.order, actor);
+
+    return payment;
+  }
+
+  /**
+   * Lista los pagos de un pedido
+   * @param {number} orderId - ID del pedido
+   * @param {Object} actor - Usuario que consulta ({ id, role })
+   * @returns {Array} Pagos del pedido
+   */
+  async getOrderPayments(orderId, actor) {
+    try {
+      const order = await Order.findByPk(orderId);
+      if (!order) {
+        throw new NotFoundError('Pedido no encontrado');
+      }
+
+      this.assertCanAccessOrder(order, actor);
+
+      const payments = await Payment.findAll({
+        where: { order_id: orderId },
+        order: [['created_at', 'DESC'], ['id', 'DESC']]
+      });
+
+      return payments.map(payment => this.toPaymentResponse(payment));
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new Error('Error al obtener pagos del pedido: ' + error.message);
+    }
+  }
+
+  /**
+   * Procesa un webhook firmado del proveedor de pagos
+   * Actualiza el pago, el estado de pago del pedido y confirma el pedido al cobrarse
+   * @param {string} providerName - Proveedor que envia el webhook
+   * @param {string} payload - Cuerpo del webhook en texto (sin parsear)
+   * @param {string} signature - Encabezado de firma
+   * @returns {Object} Resultado del procesamiento
+   */
+  async handleWebhook(providerName, payload, signature) {
+    try {
+      if (providerName !== this.provider.name) {
+        throw new ValidationError('Proveedor de pagos desconocido');
+      }
+
+      if (!this.provider.verifyWebhook(payload, signature)) {
+        throw new AuthenticationError('Firma de webhook invalida');
+      }
+
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (error) {
+        throw new ValidationError('Webhook con formato invalido');
+      }
+
+      const data = event.data || {};
+      const payment = data.reference
+        ? await Payment.findByPk(data.reference)
+        : await Payment.findByProviderId(providerName, data.id);
+
+      if (!payment || payment.provider !== providerName) {
+        throw new NotFoundError('Pago no encontrado');
+      }
+
+      const order = await Order.findByPk(payment.order_id);
+      const changes = { provider_payment_id: payment.provider_payment_id || data.id };
+
+      switch (event.type) {
+        case 'payment.succeeded':
+          if (payment.status === 'refunded') {
+            return { received: true, ignored: true };
+          }
+          changes.status = 'captured';
+          changes.captured_at = payment.captured_at || new Date();
+          await payment.update(changes);
+
+          // El cobro de un pedido ya cancelado se devuelve en lugar de marcar el pedido como pagado;
+          // si el reembolso falla el webhook responde con error para que el proveedor lo reintente
+          if (order.status === 'cancelled') {
+            await this.refundPayment(payment.id);
+            await order.update({ payment_status: 'refunded' });
+            return { received: true, refunded: true };
+          }
+
+          await order.update({ payment_status: 'paid' });
+
+          // Un pedido pendiente se confirma automaticamente al recibir el pago
+          if (order.status === 'pending') {
+            try {
+              await OrderService.updateOrderStatus(order.id, 'confirmed', {
+                note: 'Confirmado automaticamente al recibir el pago'
+              });
+            } catch (error) {
+              console.error(`No se pudo confirmar el pedido ${order.id} tras el pago:`, error.message);
+            }
+          }
+          break;
+        case 'payment.failed':
+          if (payment.status === 'captured' || payment.status === 'refunded') {
+            return { received: true, ignored: true };
+          }
+          changes.status = 'failed';
+          changes.failure_code = data.failure_code || null;
+          changes.failure_message = data.failure_message || null;
+          await payment.update(changes);
+          if (order.payment_status === 'pending') {
+            await order.update({ payment_status: 'failed' });
+          }
+          break;
+        case 'payment.refunded':
+          // Los reembolsos hechos desde la API ya quedaron registrados en el pago y en el pedido
+          if (payment.refunded_amount >= (data.amount_refunded || 0) &&
+              (data.status !== 'refunded' || payment.status === 'refunded')) {
+            return { received: true, ignored: true };
+          }
+
+          // Un reembolso parcial deja el pago capturado con el monto devuelto acumulado
+          changes.status = data.status === 'refunded' ? 'refunded' : payment.status;
+          changes.refunded_amount = Math.max(payment.refunded_amount, data.amount_refunded || 0);
+          changes.refunded_at = payment.refunded_at || new Date();
+          await payment.update(changes);
+
+          // Tras un reembolso parcial el pedido sigue pagado por el resto del monto
+          if (changes.status === 'refunded') {
+            await order.update({ payment_status: 'refunded' });
+          }
+          break;
+        default:
+          return { received: true, ignored: true };
+      }
+
+      return { received: true };
+    } catch (error) {
+      if (error instanceof ValidationError ||
+          error instanceof AuthenticationError ||
+          error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new Error('Error al procesar webhook de pago: ' + error.message);
+    }
+  }
+
+  /**
+   * Construye la respuesta publica de un pago
+   * @param {Object} payment - Pago
+   * @returns {Object} Datos del pago (con la accion pendiente si la hay)
+   */
+  toPaymentResponse(payment) {
+    const data = payment.toJSON();
+    delete data.order;
+
+    data.next_action = payment.requiresAction()
+      ? { type: 'three_d_secure', url: `/api/payments/${payment.id}/authenticate` }
+      : null;
+
+    return data;
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,495 @@
+const { Op } = require('sequelize');
+const { Category, AttributeDefinition, CategoryAttribute, ProductAttributeValue } = require('../models');
+const { VALUE_COLUMNS } = require('../models/ProductAttributeValue');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+
+// Operadores de filtro permitidos segun el tipo de atributo
+const FILTER_OPERATORS = {
+    number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+    enum: ['eq', 'ne', 'in'],
+    text: ['eq', 'ne', 'in'],
+    boolean: ['eq']
+};
+
+const SQL_OPERATORS = { eq: '=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * Da formato a una definicion de atributo para las respuestas de la API
+ */
+const formatAttribute = (attribute) => ({
+    id: attribute.id,
+    code: attribute.code,
+    name: attribute.name,
+    type: attribute.type,
+    unit: attribute.unit,
+    options: attribute.options,
+    is_filterable: attribute.is_filterable
+});
+
+class ProductAttributeService {
+    /**
+     * Lista las definiciones de atributos
+     * @param {Object} options - Filtros ({ type })
+     * @returns {Array} Definiciones de atributos
+     */
+    static async listAttributes(options = {}) {
+        try {
+            const where = {};
+            if (options.type) {
+                where.type = options.type;
+            }
+
+            return await AttributeDefinition.findAll({
+                where,
+                order: [['name', 'ASC']]
+            });
+        } catch (error) {
+            throw new Error('Error al listar atributos: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene una definicion de atributo
+     * @param {number} attributeId - ID del atributo
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Object} Definicion del atributo
+     */
+    static async getAttributeById(attributeId, transaction = null) {
+        const attribute = await AttributeDefinition.findByPk(attributeId, { transaction });
+        if (!attribute) {
+            throw new NotFoundError('Atributo no encontrado');
+        }
+        return attribute;
+    }
+
+    /**
+     * Crea una definicion de atributo
+     * @param {Object} data - Datos validados ({ code, name, type, unit, options, is_filterable })
+     * @returns {Object} Atributo creado
+     */
+    static async createAttribute(data) {
+        try {
+            const existing = await AttributeDefinition.findOne({ where: { code: data.code } });
+            if (existing) {
+                throw new ConflictError('Ya existe un atributo con ese codigo');
+            }
+
+            return await AttributeDefinition.create({
+                ...data,
+                unit: data.unit || null
+            });
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al crear atributo: ' + error.message);
+        }
+    }
+
+    /**
+     * Actualiza una definicion de atributo
+     * No se pueden quitar opciones de una lista mientras haya productos que las usen
+     * @param {number} attributeId - ID del atributo
+     * @param {Object} data - Datos validados ({ name, unit, options, is_filterable })
+     * @returns {Object} Atributo actualizado
+     */
+    static async updateAttribute(attributeId, data) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const attribute = await this.getAttributeById(attributeId, transaction);
+
+            if (data.unit !== undefined && attribute.type !== 'number') {
+                throw new ValidationError('Solo los atributos numericos pueden tener unidad');
+            }
+
+            if (data.options !== undefined) {
+                if (attribute.type !== 'enum') {
+                    throw new ValidationError('Solo los atributos de lista pueden tener opciones');
+                }
+
+                const removed = attribute.options.filter(option => !data.options.includes(option));
+                if (removed.length > 0) {
+                    const inUse = await ProductAttributeValue.findAll({
+                        where: { attribute_id: attributeId, value_text: { [Op.in]: removed } },
+                        attributes: ['value_text'],
+                        group: ['value_text'],
+                        transaction
+                    });
+                    if (inUse.length > 0) {
+                        throw new ConflictError(`No se pueden quitar opciones en uso: ${inUse.map(value => value.value_text).join(', ')}`);
+                    }
+                }
+            }
+
+            await attribute.update({
+                ...data,
+                ...(data.unit !== undefined && { unit: data.unit || null })
+            }, { transaction });
+
+            await transaction.commit();
+            return attribute;
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al actualizar atributo: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina una definicion de atributo que ningun producto usa
+     * @param {number} attributeId - ID del atributo
+     */
+    static async deleteAttribute(attributeId) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const attribute = await this.getAttributeById(attributeId, transaction);
+
+            const valueCount = await ProductAttributeValue.count({
+                where: { attribute_id: attributeId },
+                transaction
+            });
+            if (valueCount > 0) {
+                throw new ConflictError(`El atributo tiene valores en ${valueCount} productos`);
+            }
+
+            await CategoryAttribute.destroy({ where: { attribute_id: attributeId }, transaction });
+            await attribute.destroy({ transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al eliminar atributo: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene el conjunto de atributos de una categoria, incluidos los heredados de sus ancestros
+     * Los atributos de los ancestros van primero; si una subcategoria reasigna uno, decide si es requerido
+     * @param {number} categoryId - ID de la categoria
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Array} Asignaciones ({ attribute, is_required, category_id })
+     */
+    static async getCategoryAttributeSet(categoryId, transaction = null) {
+        const chain = [];
+        let category = await Category.findByPk(categoryId, { attributes: ['id', 'parent_id'], transaction });
+        if (!category) {
+            throw new NotFoundError('Categoria no encontrada');
+        }
+
+        while (category && !chain.includes(category.id)) {
+            chain.unshift(category.id);
+            category = category.parent_id
+                ? await Category.findByPk(category.parent_id, { attributes: ['id', 'parent_id'], transaction })
+                : null;
+        }
+
+        const assignments = await CategoryAttribute.findAll({
+            where: { category_id: { [Op.in]: chain } },
+            include: [{ model: AttributeDefinition, as: 'attribute' }],
+            transaction
+        });
+        assignments.sort((a, b) =>
+            chain.indexOf(a.category_id) - chain.indexOf(b.category_id) || a.position - b.position);
+
+        const byAttribute = new Map();
+        for (const assignment of assignments) {
+            const current = byAttribute.get(assignment.attribute_id);
+            byAttribute.set(assignment.attribute_id, {
+                attribute: assignment.attribute,
+                is_required: assignment.is_required,
+                category_id: current ? current.category_id : assignment.category_id
+            });
+        }
+
+        return [...byAttribute.values()];
+    }
+
+    /**
+     * Obtiene el conjunto de atributos de una categoria con el formato de la API
+     * @param {number} categoryId - ID de la categoria
+     * @returns {Array} Atributos de la categoria en orden
+     */
+    static async getCategoryAttributes(categoryId) {
+        try {
+            const attributeSet = await this.getCategoryAttributeSet(categoryId);
+
+            return attributeSet.map(({ attribute, is_required, category_id }) => ({
+                ...formatAttribute(attribute),
+                is_required,
+                inherited: category_id !== categoryId
+            }));
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener atributos de categoria: ' + error.message);
+        }
+    }
+
+    /**
+     * Reemplaza los atributos asignados directamente a una categoria
+     * @param {number} categoryId - ID de la categoria
+     * @param {Array} assignments - Atributos en orden ({ attribute_id, is_required })
+     * @returns {Array} Atributos de la categoria en orden
+     */
+    static async setCategoryAttributes(categoryId, assignments) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const category = await Category.findByPk(categoryId, { transaction });
+            if (!category) {
+                throw new NotFoundError('Categoria no encontrada');
+            }
+
+            const attributeIds = assignments.map(assignment => assignment.attribute_id);
+            const found = await AttributeDefinition.findAll({
+                where: { id: { [Op.in]: attributeIds } },
+                attributes: ['id'],
+                transaction
+            });
+            const missing = attributeIds.find(id => !found.some(attribute => attribute.id === id));
+            if (missing !== undefined) {
+                throw new ValidationError(`Atributo ${missing} no encontrado`);
+            }
+
+            await CategoryAttribute.destroy({ where: { category_id: categoryId }, transaction });
+            for (const [position, assignment] of assignments.entries()) {
+                await CategoryAttribute.create({
+                    category_id: categoryId,
+                    attribute_id: assignment.attribute_id,
+                    is_required: assignment.is_required,
+                    position
+                }, { transaction });
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al asignar atributos a la categoria: ' + error.message);
+        }
+
+        return await this.getCategoryAttributes(categoryId);
+    }
+
+    /**
+     * Valida un valor contra la definicion del atributo y lo convierte a su tipo
+     * @param {Object} attribute - Definicion del atributo
+     * @param {*} raw - Valor recibido
+     * @returns {*} Valor normalizado (texto, numero o booleano)
+     */
+    static normalizeValue(attribute, raw) {
+        switch (attribute.type) {
+            case 'number': {
+                const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    throw new ValidationError(`El atributo ${attribute.name} debe ser un numero`);
+                }
+                return value;
+            }
+            case 'boolean':
+                if (raw === true || raw === 'true') return true;
+                if (raw === false || raw === 'false') return false;
+                throw new ValidationError(`El atributo ${attribute.name} debe ser true o false`);
+            case 'enum': {
+                const option = typeof raw === 'string'
+                    ? attribute.options.find(candidate => candidate.toLowerCase() === raw.trim().toLowerCase())
+                    : undefined;
+                if (option === undefined) {
+                    throw new ValidationError(`El atributo ${attribute.name} debe ser uno de: ${attribute.options.join(', ')}`);
+                }
+                return option;
+            }
+            default: {
+                if (typeof raw !== 'string' && typeof raw !== 'number') {
+                    throw new ValidationError(`El atributo ${attribute.name} debe ser un texto`);
+                }
+                const value = String(raw).trim();
+                if (value.length === 0 || value.length > 255) {
+                    throw new ValidationError(`El atributo ${attribute.name} debe tener entre 1 y 255 caracteres`);
+                }
+                return value;
+            }
+        }
+    }
+
+    /**
+     * Valida y guarda los valores de atributos de un producto
+     * Los valores recibidos se combinan con los guardados (null elimina un valor); los guardados que
+     * ya no pertenecen a la categoria del producto se descartan
+     * @param {number} productId - ID del producto
+     * @param {number|null} categoryId - Categoria del producto
+     * @param {Object} input - Valores por codigo de atributo ({ ram_gb: 16, color: 'Negro' })
+     * @param {Object} transaction - Transaccion de base de datos
+     */
+    static async saveProductAttributes(productId, categoryId, input = {}, transaction = null) {
+        if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+            throw new ValidationError('Los atributos deben ser un objeto con el valor de cada atributo');
+        }
+
+        const attributeSet = categoryId ? await this.getCategoryAttributeSet(categoryId, transaction) : [];
+        const setByCode = new Map(attributeSet.map(entry => [entry.attribute.code, entry]));
+
+        const existing = await ProductAttributeValue.findAll({
+            where: { product_id: productId },
+            include: [{ model: AttributeDefinition, as: 'attribute' }],
+            transaction
+        });
+
+        const values = new Map();
+        for (const stored of existing) {
+            if (setByCode.has(stored.attribute.code)) {
+                values.set(stored.attribute.code, stored.getValue(stored.attribute.type));
+            }
+        }
+
+        for (const [code, raw] of Object.entries(input)) {
+            const entry = setByCode.get(code);
+            if (!entry) {
+                const known = await AttributeDefinition.count({ where: { code }, transaction });
+                throw new ValidationError(known
+                    ? `El atributo ${code} no aplica a la categoria del producto`
+                    : `Atributo desconocido: ${code}`);
+            }
+
+            if (raw === null || raw === '') {
+                values.delete(code);
+            } else {
+                values.set(code, this.normalizeValue(entry.attribute, raw));
+            }
+        }
+
+        const missing = attributeSet.filter(entry => entry.is_required && !values.has(entry.attribute.code));
+        if (missing.length > 0) {
+            throw new ValidationError(`Atributos requeridos para esta categoria: ${missing.map(entry => entry.attribute.name).join(', ')}`);
+        }
+
+        await ProductAttributeValue.destroy({ where: { product_id: productId }, transaction });
+        for (const [code, value] of values) {
+            const { attribute } = setByCode.get(code);
+            await ProductAttributeValue.create({
+                product_id: productId,
+                attribute_id: attribute.id,
+                [VALUE_COLUMNS[attribute.type]]: value
+            }, { transaction });
+        }
+    }
+
+    /**
+     * Construye la tabla de especificaciones de un producto en el orden de su categoria
+     * @param {number} productId - ID del producto
+     * @param {number|null} categoryId - Categoria del producto
+     * @returns {Array} Especificaciones ({ code, name, type, unit, value, display })
+     */
+    static async getSpecifications(productId, categoryId) {
+        const values = await ProductAttributeValue.findAll({
+            where: { product_id: productId },
+            include: [{ model: AttributeDefinition, as: 'attribute' }]
+        });
+        if (values.length === 0) {
+            return [];
+        }
+
+        const attributeSet = categoryId ? await this.getCategoryAttributeSet(categoryId) : [];
+        const positionOf = (value) => {
+            const position = attributeSet.findIndex(entry => entry.attribute.id === value.attribute_id);
+            return position === -1 ? attributeSet.length : position;
+        };
+
+        return values
+            .sort((a, b) => positionOf(a) - positionOf(b) || a.attribute.name.localeCompare(b.attribute.name))
+            .map(stored => {
+                const value = stored.getValue(stored.attribute.type);
+                return {
+                    code: stored.attribute.code,
+                    name: stored.attribute.name,
+                    type: stored.attribute.type,
+                    unit: stored.attribute.unit,
+                    value,
+                    display: stored.attribute.formatValue(value)
+                };
+            });
+    }
+
+    /**
+     * Convierte los filtros de atributo de la consulta en condiciones SQL
+     * Acepta ?attr[codigo]=valor o ?attr[codigo][operador]=valor (in admite valores separados por coma)
+     * @param {Object} filters - Filtros por codigo de atributo
+     * @returns {Array} Condiciones ({ code, condition, selected }); selected son los valores de eq/in
+     */
+    static async buildFilterConditions(filters = {}) {
+        if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+            throw new ValidationError('Los filtros de atributo deben tener la forma attr[codigo][operador]=valor');
+        }
+
+        const codes = Object.keys(filters);
+        if (codes.length === 0) {
+            return [];
+        }
+
+        const attributes = await AttributeDefinition.findAll({ where: { code: { [Op.in]: codes } } });
+
+        return codes.map(code => {
+            const attribute = attributes.find(candidate => candidate.code === code);
+            if (!attribute) {
+                throw new ValidationError(`Atributo desconocido: ${code}`);
+            }
+
+            const operations = typeof filters[code] === 'object' && !Array.isArray(filters[code])
+                ? filters[code]
+                : { eq: filters[code] };
+
+            const column = `pav.${VALUE_COLUMNS[attribute.type]}`;
+            const matching = (predicate) =>
+                `\`Product\`.\`id\` IN (SELECT pav.product_id FROM product_attribute_values pav WHERE pav.attribute_id = ${attribute.id} AND ${predicate})`;
+
+            const conditions = [];
+            const selected = [];
+            for (const [operator, raw] of Object.entries(operations)) {
+                if (!FILTER_OPERATORS[attribute.type].includes(operator)) {
+                    throw new ValidationError(`Operador ${operator} no permitido para el atributo ${code}. Operadores permitidos: ${FILTER_OPERATORS[attribute.type].join(', ')}`);
+                }
+
+                if (operator === 'in') {
+                    const values = [].concat(raw).flatMap(item => String(item).split(',')).filter(Boolean)
+                        .map(item => this.normalizeValue(attribute, item));
+                    if (values.length === 0) {
+                        throw new ValidationError(`El filtro in del atributo ${code} requiere al menos un valor`);
+                    }
+                    selected.push(...values);
+                    conditions.push(matching(`${column} IN (${values.map(value => sequelize.escape(value)).join(', ')})`));
+                    continue;
+                }
+
+                const value = this.normalizeValue(attribute, Array.isArray(raw) ? raw[0] : raw);
+                if (operator === 'ne') {
+                    conditions.push(`NOT ${matching(`${column} = ${sequelize.escape(value)}`)}`);
+                    continue;
+                }
+
+                if (operator === 'eq') {
+                    selected.push(value);
+                }
+                conditions.push(matching(`${column} ${SQL_OPERATORS[operator]} ${sequelize.escape(value)}`));
+            }
+
+            return {
+                code,
+                condition: sequelize.literal(`(${conditions.join(' AND ')})`),
+                selected
+            };
+        });
+    }
+}
+
+module.exports = ProductAttributeService;
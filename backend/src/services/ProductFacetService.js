@@ -0,0 +1,337 @@
+const { Product, Category, AttributeDefinition } = require('../models');
+const CategoryService = require('./CategoryService');
+const { ValidationError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+
+// Rangos de precio del catalogo (min incluido, max excluido; null = sin limite)
+const PRICE_RANGES = [
+    { value: '0-50', min: 0, max: 50 },
+    { value: '50-100', min: 50, max: 100 },
+    { value: '100-250', min: 100, max: 250 },
+    { value: '250-500', min: 250, max: 500 },
+    { value: '500-1000', min: 500, max: 1000 },
+    { value: '1000-', min: 1000, max: null }
+];
+
+// Bandas de valoracion promedio; 'unrated' agrupa los productos sin resenas
+const RATING_BANDS = [
+    { value: '4-5', min: 4, max: null },
+    { value: '3-4', min: 3, max: 4 },
+    { value: '2-3', min: 2, max: 3 },
+    { value: '1-2', min: 1, max: 2 },
+    { value: 'unrated', min: null, max: null }
+];
+
+const AVAILABILITY = ['in_stock', 'out_of_stock'];
+
+const PRICE_SQL = '`Product`.`price`';
+
+// Promedio guardado de las resenas aprobadas (NULL si el producto no tiene resenas)
+const RATING_SQL = '(CASE WHEN `Product`.`review_count` > 0 THEN `Product`.`average_rating` END)';
+
+// Un producto con variantes activas tiene stock si alguna de ellas lo tiene; si no, cuenta su inventario propio
+const IN_STOCK_SQL = `(CASE
+    WHEN EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = \`Product\`.\`id\` AND v.is_active)
+    THEN EXISTS (
+        SELECT 1 FROM inventory i JOIN product_variants v ON v.id = i.variant_id
+        WHERE i.product_id = \`Product\`.\`id\` AND v.is_active AND i.quantity - i.reserved_quantity > 0
+    )
+    ELSE EXISTS (
+        SELECT 1 FROM inventory i
+        WHERE i.product_id = \`Product\`.\`id\` AND i.variant_id IS NULL AND i.quantity - i.reserved_quantity > 0
+    )
+END)`;
+
+/**
+ * Condicion SQL de un rango sobre una expresion (los limites son constantes del modulo)
+ */
+const rangeSql = (expression, range) => {
+    if (range.min === null && range.max === null) {
+        return `${expression} IS NULL`;
+    }
+
+    const bounds = [];
+    if (range.min !== null) bounds.push(`${expression} >= ${range.min}`);
+    if (range.max !== null) bounds.push(`${expression} < ${range.max}`);
+    return bounds.join(' AND ');
+};
+
+/**
+ * Expresion CASE que devuelve el valor del rango al que pertenece cada producto
+ */
+const bucketSql = (expression, ranges) =>
+    `CASE ${ranges.map(range => `WHEN ${rangeSql(expression, range)} THEN '${range.value}'`).join(' ')} END`;
+
+const availabilitySql = (value) => value === 'in_stock' ? IN_STOCK_SQL : `NOT ${IN_STOCK_SQL}`;
+
+/**
+ * Valida que los valores seleccionados pertenezcan a una lista conocida
+ */
+const assertKnownValues = (values, allowed, message) => {
+    const unknown = values.find(value => !allowed.includes(value));
+    if (unknown !== undefined) {
+        throw new ValidationError(`${message}: ${unknown}. Valores permitidos: ${allowed.join(', ')}`);
+    }
+};
+
+class ProductFacetService {
+    /**
+     * Construye los filtros del listado de productos
+     * Cada faceta (categorias, marcas, precio, valoracion, disponibilidad y cada atributo) guarda su
+     * condicion por separado: dentro de una faceta los valores se combinan con OR y entre facetas con AND
+     * @param {Object} options - Filtros ({ productIds, categoryIds, includeSubcategories, brands, priceRanges, ratings, availability, attributeConditions, minPrice, maxPrice, minRating, is_active })
+     * @returns {Object} Filtros ({ base, facets, selected })
+     */
+    static async buildFilters(options = {}) {
+        const {
+            productIds = null,
+            categoryIds = [],
+            includeSubcategories = false,
+            brands = [],
+            priceRanges = [],
+            ratings = [],
+            availability = [],
+            attributeConditions = [],
+            minPrice = null,
+            maxPrice = null,
+            minRating = null,
+            is_active = true
+        } = options;
+
+        assertKnownValues(priceRanges, PRICE_RANGES.map(range => range.value), 'Rango de precio invalido');
+        assertKnownValues(ratings, RATING_BANDS.map(band => band.value), 'Rango de valoracion invalido');
+        assertKnownValues(availability, AVAILABILITY, 'Disponibilidad invalida');
+        if (minRating !== null && (isNaN(minRating) || minRating < 1 || minRating > 5)) {
+            throw new ValidationError('La valoracion minima debe ser un numero entre 1 y 5');
+        }
+
+        // Filtros que no son facetas: resultados de la busqueda, estado, precio libre y valoracion minima
+        const base = [];
+        if (productIds !== null) {
+            base.push({ id: { [Op.in]: productIds } });
+        }
+        if (is_active !== null) {
+            base.push({ is_active });
+        }
+        if (minPrice !== null) {
+            base.push({ price: { [Op.gte]: minPrice } });
+        }
+        if (maxPrice !== null) {
+            base.push({ price: { [Op.lte]: maxPrice } });
+        }
+        if (minRating !== null) {
+            base.push({ review_count: { [Op.gt]: 0 }, average_rating: { [Op.gte]: minRating } });
+        }
+
+        const facets = {};
+
+        if (categoryIds.length > 0) {
+            let ids = categoryIds;
+            if (includeSubcategories) {
+                const descendants = await Promise.all(categoryIds.map(id => CategoryService.getDescendantIds(id)));
+                ids = [...new Set(descendants.flat())];
+            }
+            facets.categories = { category_id: { [Op.in]: ids } };
+        }
+
+        if (brands.length > 0) {
+            facets.brands = { brand: { [Op.in]: brands } };
+        }
+
+        if (priceRanges.length > 0) {
+            const conditions = PRICE_RANGES
+                .filter(range => priceRanges.includes(range.value))
+                .map(range => `(${rangeSql(PRICE_SQL, range)})`);
+            facets.price_ranges = sequelize.literal(`(${conditions.join(' OR ')})`);
+        }
+
+        if (ratings.length > 0) {
+            const conditions = RATING_BANDS
+                .filter(band => ratings.includes(band.value))
+                .map(band => `(${rangeSql(RATING_SQL, band)})`);
+            facets.ratings = sequelize.literal(`(${conditions.join(' OR ')})`);
+        }
+
+        if (availability.length === 1) {
+            facets.availability = sequelize.literal(availabilitySql(availability[0]));
+        }
+
+        // Condiciones generadas por ProductAttributeService.buildFilterConditions
+        const attributes = {};
+        for (const { code, condition, selected } of attributeConditions) {
+            facets[`attr:${code}`] = condition;
+            attributes[code] = selected;
+        }
+
+        return {
+            base,
+            facets,
+            selected: { categoryIds, brands, priceRanges, ratings, availability, attributes }
+        };
+    }
+
+    /**
+     * Combina los filtros en una clausula where
+     * @param {Object} filters - Filtros generados por buildFilters
+     * @param {string} excludeFacet - Faceta a omitir (para contar sus propios valores)
+     * @returns {Object} Clausula where de Sequelize
+     */
+    static buildWhere(filters, excludeFacet = null) {
+        const conditions = Object.entries(filters.facets)
+            .filter(([facet]) => facet !== excludeFacet)
+            .map(([, condition]) => condition);
+
+        return { [Op.and]: [...filters.base, ...conditions] };
+    }
+
+    /**
+     * Cuenta productos agrupados por una expresion
+     * @param {Object} where - Clausula where
+     * @param {Object} expression - Columna o literal por el que agrupar
+     * @returns {Map} Conteo por valor
+     */
+    static async countBy(where, expression) {
+        const rows = await Product.findAll({
+            where,
+            attributes: [
+                [expression, 'value'],
+                [sequelize.fn('COUNT', sequelize.col('Product.id')), 'count']
+            ],
+            group: ['value'],
+            raw: true
+        });
+
+        return new Map(rows.map(row => [row.value, parseInt(row.count)]));
+    }
+
+    /**
+     * Calcula los conteos de cada faceta respetando los filtros aplicados
+     * El conteo de una faceta ignora su propio filtro para permitir seleccion multiple
+     * @param {Object} filters - Filtros generados por buildFilters
+     * @returns {Object} Facetas ({ categories, brands, price_ranges, ratings, availability, attributes })
+     */
+    static async getFacets(filters) {
+        try {
+            const { selected } = filters;
+
+            const categoryCounts = await this.countBy(this.buildWhere(filters, 'categories'), sequelize.col('category_id'));
+            const categoryIds = [...new Set([...categoryCounts.keys(), ...selected.categoryIds])]
+                .filter(id => id !== null);
+            const categories = await Category.findAll({
+                where: { id: { [Op.in]: categoryIds } },
+                attributes: ['id', 'name', 'slug']
+            });
+
+            const brandCounts = await this.countBy(this.buildWhere(filters, 'brands'), sequelize.col('brand'));
+            const brands = [...new Set([...brandCounts.keys(), ...selected.brands])]
+                .filter(brand => brand);
+
+            const priceCounts = await this.countBy(
+                this.buildWhere(filters, 'price_ranges'),
+                sequelize.literal(bucketSql(PRICE_SQL, PRICE_RANGES))
+            );
+            const ratingCounts = await this.countBy(
+                this.buildWhere(filters, 'ratings'),
+                sequelize.literal(bucketSql(RATING_SQL, RATING_BANDS))
+            );
+            const availabilityCounts = await this.countBy(
+                this.buildWhere(filters, 'availability'),
+                sequelize.literal(`CASE WHEN ${IN_STOCK_SQL} THEN 'in_stock' ELSE 'out_of_stock' END`)
+            );
+
+            const attributes = await this.getAttributeFacets(filters);
+
+            const byCountThenName = (a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name));
+
+            return {
+                categories: categories
+                    .map(category => ({
+                        value: category.id,
+                        name: category.name,
+                        slug: category.slug,
+                        count: categoryCounts.get(category.id) || 0,
+                        selected: selected.categoryIds.includes(category.id)
+                    }))
+                    .sort(byCountThenName),
+                brands: brands
+                    .map(brand => ({
+                        value: brand,
+                        name: brand,
+                        count: brandCounts.get(brand) || 0,
+                        selected: selected.brands.includes(brand)
+                    }))
+                    .sort(byCountThenName),
+                price_ranges: PRICE_RANGES.map(range => ({
+                    ...range,
+                    count: priceCounts.get(range.value) || 0,
+                    selected: selected.priceRanges.includes(range.value)
+                })),
+                ratings: RATING_BANDS.map(band => ({
+                    ...band,
+                    count: ratingCounts.get(band.value) || 0,
+                    selected: selected.ratings.includes(band.value)
+                })),
+                availability: AVAILABILITY.map(value => ({
+                    value,
+                    count: availabilityCounts.get(value) || 0,
+                    selected: selected.availability.includes(value)
+                })),
+                attributes
+            };
+        } catch (error) {
+            throw new Error('Error al calcular facetas: ' + error.message);
+        }
+    }
+
+    /**
+     * Calcula las facetas de los atributos filtrables de lista y si/no
+     * Se omiten los atributos que ningun producto del resultado tiene (salvo que esten seleccionados)
+     * @param {Object} filters - Filtros generados por buildFilters
+     * @returns {Array} Facetas de atributos ({ code, name, type, values })
+     */
+    static async getAttributeFacets(filters) {
+        const definitions = await AttributeDefinition.findAll({
+            where: { is_filterable: true, type: { [Op.in]: ['enum', 'boolean'] } },
+            order: [['name', 'ASC']]
+        });
+
+        const facets = [];
+        for (const definition of definitions) {
+            const column = definition.type === 'boolean' ? 'value_boolean' : 'value_text';
+            const counts = await this.countBy(
+                this.buildWhere(filters, `attr:${definition.code}`),
+                sequelize.literal(`(SELECT pav.${column} FROM product_attribute_values pav WHERE pav.product_id = \`Product\`.\`id\` AND pav.attribute_id = ${definition.id})`)
+            );
+            const selected = filters.selected.attributes[definition.code] || [];
+
+            // SQLite devuelve los booleanos como 1/0
+            const countOf = (value) => definition.type === 'boolean'
+                ? (counts.get(value) || 0) + (counts.get(value ? 1 : 0) || 0)
+                : counts.get(value) || 0;
+
+            const values = (definition.type === 'boolean' ? [true, false] : definition.options)
+                .map(value => ({
+                    value,
+                    count: countOf(value),
+                    selected: selected.includes(value)
+                }));
+
+            if (values.some(value => value.count > 0 || value.selected)) {
+                facets.push({
+                    code: definition.code,
+                    name: definition.name,
+                    type: definition.type,
+                    values
+                });
+            }
+        }
+
+        return facets;
+    }
+}
+
+module.exports = ProductFacetService;
+module.exports.PRICE_RANGES = PRICE_RANGES;
+module.exports.RATING_BANDS = RATING_BANDS;
+module.exports.AVAILABILITY = AVAILABILITY;
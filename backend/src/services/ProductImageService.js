@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { Product, ProductImage } = require('../models');
+const { createImageStorage } = require('../utils/imageStorage');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+
+// Formatos que sharp debe reconocer en el contenido del archivo (no basta el MIME declarado)
+const IMAGE_FORMATS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  png: { extension: 'png', mimeType: 'image/png' },
+  webp: { extension: 'webp', mimeType: 'image/webp' },
+  gif: { extension: 'gif', mimeType: 'image/gif' }
+};
+
+// Versiones generadas para cada imagen; se guardan en WebP
+const RENDITIONS = {
+  medium: { width: 800, height: 800, fit: 'inside' },
+  thumbnail: { width: 200, height: 200, fit: 'cover' }
+};
+
+class ProductImageService {
+  constructor() {
+    this.setStorage(createImageStorage(process.env.IMAGE_STORAGE || 'local', {
+      directory: process.env.UPLOADS_DIR,
+      baseUrl: process.env.UPLOADS_BASE_URL
+    }));
+  }
+
+  /**
+   * Reemplaza el almacenamiento de imagenes
+   * @param {Object} storage - Objeto con save(key, buffer), remove(key) y getUrl(key)
+   */
+  setStorage(storage) {
+    const required = ['save', 'remove', 'getUrl'];
+    if (!storage || required.some(method => typeof storage[method] !== 'function')) {
+      throw new Error(`El almacenamiento de imagenes debe implementar ${required.join(', ')}`);
+    }
+
+    this.storage = storage;
+    ProductImage.setUrlResolver((key) => this.storage.getUrl(key));
+  }
+
+  /**
+   * Obtiene el almacenamiento de imagenes actual
+   * @returns {Object} Almacenamiento de imagenes
+   */
+  getStorage() {
+    return this.storage;
+  }
+
+  /**
+   * Verifica que el producto exista
+   * @param {number} productId - ID del producto
+   * @param {Object} transaction - Transaccion de base de datos (opcional)
+   * @returns {Object} Producto
+   */
+  async findProduct(productId, transaction = null) {
+    const product = await Product.findByPk(productId, { transaction });
+    if (!product) {
+      throw new NotFoundError('Producto no encontrado');
+    }
+    return product;
+  }
+
+  /**
+   * Obtiene una imagen de un producto
+   * @param {number} productId - ID del producto
+   * @param {number} imageId - ID de la imagen
+   * @param {Object} transaction - Transaccion de base de datos (opcional)
+   * @returns {Object} Imagen encontrada
+   */
+  async findImage(productId, imageId, transaction = null) {
+    const image = await ProductImage.findOne({
+      where: { id: imageId, product_id: productId },
+      transaction
+    });
+    if (!image) {
+      throw new NotFoundError('Imagen no encontrada');
+    }
+    return image;
+  }
+
+  /**
+   * Lista la galeria de un producto en orden
+   * @param {number} productId - ID del producto
+   * @param {Object} transaction - Transaccion de base de datos (opcional)
+   * @returns {Array} Imagenes del producto con las URLs de sus versiones
+   */
+  async listImages(productId, transaction = null) {
+    try {
+      await this.findProduct(productId, transaction);
+
+      return await ProductImage.findAll({
+        where: { product_id: productId },
+        order: [['position', 'ASC'], ['id', 'ASC']],
+        transaction
+      });
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new Error('Error al listar imagenes: ' + error.message);
+    }
+  }
+
+  /**
+   * Valida el contenido de un archivo y genera sus versiones
+   * @param {Object} file - Archivo recibido ({ originalname, buffer, size })
+   * @returns {Object} Imagen procesada ({ format, metadata, renditions })
+   */
+  async processImage(file) {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+      metadata = null;
+    }
+
+    const format = metadata ? IMAGE_FORMATS[metadata.format] : null;
+    if (!format) {
+      throw new ValidationError(`El archivo ${file.originalname} no es una imagen valida`);
+    }
+
+    const renditions = {};
+    for (const [name, size] of Object.entries(RENDITIONS)) {
+      renditions[name] = await sharp(file.buffer)
+        .rotate()
+        .resize({ ...size, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+    }
+
+    return { format, metadata, renditions };
+  }
+
+  /**
+   * Sube imagenes a la galeria de un producto generando sus versiones
+   * Si el producto no tenia imagen principal, la primera subida pasa a serlo
+   * @param {number} productId - ID del producto
+   * @param {Array} files - Archivos recibidos ({ originalname, buffer, size })
+   * @param {Object} data - Datos validados ({ alt_text })
+   * @returns {Array} Imagenes creadas
+   */
+  async uploadImages(productId, files, data = {}) {
+    const savedKeys = [];
+    let transaction = null;
+
+    try {
+      if (!files || files.length === 0) {
+        throw new ValidationError('Debe enviar al menos una imagen en el campo "images"');
+      }
+
+      await this.findProduct(productId);
+
+      // Procesar todo antes de guardar para no dejar archivos sueltos si una imagen es invalida
+      const processed = [];
+      for (const file of files) {
+        processed.push({ file, ...(await this.processImage(file)) });
+      }
+
+      const records = [];
+      for (const { file, format, metadata, renditions } of processed) {
+        const baseKey = `products/${productId}/${crypto.randomUUID()}`;
+        const keys = {
+          original_key: `${baseKey}.${format.extension}`,
+          medium_key: `${baseKey}-medium.webp`,
+          thumbnail_key: `${baseKey}-thumb.webp`
+        };
+
+        await this.storage.save(keys.original_key, file.buffer);
+        savedKeys.push(keys.original_key);
+        await this.storage.save(keys.medium_key, renditions.medium);
+        savedKeys.push(keys.medium_key);
+        await this.storage.save(keys.thumbnail_key, renditions.thumbnail);
+        savedKeys.push(keys.thumbnail_key);
+
+        records.push({
+          ...keys,
+          product_id: productId,
+          mime_type: format.mimeType,
+          size_bytes: file.size,
+          width: metadata.width || null,
+          height: metadata.height || null,
+          alt_text: data.alt_text || null
+        });
+      }
+
+      transaction = await sequelize.transaction();
+
+      const existing = await ProductImage.findAll({
+        where: { product_id: productId },
+        attributes: ['position', 'is_primary'],
+        transaction
+      });
+      const nextPosition = existing.reduce((max, image) => Math.max(max, image.position + 1), 0);
+      const hasPrimary = existing.some(image => image.is_primary);
+
+      const images = [];
+      for (const [index, record] of records.entries()) {
+        images.push(await ProductImage.create({
+          ...record,
+          position: nextPosition + index,
+          is_primary: !hasPrimary && index === 0
+        }, { transaction }));
+      }
+
+      await transaction.commit();
+      return images;
+    } catch (error) {
+      if (transaction) {
+        await transaction.rollback();
+      }
+      await this.removeFiles(savedKeys);
+
+      if (error instanceof ValidationError || error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new Error('Error al subir imagenes: ' + error.message);
+    }
+  }
+
+  /**
+   * Actualiza una imagen: texto alternativo, posicion o imagen principal
+   * @param {number} productId - ID del producto
+   * @param {number} imageId - ID de la imagen
+   * @param {Object} data - Datos validados ({ alt_text, position, is_primary })
+   * @returns {Object} Imagen actualizada
+   */
+  async updateImage(productId, imageId, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const image = await this.findImage(productId, imageId, transaction);
+
+      if (data.alt_text !== undefined) {
+        await image.update({ alt_text: data.alt_text || null }, { transaction });
+      }
+
+      if (data.is_primary) {
+        await ProductImage.update(
+          { is_primary: false },
+          { where: { product_id: productId, is_primary: true }, transaction }
+        );
+        await image.update({ is_primary: true }, { transaction });
+      }
+
+      if (data.position !== undefined) {
+        const images = await ProductImage.findAll({
+          where: { product_id: productId },
+          order: [['position', 'ASC'], ['id', 'ASC']],
+          transaction
+        });
+        const ordered = images.filter(candidate => candidate.id !== image.id);
+        ordered.splice(Math.min(data.position, ordered.length), 0, image);
+        await this.applyOrder(ordered, transaction);
+      }
+
+      await transaction.commit();
+      return await image.reload();
+    } catch (error) {
+      await transaction.rollback();
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new Error('Error al actualizar imagen: ' + error.message);
+    }
+  }
+
+  /**
+   * Reordena la galeria completa de un producto
+   * @param {number} productId - ID del producto
+   * @param {Array} imageIds - IDs de todas las imagenes del producto en el nuevo orden
+   * @returns {Array} Imagenes en el nuevo orden
+   */
+  async reorderImages(productId, imageIds) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const images = await this.listImages(productId, transaction);
+
+      const sameImages = images.length === imageIds.length &&
+        images.every(image => imageIds.includes(image.id));
+      if (!sameImages) {
+        throw new ValidationError('image_ids debe incluir exactamente todas las imagenes del producto');
+      }
+
+      const ordered = imageIds.map(id => images.find(image => image.id === id));
+      await this.applyOrder(ordered, transaction);
+
+      await transaction.commit();
+      return ordered;
+    } catch (error) {
+      await transaction.rollback();
+      if (error instanceof ValidationError || error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new Error('Error al reordenar imagenes: ' + error.message);
+    }
+  }
+
+  /**
+   * Elimina una imagen y sus archivos
+   * Si era la principal, la primera de las restantes toma su lugar
+   * @param {number} productId - ID del producto
+   * @param {number} imageId - ID de la imagen
+   */
+  async deleteImage(productId, imageId) {
+    const transaction = await sequelize.transaction();
+    let image;
+
+    try {
+      image = await this.findImage(productId, imageId, transaction);
+      await image.destroy({ transaction });
+
+      const remaining = await ProductImage.findAll({
+        where: { product_id: productId },
+        order: [['position', 'ASC'], ['id', 'ASC']],
+        transaction
+      });
+      await this.applyOrder(remaining, transaction);
+
+      if (image.is_primary && remaining.length > 0) {
+        await remaining[0].update({ is_primary: true }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new Error('Error al eliminar imagen: ' + error.message);
+    }
+
+    await this.removeFiles(image.getStorageKeys());
+  }
+
+  /**
+   * Guarda posiciones consecutivas segun el orden recibido
+   * @param {Array} images - Imagenes en el orden deseado
+   * @param {Object} transaction - Transaccion de base de datos
+   */
+  async applyOrder(images, transaction) {
+    for (const [position, image] of images.entries()) {
+      if (image.position !== position) {
+        await image.update({ position }, { transaction });
+      }
+    }
+  }
+
+  /**
+   * Elimina archivos del almacenamiento sin interrumpir la operacion si alguno falla
+   * @param {Array} keys - Claves de los archivos
+   */
+  async removeFiles(keys) {
+    for (const key of keys) {
+      try {
+        await this.storage.remove(key);
+      } catch (error) {
+        console.error(`Error al eliminar archivo de imagen ${key}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new ProductImageService();
@@ -0,0 +1,502 @@
+const { ProductQuestion, ProductAnswer, ProductQAVote, Product, User } = require('../models');
+const ReviewService = require('./ReviewService');
+const { createConfiguredWordFilter } = require('../utils/reviewWordFilter');
+const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+
+// Con QA_REQUIRE_APPROVAL=false las preguntas y respuestas sin terminos marcados se publican sin moderacion
+const REQUIRE_APPROVAL = process.env.QA_REQUIRE_APPROVAL !== 'false';
+
+const wordFilter = createConfiguredWordFilter();
+
+const qaUserAttributes = ['id', 'username', 'first_name', 'last_name'];
+
+// Modos de orden de las preguntas de un producto; los empates se resuelven por las mas recientes
+const QUESTION_SORTS = {
+    votes: [['upvote_count', 'DESC']],
+    newest: [],
+    answered: [['answer_count', 'DESC']]
+};
+
+// Preguntas y respuestas que se pueden votar y moderar
+const QA_TARGETS = {
+    question: { model: ProductQuestion, voteField: 'question_id', notFound: 'Pregunta no encontrada', own: 'No puedes votar tu propia pregunta' },
+    answer: { model: ProductAnswer, voteField: 'answer_id', notFound: 'Respuesta no encontrada', own: 'No puedes votar tu propia respuesta' }
+};
+
+// Respuestas aprobadas de una pregunta: primero las oficiales y luego las mas votadas
+const publicAnswersInclude = {
+    model: ProductAnswer,
+    as: 'answers',
+    where: { status: 'approved' },
+    required: false,
+    separate: true,
+    attributes: ['id', 'question_id', 'body', 'is_official', 'is_verified_purchase', 'upvote_count', 'created_at'],
+    include: [{
+        model: User,
+        as: 'user',
+        attributes: qaUserAttributes
+    }],
+    order: [['is_official', 'DESC'], ['upvote_count', 'DESC'], ['created_at', 'ASC']]
+};
+
+class ProductQAService {
+    /**
+     * Revisa un texto con el filtro de palabras y decide su estado inicial
+     * @param {string} body - Texto de la pregunta o respuesta
+     * @returns {Object} Campos de moderacion ({ status, is_flagged, flagged_terms })
+     */
+    static evaluateContent(body) {
+        const flaggedTerms = wordFilter.findTerms(body);
+        const isFlagged = flaggedTerms.length > 0;
+
+        return {
+            status: isFlagged || REQUIRE_APPROVAL ? 'pending' : 'approved',
+            is_flagged: isFlagged,
+            flagged_terms: flaggedTerms
+        };
+    }
+
+    /**
+     * Lista las preguntas aprobadas de un producto con sus respuestas aprobadas
+     * @param {number} productId - ID del producto
+     * @param {Object} options - Paginacion, busqueda (search), filtro answered y orden
+     * (sort: votes, newest o answered)
+     * @returns {Object} Preguntas y paginacion
+     */
+    static async listProductQuestions(productId, options = {}) {
+        try {
+            const {
+                page = 1,
+                limit = 10,
+                search = '',
+                answered,
+                sort = 'votes'
+            } = options;
+
+            if (!QUESTION_SORTS[sort]) {
+                throw new ValidationError(`El orden debe ser: ${Object.keys(QUESTION_SORTS).join(', ')}`);
+            }
+
+            const product = await Product.findByPk(productId, { attributes: ['id'] });
+            if (!product) {
+                throw new NotFoundError('Producto no encontrado');
+            }
+
+            const whereClause = { product_id: productId, status: 'approved' };
+
+            // La busqueda encuentra el termino en la pregunta o en alguna de sus respuestas aprobadas
+            if (search) {
+                const pattern = sequelize.escape(`%${search}%`);
+                whereClause[Op.or] = [
+                    { body: { [Op.like]: `%${search}%` } },
+                    {
+                        id: {
+                            [Op.in]: sequelize.literal(
+                                `(SELECT a.question_id FROM product_answers a WHERE a.status = 'approved' AND a.body LIKE ${pattern})`
+                            )
+                        }
+                    }
+                ];
+            }
+
+            if (answered !== undefined) {
+                whereClause.answer_count = answered ? { [Op.gt]: 0 } : 0;
+            }
+
+            const offset = (page - 1) * limit;
+
+            const { count, rows } = await ProductQuestion.findAndCountAll({
+                where: whereClause,
+                attributes: ['id', 'product_id', 'body', 'upvote_count', 'answer_count', 'created_at'],
+                include: [{
+                    model: User,
+                    as: 'user',
+                    attributes: qaUserAttributes
+                }, publicAnswersInclude],
+                order: [...QUESTION_SORTS[sort], ['created_at', 'DESC'], ['id', 'DESC']],
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                distinct: true
+            });
+
+            return {
+                questions: rows,
+                sort,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: count,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener preguntas del producto: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene una pregunta aprobada con sus respuestas aprobadas
+     * @param {number} questionId - ID de la pregunta
+     * @returns {Object} Pregunta encontrada
+     */
+    static async getQuestion(questionId) {
+        try {
+            const question = await ProductQuestion.findOne({
+                where: { id: questionId, status: 'approved' },
+                attributes: ['id', 'product_id', 'body', 'upvote_count', 'answer_count', 'created_at'],
+                include: [{
+                    model: User,
+                    as: 'user',
+                    attributes: qaUserAttributes
+                }, {
+                    model: Product,
+                    as: 'product',
+                    attributes: ['id', 'name', 'sku']
+                }, publicAnswersInclude]
+            });
+
+            if (!question) {
+                throw new NotFoundError('Pregunta no encontrada');
+            }
+
+            return question;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener pregunta: ' + error.message);
+        }
+    }
+
+    /**
+     * Registra la pregunta de un cliente sobre un producto activo
+     * @param {number} productId - ID del producto
+     * @param {number} userId - ID del usuario que pregunta
+     * @param {Object} questionData - Datos de la pregunta ({ body })
+     * @returns {Object} Pregunta creada (pendiente de moderacion si corresponde)
+     */
+    static async askQuestion(productId, userId, questionData) {
+        try {
+            const product = await Product.findByPk(productId, { attributes: ['id', 'is_active'] });
+            if (!product || !product.is_active) {
+                throw new NotFoundError('Producto no encontrado');
+            }
+
+            return await ProductQuestion.create({
+                product_id: productId,
+                user_id: userId,
+                body: questionData.body,
+                ...this.evaluateContent(questionData.body)
+            });
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al registrar pregunta: ' + error.message);
+        }
+    }
+
+    /**
+     * Responde una pregunta aprobada
+     * Las respuestas de un administrador son oficiales y se publican al instante; los clientes
+     * solo pueden responder si compraron el producto (ReviewService.verifyPurchase)
+     * @param {number} questionId - ID de la pregunta
+     * @param {Object} user - Usuario que responde ({ id, role })
+     * @param {Object} answerData - Datos de la respuesta ({ body })
+     * @returns {Object} Respuesta creada
+     */
+    static async answerQuestion(questionId, user, answerData) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const question = await ProductQuestion.findByPk(questionId, { transaction });
+            if (!question || !question.isPublic()) {
+                throw new NotFoundError('Pregunta no encontrada');
+            }
+
+            const isOfficial = user.role === 'admin';
+            const isVerifiedPurchase = isOfficial
+                ? false
+                : await ReviewService.verifyPurchase(user.id, question.product_id);
+
+            if (!isOfficial && !isVerifiedPurchase) {
+                throw new AuthorizationError('Solo la tienda y quienes compraron el producto pueden responder');
+            }
+
+            const existing = await ProductAnswer.findOne({
+                where: { question_id: questionId, user_id: user.id },
+                transaction
+            });
+            if (existing) {
+                throw new ConflictError('Ya respondiste esta pregunta');
+            }
+
+            const answer = await ProductAnswer.create({
+                question_id: questionId,
+                user_id: user.id,
+                body: answerData.body,
+                is_official: isOfficial,
+                is_verified_purchase: isVerifiedPurchase,
+                ...(isOfficial ? { status: 'approved' } : this.evaluateContent(answerData.body))
+            }, { transaction });
+
+            await this.refreshAnswerCount(questionId, transaction);
+
+            await transaction.commit();
+
+            return answer;
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError ||
+                error instanceof AuthorizationError ||
+                error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al responder pregunta: ' + error.message);
+        }
+    }
+
+    /**
+     * Recalcula la cantidad de respuestas aprobadas de una pregunta
+     * @param {number} questionId - ID de la pregunta
+     * @param {Object} transaction - Transaccion en curso
+     */
+    static async refreshAnswerCount(questionId, transaction) {
+        const answerCount = await ProductAnswer.count({
+            where: { question_id: questionId, status: 'approved' },
+            transaction
+        });
+
+        await ProductQuestion.update(
+            { answer_count: answerCount },
+            { where: { id: questionId }, transaction, silent: true }
+        );
+    }
+
+    /**
+     * Registra el voto positivo de un usuario sobre una pregunta o respuesta publicada
+     * Votar dos veces no cambia nada; no se puede votar el contenido propio
+     * @param {string} kind - 'question' o 'answer'
+     * @param {number} targetId - ID de la pregunta o respuesta
+     * @param {number} userId - ID del usuario que vota
+     * @returns {Object} Resumen ({ id, upvote_count, voted })
+     */
+    static async addVote(kind, targetId, userId) {
+        const target = QA_TARGETS[kind];
+        const transaction = await sequelize.transaction();
+
+        try {
+            const record = await target.model.findByPk(targetId, { transaction });
+            if (!record || !record.isPublic()) {
+                throw new NotFoundError(target.notFound);
+            }
+
+            if (record.user_id === userId) {
+                throw new ValidationError(target.own);
+            }
+
+            await ProductQAVote.findOrCreate({
+                where: { user_id: userId, [target.voteField]: targetId },
+                transaction
+            });
+
+            const summary = await this.refreshUpvotes(kind, record, transaction);
+
+            await transaction.commit();
+
+            return { ...summary, voted: true };
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al votar: ' + error.message);
+        }
+    }
+
+    /**
+     * Retira el voto positivo de un usuario
+     * @param {string} kind - 'question' o 'answer'
+     * @param {number} targetId - ID de la pregunta o respuesta
+     * @param {number} userId - ID del usuario
+     * @returns {Object} Resumen ({ id, upvote_count, voted })
+     */
+    static async removeVote(kind, targetId, userId) {
+        const target = QA_TARGETS[kind];
+        const transaction = await sequelize.transaction();
+
+        try {
+            const vote = await ProductQAVote.findOne({
+                where: { user_id: userId, [target.voteField]: targetId },
+                transaction
+            });
+            if (!vote) {
+                throw new NotFoundError('Voto no encontrado');
+            }
+
+            await vote.destroy({ transaction });
+
+            const record = await target.model.findByPk(targetId, { transaction });
+            const summary = await this.refreshUpvotes(kind, record, transaction);
+
+            await transaction.commit();
+
+            return { ...summary, voted: false };
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al retirar voto: ' + error.message);
+        }
+    }
+
+    /**
+     * Recalcula los votos positivos de una pregunta o respuesta
+     * @param {string} kind - 'question' o 'answer'
+     * @param {Object} record - Pregunta o respuesta
+     * @param {Object} transaction - Transaccion en curso
+     * @returns {Object} Resumen ({ id, upvote_count })
+     */
+    static async refreshUpvotes(kind, record, transaction) {
+        const upvoteCount = await ProductQAVote.count({
+            where: { [QA_TARGETS[kind].voteField]: record.id },
+            transaction
+        });
+
+        await record.update({ upvote_count: upvoteCount }, { transaction, silent: true });
+
+        return { id: record.id, upvote_count: upvoteCount };
+    }
+
+    /**
+     * Obtiene la cola de moderacion de preguntas o respuestas; primero las marcadas por el filtro
+     * @param {Object} options - Filtros ({ type, status, flagged, productId, page, limit })
+     * @returns {Object} Preguntas o respuestas y paginacion
+     */
+    static async getModerationQueue(options = {}) {
+        try {
+            const {
+                type = 'question',
+                status = 'pending',
+                flagged,
+                productId,
+                page = 1,
+                limit = 20
+            } = options;
+
+            const target = QA_TARGETS[type];
+            if (!target) {
+                throw new ValidationError(`El tipo debe ser: ${Object.keys(QA_TARGETS).join(', ')}`);
+            }
+
+            const whereClause = {};
+            if (status) {
+                whereClause.status = status;
+            }
+            if (flagged !== undefined) {
+                whereClause.is_flagged = flagged;
+            }
+
+            const includeClause = [{
+                model: User,
+                as: 'user',
+                attributes: qaUserAttributes
+            }];
+
+            const productInclude = {
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'sku'],
+                ...(productId ? { where: { id: productId } } : {})
+            };
+
+            if (type === 'question') {
+                includeClause.push(productInclude);
+            } else {
+                includeClause.push({
+                    model: ProductQuestion,
+                    as: 'question',
+                    attributes: ['id', 'body', 'status'],
+                    include: [productInclude]
+                });
+            }
+
+            const offset = (page - 1) * limit;
+
+            const { count, rows } = await target.model.findAndCountAll({
+                where: whereClause,
+                include: includeClause,
+                order: [['is_flagged', 'DESC'], ['created_at', 'ASC']],
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                distinct: true
+            });
+
+            return {
+                items: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error('Error al obtener cola de moderacion de preguntas: ' + error.message);
+        }
+    }
+
+    /**
+     * Modera una pregunta o respuesta (aprobar, rechazar con motivo, ocultar o devolver a pendiente)
+     * @param {string} kind - 'question' o 'answer'
+     * @param {number} targetId - ID de la pregunta o respuesta
+     * @param {Object} decision - Decision ({ status, rejection_reason })
+     * @param {number} moderatorId - ID del administrador
+     * @returns {Object} Pregunta o respuesta moderada
+     */
+    static async moderate(kind, targetId, decision, moderatorId) {
+        const target = QA_TARGETS[kind];
+        const transaction = await sequelize.transaction();
+
+        try {
+            const record = await target.model.findByPk(targetId, { transaction });
+            if (!record) {
+                throw new NotFoundError(target.notFound);
+            }
+
+            await record.update({
+                status: decision.status,
+                rejection_reason: decision.status === 'rejected' ? decision.rejection_reason : null,
+                is_flagged: false,
+                moderated_by: moderatorId,
+                moderated_at: new Date()
+            }, { transaction });
+
+            // Solo las respuestas aprobadas cuentan en la pregunta
+            if (kind === 'answer') {
+                await this.refreshAnswerCount(record.question_id, transaction);
+            }
+
+            await transaction.commit();
+
+            return record;
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al moderar: ' + error.message);
+        }
+    }
+}
+
+module.exports = ProductQAService;
@@ -1,10 +1,41 @@
-const { Product, Category, Inventory, Review } = require('../models');
+const { Product, Category, Inventory, Review, ProductOption, ProductOptionValue, ProductVariant, ProductImage } = require('../models');
+const { RATING_AGGREGATE_FIELDS } = require('../models/Product');
+const ProductImageService = require('./ProductImageService');
+const ProductFacetService = require('./ProductFacetService');
+const ProductAttributeService = require('./ProductAttributeService');
+const WishlistService = require('./WishlistService');
+const productSearchIndex = require('../utils/productSearchIndex');
 const { ValidationError, NotFoundError, ConflictError, BusinessLogicError } = require('../utils/errors');
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Imagen principal con las URLs de sus versiones, para los listados de productos
+const primaryImageInclude = {
+    model: ProductImage,
+    as: 'primaryImage',
+    attributes: { exclude: ['product_id', 'created_at', 'updated_at'] }
+};
+
+// Ordena por la posicion de cada producto en los resultados del indice de texto completo
+// (los IDs vienen de la base de datos, por lo que son enteros seguros para el literal)
+const relevanceOrder = (searchMatches) => {
+    const cases = searchMatches
+        .map((match, position) => `WHEN ${parseInt(match.productId)} THEN ${position}`)
+        .join(' ');
+    return sequelize.literal(`CASE \`Product\`.\`id\` ${cases} END`);
+};
+
+// Los agregados de valoracion solo cambian con las resenas, nunca desde los datos del producto
+const withoutRatingAggregates = (data) => {
+    const fields = { ...data };
+    RATING_AGGREGATE_FIELDS.forEach(field => delete fields[field]);
+    return fields;
+};
 
 class ProductService {
     /**
      * Obtiene un producto por ID
+     * Con includeSpecifications el producto incluye `specifications`, la tabla de sus atributos
      * @param {number} productId - ID del producto
      * @param {Object} options - Opciones adicionales
      * @returns {Object} Producto encontrado
@@ -14,10 +45,14 @@ class ProductService {
             const {
                 includeCategory = true,
                 includeInventory = true,
-                includeReviews = false
+                includeReviews = false,
+                includeVariants = true,
+                includeImages = true,
+                includeSpecifications = true
             } = options;
 
             const includeClause = [];
+            const order = [];
             
             if (includeCategory) {
                 includeClause.push({
@@ -39,6 +74,8 @@ class ProductService {
                 includeClause.push({
                     model: Review,
                     as: 'reviews',
+                    where: { status: 'approved' },
+                    required: false,
                     attributes: ['rating', 'comment', 'created_at'],
                     separate: true,
                     limit: 5,
@@ -46,14 +83,72 @@ class ProductService {
                 });
             }
 
+            // Matriz de variantes: tipos de opcion con sus valores y variantes activas con su stock
+            if (includeVariants) {
+                includeClause.push({
+                    model: ProductOption,
+                    as: 'options',
+                    attributes: ['id', 'name', 'position'],
+                    include: [{
+                        model: ProductOptionValue,
+                        as: 'values',
+                        attributes: ['id', 'value', 'position']
+                    }]
+                });
+                includeClause.push({
+                    model: ProductVariant,
+                    as: 'variants',
+                    where: { is_active: true },
+                    required: false,
+                    attributes: ['id', 'sku', 'price', 'image_url', 'position'],
+                    include: [
+                        {
+                            model: ProductOptionValue,
+                            as: 'optionValues',
+                            attributes: ['id', 'value', 'option_id'],
+                            through: { attributes: [] }
+                        },
+                        {
+                            model: Inventory,
+                            as: 'inventory',
+                            attributes: ['quantity', 'reserved_quantity', 'min_stock', 'max_stock']
+                        }
+                    ]
+                });
+                order.push(
+                    [{ model: ProductOption, as: 'options' }, 'position', 'ASC'],
+                    [{ model: ProductOption, as: 'options' }, { model: ProductOptionValue, as: 'values' }, 'position', 'ASC'],
+                    [{ model: ProductVariant, as: 'variants' }, 'position', 'ASC'],
+                    [{ model: ProductVariant, as: 'variants' }, 'id', 'ASC']
+                );
+            }
+
+            // Galeria completa en orden, con las URLs de cada version
+            if (includeImages) {
+                includeClause.push({
+                    model: ProductImage,
+                    as: 'images',
+                    attributes: { exclude: ['product_id', 'created_at', 'updated_at'] }
+                });
+                order.push(
+                    [{ model: ProductImage, as: 'images' }, 'position', 'ASC'],
+                    [{ model: ProductImage, as: 'images' }, 'id', 'ASC']
+                );
+            }
+
             const product = await Product.findByPk(productId, {
-                include: includeClause
+                include: includeClause,
+                order
             });
 
             if (!product) {
                 throw new NotFoundError('Producto no encontrado');
             }
 
+            if (includeSpecifications) {
+                product.setDataValue('specifications', await ProductAttributeService.getSpecifications(product.id, product.category_id));
+            }
+
             return product;
         } catch (error) {
             if (error instanceof NotFoundError) {
@@ -82,7 +177,8 @@ class ProductService {
                         model: Inventory,
                         as: 'inventory',
                         attributes: ['quantity', 'min_stock', 'max_stock']
-                    }
+                    },
+                    primaryImageInclude
                 ]
             });
 
@@ -101,6 +197,11 @@ class ProductService {
 
     /**
      * Lista productos con paginacion y filtros
+     * Con un termino de busqueda usa el indice de texto completo: por defecto ordena por relevancia
+     * (sortBy 'relevance') y cada producto incluye `search` con su puntuacion y fragmentos resaltados
+     * attributeFilters filtra por atributos ({ ram_gb: { gte: 16 }, color: { in: 'Negro,Gris' } })
+     * minRating deja solo productos valorados con ese promedio o mas; sortBy 'rating' ordena por la
+     * puntuacion bayesiana y, a igual puntuacion, por cantidad de resenas
      * @param {Object} options - Opciones de paginacion y filtros
      * @returns {Object} Lista de productos y metadata
      */
@@ -110,41 +211,47 @@ class ProductService {
                 page = 1,
                 limit = 10,
                 search = '',
-                categoryId = null,
+                categoryIds = [],
+                includeSubcategories = false,
+                brands = [],
+                priceRanges = [],
+                ratings = [],
+                availability = [],
+                attributeFilters = {},
                 minPrice = null,
                 maxPrice = null,
+                minRating = null,
                 is_active = true,
-                sortBy = 'created_at',
+                sortBy = null,
                 sortOrder = 'DESC',
                 includeCategory = true,
-                includeInventory = true
+                includeInventory = true,
+                includeFacets = false
             } = options;
 
             const offset = (page - 1) * limit;
-            const whereClause = {};
 
-            // Filtros basicos
+            // Busqueda de texto completo: las coincidencias llegan ordenadas por relevancia
+            let searchMatches = null;
             if (search) {
-                whereClause[Op.or] = [
-                    { name: { [Op.like]: `%${search}%` } },
-                    { description: { [Op.like]: `%${search}%` } },
-                    { sku: { [Op.like]: `%${search}%` } }
-                ];
-            }
-
-            if (categoryId) {
-                whereClause.category_id = categoryId;
-            }
-
-            if (minPrice !== null || maxPrice !== null) {
-                whereClause.price = {};
-                if (minPrice !== null) whereClause.price[Op.gte] = minPrice;
-                if (maxPrice !== null) whereClause.price[Op.lte] = maxPrice;
+                searchMatches = await productSearchIndex.searchProducts(search);
             }
 
-            if (is_active !== null) {
-                whereClause.is_active = is_active;
-            }
+            const filters = await ProductFacetService.buildFilters({
+                productIds: searchMatches ? searchMatches.map(match => match.productId) : null,
+                categoryIds,
+                includeSubcategories,
+                brands,
+                priceRanges,
+                ratings,
+                availability,
+                attributeConditions: await ProductAttributeService.buildFilterConditions(attributeFilters),
+                minPrice,
+                maxPrice,
+                minRating,
+                is_active
+            });
+            const whereClause = ProductFacetService.buildWhere(filters);
 
             const includeClause = [];
             
@@ -164,15 +271,39 @@ class ProductService {
                 });
             }
 
+            includeClause.push(primaryImageInclude);
+
+            const sortField = sortBy || (searchMatches ? 'relevance' : 'created_at');
+            let order;
+            if (sortField === 'relevance' && searchMatches && searchMatches.length > 0) {
+                order = [[relevanceOrder(searchMatches), 'ASC']];
+            } else if (sortField === 'rating') {
+                order = [['rating_score', sortOrder], ['review_count', sortOrder], ['id', 'ASC']];
+            } else {
+                order = [[sortField === 'relevance' ? 'created_at' : sortField, sortOrder]];
+            }
+
             const { count, rows } = await Product.findAndCountAll({
                 where: whereClause,
                 include: includeClause,
-                order: [[sortBy, sortOrder]],
+                order,
                 limit: parseInt(limit),
                 offset: parseInt(offset)
             });
 
-            return {
+            if (searchMatches) {
+                const matchesById = new Map(searchMatches.map(match => [match.productId, match]));
+                rows.forEach(product => {
+                    const match = matchesById.get(product.id);
+                    product.setDataValue('search', {
+                        score: Math.round(-match.rank * 1000) / 1000,
+                        name_highlight: match.nameHighlight,
+                        snippet: match.snippet
+                    });
+                });
+            }
+
+            const result = {
                 products: rows,
                 pagination: {
                     page: parseInt(page),
@@ -181,22 +312,36 @@ class ProductService {
                     totalPages: Math.ceil(count / limit)
                 }
             };
+
+            if (includeFacets) {
+                result.facets = await ProductFacetService.getFacets(filters);
+            }
+
+            return result;
         } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
             throw new Error('Error al listar productos: ' + error.message);
         }
     }
 
     /**
      * Crea un nuevo producto
+     * Los valores de `attributes` se validan contra el conjunto de atributos de su categoria
      * @param {Object} productData - Datos del producto
      * @returns {Object} Producto creado
      */
     static async createProduct(productData) {
+        const { attributes = {}, ...fields } = withoutRatingAggregates(productData);
+        const transaction = await sequelize.transaction();
+
         try {
             // Verificar si el SKU ya existe
-            if (productData.sku) {
+            if (fields.sku) {
                 const existingProduct = await Product.findOne({
-                    where: { sku: productData.sku.toUpperCase() }
+                    where: { sku: fields.sku.toUpperCase() },
+                    transaction
                 });
 
                 if (existingProduct) {
@@ -205,14 +350,14 @@ class ProductService {
             }
 
             // Verificar si la categoria existe
-            if (productData.category_id) {
-                const category = await Category.findByPk(productData.category_id);
+            if (fields.category_id) {
+                const category = await Category.findByPk(fields.category_id, { transaction });
                 if (!category) {
                     throw new ValidationError('Categoria no encontrada');
                 }
             }
 
-            const product = await Product.create(productData);
+            const product = await Product.create(fields, { transaction });
 
             // Crear registro de inventario por defecto
             await Inventory.create({
@@ -220,10 +365,15 @@ class ProductService {
                 quantity: 0,
                 min_stock: 5,
                 max_stock: 100
-            });
+            }, { transaction });
+
+            await ProductAttributeService.saveProductAttributes(product.id, product.category_id, attributes, transaction);
+
+            await transaction.commit();
 
             return await this.getProductById(product.id);
         } catch (error) {
+            await transaction.rollback();
             if (error instanceof ConflictError || error instanceof ValidationError) {
                 throw error;
             }
@@ -233,24 +383,30 @@ class ProductService {
 
     /**
      * Actualiza un producto
+     * Si cambian los atributos o la categoria se vuelven a validar los valores de atributos.
+     * Si baja el precio se avisa a los usuarios suscritos desde sus listas de deseos
      * @param {number} productId - ID del producto
      * @param {Object} updateData - Datos a actualizar
      * @returns {Object} Producto actualizado
      */
     static async updateProduct(productId, updateData) {
+        const { attributes, ...fields } = withoutRatingAggregates(updateData);
+        const transaction = await sequelize.transaction();
+
         try {
-            const product = await Product.findByPk(productId);
+            const product = await Product.findByPk(productId, { transaction });
             if (!product) {
                 throw new NotFoundError('Producto no encontrado');
             }
 
             // Verificar si el nuevo SKU ya existe
-            if (updateData.sku) {
+            if (fields.sku) {
                 const existingProduct = await Product.findOne({
                     where: {
-                        sku: updateData.sku.toUpperCase(),
+                        sku: fields.sku.toUpperCase(),
                         id: { [Op.ne]: productId }
-                    }
+                    },
+                    transaction
                 });
 
                 if (existingProduct) {
@@ -259,16 +415,29 @@ class ProductService {
             }
 
             // Verificar si la categoria existe
-            if (updateData.category_id) {
-                const category = await Category.findByPk(updateData.category_id);
+            if (fields.category_id) {
+                const category = await Category.findByPk(fields.category_id, { transaction });
                 if (!category) {
                     throw new ValidationError('Categoria no encontrada');
                 }
             }
 
-            await product.update(updateData);
+            const previousPrice = parseFloat(product.price);
+            await product.update(fields, { transaction });
+
+            if (attributes !== undefined || fields.category_id !== undefined) {
+                await ProductAttributeService.saveProductAttributes(product.id, product.category_id, attributes || {}, transaction);
+            }
+
+            await transaction.commit();
+
+            if (parseFloat(product.price) < previousPrice) {
+                await WishlistService.notifyPriceDrop(product.id, previousPrice);
+            }
+
             return await this.getProductById(productId);
         } catch (error) {
+            await transaction.rollback();
             if (error instanceof NotFoundError || error instanceof ConflictError || error instanceof ValidationError) {
                 throw error;
             }
@@ -320,7 +489,12 @@ class ProductService {
                 throw new BusinessLogicError(`No se puede eliminar el producto. Tiene ${orderItemCount} pedidos asociados.`);
             }
 
+            const images = await ProductImage.findAll({ where: { product_id: productId } });
+
             await product.destroy();
+
+            // Los registros de la galeria se borran en cascada; sus archivos se quitan del almacenamiento
+            await ProductImageService.removeFiles(images.flatMap(image => image.getStorageKeys()));
             return true;
         } catch (error) {
             if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
@@ -331,61 +505,24 @@ class ProductService {
     }
 
     /**
-     * Busca productos por termino de busqueda
+     * Busca productos activos por termino de busqueda (texto completo, ordenados por relevancia)
      * @param {string} searchTerm - Termino de busqueda
-     * @param {Object} options - Opciones de busqueda
-     * @returns {Array} Lista de productos encontrados
+     * @param {Object} options - Opciones de paginacion y filtros (las mismas que listProducts)
+     * @returns {Object} Lista de productos encontrados y metadata de paginacion
      */
     static async searchProducts(searchTerm, options = {}) {
         try {
-            const {
-                limit = 10,
-                categoryId = null,
-                minPrice = null,
-                maxPrice = null,
-                sortBy = 'name',
-                sortOrder = 'ASC'
-            } = options;
-
-            const whereClause = {
-                [Op.or]: [
-                                    { name: { [Op.like]: `%${searchTerm}%` } },
-                { description: { [Op.like]: `%${searchTerm}%` } },
-                { sku: { [Op.like]: `%${searchTerm}%` } }
-                ],
+            return await this.listProducts({
+                sortBy: 'relevance',
+                sortOrder: 'ASC',
+                ...options,
+                search: searchTerm,
                 is_active: true
-            };
-
-            if (categoryId) {
-                whereClause.category_id = categoryId;
-            }
-
-            if (minPrice !== null || maxPrice !== null) {
-                whereClause.price = {};
-                if (minPrice !== null) whereClause.price[Op.gte] = minPrice;
-                if (maxPrice !== null) whereClause.price[Op.lte] = maxPrice;
-            }
-
-            const products = await Product.findAll({
-                where: whereClause,
-                include: [
-                    {
-                        model: Category,
-                        as: 'category',
-                        attributes: ['id', 'name', 'slug']
-                    },
-                    {
-                        model: Inventory,
-                        as: 'inventory',
-                        attributes: ['quantity', 'min_stock', 'max_stock']
-                    }
-                ],
-                order: [[sortBy, sortOrder]],
-                limit: parseInt(limit)
             });
-
-            return products;
         } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
             throw new Error('Error al buscar productos: ' + error.message);
         }
     }
@@ -422,7 +559,8 @@ class ProductService {
                         model: Inventory,
                         as: 'inventory',
                         attributes: ['quantity', 'min_stock', 'max_stock']
-                    }
+                    },
+                    primaryImageInclude
                 ],
                 order: [['created_at', 'DESC']],
                 limit: parseInt(limit)
@@ -485,15 +623,16 @@ class ProductService {
             const productsByCategory = await Category.findAll({
                 attributes: {
                     include: [
-                        [require('sequelize').fn('COUNT', require('sequelize').col('Products.id')), 'product_count']
+                        [require('sequelize').fn('COUNT', require('sequelize').col('products.id')), 'product_count']
                     ]
                 },
                 include: [{
                     model: Product,
+                    as: 'products',
                     attributes: []
                 }],
                 group: ['Category.id'],
-                order: [[require('sequelize').fn('COUNT', require('sequelize').col('Products.id')), 'DESC']]
+                order: [[require('sequelize').fn('COUNT', require('sequelize').col('products.id')), 'DESC']]
             });
 
             // Productos con stock bajo
@@ -562,7 +701,8 @@ class ProductService {
                         model: Inventory,
                         as: 'inventory',
                         attributes: ['quantity', 'min_stock', 'max_stock']
-                    }
+                    },
+                    primaryImageInclude
                 ],
                 order: [['created_at', 'DESC']],
                 limit: parseInt(limit)
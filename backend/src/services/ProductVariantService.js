@@ -0,0 +1,424 @@
+const { Op } = require('sequelize');
+const { Product, ProductOption, ProductOptionValue, ProductVariant, Inventory, OrderItem } = require('../models');
+const { ValidationError, NotFoundError, ConflictError, BusinessLogicError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+
+// Relaciones necesarias para armar la matriz de variantes
+const variantInclude = [
+    {
+        model: ProductOptionValue,
+        as: 'optionValues',
+        attributes: ['id', 'value', 'option_id'],
+        through: { attributes: [] },
+        include: [{
+            model: ProductOption,
+            as: 'option',
+            attributes: ['id', 'name', 'position']
+        }]
+    },
+    {
+        model: Inventory,
+        as: 'inventory',
+        attributes: ['quantity', 'reserved_quantity', 'min_stock', 'max_stock']
+    }
+];
+
+class ProductVariantService {
+    /**
+     * Obtiene la matriz de variantes de un producto: tipos de opcion con sus valores
+     * y cada variante con sus opciones, precio de venta y stock
+     * @param {number} productId - ID del producto
+     * @param {Object} options - Opciones ({ includeInactive })
+     * @returns {Object} Matriz de variantes ({ product_id, options, variants })
+     */
+    static async getVariantMatrix(productId, options = {}) {
+        try {
+            const { includeInactive = false } = options;
+
+            const product = await Product.findByPk(productId, {
+                include: [{
+                    model: ProductOption,
+                    as: 'options',
+                    attributes: ['id', 'name', 'position'],
+                    include: [{
+                        model: ProductOptionValue,
+                        as: 'values',
+                        attributes: ['id', 'value', 'position']
+                    }]
+                }],
+                order: [
+                    [{ model: ProductOption, as: 'options' }, 'position', 'ASC'],
+                    [{ model: ProductOption, as: 'options' }, { model: ProductOptionValue, as: 'values' }, 'position', 'ASC']
+                ]
+            });
+
+            if (!product) {
+                throw new NotFoundError('Producto no encontrado');
+            }
+
+            const whereClause = { product_id: productId };
+            if (!includeInactive) {
+                whereClause.is_active = true;
+            }
+
+            const variants = await ProductVariant.findAll({
+                where: whereClause,
+                include: variantInclude,
+                order: [['position', 'ASC'], ['id', 'ASC']]
+            });
+
+            return {
+                product_id: product.id,
+                options: product.options.map(option => ({
+                    id: option.id,
+                    name: option.name,
+                    values: option.values.map(value => ({ id: value.id, value: value.value }))
+                })),
+                variants: variants.map(variant => this.formatVariant(variant, product))
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener variantes: ' + error.message);
+        }
+    }
+
+    /**
+     * Da formato a una variante para la respuesta (opciones, precio de venta y stock)
+     * @param {Object} variant - Variante con optionValues e inventory incluidos
+     * @param {Object} product - Producto de la variante
+     * @returns {Object} Variante formateada
+     */
+    static formatVariant(variant, product) {
+        const inventory = variant.inventory;
+
+        return {
+            id: variant.id,
+            sku: variant.sku,
+            price: variant.price,
+            unit_price: variant.getUnitPrice(product),
+            weight: variant.weight !== null && variant.weight !== undefined ? parseFloat(variant.weight) : null,
+            image_url: variant.image_url || product.image_url || null,
+            position: variant.position,
+            is_active: variant.is_active,
+            options: variant.getOptionMap(),
+            stock: inventory ? {
+                quantity: inventory.quantity,
+                reserved_quantity: inventory.reserved_quantity,
+                available_quantity: inventory.getAvailableQuantity(),
+                min_stock: inventory.min_stock,
+                max_stock: inventory.max_stock
+            } : null
+        };
+    }
+
+    /**
+     * Obtiene una variante de un producto
+     * @param {number} productId - ID del producto
+     * @param {number} variantId - ID de la variante
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Object} Variante con opciones e inventario
+     */
+    static async getVariantById(productId, variantId, transaction = null) {
+        const variant = await ProductVariant.findOne({
+            where: { id: variantId, product_id: productId },
+            include: variantInclude,
+            transaction
+        });
+
+        if (!variant) {
+            throw new NotFoundError('Variante no encontrada');
+        }
+
+        return variant;
+    }
+
+    /**
+     * Verifica que el SKU no este en uso por otra variante ni por un producto
+     * @param {string} sku - SKU a verificar
+     * @param {number} excludeVariantId - Variante a ignorar (al actualizar)
+     * @param {Object} transaction - Transaccion de base de datos
+     */
+    static async assertSkuAvailable(sku, excludeVariantId, transaction) {
+        const whereClause = { sku };
+        if (excludeVariantId) {
+            whereClause.id = { [Op.ne]: excludeVariantId };
+        }
+
+        if (await ProductVariant.findOne({ where: whereClause, transaction })) {
+            throw new ConflictError('Ya existe una variante con ese SKU');
+        }
+
+        if (await Product.findOne({ where: { sku }, transaction })) {
+            throw new ConflictError('Ya existe un producto con ese SKU');
+        }
+    }
+
+    /**
+     * Resuelve los valores de opcion de una variante, creando los tipos y valores que falten
+     * Todas las variantes de un producto usan los mismos tipos de opcion
+     * @param {number} productId - ID del producto
+     * @param {Object} optionMap - Opciones de la variante ({ opcion: valor })
+     * @param {Object} transaction - Transaccion de base de datos
+     * @returns {Array} IDs de los valores de opcion
+     */
+    static async resolveOptionValues(productId, optionMap, transaction) {
+        const entries = Object.entries(optionMap).map(([name, value]) => [name.trim(), value.trim()]);
+        let productOptions = await ProductOption.findAll({
+            where: { product_id: productId },
+            include: [{ model: ProductOptionValue, as: 'values' }],
+            order: [['position', 'ASC']],
+            transaction
+        });
+
+        if (productOptions.length === 0) {
+            productOptions = [];
+            for (const [index, [name]] of entries.entries()) {
+                const option = await ProductOption.create({ product_id: productId, name, position: index }, { transaction });
+                option.values = [];
+                productOptions.push(option);
+            }
+        }
+
+        const expectedNames = productOptions.map(option => option.name.toLowerCase()).sort();
+        const receivedNames = entries.map(([name]) => name.toLowerCase()).sort();
+        if (expectedNames.join('|') !== receivedNames.join('|')) {
+            throw new ValidationError(`Las opciones de la variante deben ser: ${productOptions.map(option => option.name).join(', ')}`);
+        }
+
+        const valueIds = [];
+        for (const [name, value] of entries) {
+            const option = productOptions.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+            let optionValue = option.values.find(candidate => candidate.value.toLowerCase() === value.toLowerCase());
+
+            if (!optionValue) {
+                optionValue = await ProductOptionValue.create({
+                    option_id: option.id,
+                    value,
+                    position: option.values.length
+                }, { transaction });
+                option.values.push(optionValue);
+            }
+
+            valueIds.push(optionValue.id);
+        }
+
+        return valueIds;
+    }
+
+    /**
+     * Verifica que ninguna otra variante del producto tenga la misma combinacion de opciones
+     * @param {number} productId - ID del producto
+     * @param {Array} valueIds - IDs de los valores de opcion
+     * @param {number} excludeVariantId - Variante a ignorar (al actualizar)
+     * @param {Object} transaction - Transaccion de base de datos
+     */
+    static async assertCombinationAvailable(productId, valueIds, excludeVariantId, transaction) {
+        const combination = [...valueIds].sort((a, b) => a - b).join('|');
+        const variants = await ProductVariant.findAll({
+            where: { product_id: productId },
+            include: [{
+                model: ProductOptionValue,
+                as: 'optionValues',
+                attributes: ['id'],
+                through: { attributes: [] }
+            }],
+            transaction
+        });
+
+        const duplicated = variants.some(variant => variant.id !== excludeVariantId &&
+            variant.optionValues.map(value => value.id).sort((a, b) => a - b).join('|') === combination);
+
+        if (duplicated) {
+            throw new ConflictError('Ya existe una variante con esas opciones');
+        }
+    }
+
+    /**
+     * Elimina los valores de opcion que ya no usa ninguna variante
+     * y los tipos de opcion que quedaron sin valores
+     * @param {number} productId - ID del producto
+     * @param {Object} transaction - Transaccion de base de datos
+     */
+    static async pruneUnusedOptions(productId, transaction) {
+        const productOptions = await ProductOption.findAll({
+            where: { product_id: productId },
+            include: [{
+                model: ProductOptionValue,
+                as: 'values',
+                include: [{
+                    model: ProductVariant,
+                    as: 'variants',
+                    attributes: ['id'],
+                    through: { attributes: [] }
+                }]
+            }],
+            transaction
+        });
+
+        for (const option of productOptions) {
+            const unused = option.values.filter(value => value.variants.length === 0);
+            for (const value of unused) {
+                await value.destroy({ transaction });
+            }
+            if (unused.length === option.values.length) {
+                await option.destroy({ transaction });
+            }
+        }
+    }
+
+    /**
+     * Crea una variante con su combinacion de opciones e inventario propio
+     * @param {number} productId - ID del producto
+     * @param {Object} variantData - Datos validados ({ sku, price, image_url, options, stock, ... })
+     * @returns {Object} Variante creada
+     */
+    static async createVariant(productId, variantData) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const product = await Product.findByPk(productId, { transaction });
+            if (!product) {
+                throw new NotFoundError('Producto no encontrado');
+            }
+
+            const { options, stock, ...fields } = variantData;
+            await this.assertSkuAvailable(fields.sku, null, transaction);
+
+            const valueIds = await this.resolveOptionValues(productId, options, transaction);
+            await this.assertCombinationAvailable(productId, valueIds, null, transaction);
+
+            const variant = await ProductVariant.create({ ...fields, product_id: productId }, { transaction });
+            await variant.setOptionValues(valueIds, { transaction });
+
+            await Inventory.create({
+                product_id: productId,
+                variant_id: variant.id,
+                quantity: stock.quantity,
+                min_stock: stock.min_stock,
+                max_stock: stock.max_stock
+            }, { transaction });
+
+            await transaction.commit();
+
+            return this.formatVariant(await this.getVariantById(productId, variant.id), product);
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al crear variante: ' + error.message);
+        }
+    }
+
+    /**
+     * Actualiza una variante; si se envian opciones se reemplaza su combinacion
+     * @param {number} productId - ID del producto
+     * @param {number} variantId - ID de la variante
+     * @param {Object} variantData - Datos validados a actualizar
+     * @returns {Object} Variante actualizada
+     */
+    static async updateVariant(productId, variantId, variantData) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const product = await Product.findByPk(productId, { transaction });
+            if (!product) {
+                throw new NotFoundError('Producto no encontrado');
+            }
+
+            const variant = await this.getVariantById(productId, variantId, transaction);
+            const { options, ...fields } = variantData;
+
+            if (fields.sku && fields.sku !== variant.sku) {
+                await this.assertSkuAvailable(fields.sku, variant.id, transaction);
+            }
+
+            if (options) {
+                const valueIds = await this.resolveOptionValues(productId, options, transaction);
+                await this.assertCombinationAvailable(productId, valueIds, variant.id, transaction);
+                await variant.setOptionValues(valueIds, { transaction });
+                await this.pruneUnusedOptions(productId, transaction);
+            }
+
+            await variant.update(fields, { transaction });
+
+            await transaction.commit();
+
+            return this.formatVariant(await this.getVariantById(productId, variant.id), product);
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al actualizar variante: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina una variante y su inventario
+     * Las variantes con pedidos no se eliminan (se pueden desactivar)
+     * @param {number} productId - ID del producto
+     * @param {number} variantId - ID de la variante
+     */
+    static async deleteVariant(productId, variantId) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const variant = await this.getVariantById(productId, variantId, transaction);
+
+            const orderItemCount = await OrderItem.count({
+                where: { variant_id: variant.id },
+                transaction
+            });
+            if (orderItemCount > 0) {
+                throw new BusinessLogicError(`No se puede eliminar la variante. Tiene ${orderItemCount} pedidos asociados; desactivela en su lugar.`);
+            }
+
+            await Inventory.destroy({ where: { variant_id: variant.id }, transaction });
+            await variant.setOptionValues([], { transaction });
+            await variant.destroy({ transaction });
+            await this.pruneUnusedOptions(productId, transaction);
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error('Error al eliminar variante: ' + error.message);
+        }
+    }
+
+    /**
+     * Valida la variante de cada item de un pedido o carrito
+     * Un producto con variantes activas exige elegir una; la variante debe ser del producto y estar activa
+     * @param {Array} items - Items ({ product_id, variant_id, quantity })
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     */
+    static async validateOrderItems(items, transaction = null) {
+        for (const item of items) {
+            if (!item.variant_id) {
+                const activeVariants = await ProductVariant.count({
+                    where: { product_id: item.product_id, is_active: true },
+                    transaction
+                });
+                if (activeVariants > 0) {
+                    throw new ValidationError(`Debe seleccionar una variante para el producto ${item.product_id}`);
+                }
+                continue;
+            }
+
+            const variant = await ProductVariant.findByPk(item.variant_id, { transaction });
+            if (!variant || variant.product_id !== item.product_id) {
+                throw new ValidationError(`La variante ${item.variant_id} no pertenece al producto ${item.product_id}`);
+            }
+            if (!variant.is_active) {
+                throw new BusinessLogicError(`La variante ${variant.sku} no esta disponible`);
+            }
+        }
+    }
+}
+
+module.exports = ProductVariantService;
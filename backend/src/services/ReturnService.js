@@ -0,0 +1,429 @@
+const { ReturnRequest, ReturnItem, Order, OrderItem, OrderStatusHistory, Product, User } = require('../models');
+const InventoryService = require('./InventoryService');
+const { ValidationError, NotFoundError, AuthorizationError, BusinessLogicError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+const { roundAmount } = require('../utils/money');
+
+// Dias posteriores a la entrega en los que se aceptan devoluciones
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+class ReturnService {
+    /**
+     * Obtiene un pedido verificando que el usuario sea su duenio o administrador
+     * @param {number} orderId - ID del pedido
+     * @param {Object} actor - Usuario que realiza la accion ({ id, role })
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Object} Pedido encontrado
+     */
+    static async findOrderForActor(orderId, actor, transaction = null) {
+        const order = await Order.findByPk(orderId, { transaction });
+        if (!order) {
+            throw new NotFoundError('Pedido no encontrado');
+        }
+
+        if (actor.role !== 'admin' && order.user_id !== actor.id) {
+            throw new AuthorizationError('No tienes permisos sobre las devoluciones de este pedido');
+        }
+
+        return order;
+    }
+
+    /**
+     * Verifica que el pedido siga dentro del plazo de devolucion
+     * El plazo se cuenta desde el cambio de estado a entregado
+     * @param {Object} order - Pedido entregado
+     * @param {Object} transaction - Transaccion de base de datos
+     */
+    static async assertWithinReturnWindow(order, transaction) {
+        const delivery = await OrderStatusHistory.findOne({
+            where: { order_id: order.id, to_status: 'delivered' },
+            order: [['created_at', 'DESC']],
+            transaction
+        });
+
+        const deliveredAt = new Date(delivery ? delivery.created_at : order.updated_at);
+        const deadline = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+        if (new Date() > deadline) {
+            throw new BusinessLogicError(`El plazo de devolucion de ${RETURN_WINDOW_DAYS} dias ya vencio`);
+        }
+    }
+
+    /**
+     * Crea una solicitud de devolucion para items de un pedido entregado
+     * @param {number} orderId - ID del pedido
+     * @param {Object} returnData - Datos de la devolucion ({ reason, items: [{ order_item_id, quantity }] })
+     * @param {Object} actor - Usuario que solicita ({ id, role })
+     * @returns {Object} Devolucion creada con sus items
+     */
+    static async createReturn(orderId, returnData, actor) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const order = await this.findOrderForActor(orderId, actor, transaction);
+
+            if (order.status !== 'delivered') {
+                throw new BusinessLogicError('Solo se pueden devolver pedidos entregados');
+            }
+
+            await this.assertWithinReturnWindow(order, transaction);
+
+            const orderItems = await OrderItem.findAll({
+                where: { order_id: orderId },
+                transaction
+            });
+
+            for (const item of returnData.items) {
+                const orderItem = orderItems.find(candidate => candidate.id === item.order_item_id);
+                if (!orderItem) {
+                    throw new ValidationError(`El item ${item.order_item_id} no pertenece al pedido`);
+                }
+
+                const returnedQuantity = await ReturnItem.getReturnedQuantity(orderItem.id, { transaction });
+                const returnable = orderItem.quantity - returnedQuantity;
+                if (item.quantity > returnable) {
+                    throw new BusinessLogicError(
+                        `Cantidad a devolver invalida para el item ${orderItem.id}. Disponible: ${returnable}`
+                    );
+                }
+            }
+
+            const returnRequest = await ReturnRequest.create({
+                order_id: order.id,
+                user_id: order.user_id,
+                reason: returnData.reason
+            }, { transaction });
+
+            await ReturnItem.bulkCreate(returnData.items.map(item => ({
+                return_request_id: returnRequest.id,
+                order_item_id: item.order_item_id,
+                quantity: item.quantity
+            })), { transaction });
+
+            await transaction.commit();
+
+            return await this.getReturnById(orderId, returnRequest.id, actor);
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof ValidationError ||
+                error instanceof NotFoundError ||
+                error instanceof AuthorizationError ||
+                error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error('Error al crear devolucion: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene una devolucion de un pedido con sus items
+     * @param {number} orderId - ID del pedido
+     * @param {number} returnId - ID de la devolucion
+     * @param {Object} actor - Usuario que consulta ({ id, role })
+     * @returns {Object} Devolucion encontrada
+     */
+    static async getReturnById(orderId, returnId, actor) {
+        try {
+            await this.findOrderForActor(orderId, actor);
+
+            const returnRequest = await ReturnRequest.findOne({
+                where: { id: returnId, order_id: orderId },
+                include: [
+                    {
+                        model: ReturnItem,
+                        as: 'items',
+                        include: [{
+                            model: OrderItem,
+                            as: 'orderItem',
+                            attributes: ['id', 'product_id', 'quantity', 'unit_price', 'total_price'],
+                            include: [{
+                                model: Product,
+                                as: 'product',
+                                attributes: ['id', 'name', 'sku']
+                            }]
+                        }]
+                    },
+                    {
+                        model: User,
+                        as: 'reviewer',
+                        attributes: ['id', 'username']
+                    }
+                ]
+            });
+
+            if (!returnRequest) {
+                throw new NotFoundError('Devolucion no encontrada');
+            }
+
+            return returnRequest;
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+                throw error;
+            }
+            throw new Error('Error al obtener devolucion: ' + error.message);
+        }
+    }
+
+    /**
+     * Lista las devoluciones de un pedido
+     * @param {number} orderId - ID del pedido
+     * @param {Object} actor - Usuario que consulta ({ id, role })
+     * @returns {Array} Devoluciones del pedido
+     */
+    static async getOrderReturns(orderId, actor) {
+        try {
+            await this.findOrderForActor(orderId, actor);
+
+            return await ReturnRequest.findAll({
+                where: { order_id: orderId },
+                include: [{
+                    model: ReturnItem,
+                    as: 'items'
+                }],
+                order: [['created_at', 'DESC'], ['id', 'DESC']]
+            });
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+                throw error;
+            }
+            throw new Error('Error al obtener devoluciones: ' + error.message);
+        }
+    }
+
+    /**
+     * Busca una devolucion del pedido y verifica que pueda pasar al nuevo estado
+     * @param {number} orderId - ID del pedido
+     * @param {number} returnId - ID de la devolucion
+     * @param {string} newStatus - Estado destino
+     * @param {Object} transaction - Transaccion de base de datos
+     * @returns {Object} Devolucion encontrada
+     */
+    static async findReturnForTransition(orderId, returnId, newStatus, transaction) {
+        const returnRequest = await ReturnRequest.findOne({
+            where: { id: returnId, order_id: orderId },
+            include: [{
+                model: ReturnItem,
+                as: 'items',
+                include: [{ model: OrderItem, as: 'orderItem' }]
+            }],
+            transaction
+        });
+
+        if (!returnRequest) {
+            throw new NotFoundError('Devolucion no encontrada');
+        }
+
+        if (!returnRequest.canTransitionTo(newStatus)) {
+            throw new BusinessLogicError(
+                `No se puede cambiar la devolucion de ${returnRequest.status} a ${newStatus}`
+            );
+        }
+
+        return returnRequest;
+    }
+
+    /**
+     * Aprueba o rechaza una devolucion solicitada
+     * @param {number} orderId - ID del pedido
+     * @param {number} returnId - ID de la devolucion
+     * @param {string} decision - 'approved' o 'rejected'
+     * @param {Object} options - Opciones ({ actor, note })
+     * @returns {Object} Devolucion actualizada
+     */
+    static async reviewReturn(orderId, returnId, decision, options = {}) {
+        try {
+            const { actor, note = null } = options;
+            const returnRequest = await this.findReturnForTransition(orderId, returnId, decision);
+
+            await returnRequest.update({
+                status: decision,
+                admin_note: note || returnRequest.admin_note,
+                reviewed_by: actor.id,
+                reviewed_at: new Date()
+            });
+
+            return await this.getReturnById(orderId, returnId, actor);
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error('Error al revisar devolucion: ' + error.message);
+        }
+    }
+
+    /**
+     * Registra la recepcion de los items devueltos
+     * Los items con destino 'restock' vuelven al inventario; los 'write_off' se dan de baja
+     * @param {number} orderId - ID del pedido
+     * @param {number} returnId - ID de la devolucion
+     * @param {Object} receiveData - Datos ({ items: [{ return_item_id, disposition }], default_disposition, note })
+     * @param {Object} actor - Admin que recibe ({ id, role })
+     * @returns {Object} Devolucion actualizada
+     */
+    static async receiveReturn(orderId, returnId, receiveData, actor) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const returnRequest = await this.findReturnForTransition(orderId, returnId, 'received', transaction);
+            const dispositions = new Map(receiveData.items.map(item => [item.return_item_id, item.disposition]));
+
+            for (const itemId of dispositions.keys()) {
+                if (!returnRequest.items.some(item => item.id === itemId)) {
+                    throw new ValidationError(`El item ${itemId} no pertenece a la devolucion`);
+                }
+            }
+
+            for (const item of returnRequest.items) {
+                const disposition = dispositions.get(item.id) || receiveData.default_disposition;
+
+                // El stock salio del inventario al despachar, por lo que reingresarlo es una entrada
+                if (disposition === 'restock') {
+                    await InventoryService.applyStockChange(
+                        item.orderItem.product_id,
+                        (current) => current + item.quantity,
+                        'order_returned',
+                        {
+                            transaction,
+                            orderId,
+                            variantId: item.orderItem.variant_id,
+                            userId: actor.id,
+                            notes: `Devolucion ${returnRequest.rma_number}`
+                        }
+                    );
+                }
+
+                await item.update({ disposition }, { transaction });
+            }
+
+            await returnRequest.update({
+                status: 'received',
+                admin_note: receiveData.note || returnRequest.admin_note,
+                received_at: new Date()
+            }, { transaction });
+
+            await transaction.commit();
+
+            return await this.getReturnById(orderId, returnId, actor);
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof ValidationError ||
+                error instanceof NotFoundError ||
+                error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error('Error al recibir devolucion: ' + error.message);
+        }
+    }
+
+    /**
+     * Reembolsa una devolucion recibida, total o parcialmente por linea
+     * Por defecto cada linea reembolsa lo pagado por las unidades devueltas (con descuento e impuestos)
+     * La devolucion se reclama con un cambio de estado condicional antes de ir al proveedor de pagos,
+     * asi dos reembolsos concurrentes no devuelven el dinero dos veces; si el proveedor falla vuelve a recibida
+     * @param {number} orderId - ID del pedido
+     * @param {number} returnId - ID de la devolucion
+     * @param {Object} refundData - Datos ({ items: [{ return_item_id, amount }] })
+     * @param {Object} actor - Admin que reembolsa ({ id, role })
+     * @returns {Object} Devolucion actualizada
+     */
+    static async refundReturn(orderId, returnId, refundData, actor) {
+        const PaymentService = require('./PaymentService');
+        let transaction = null;
+
+        try {
+            const returnRequest = await this.findReturnForTransition(orderId, returnId, 'refunded');
+            const amounts = new Map((refundData.items || []).map(item => [item.return_item_id, item.amount]));
+            const order = await Order.findByPk(orderId);
+
+            for (const itemId of amounts.keys()) {
+                if (!returnRequest.items.some(item => item.id === itemId)) {
+                    throw new ValidationError(`El item ${itemId} no pertenece a la devolucion`);
+                }
+            }
+
+            const itemRefunds = returnRequest.items.map((item) => {
+                const paidAmount = item.orderItem.getPaidAmount(order.prices_include_tax);
+                const maxAmount = roundAmount(paidAmount * item.quantity / item.orderItem.quantity);
+                const amount = amounts.has(item.id) ? amounts.get(item.id) : maxAmount;
+
+                if (amount > maxAmount) {
+                    throw new BusinessLogicError(
+                        `El reembolso del item ${item.id} no puede superar ${maxAmount.toFixed(2)}`
+                    );
+                }
+
+                return { item, amount };
+            });
+
+            const refundTotal = roundAmount(itemRefunds.reduce((sum, { amount }) => sum + amount, 0));
+
+            if (refundTotal > 0) {
+                const refundable = await PaymentService.getRefundableOrderAmount(orderId);
+                if (refundable < refundTotal) {
+                    throw new BusinessLogicError(
+                        `El pedido no tiene pagos capturados suficientes para reembolsar ${refundTotal.toFixed(2)}. Disponible: ${refundable.toFixed(2)}`
+                    );
+                }
+            }
+
+            // Solo la llamada que cambia el estado leido pasa al proveedor de pagos
+            const [claimed] = await ReturnRequest.update(
+                { status: 'refunded', refunded_at: new Date() },
+                { where: { id: returnId, order_id: orderId, status: returnRequest.status } }
+            );
+            if (claimed === 0) {
+                throw new BusinessLogicError('La devolucion ya fue reembolsada o se esta reembolsando');
+            }
+
+            if (refundTotal > 0) {
+                try {
+                    await PaymentService.refundOrderAmount(orderId, refundTotal);
+                } catch (error) {
+                    console.error(`Error al reembolsar los pagos de la devolucion ${returnId}:`, error.message);
+                    await ReturnRequest.update(
+                        { status: returnRequest.status, refunded_at: null },
+                        { where: { id: returnId, status: 'refunded' } }
+                    );
+                    throw new BusinessLogicError('No se pudo reembolsar el pago en el proveedor, la devolucion no fue reembolsada');
+                }
+            }
+
+            // El pedido queda reembolsado solo cuando ya no le queda nada capturado por devolver
+            const remaining = refundTotal > 0 ? await PaymentService.getRefundableOrderAmount(orderId) : null;
+
+            transaction = await sequelize.transaction();
+
+            for (const { item, amount } of itemRefunds) {
+                await item.update({ refund_amount: amount }, { transaction });
+            }
+
+            await ReturnRequest.update(
+                { refund_amount: refundTotal },
+                { where: { id: returnId }, transaction }
+            );
+
+            if (remaining !== null && remaining <= 0) {
+                await Order.update(
+                    { payment_status: 'refunded' },
+                    { where: { id: orderId }, transaction }
+                );
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            if (transaction) {
+                await transaction.rollback();
+            }
+            if (error instanceof ValidationError ||
+                error instanceof NotFoundError ||
+                error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error('Error al reembolsar devolucion: ' + error.message);
+        }
+
+        return await this.getReturnById(orderId, returnId, actor);
+    }
+}
+
+module.exports = ReturnService;
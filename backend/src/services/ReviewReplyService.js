@@ -0,0 +1,193 @@
+const { Review, ReviewReply, ReviewReplyRevision, User, Product } = require('../models');
+const NotificationService = require('./NotificationService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+
+const staffAttributes = ['id', 'username', 'first_name', 'last_name'];
+
+class ReviewReplyService {
+    /**
+     * Obtiene la respuesta de una resena con su autor y su historial de ediciones
+     * @param {number} reviewId - ID de la resena
+     * @returns {Object} Respuesta con `revisions` (de la mas reciente a la mas antigua)
+     */
+    static async getReply(reviewId) {
+        try {
+            const reply = await ReviewReply.findOne({
+                where: { review_id: reviewId },
+                include: [{
+                    model: User,
+                    as: 'author',
+                    attributes: staffAttributes
+                }, {
+                    model: ReviewReplyRevision,
+                    as: 'revisions',
+                    attributes: ['id', 'body', 'created_at'],
+                    include: [{
+                        model: User,
+                        as: 'editor',
+                        attributes: staffAttributes
+                    }]
+                }],
+                order: [[{ model: ReviewReplyRevision, as: 'revisions' }, 'created_at', 'DESC']]
+            });
+
+            if (!reply) {
+                throw new NotFoundError('La resena no tiene respuesta');
+            }
+
+            return reply;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener respuesta de resena: ' + error.message);
+        }
+    }
+
+    /**
+     * Publica la respuesta oficial de la tienda a una resena aprobada y avisa a su autor
+     * @param {number} reviewId - ID de la resena
+     * @param {number} authorId - ID del administrador que responde
+     * @param {Object} replyData - Datos de la respuesta ({ body })
+     * @returns {Object} Respuesta creada
+     */
+    static async createReply(reviewId, authorId, replyData) {
+        const transaction = await sequelize.transaction();
+        let review;
+
+        try {
+            review = await Review.findByPk(reviewId, {
+                include: [{
+                    model: User,
+                    as: 'user',
+                    attributes: ['id', 'email', 'first_name', 'last_name']
+                }, {
+                    model: Product,
+                    as: 'product',
+                    attributes: ['id', 'name']
+                }],
+                transaction
+            });
+            if (!review) {
+                throw new NotFoundError('Resena no encontrada');
+            }
+
+            if (!review.isPublic()) {
+                throw new ValidationError('Solo se puede responder a resenas aprobadas');
+            }
+
+            const existing = await ReviewReply.findOne({
+                where: { review_id: reviewId },
+                transaction
+            });
+            if (existing) {
+                throw new ConflictError('La resena ya tiene una respuesta, editala en su lugar');
+            }
+
+            await ReviewReply.create({
+                review_id: reviewId,
+                author_id: authorId,
+                body: replyData.body
+            }, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof ValidationError ||
+                error instanceof NotFoundError ||
+                error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al responder resena: ' + error.message);
+        }
+
+        const reply = await this.getReply(reviewId);
+        await this.notifyReviewAuthor(review, reply);
+        return reply;
+    }
+
+    /**
+     * Edita la respuesta de una resena guardando el texto anterior en el historial
+     * @param {number} reviewId - ID de la resena
+     * @param {number} editorId - ID del administrador que edita
+     * @param {Object} replyData - Datos de la respuesta ({ body })
+     * @returns {Object} Respuesta actualizada
+     */
+    static async updateReply(reviewId, editorId, replyData) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const reply = await ReviewReply.findOne({
+                where: { review_id: reviewId },
+                transaction
+            });
+            if (!reply) {
+                throw new NotFoundError('La resena no tiene respuesta');
+            }
+
+            if (reply.body !== replyData.body) {
+                await ReviewReplyRevision.create({
+                    reply_id: reply.id,
+                    body: reply.body,
+                    edited_by: editorId
+                }, { transaction });
+
+                await reply.update({
+                    body: replyData.body,
+                    edited_at: new Date()
+                }, { transaction });
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al editar respuesta de resena: ' + error.message);
+        }
+
+        return await this.getReply(reviewId);
+    }
+
+    /**
+     * Elimina la respuesta de una resena junto con su historial
+     * @param {number} reviewId - ID de la resena
+     * @returns {boolean} True si se elimino correctamente
+     */
+    static async deleteReply(reviewId) {
+        try {
+            const reply = await ReviewReply.findOne({ where: { review_id: reviewId } });
+            if (!reply) {
+                throw new NotFoundError('La resena no tiene respuesta');
+            }
+
+            await reply.destroy();
+            return true;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al eliminar respuesta de resena: ' + error.message);
+        }
+    }
+
+    /**
+     * Avisa al autor de la resena que la tienda le respondio
+     * Un fallo del aviso no revierte la respuesta: solo se registra
+     * @param {Object} review - Resena con `user` y `product`
+     * @param {Object} reply - Respuesta publicada
+     */
+    static async notifyReviewAuthor(review, reply) {
+        try {
+            if (review.user) {
+                await NotificationService.sendReviewReply(review.user, review.product, review, reply);
+            }
+        } catch (error) {
+            console.error('Error al notificar respuesta de resena:', error);
+        }
+    }
+}
+
+module.exports = ReviewReplyService;
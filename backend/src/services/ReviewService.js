@@ -1,8 +1,54 @@
-const { Review, User, Product, Order, OrderItem } = require('../models');
+const { Review, ReviewReport, ReviewVote, ReviewReply, User, Product, Order, OrderItem } = require('../models');
+const { createConfiguredWordFilter } = require('../utils/reviewWordFilter');
+const { wilsonLowerBound, summarizeRatings } = require('../utils/reviewScores');
 const { ValidationError, NotFoundError, ConflictError, BusinessLogicError } = require('../utils/errors');
 const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+
+// Con REVIEW_REQUIRE_APPROVAL=false las resenas sin terminos marcados se publican sin esperar moderacion
+const REQUIRE_APPROVAL = process.env.REVIEW_REQUIRE_APPROVAL !== 'false';
+
+// Denuncias abiertas con las que una resena aprobada vuelve a la cola de moderacion
+const REPORT_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD) || 3;
+
+const wordFilter = createConfiguredWordFilter();
+
+const reviewUserAttributes = ['id', 'username', 'first_name', 'last_name'];
+
+// Respuesta de la tienda que acompana a la resena (el historial y el autor solo los ve un administrador)
+const replyInclude = {
+    model: ReviewReply,
+    as: 'reply',
+    attributes: ['id', 'body', 'edited_at', 'created_at']
+};
+
+// Modos de orden de las resenas de un producto; los empates se resuelven por las mas recientes
+const REVIEW_SORTS = {
+    helpful: [['helpfulness_score', 'DESC'], ['helpful_count', 'DESC']],
+    newest: [],
+    highest: [['rating', 'DESC']],
+    lowest: [['rating', 'ASC']],
+    verified: [['is_verified_purchase', 'DESC']]
+};
 
 class ReviewService {
+    /**
+     * Revisa el comentario con el filtro de palabras y decide el estado inicial de la resena
+     * Las resenas con terminos marcados siempre esperan moderacion
+     * @param {string} comment - Comentario de la resena
+     * @returns {Object} Campos de moderacion ({ status, is_flagged, flagged_terms })
+     */
+    static evaluateContent(comment) {
+        const flaggedTerms = wordFilter.findTerms(comment);
+        const isFlagged = flaggedTerms.length > 0;
+
+        return {
+            status: isFlagged || REQUIRE_APPROVAL ? 'pending' : 'approved',
+            is_flagged: isFlagged,
+            flagged_terms: flaggedTerms
+        };
+    }
+
     /**
      * Crea una nueva resena con verificacion de compra
      * @param {Object} reviewData - Datos de la resena
@@ -44,7 +90,8 @@ class ReviewService {
                 user_id: reviewData.user_id,
                 rating: reviewData.rating,
                 comment: reviewData.comment,
-                is_verified_purchase: hasPurchased
+                is_verified_purchase: hasPurchased,
+                ...this.evaluateContent(reviewData.comment)
             }, { transaction });
 
             // Actualizar rating promedio del producto
@@ -69,6 +116,7 @@ class ReviewService {
 
     /**
      * Obtiene una resena por ID
+     * Con approvedOnly las resenas no aprobadas se tratan como inexistentes (vista publica)
      * @param {number} reviewId - ID de la resena
      * @param {Object} options - Opciones adicionales
      * @returns {Object} Resena encontrada
@@ -77,7 +125,9 @@ class ReviewService {
         try {
             const {
                 includeUser = false,
-                includeProduct = false
+                includeProduct = false,
+                includeReply = true,
+                approvedOnly = false
             } = options;
 
             const includeClause = [];
@@ -98,11 +148,15 @@ class ReviewService {
                 });
             }
 
+            if (includeReply) {
+                includeClause.push(replyInclude);
+            }
+
             const review = await Review.findByPk(reviewId, {
                 include: includeClause
             });
 
-            if (!review) {
+            if (!review || (approvedOnly && !review.isPublic())) {
                 throw new NotFoundError('Resena no encontrada');
             }
 
@@ -116,9 +170,10 @@ class ReviewService {
     }
 
     /**
-     * Obtiene resenas de un producto
+     * Obtiene las resenas aprobadas de un producto
      * @param {number} productId - ID del producto
-     * @param {Object} options - Opciones de paginacion y filtros
+     * @param {Object} options - Paginacion, filtros ({ rating, verifiedOnly, withText }) y orden
+     * (sort: helpful, newest, highest, lowest o verified)
      * @returns {Object} Lista de resenas del producto
      */
     static async getProductReviews(productId, options = {}) {
@@ -128,24 +183,37 @@ class ReviewService {
                 limit = 10,
                 rating = null,
                 verifiedOnly = false,
+                withText = false,
+                sort = 'newest',
                 includeUser = true
             } = options;
 
+            if (!REVIEW_SORTS[sort]) {
+                throw new ValidationError(`El orden debe ser: ${Object.keys(REVIEW_SORTS).join(', ')}`);
+            }
+
             // Validar que el producto existe
             const product = await Product.findByPk(productId);
             if (!product) {
                 throw new NotFoundError('Producto no encontrado');
             }
 
-            const whereClause = { product_id: productId };
-            if (rating) {
+            const whereClause = { product_id: productId, status: 'approved' };
+            // rating acepta una estrella o una lista de estrellas
+            if (Array.isArray(rating) ? rating.length > 0 : rating) {
                 whereClause.rating = rating;
             }
             if (verifiedOnly) {
                 whereClause.is_verified_purchase = true;
             }
+            if (withText) {
+                whereClause[Op.and] = [
+                    { comment: { [Op.ne]: null } },
+                    sequelize.where(sequelize.fn('TRIM', sequelize.col('comment')), { [Op.ne]: '' })
+                ];
+            }
 
-            const includeClause = [];
+            const includeClause = [replyInclude];
             if (includeUser) {
                 includeClause.push({
                     model: User,
@@ -159,13 +227,15 @@ class ReviewService {
             const { count, rows } = await Review.findAndCountAll({
                 where: whereClause,
                 include: includeClause,
-                order: [['created_at', 'DESC']],
+                distinct: true,
+                order: [...REVIEW_SORTS[sort], ['created_at', 'DESC'], ['id', 'DESC']],
                 limit: parseInt(limit),
                 offset: offset
             });
 
             return {
                 reviews: rows,
+                sort,
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
@@ -174,7 +244,7 @@ class ReviewService {
                 }
             };
         } catch (error) {
-            if (error instanceof NotFoundError) {
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
                 throw error;
             }
             throw new Error('Error al obtener resenas del producto: ' + error.message);
@@ -232,9 +302,9 @@ class ReviewService {
     }
 
     /**
-     * Actualiza una resena existente
+     * Actualiza la calificacion o el comentario de una resena
      * @param {number} reviewId - ID de la resena
-     * @param {Object} updateData - Datos a actualizar
+     * @param {Object} updateData - Datos a actualizar ({ rating, comment })
      * @returns {Object} Resena actualizada
      */
     static async updateReview(reviewId, updateData) {
@@ -251,7 +321,23 @@ class ReviewService {
                 throw new ValidationError('El rating debe estar entre 1 y 5');
             }
 
-            await review.update(updateData, { transaction });
+            const changes = {};
+            if (updateData.rating !== undefined) {
+                changes.rating = updateData.rating;
+            }
+            if (updateData.comment !== undefined) {
+                changes.comment = updateData.comment;
+            }
+            if (Object.keys(changes).length === 0) {
+                throw new ValidationError('Solo se pueden actualizar la calificacion y el comentario');
+            }
+
+            // Un comentario nuevo vuelve a pasar por el filtro y por moderacion
+            if (changes.comment !== undefined && changes.comment !== review.comment) {
+                Object.assign(changes, this.evaluateContent(changes.comment), { rejection_reason: null });
+            }
+
+            await review.update(changes, { transaction });
 
             // Actualizar rating promedio del producto
             await this.updateProductAverageRating(review.product_id, transaction);
@@ -305,7 +391,7 @@ class ReviewService {
     }
 
     /**
-     * Obtiene estadisticas de resenas de un producto
+     * Obtiene estadisticas de las resenas aprobadas de un producto
      * @param {number} productId - ID del producto
      * @returns {Object} Estadisticas de resenas
      */
@@ -318,7 +404,7 @@ class ReviewService {
             }
 
             const stats = await Review.findOne({
-                where: { product_id: productId },
+                where: { product_id: productId, status: 'approved' },
                 attributes: [
                     [sequelize.fn('AVG', sequelize.col('rating')), 'averageRating'],
                     [sequelize.fn('COUNT', sequelize.col('id')), 'totalReviews'],
@@ -337,6 +423,7 @@ class ReviewService {
             return {
                 averageRating: Math.round(averageRating * 10) / 10, // Redondear a 1 decimal
                 totalReviews: totalReviews,
+                ratingScore: parseFloat(product.rating_score || 0),
                 fiveStar: parseInt(stats?.dataValues?.fiveStar || 0),
                 fourStar: parseInt(stats?.dataValues?.fourStar || 0),
                 threeStar: parseInt(stats?.dataValues?.threeStar || 0),
@@ -360,7 +447,7 @@ class ReviewService {
     }
 
     /**
-     * Obtiene resenas destacadas (con mejor rating)
+     * Obtiene resenas aprobadas destacadas (con mejor rating)
      * @param {number} limit - Limite de resenas a retornar
      * @returns {Array} Lista de resenas destacadas
      */
@@ -368,8 +455,9 @@ class ReviewService {
         try {
             const reviews = await Review.findAll({
                 where: {
-                    rating: { [sequelize.Op.gte]: 4 },
-                    comment: { [sequelize.Op.ne]: null }
+                    status: 'approved',
+                    rating: { [Op.gte]: 4 },
+                    comment: { [Op.ne]: null }
                 },
                 include: [{
                     model: User,
@@ -408,7 +496,7 @@ class ReviewService {
                     as: 'order',
                     where: { 
                         user_id: userId,
-                        status: { [sequelize.Op.in]: ['confirmed', 'shipped', 'delivered'] }
+                        status: { [Op.in]: ['confirmed', 'shipped', 'delivered'] }
                     },
                     attributes: []
                 }]
@@ -421,28 +509,31 @@ class ReviewService {
     }
 
     /**
-     * Actualiza el rating promedio de un producto
+     * Recalcula los agregados de valoracion de un producto: promedio, cantidad, histograma
+     * de 1 a 5 estrellas y puntuacion bayesiana (solo cuentan las resenas aprobadas)
+     * Se llama dentro de la transaccion que crea, edita, modera o elimina la resena
      * @param {number} productId - ID del producto
      * @param {Object} transaction - Transaccion de base de datos
      */
     static async updateProductAverageRating(productId, transaction) {
         try {
-            const stats = await Review.findOne({
-                where: { product_id: productId },
+            const rows = await Review.findAll({
+                where: { product_id: productId, status: 'approved' },
                 attributes: [
-                    [sequelize.fn('AVG', sequelize.col('rating')), 'averageRating'],
-                    [sequelize.fn('COUNT', sequelize.col('id')), 'totalReviews']
+                    'rating',
+                    [sequelize.fn('COUNT', sequelize.col('id')), 'count']
                 ],
+                group: ['rating'],
+                raw: true,
                 transaction
             });
 
-            const averageRating = parseFloat(stats?.dataValues?.averageRating || 0);
-            const totalReviews = parseInt(stats?.dataValues?.totalReviews || 0);
+            const countsByStars = {};
+            rows.forEach((row) => {
+                countsByStars[parseInt(row.rating)] = parseInt(row.count);
+            });
 
-            await Product.update({
-                average_rating: Math.round(averageRating * 10) / 10,
-                review_count: totalReviews
-            }, {
+            await Product.update(summarizeRatings(countsByStars), {
                 where: { id: productId },
                 transaction
             });
@@ -452,13 +543,14 @@ class ReviewService {
     }
 
     /**
-     * Obtiene resenas recientes
+     * Obtiene resenas aprobadas recientes
      * @param {number} limit - Limite de resenas a retornar
      * @returns {Array} Lista de resenas recientes
      */
     static async getRecentReviews(limit = 10) {
         try {
             const reviews = await Review.findAll({
+                where: { status: 'approved' },
                 include: [{
                     model: User,
                     as: 'user',
@@ -477,6 +569,369 @@ class ReviewService {
             throw new Error('Error al obtener resenas recientes: ' + error.message);
         }
     }
+
+    /**
+     * Obtiene la cola de moderacion; primero las marcadas por el filtro y las mas denunciadas
+     * @param {Object} options - Filtros ({ status, flagged, reported, productId, page, limit })
+     * @returns {Object} Resenas con sus denuncias abiertas y paginacion
+     */
+    static async getModerationQueue(options = {}) {
+        try {
+            const {
+                status = 'pending',
+                flagged,
+                reported,
+                productId,
+                page = 1,
+                limit = 20
+            } = options;
+
+            const whereClause = {};
+            if (status) {
+                whereClause.status = status;
+            }
+            if (flagged !== undefined) {
+                whereClause.is_flagged = flagged;
+            }
+            if (reported !== undefined) {
+                whereClause.report_count = reported ? { [Op.gt]: 0 } : 0;
+            }
+            if (productId) {
+                whereClause.product_id = productId;
+            }
+
+            const offset = (page - 1) * limit;
+
+            const { count, rows } = await Review.findAndCountAll({
+                where: whereClause,
+                include: [{
+                    model: User,
+                    as: 'user',
+                    attributes: reviewUserAttributes
+                }, {
+                    model: Product,
+                    as: 'product',
+                    attributes: ['id', 'name', 'sku']
+                }, {
+                    model: ReviewReport,
+                    as: 'reports',
+                    where: { status: 'open' },
+                    required: false,
+                    include: [{
+                        model: User,
+                        as: 'reporter',
+                        attributes: reviewUserAttributes
+                    }]
+                }],
+                order: [
+                    ['is_flagged', 'DESC'],
+                    ['report_count', 'DESC'],
+                    ['created_at', 'ASC']
+                ],
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                distinct: true
+            });
+
+            return {
+                reviews: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            throw new Error('Error al obtener cola de moderacion: ' + error.message);
+        }
+    }
+
+    /**
+     * Aplica una decision de moderacion a las resenas indicadas dentro de una transaccion
+     * Cierra sus denuncias abiertas y recalcula el rating de los productos afectados
+     * @param {Array} reviews - Resenas a moderar
+     * @param {Object} decision - Decision ({ status, rejection_reason })
+     * @param {number} moderatorId - ID del administrador
+     * @param {Object} transaction - Transaccion en curso
+     */
+    static async applyModeration(reviews, decision, moderatorId, transaction) {
+        const reviewIds = reviews.map(review => review.id);
+
+        await Review.update({
+            status: decision.status,
+            rejection_reason: decision.status === 'rejected' ? decision.rejection_reason : null,
+            is_flagged: false,
+            report_count: 0,
+            moderated_by: moderatorId,
+            moderated_at: new Date()
+        }, {
+            where: { id: reviewIds },
+            transaction
+        });
+
+        await ReviewReport.update(
+            { status: 'resolved' },
+            { where: { review_id: reviewIds, status: 'open' }, transaction }
+        );
+
+        const productIds = [...new Set(reviews.map(review => review.product_id))];
+        for (const productId of productIds) {
+            await this.updateProductAverageRating(productId, transaction);
+        }
+    }
+
+    /**
+     * Modera una resena (aprobar, rechazar con motivo, ocultar o devolver a pendiente)
+     * @param {number} reviewId - ID de la resena
+     * @param {Object} decision - Decision ({ status, rejection_reason })
+     * @param {number} moderatorId - ID del administrador
+     * @returns {Object} Resena moderada
+     */
+    static async moderateReview(reviewId, decision, moderatorId) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const review = await Review.findByPk(reviewId, { transaction });
+            if (!review) {
+                throw new NotFoundError('Resena no encontrada');
+            }
+
+            await this.applyModeration([review], decision, moderatorId, transaction);
+
+            await transaction.commit();
+
+            return await this.getReviewById(reviewId, { includeUser: true, includeProduct: true });
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al moderar resena: ' + error.message);
+        }
+    }
+
+    /**
+     * Aplica la misma decision de moderacion a varias resenas; si falta alguna no se modifica ninguna
+     * @param {Array} reviewIds - IDs de las resenas
+     * @param {Object} decision - Decision ({ status, rejection_reason })
+     * @param {number} moderatorId - ID del administrador
+     * @returns {Object} Resumen ({ status, updated, review_ids })
+     */
+    static async bulkModerateReviews(reviewIds, decision, moderatorId) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const reviews = await Review.findAll({
+                where: { id: reviewIds },
+                attributes: ['id', 'product_id'],
+                transaction
+            });
+
+            if (reviews.length !== reviewIds.length) {
+                const found = new Set(reviews.map(review => review.id));
+                const missing = reviewIds.filter(id => !found.has(id));
+                throw new NotFoundError(`Resenas no encontradas: ${missing.join(', ')}`);
+            }
+
+            await this.applyModeration(reviews, decision, moderatorId, transaction);
+
+            await transaction.commit();
+
+            return {
+                status: decision.status,
+                updated: reviews.length,
+                review_ids: reviewIds
+            };
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al moderar resenas: ' + error.message);
+        }
+    }
+
+    /**
+     * Registra la denuncia de un cliente sobre una resena publicada
+     * Al llegar a REVIEW_REPORT_THRESHOLD denuncias la resena vuelve a la cola de moderacion
+     * @param {number} reviewId - ID de la resena
+     * @param {number} userId - ID del usuario que denuncia
+     * @param {Object} reportData - Datos de la denuncia ({ reason, details })
+     * @returns {Object} Denuncia creada
+     */
+    static async reportReview(reviewId, userId, reportData) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const review = await Review.findByPk(reviewId, { transaction });
+            if (!review || !review.isPublic()) {
+                throw new NotFoundError('Resena no encontrada');
+            }
+
+            if (review.user_id === userId) {
+                throw new ValidationError('No puedes denunciar tu propia resena');
+            }
+
+            const existing = await ReviewReport.findOne({
+                where: { review_id: reviewId, user_id: userId },
+                transaction
+            });
+            if (existing) {
+                throw new ConflictError('Ya denunciaste esta resena');
+            }
+
+            const report = await ReviewReport.create({
+                review_id: reviewId,
+                user_id: userId,
+                reason: reportData.reason,
+                details: reportData.details || null
+            }, { transaction });
+
+            const reportCount = review.report_count + 1;
+            const changes = { report_count: reportCount };
+            if (reportCount >= REPORT_THRESHOLD) {
+                changes.status = 'pending';
+                changes.is_flagged = true;
+            }
+            await review.update(changes, { transaction });
+
+            if (changes.status) {
+                await this.updateProductAverageRating(review.product_id, transaction);
+            }
+
+            await transaction.commit();
+
+            return report;
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof ValidationError ||
+                error instanceof NotFoundError ||
+                error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al denunciar resena: ' + error.message);
+        }
+    }
+
+    /**
+     * Recalcula los conteos de votos y la puntuacion de utilidad de una resena
+     * @param {Object} review - Resena
+     * @param {Object} transaction - Transaccion en curso
+     */
+    static async refreshHelpfulness(review, transaction) {
+        const [helpfulCount, notHelpfulCount] = await Promise.all([
+            ReviewVote.count({ where: { review_id: review.id, is_helpful: true }, transaction }),
+            ReviewVote.count({ where: { review_id: review.id, is_helpful: false }, transaction })
+        ]);
+
+        await review.update({
+            helpful_count: helpfulCount,
+            not_helpful_count: notHelpfulCount,
+            helpfulness_score: wilsonLowerBound(helpfulCount, helpfulCount + notHelpfulCount)
+        }, { transaction, silent: true });
+    }
+
+    /**
+     * Resumen de votos de una resena para responder a quien vota
+     * @param {Object} review - Resena
+     * @param {boolean|null} userVote - Voto actual del usuario
+     * @returns {Object} Resumen de votos
+     */
+    static formatVoteSummary(review, userVote) {
+        return {
+            review_id: review.id,
+            user_vote: userVote,
+            helpful_count: review.helpful_count,
+            not_helpful_count: review.not_helpful_count,
+            helpfulness_score: review.helpfulness_score
+        };
+    }
+
+    /**
+     * Registra o cambia el voto de utilidad de un usuario sobre una resena publicada
+     * Cada usuario tiene un voto por resena y no puede votar las suyas
+     * @param {number} reviewId - ID de la resena
+     * @param {number} userId - ID del usuario que vota
+     * @param {boolean} isHelpful - True si la resena le resulto util
+     * @returns {Object} Resumen de votos de la resena
+     */
+    static async voteReview(reviewId, userId, isHelpful) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const review = await Review.findByPk(reviewId, { transaction });
+            if (!review || !review.isPublic()) {
+                throw new NotFoundError('Resena no encontrada');
+            }
+
+            if (review.user_id === userId) {
+                throw new ValidationError('No puedes votar tu propia resena');
+            }
+
+            const existing = await ReviewVote.findOne({
+                where: { review_id: reviewId, user_id: userId },
+                transaction
+            });
+
+            if (!existing) {
+                await ReviewVote.create({
+                    review_id: reviewId,
+                    user_id: userId,
+                    is_helpful: isHelpful
+                }, { transaction });
+            } else if (existing.is_helpful !== isHelpful) {
+                await existing.update({ is_helpful: isHelpful }, { transaction });
+            }
+
+            await this.refreshHelpfulness(review, transaction);
+
+            await transaction.commit();
+
+            return this.formatVoteSummary(review, isHelpful);
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al votar resena: ' + error.message);
+        }
+    }
+
+    /**
+     * Retira el voto de utilidad de un usuario sobre una resena
+     * @param {number} reviewId - ID de la resena
+     * @param {number} userId - ID del usuario
+     * @returns {Object} Resumen de votos de la resena
+     */
+    static async removeVote(reviewId, userId) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const vote = await ReviewVote.findOne({
+                where: { review_id: reviewId, user_id: userId },
+                transaction
+            });
+            if (!vote) {
+                throw new NotFoundError('Voto no encontrado');
+            }
+
+            await vote.destroy({ transaction });
+
+            const review = await Review.findByPk(reviewId, { transaction });
+            await this.refreshHelpfulness(review, transaction);
+
+            await transaction.commit();
+
+            return this.formatVoteSummary(review, null);
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al retirar voto: ' + error.message);
+        }
+    }
 }
 
 module.exports = ReviewService;
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { Transaction } = require('sequelize');
+const { Session } = require('../models');
+const { sequelize } = require('../config/database');
+const { AuthenticationError, NotFoundError } = require('../utils/errors');
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+
+class SessionService {
+    /**
+     * Crea una sesion nueva (o un nuevo token dentro de una familia existente)
+     * @param {number} userId - ID del usuario
+     * @param {Object} context - Datos del dispositivo ({ userAgent, ipAddress })
+     * @param {string} familyId - Familia del token (se genera si no se indica)
+     * @param {Object} options - Opciones de Sequelize ({ transaction })
+     * @returns {Object} Sesion creada y refresh token en claro
+     */
+    static async createSession(userId, context = {}, familyId = null, options = {}) {
+        try {
+            const refreshToken = crypto.randomBytes(48).toString('hex');
+
+            const session = await Session.create({
+                user_id: userId,
+                family_id: familyId || crypto.randomUUID(),
+                token_hash: Session.hashToken(refreshToken),
+                user_agent: context.userAgent ? context.userAgent.substring(0, 255) : null,
+                ip_address: context.ipAddress || null,
+                expires_at: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+                last_used_at: new Date()
+            }, options);
+
+            return { session, refreshToken };
+        } catch (error) {
+            throw new Error('Error al crear sesion: ' + error.message);
+        }
+    }
+
+    /**
+     * Rota un refresh token: revoca el actual y emite uno nuevo en la misma familia
+     * Si se presenta un token ya rotado se asume robo y se revoca toda la familia
+     * La revocacion es condicional: si dos rotaciones usan el mismo token a la vez, solo una
+     * lo revoca y la otra se trata como reutilizacion
+     * @param {string} refreshToken - Refresh token en claro
+     * @param {Object} context - Datos del dispositivo ({ userAgent, ipAddress })
+     * @returns {Object} Nueva sesion y refresh token en claro
+     */
+    static async rotateSession(refreshToken, context = {}) {
+        // En SQLite la transaccion toma el bloqueo de escritura al empezar, asi una rotacion
+        // concurrente espera y luego encuentra el token ya rotado
+        const transaction = await sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE });
+
+        try {
+            const current = await Session.findByToken(refreshToken, { transaction });
+
+            if (!current) {
+                throw new AuthenticationError('Refresh token invalido');
+            }
+
+            let reused = current.revoked_reason === 'rotated';
+
+            if (!reused) {
+                if (!current.isActive()) {
+                    throw new AuthenticationError('Refresh token invalido o expirado');
+                }
+
+                const [revoked] = await Session.update({
+                    revoked_at: new Date(),
+                    revoked_reason: 'rotated'
+                }, {
+                    where: { id: current.id, revoked_at: null },
+                    transaction
+                });
+                reused = revoked === 0;
+            }
+
+            if (reused) {
+                await Session.revokeFamily(current.family_id, 'reuse_detected', { transaction });
+                await transaction.commit();
+                throw new AuthenticationError('Refresh token reutilizado. La sesion fue revocada');
+            }
+
+            const result = await this.createSession(current.user_id, {
+                userAgent: context.userAgent || current.user_agent,
+                ipAddress: context.ipAddress || current.ip_address
+            }, current.family_id, { transaction });
+
+            await transaction.commit();
+
+            return result;
+        } catch (error) {
+            // La revocacion de la familia por reutilizacion ya quedo confirmada
+            if (!transaction.finished) {
+                await transaction.rollback();
+            }
+            if (error instanceof AuthenticationError) {
+                throw error;
+            }
+            throw new Error('Error al rotar sesion: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene las sesiones activas (dispositivos) de un usuario
+     * @param {number} userId - ID del usuario
+     * @param {string} currentSessionId - Familia de la sesion actual
+     * @returns {Array} Sesiones activas
+     */
+    static async getActiveSessions(userId, currentSessionId = null) {
+        try {
+            const sessions = await Session.findActiveByUser(userId);
+
+            return sessions.map(session => ({
+                ...session.toPublicJSON(),
+                current: session.family_id === currentSessionId
+            }));
+        } catch (error) {
+            throw new Error('Error al obtener sesiones: ' + error.message);
+        }
+    }
+
+    /**
+     * Verifica si una sesion sigue activa
+     * @param {string} sessionId - Familia de la sesion
+     * @returns {boolean} true si la sesion esta activa
+     */
+    static async isSessionActive(sessionId) {
+        try {
+            return await Session.isFamilyActive(sessionId);
+        } catch (error) {
+            throw new Error('Error al verificar sesion: ' + error.message);
+        }
+    }
+
+    /**
+     * Revoca una sesion del usuario
+     * @param {number} userId - ID del usuario
+     * @param {string} sessionId - Familia de la sesion
+     * @param {string} reason - Motivo de la revocacion
+     * @returns {Object} Confirmacion de revocacion
+     */
+    static async revokeSession(userId, sessionId, reason = 'revoked') {
+        try {
+            const session = await Session.findOne({
+                where: { user_id: userId, family_id: sessionId, revoked_at: null }
+            });
+
+            if (!session) {
+                throw new NotFoundError('Sesion no encontrada');
+            }
+
+            await Session.revokeFamily(sessionId, reason);
+
+            return { message: 'Sesion revocada exitosamente' };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al revocar sesion: ' + error.message);
+        }
+    }
+
+    /**
+     * Revoca la sesion a la que pertenece un refresh token
+     * @param {string} refreshToken - Refresh token en claro
+     * @param {string} reason - Motivo de la revocacion
+     * @returns {Object} Confirmacion de revocacion
+     */
+    static async revokeSessionByToken(refreshToken, reason = 'revoked') {
+        try {
+            const session = await Session.findByToken(refreshToken);
+
+            if (!session) {
+                throw new NotFoundError('Sesion no encontrada');
+            }
+
+            await Session.revokeFamily(session.family_id, reason);
+
+            return { message: 'Sesion revocada exitosamente' };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al revocar sesion: ' + error.message);
+        }
+    }
+
+    /**
+     * Revoca todas las sesiones de un usuario
+     * @param {number} userId - ID del usuario
+     * @param {string} reason - Motivo de la revocacion
+     * @returns {number} Cantidad de tokens revocados
+     */
+    static async revokeAllSessions(userId, reason = 'revoked') {
+        try {
+            return await Session.revokeAllForUser(userId, reason);
+        } catch (error) {
+            throw new Error('Error al revocar sesiones: ' + error.message);
+        }
+    }
+}
+
+module.exports = SessionService;
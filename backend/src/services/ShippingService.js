@@ -0,0 +1,347 @@
+const { Op } = require('sequelize');
+const { ShippingZone, ShippingZoneLocation, ShippingMethod, Product, ProductVariant } = require('../models');
+const { parseAddress } = require('../utils/address');
+const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errors');
+const { sequelize } = require('../config/database');
+const { roundAmount } = require('../utils/money');
+
+class ShippingService {
+    /**
+     * Lista las zonas de envio con sus ubicaciones y metodos
+     * @returns {Array} Zonas de envio
+     */
+    static async listZones() {
+        try {
+            return await ShippingZone.findAll({
+                include: [
+                    { model: ShippingZoneLocation, as: 'locations', attributes: ['id', 'country', 'region'] },
+                    { model: ShippingMethod, as: 'methods' }
+                ],
+                order: [['name', 'ASC'], [{ model: ShippingMethod, as: 'methods' }, 'base_rate', 'ASC']]
+            });
+        } catch (error) {
+            throw new Error('Error al listar zonas de envio: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene una zona de envio por ID
+     * @param {number} zoneId - ID de la zona
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Object} Zona con ubicaciones y metodos
+     */
+    static async getZoneById(zoneId, transaction = null) {
+        try {
+            const zone = await ShippingZone.findByPk(zoneId, {
+                include: [
+                    { model: ShippingZoneLocation, as: 'locations', attributes: ['id', 'country', 'region'] },
+                    { model: ShippingMethod, as: 'methods' }
+                ],
+                transaction
+            });
+
+            if (!zone) {
+                throw new NotFoundError('Zona de envio no encontrada');
+            }
+
+            return zone;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener zona de envio: ' + error.message);
+        }
+    }
+
+    /**
+     * Reemplaza las ubicaciones de una zona y, si es la zona por defecto, desmarca las demas
+     * @param {Object} zone - Zona de envio
+     * @param {Object} zoneData - Datos validados ({ locations, is_default })
+     * @param {Object} transaction - Transaccion de base de datos
+     */
+    static async syncZoneDetails(zone, zoneData, transaction) {
+        if (zoneData.locations !== undefined) {
+            await ShippingZoneLocation.destroy({ where: { zone_id: zone.id }, transaction });
+            for (const location of zoneData.locations) {
+                await ShippingZoneLocation.create({
+                    zone_id: zone.id,
+                    country: location.country,
+                    region: location.region || null
+                }, { transaction });
+            }
+        }
+
+        if (zoneData.is_default) {
+            await ShippingZone.update(
+                { is_default: false },
+                { where: { is_default: true, id: { [Op.ne]: zone.id } }, transaction }
+            );
+        }
+    }
+
+    /**
+     * Crea una zona de envio con sus ubicaciones
+     * @param {Object} zoneData - Datos validados ({ name, is_default, is_active, locations })
+     * @returns {Object} Zona creada
+     */
+    static async createZone(zoneData) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { locations, ...fields } = zoneData;
+            const zone = await ShippingZone.create(fields, { transaction });
+            await this.syncZoneDetails(zone, zoneData, transaction);
+
+            await transaction.commit();
+            return await this.getZoneById(zone.id);
+        } catch (error) {
+            await transaction.rollback();
+            throw new Error('Error al crear zona de envio: ' + error.message);
+        }
+    }
+
+    /**
+     * Actualiza una zona de envio; si se envian ubicaciones reemplazan a las anteriores
+     * @param {number} zoneId - ID de la zona
+     * @param {Object} zoneData - Datos validados a actualizar
+     * @returns {Object} Zona actualizada
+     */
+    static async updateZone(zoneId, zoneData) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const zone = await this.getZoneById(zoneId, transaction);
+            const { locations, ...fields } = zoneData;
+
+            await zone.update(fields, { transaction });
+            await this.syncZoneDetails(zone, zoneData, transaction);
+
+            await transaction.commit();
+            return await this.getZoneById(zoneId);
+        } catch (error) {
+            await transaction.rollback();
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al actualizar zona de envio: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina una zona de envio con sus metodos (los pedidos conservan el costo cobrado)
+     * @param {number} zoneId - ID de la zona
+     */
+    static async deleteZone(zoneId) {
+        try {
+            const zone = await this.getZoneById(zoneId);
+            await zone.destroy();
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al eliminar zona de envio: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene un metodo de envio por ID
+     * @param {number} methodId - ID del metodo
+     * @returns {Object} Metodo encontrado
+     */
+    static async getMethodById(methodId) {
+        try {
+            const method = await ShippingMethod.findByPk(methodId);
+            if (!method) {
+                throw new NotFoundError('Metodo de envio no encontrado');
+            }
+            return method;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener metodo de envio: ' + error.message);
+        }
+    }
+
+    /**
+     * Crea un metodo de envio en una zona
+     * @param {Object} methodData - Datos validados del metodo
+     * @returns {Object} Metodo creado
+     */
+    static async createMethod(methodData) {
+        try {
+            const zone = await ShippingZone.findByPk(methodData.zone_id);
+            if (!zone) {
+                throw new ValidationError('Zona de envio no encontrada');
+            }
+
+            return await ShippingMethod.create(methodData);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error('Error al crear metodo de envio: ' + error.message);
+        }
+    }
+
+    /**
+     * Actualiza un metodo de envio
+     * @param {number} methodId - ID del metodo
+     * @param {Object} methodData - Datos validados a actualizar
+     * @returns {Object} Metodo actualizado
+     */
+    static async updateMethod(methodId, methodData) {
+        try {
+            const method = await this.getMethodById(methodId);
+
+            if (methodData.zone_id !== undefined) {
+                const zone = await ShippingZone.findByPk(methodData.zone_id);
+                if (!zone) {
+                    throw new ValidationError('Zona de envio no encontrada');
+                }
+            }
+
+            await method.update(methodData);
+            return method;
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al actualizar metodo de envio: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina un metodo de envio
+     * @param {number} methodId - ID del metodo
+     */
+    static async deleteMethod(methodId) {
+        try {
+            const method = await this.getMethodById(methodId);
+            await method.destroy();
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al eliminar metodo de envio: ' + error.message);
+        }
+    }
+
+    /**
+     * Formatea un metodo de envio con su costo para la respuesta
+     */
+    static toMethodQuote(method, cost) {
+        return {
+            id: method.id,
+            name: method.name,
+            description: method.description,
+            rate_type: method.rate_type,
+            cost,
+            min_delivery_days: method.min_delivery_days,
+            max_delivery_days: method.max_delivery_days
+        };
+    }
+
+    /**
+     * Obtiene los metodos disponibles para un destino con su costo
+     * @param {Object} address - Direccion normalizada ({ country, region })
+     * @param {Object} parcel - Envio ({ goodsAmount, weight })
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Object} { zone, methods } (zone es null si ninguna zona cubre el destino)
+     */
+    static async getAvailableMethods(address, parcel, transaction = null) {
+        const zone = await ShippingZone.findForDestination(address.country, address.region, { transaction });
+        if (!zone) {
+            return { zone: null, methods: [] };
+        }
+
+        const methods = await ShippingMethod.findAll({
+            where: { zone_id: zone.id, is_active: true },
+            order: [['base_rate', 'ASC'], ['id', 'ASC']],
+            transaction
+        });
+
+        return {
+            zone,
+            methods: methods
+                .filter(method => method.acceptsWeight(parcel.weight))
+                .map(method => ({ method, cost: method.calculateCost(parcel.goodsAmount, parcel.weight) }))
+        };
+    }
+
+    /**
+     * Calcula el costo del metodo elegido para un pedido
+     * @param {number} methodId - ID del metodo elegido
+     * @param {Object} address - Direccion normalizada ({ country, region })
+     * @param {Object} parcel - Envio ({ goodsAmount, weight })
+     * @param {Object} transaction - Transaccion de base de datos (opcional)
+     * @returns {Object} { method, cost }
+     */
+    static async calculateShipping(methodId, address, parcel, transaction = null) {
+        const { methods } = await this.getAvailableMethods(address, parcel, transaction);
+        const selected = methods.find(option => option.method.id === methodId);
+
+        if (!selected) {
+            throw new BusinessLogicError('El metodo de envio seleccionado no esta disponible para esta direccion');
+        }
+
+        return selected;
+    }
+
+    /**
+     * Cotiza el envio de una lista de items a un destino
+     * El envio gratis por monto minimo se evalua con el precio de lista (sin cupones)
+     * Las variantes con precio o peso propio reemplazan los del producto
+     * @param {Array} items - Items ({ product_id, variant_id, quantity })
+     * @param {Object|string} destination - Direccion estructurada o texto
+     * @returns {Object} Cotizacion con los metodos disponibles
+     */
+    static async quote(items, destination) {
+        try {
+            const address = parseAddress(destination);
+            let goodsAmount = 0;
+            let weight = 0;
+
+            for (const item of items) {
+                const product = await Product.findByPk(item.product_id);
+                if (!product || !product.is_active) {
+                    throw new NotFoundError(`Producto con ID ${item.product_id} no encontrado`);
+                }
+
+                let variant = null;
+                if (item.variant_id) {
+                    variant = await ProductVariant.findByPk(item.variant_id);
+                    if (!variant || variant.product_id !== product.id || !variant.is_active) {
+                        throw new NotFoundError(`Variante con ID ${item.variant_id} no encontrada`);
+                    }
+                }
+
+                const unitPrice = variant ? variant.getUnitPrice(product) : parseFloat(product.price);
+                const unitWeight = variant ? variant.getShippingWeight(product) : product.getShippingWeight();
+                goodsAmount += unitPrice * item.quantity;
+                weight += unitWeight * item.quantity;
+            }
+
+            const parcel = {
+                goodsAmount: roundAmount(goodsAmount),
+                weight: Math.round(weight * 1000) / 1000
+            };
+            const { zone, methods } = await this.getAvailableMethods(address, parcel);
+
+            return {
+                destination: { country: address.country, region: address.region },
+                zone: zone ? { id: zone.id, name: zone.name } : null,
+                goods_amount: parcel.goodsAmount,
+                weight: parcel.weight,
+                methods: methods.map(({ method, cost }) => this.toMethodQuote(method, cost))
+            };
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al cotizar envio: ' + error.message);
+        }
+    }
+}
+
+module.exports = ShippingService;
@@ -0,0 +1,215 @@
+const { Op } = require('sequelize');
+const { TaxRate } = require('../models');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { roundAmount } = require('../utils/money');
+
+// Indica si los precios de catalogo ya incluyen impuestos (IVA incluido) o se suman al cobrar
+const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX === 'true';
+
+class TaxService {
+    /**
+     * Indica el modo de precios configurado
+     * @returns {boolean} true si los precios incluyen impuestos
+     */
+    static pricesIncludeTax() {
+        return PRICES_INCLUDE_TAX;
+    }
+
+    /**
+     * Lista las tasas de impuesto con filtros opcionales
+     * @param {Object} filters - Filtros ({ country, tax_class, is_active })
+     * @returns {Array} Tasas de impuesto
+     */
+    static async listTaxRates(filters = {}) {
+        try {
+            const whereClause = {};
+
+            if (filters.country) {
+                whereClause.country = filters.country.toUpperCase();
+            }
+            if (filters.tax_class) {
+                whereClause.tax_class = filters.tax_class;
+            }
+            if (filters.is_active !== undefined && filters.is_active !== null) {
+                whereClause.is_active = filters.is_active;
+            }
+
+            return await TaxRate.findAll({
+                where: whereClause,
+                order: [['country', 'ASC'], ['region', 'ASC'], ['tax_class', 'ASC']]
+            });
+        } catch (error) {
+            throw new Error('Error al listar tasas de impuesto: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene una tasa de impuesto por ID
+     * @param {number} taxRateId - ID de la tasa
+     * @returns {Object} Tasa encontrada
+     */
+    static async getTaxRateById(taxRateId) {
+        try {
+            const taxRate = await TaxRate.findByPk(taxRateId);
+            if (!taxRate) {
+                throw new NotFoundError('Tasa de impuesto no encontrada');
+            }
+            return taxRate;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener tasa de impuesto: ' + error.message);
+        }
+    }
+
+    /**
+     * Verifica que no exista otra tasa para el mismo pais, region y clase
+     * (la restriccion UNIQUE de la base no cubre las tasas con region NULL)
+     * @param {Object} data - Pais, region y clase ({ country, region, tax_class })
+     * @param {number} excludeId - ID de la tasa que se esta editando (opcional)
+     */
+    static async assertUniqueRate(data, excludeId = null) {
+        const whereClause = {
+            country: data.country.toUpperCase(),
+            region: data.region || null,
+            tax_class: data.tax_class
+        };
+        if (excludeId) {
+            whereClause.id = { [Op.ne]: excludeId };
+        }
+
+        const existing = await TaxRate.findOne({ where: whereClause });
+        if (existing) {
+            throw new ConflictError('Ya existe una tasa para ese pais, region y clase de impuesto');
+        }
+    }
+
+    /**
+     * Crea una tasa de impuesto
+     * @param {Object} taxRateData - Datos validados de la tasa
+     * @returns {Object} Tasa creada
+     */
+    static async createTaxRate(taxRateData) {
+        try {
+            await this.assertUniqueRate(taxRateData);
+            return await TaxRate.create(taxRateData);
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al crear tasa de impuesto: ' + error.message);
+        }
+    }
+
+    /**
+     * Actualiza una tasa de impuesto
+     * Los pedidos ya creados conservan la tasa con la que se calcularon
+     * @param {number} taxRateId - ID de la tasa
+     * @param {Object} updateData - Datos validados a actualizar
+     * @returns {Object} Tasa actualizada
+     */
+    static async updateTaxRate(taxRateId, updateData) {
+        try {
+            const taxRate = await this.getTaxRateById(taxRateId);
+
+            if (updateData.country !== undefined || updateData.region !== undefined || updateData.tax_class !== undefined) {
+                await this.assertUniqueRate({
+                    country: updateData.country || taxRate.country,
+                    region: updateData.region !== undefined ? updateData.region : taxRate.region,
+                    tax_class: updateData.tax_class || taxRate.tax_class
+                }, taxRateId);
+            }
+
+            await taxRate.update(updateData);
+            return taxRate;
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al actualizar tasa de impuesto: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina una tasa de impuesto (las lineas de impuesto de pedidos conservan nombre y tasa)
+     * @param {number} taxRateId - ID de la tasa
+     */
+    static async deleteTaxRate(taxRateId) {
+        try {
+            const taxRate = await this.getTaxRateById(taxRateId);
+            await taxRate.destroy();
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al eliminar tasa de impuesto: ' + error.message);
+        }
+    }
+
+    /**
+     * Calcula los impuestos de las lineas de un pedido segun la direccion de envio
+     * El impuesto se calcula sobre el importe de cada linea ya descontado
+     * El envio no forma parte de la base imponible: se cobra aparte y sin impuesto
+     * (shipping_amount del pedido), asi neto + impuesto = importe bruto de los productos
+     * @param {Array} lines - Lineas ({ tax_class, line_total, discount_amount })
+     * @param {Object} address - Direccion normalizada ({ country, region })
+     * @param {Object} options - Opciones ({ pricesIncludeTax, transaction })
+     * @returns {Object} Totales ({ pricesIncludeTax, netAmount, taxAmount, grossAmount, lines })
+     */
+    static async calculateTax(lines, address, options = {}) {
+        const {
+            pricesIncludeTax = PRICES_INCLUDE_TAX,
+            transaction = null
+        } = options;
+        const rateCache = new Map();
+        const taxedLines = [];
+
+        for (const line of lines) {
+            const taxClass = line.tax_class || 'standard';
+            if (!rateCache.has(taxClass)) {
+                rateCache.set(taxClass, await TaxRate.findApplicable(
+                    address.country,
+                    address.region,
+                    taxClass,
+                    { transaction }
+                ));
+            }
+
+            const taxRate = rateCache.get(taxClass);
+            const rate = taxRate ? taxRate.rate : 0;
+            const amount = roundAmount(line.line_total - (line.discount_amount || 0));
+
+            let netAmount;
+            let taxAmount;
+            if (pricesIncludeTax) {
+                taxAmount = roundAmount(amount * rate / (1 + rate));
+                netAmount = roundAmount(amount - taxAmount);
+            } else {
+                netAmount = amount;
+                taxAmount = roundAmount(amount * rate);
+            }
+
+            taxedLines.push({
+                tax_rate_id: taxRate ? taxRate.id : null,
+                name: taxRate ? taxRate.name : null,
+                rate,
+                net_amount: netAmount,
+                tax_amount: taxAmount,
+                gross_amount: roundAmount(netAmount + taxAmount)
+            });
+        }
+
+        const sum = (field) => roundAmount(taxedLines.reduce((total, line) => total + line[field], 0));
+
+        return {
+            pricesIncludeTax,
+            netAmount: sum('net_amount'),
+            taxAmount: sum('tax_amount'),
+            grossAmount: sum('gross_amount'),
+            lines: taxedLines
+        };
+    }
+}
+
+module.exports = TaxService;
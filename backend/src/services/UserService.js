@@ -1,6 +1,10 @@
 const { User } = require('../models');
 const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
 const { Op } = require('sequelize');
+const SessionService = require('./SessionService');
+
+// Campos permitidos para ordenar el listado de usuarios
+const USER_SORT_FIELDS = ['created_at', 'updated_at', 'last_login', 'username', 'email', 'first_name', 'last_name', 'role'];
 
 class UserService {
     /**
@@ -128,6 +132,8 @@ class UserService {
                 search = '',
                 role = '',
                 is_active = null,
+                registeredFrom = null,
+                registeredTo = null,
                 sortBy = 'created_at',
                 sortOrder = 'DESC'
             } = options;
@@ -138,10 +144,10 @@ class UserService {
             // Filtros
             if (search) {
                 whereClause[Op.or] = [
-                                    { username: { [Op.like]: `%${search}%` } },
-                { email: { [Op.like]: `%${search}%` } },
-                { first_name: { [Op.like]: `%${search}%` } },
-                { last_name: { [Op.like]: `%${search}%` } }
+                    { username: { [Op.like]: `%${search}%` } },
+                    { email: { [Op.like]: `%${search}%` } },
+                    { first_name: { [Op.like]: `%${search}%` } },
+                    { last_name: { [Op.like]: `%${search}%` } }
                 ];
             }
 
@@ -153,10 +159,24 @@ class UserService {
                 whereClause.is_active = is_active;
             }
 
+            // Filtro por fecha de registro
+            if (registeredFrom || registeredTo) {
+                whereClause.created_at = {};
+                if (registeredFrom) {
+                    whereClause.created_at[Op.gte] = registeredFrom;
+                }
+                if (registeredTo) {
+                    whereClause.created_at[Op.lte] = registeredTo;
+                }
+            }
+
+            const orderField = USER_SORT_FIELDS.includes(sortBy) ? sortBy : 'created_at';
+            const orderDirection = String(sortOrder).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
             const { count, rows } = await User.findAndCountAll({
                 where: whereClause,
-                attributes: { exclude: ['password', 'reset_token', 'reset_token_expires'] },
-                order: [[sortBy, sortOrder]],
+                attributes: { exclude: ['password', 'reset_token', 'reset_token_expires', 'token_version'] },
+                order: [[orderField, orderDirection]],
                 limit: parseInt(limit),
                 offset: parseInt(offset)
             });
@@ -203,6 +223,12 @@ class UserService {
             }
 
             await user.update({ is_active: isActive });
+
+            // Un usuario desactivado pierde todas sus sesiones
+            if (!isActive) {
+                await SessionService.revokeAllSessions(user.id, 'account_deactivated');
+            }
+
             return user.toPublicJSON();
         } catch (error) {
             if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof AuthorizationError) {
@@ -241,6 +267,10 @@ class UserService {
             }
 
             await user.update({ role: newRole });
+
+            // Forzar nuevo inicio de sesion para que los tokens reflejen el nuevo rol
+            await SessionService.revokeAllSessions(user.id, 'revoked');
+
             return user.toPublicJSON();
         } catch (error) {
             if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof AuthorizationError) {
@@ -0,0 +1,525 @@
+const { Wishlist, WishlistItem, Product, ProductVariant, Inventory, User } = require('../models');
+const NotificationService = require('./NotificationService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { Op } = require('sequelize');
+const { roundAmount } = require('../utils/money');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Producto con el inventario necesario para saber si tiene stock
+const productStockInclude = {
+    model: Product,
+    as: 'product',
+    attributes: ['id', 'name', 'sku', 'price', 'image_url', 'is_active'],
+    include: [
+        { model: Inventory, as: 'inventory' },
+        {
+            model: ProductVariant,
+            as: 'variants',
+            required: false,
+            include: [{ model: Inventory, as: 'inventory' }]
+        }
+    ]
+};
+
+/**
+ * Stock disponible que cuenta para un producto: el de sus variantes activas si tiene,
+ * o su inventario propio si no
+ */
+const stockRows = (product) => {
+    const variants = (product.variants || []).filter(variant => variant.is_active);
+    const available = (inventory) => inventory ? inventory.getAvailableQuantity() : 0;
+
+    return variants.length > 0
+        ? variants.map(variant => ({ variant_id: variant.id, available: available(variant.inventory) }))
+        : [{ variant_id: null, available: available(product.inventory) }];
+};
+
+/**
+ * Agrupa los productos guardados por usuario (un aviso por usuario aunque tenga el producto en varias listas)
+ */
+const groupByUser = (items) => {
+    const byUser = new Map();
+    for (const item of items) {
+        const user = item.wishlist.user;
+        if (user.is_active && !byUser.has(user.id)) {
+            byUser.set(user.id, { user, item });
+        }
+    }
+    return [...byUser.values()];
+};
+
+class WishlistService {
+    /**
+     * Da formato a una lista de deseos para la respuesta
+     * @param {Object} wishlist - Lista de deseos
+     * @param {Array} items - Productos ya formateados (opcional)
+     * @returns {Object} Lista formateada
+     */
+    static formatWishlist(wishlist, items = null) {
+        const formatted = {
+            id: wishlist.id,
+            name: wishlist.name,
+            is_public: wishlist.is_public,
+            share_token: wishlist.share_token,
+            share_url: `${FRONTEND_URL}/wishlists/shared/${wishlist.share_token}`,
+            created_at: wishlist.created_at,
+            updated_at: wishlist.updated_at
+        };
+
+        if (items) {
+            formatted.item_count = items.length;
+            formatted.items = items;
+        } else if (wishlist.items) {
+            formatted.item_count = wishlist.items.length;
+        }
+
+        return formatted;
+    }
+
+    /**
+     * Da formato a un producto guardado con su precio actual y disponibilidad
+     * @param {Object} item - Producto guardado con product (e inventario) y variant incluidos
+     * @returns {Object} Producto guardado formateado
+     */
+    static formatItem(item) {
+        const { product, variant } = item;
+        const unitPrice = variant ? variant.getUnitPrice(product) : parseFloat(product.price);
+        const rows = stockRows(product);
+        const available = variant
+            ? (rows.find(row => row.variant_id === variant.id) || { available: 0 }).available
+            : rows.reduce((sum, row) => sum + Math.max(row.available, 0), 0);
+
+        return {
+            id: item.id,
+            product: {
+                id: product.id,
+                name: product.name,
+                sku: product.sku,
+                image_url: product.image_url,
+                is_active: product.is_active
+            },
+            variant: variant ? { id: variant.id, sku: variant.sku } : null,
+            unit_price: unitPrice,
+            price_at_add: item.price_at_add,
+            price_change: roundAmount(unitPrice - item.price_at_add),
+            in_stock: product.is_active && available > 0,
+            notify_back_in_stock: item.notify_back_in_stock,
+            notify_price_drop: item.notify_price_drop,
+            created_at: item.created_at
+        };
+    }
+
+    /**
+     * Obtiene los productos guardados de una lista, formateados
+     * @param {number} wishlistId - ID de la lista
+     * @returns {Array} Productos guardados
+     */
+    static async getItems(wishlistId) {
+        const items = await WishlistItem.findAll({
+            where: { wishlist_id: wishlistId },
+            include: [productStockInclude, { model: ProductVariant, as: 'variant' }],
+            order: [['created_at', 'DESC'], ['id', 'DESC']]
+        });
+
+        return items.map(item => this.formatItem(item));
+    }
+
+    /**
+     * Lista las listas de deseos de un usuario
+     * @param {number} userId - ID del usuario
+     * @returns {Array} Listas con su cantidad de productos
+     */
+    static async listWishlists(userId) {
+        try {
+            const wishlists = await Wishlist.findAll({
+                where: { user_id: userId },
+                include: [{ model: WishlistItem, as: 'items', attributes: ['id'] }],
+                order: [['created_at', 'ASC'], ['id', 'ASC']]
+            });
+
+            return wishlists.map(wishlist => this.formatWishlist(wishlist));
+        } catch (error) {
+            throw new Error('Error al listar listas de deseos: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene una lista de deseos del usuario
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} wishlistId - ID de la lista
+     * @returns {Object} Lista de deseos
+     */
+    static async findWishlist(userId, wishlistId) {
+        const wishlist = await Wishlist.findOne({ where: { id: wishlistId, user_id: userId } });
+        if (!wishlist) {
+            throw new NotFoundError('Lista de deseos no encontrada');
+        }
+        return wishlist;
+    }
+
+    /**
+     * Obtiene una lista de deseos del usuario con sus productos
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} wishlistId - ID de la lista
+     * @returns {Object} Lista con sus productos
+     */
+    static async getWishlist(userId, wishlistId) {
+        try {
+            const wishlist = await this.findWishlist(userId, wishlistId);
+            return this.formatWishlist(wishlist, await this.getItems(wishlist.id));
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener lista de deseos: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene una lista publica por su enlace compartido
+     * @param {string} shareToken - Token del enlace
+     * @returns {Object} Lista con sus productos (sin datos privados del propietario)
+     */
+    static async getSharedWishlist(shareToken) {
+        try {
+            const wishlist = await Wishlist.findOne({
+                where: { share_token: shareToken, is_public: true },
+                include: [{ model: User, as: 'user', attributes: ['first_name'] }]
+            });
+            if (!wishlist) {
+                throw new NotFoundError('Lista de deseos no encontrada');
+            }
+
+            const { share_token, share_url, ...formatted } = this.formatWishlist(wishlist, await this.getItems(wishlist.id));
+            const items = formatted.items
+                .filter(item => item.product.is_active)
+                .map(({ notify_back_in_stock, notify_price_drop, ...item }) => item);
+
+            return {
+                ...formatted,
+                owner: { first_name: wishlist.user.first_name },
+                item_count: items.length,
+                items
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al obtener lista de deseos compartida: ' + error.message);
+        }
+    }
+
+    /**
+     * Verifica que el usuario no tenga otra lista con el mismo nombre
+     * @param {number} userId - ID del usuario
+     * @param {string} name - Nombre de la lista
+     * @param {number} excludeId - ID de la lista a ignorar (al renombrar)
+     */
+    static async assertNameAvailable(userId, name, excludeId = null) {
+        const where = { user_id: userId, name };
+        if (excludeId) {
+            where.id = { [Op.ne]: excludeId };
+        }
+
+        if (await Wishlist.findOne({ where })) {
+            throw new ConflictError('Ya tienes una lista de deseos con ese nombre');
+        }
+    }
+
+    /**
+     * Crea una lista de deseos
+     * @param {number} userId - ID del usuario
+     * @param {Object} data - Datos validados ({ name, is_public })
+     * @returns {Object} Lista creada
+     */
+    static async createWishlist(userId, data) {
+        try {
+            await this.assertNameAvailable(userId, data.name);
+
+            const wishlist = await Wishlist.create({ ...data, user_id: userId });
+            return this.formatWishlist(wishlist, []);
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al crear lista de deseos: ' + error.message);
+        }
+    }
+
+    /**
+     * Actualiza el nombre o la visibilidad de una lista
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} wishlistId - ID de la lista
+     * @param {Object} data - Datos validados ({ name, is_public })
+     * @returns {Object} Lista actualizada con sus productos
+     */
+    static async updateWishlist(userId, wishlistId, data) {
+        try {
+            const wishlist = await this.findWishlist(userId, wishlistId);
+
+            if (data.name !== undefined) {
+                await this.assertNameAvailable(userId, data.name, wishlist.id);
+            }
+
+            await wishlist.update(data);
+            return this.formatWishlist(wishlist, await this.getItems(wishlist.id));
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al actualizar lista de deseos: ' + error.message);
+        }
+    }
+
+    /**
+     * Genera un nuevo enlace compartido; el anterior deja de funcionar
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} wishlistId - ID de la lista
+     * @returns {Object} Lista actualizada
+     */
+    static async regenerateShareToken(userId, wishlistId) {
+        try {
+            const wishlist = await this.findWishlist(userId, wishlistId);
+            await wishlist.update({ share_token: Wishlist.generateShareToken() });
+            return this.formatWishlist(wishlist);
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al regenerar enlace de lista de deseos: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina una lista de deseos con sus productos
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} wishlistId - ID de la lista
+     */
+    static async deleteWishlist(userId, wishlistId) {
+        try {
+            const wishlist = await this.findWishlist(userId, wishlistId);
+            await WishlistItem.destroy({ where: { wishlist_id: wishlist.id } });
+            await wishlist.destroy();
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al eliminar lista de deseos: ' + error.message);
+        }
+    }
+
+    /**
+     * Agrega un producto (o una variante) a una lista
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} wishlistId - ID de la lista
+     * @param {Object} data - Datos validados ({ product_id, variant_id, notify_back_in_stock, notify_price_drop })
+     * @returns {Object} Producto guardado
+     */
+    static async addItem(userId, wishlistId, data) {
+        try {
+            const wishlist = await this.findWishlist(userId, wishlistId);
+
+            const product = await Product.findOne({ where: { id: data.product_id, is_active: true } });
+            if (!product) {
+                throw new NotFoundError('Producto no encontrado');
+            }
+
+            let variant = null;
+            if (data.variant_id) {
+                variant = await ProductVariant.findOne({
+                    where: { id: data.variant_id, product_id: product.id, is_active: true }
+                });
+                if (!variant) {
+                    throw new ValidationError('La variante no pertenece al producto o no esta disponible');
+                }
+            }
+
+            const existing = await WishlistItem.findOne({
+                where: { wishlist_id: wishlist.id, product_id: product.id, variant_id: data.variant_id }
+            });
+            if (existing) {
+                throw new ConflictError('El producto ya esta en la lista de deseos');
+            }
+
+            const item = await WishlistItem.create({
+                ...data,
+                wishlist_id: wishlist.id,
+                price_at_add: variant ? variant.getUnitPrice(product) : product.price
+            });
+
+            return await this.getItem(wishlist.id, item.id);
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error('Error al agregar producto a la lista de deseos: ' + error.message);
+        }
+    }
+
+    /**
+     * Obtiene un producto guardado de una lista, formateado
+     * @param {number} wishlistId - ID de la lista
+     * @param {number} itemId - ID del producto guardado
+     * @returns {Object} Producto guardado
+     */
+    static async getItem(wishlistId, itemId) {
+        const item = await WishlistItem.findOne({
+            where: { id: itemId, wishlist_id: wishlistId },
+            include: [productStockInclude, { model: ProductVariant, as: 'variant' }]
+        });
+        if (!item) {
+            throw new NotFoundError('Producto no encontrado en la lista de deseos');
+        }
+        return this.formatItem(item);
+    }
+
+    /**
+     * Actualiza las suscripciones de aviso de un producto guardado
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} wishlistId - ID de la lista
+     * @param {number} itemId - ID del producto guardado
+     * @param {Object} data - Datos validados ({ notify_back_in_stock, notify_price_drop })
+     * @returns {Object} Producto guardado
+     */
+    static async updateItem(userId, wishlistId, itemId, data) {
+        try {
+            const wishlist = await this.findWishlist(userId, wishlistId);
+
+            const [updated] = await WishlistItem.update(data, { where: { id: itemId, wishlist_id: wishlist.id } });
+            if (updated === 0) {
+                throw new NotFoundError('Producto no encontrado en la lista de deseos');
+            }
+
+            return await this.getItem(wishlist.id, itemId);
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al actualizar producto de la lista de deseos: ' + error.message);
+        }
+    }
+
+    /**
+     * Quita un producto de una lista
+     * @param {number} userId - ID del usuario propietario
+     * @param {number} wishlistId - ID de la lista
+     * @param {number} itemId - ID del producto guardado
+     */
+    static async removeItem(userId, wishlistId, itemId) {
+        try {
+            const wishlist = await this.findWishlist(userId, wishlistId);
+
+            const removed = await WishlistItem.destroy({ where: { id: itemId, wishlist_id: wishlist.id } });
+            if (removed === 0) {
+                throw new NotFoundError('Producto no encontrado en la lista de deseos');
+            }
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error('Error al quitar producto de la lista de deseos: ' + error.message);
+        }
+    }
+
+    /**
+     * Avisa a los usuarios suscritos que un producto o variante volvio a tener stock
+     * Los suscritos a la variante siempre reciben el aviso; los suscritos al producto solo si
+     * era lo unico sin stock (el producto completo estaba agotado). Un fallo de envio no
+     * interrumpe la operacion de inventario que lo origino
+     * @param {number} productId - ID del producto
+     * @param {number} variantId - ID de la variante repuesta (null = inventario propio del producto)
+     * @returns {number} Cantidad de usuarios notificados
+     */
+    static async notifyBackInStock(productId, variantId = null) {
+        try {
+            const product = await Product.findByPk(productId, { include: productStockInclude.include });
+            if (!product || !product.is_active) {
+                return 0;
+            }
+
+            const rows = stockRows(product);
+            const restocked = rows.find(row => row.variant_id === (variantId || null));
+            if (!restocked || restocked.available <= 0) {
+                return 0;
+            }
+
+            const targets = [];
+            if (variantId) {
+                targets.push({ variant_id: variantId });
+            }
+            if (rows.every(row => row === restocked || row.available <= 0)) {
+                targets.push({ variant_id: null });
+            }
+
+            const items = await WishlistItem.findAll({
+                where: { product_id: productId, notify_back_in_stock: true, [Op.or]: targets },
+                include: [
+                    { model: ProductVariant, as: 'variant' },
+                    { model: Wishlist, as: 'wishlist', include: [{ model: User, as: 'user' }] }
+                ]
+            });
+
+            const recipients = groupByUser(items);
+            for (const { user, item } of recipients) {
+                await NotificationService.sendBackInStock(user, product, item.variant);
+            }
+
+            if (items.length > 0) {
+                await WishlistItem.update(
+                    { back_in_stock_notified_at: new Date() },
+                    { where: { id: { [Op.in]: items.map(item => item.id) } } }
+                );
+            }
+
+            return recipients.length;
+        } catch (error) {
+            console.error('Error al notificar reposicion de stock:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Avisa a los usuarios suscritos que bajo el precio de un producto
+     * Las variantes con precio propio no cambian de precio y se omiten
+     * @param {number} productId - ID del producto
+     * @param {number} previousPrice - Precio anterior del producto
+     * @returns {number} Cantidad de usuarios notificados
+     */
+    static async notifyPriceDrop(productId, previousPrice) {
+        try {
+            const product = await Product.findByPk(productId);
+            const currentPrice = product ? parseFloat(product.price) : null;
+            if (!product || !product.is_active || currentPrice >= previousPrice) {
+                return 0;
+            }
+
+            const items = (await WishlistItem.findAll({
+                where: { product_id: productId, notify_price_drop: true },
+                include: [
+                    { model: ProductVariant, as: 'variant' },
+                    { model: Wishlist, as: 'wishlist', include: [{ model: User, as: 'user' }] }
+                ]
+            })).filter(item => !item.variant || item.variant.price === null);
+
+            const recipients = groupByUser(items);
+            for (const { user } of recipients) {
+                await NotificationService.sendPriceDrop(user, product, previousPrice, currentPrice);
+            }
+
+            if (items.length > 0) {
+                await WishlistItem.update(
+                    { price_drop_notified_at: new Date() },
+                    { where: { id: { [Op.in]: items.map(item => item.id) } } }
+                );
+            }
+
+            return recipients.length;
+        } catch (error) {
+            console.error('Error al notificar baja de precio:', error);
+            return 0;
+        }
+    }
+}
+
+module.exports = WishlistService;
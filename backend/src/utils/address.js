@@ -0,0 +1,167 @@
+const Joi = require('joi');
+const { ValidationError } = require('./errors');
+
+/**
+ * Direcciones postales de pedidos
+ *
+ * Una direccion puede llegar estructurada ({ recipient_name, line1, line2, city, region,
+ * postal_code, country, phone }) o como texto libre (formato anterior). En ambos casos se guarda
+ * como texto en el pedido y se extraen pais y region para calcular impuestos y envio.
+ */
+
+// Campos que se copian de una direccion estructurada al pedido
+const ADDRESS_FIELDS = ['recipient_name', 'line1', 'line2', 'city', 'region', 'postal_code', 'country', 'phone'];
+
+const structuredAddressSchema = Joi.object({
+  recipient_name: Joi.string()
+    .trim()
+    .min(2)
+    .max(150)
+    .allow(null)
+    .messages({
+      'string.empty': 'El nombre del destinatario es requerido',
+      'string.min': 'El nombre del destinatario debe tener al menos 2 caracteres',
+      'string.max': 'El nombre del destinatario no puede exceder 150 caracteres',
+      'any.required': 'El nombre del destinatario es requerido'
+    }),
+  line1: Joi.string()
+    .trim()
+    .min(3)
+    .max(200)
+    .required()
+    .messages({
+      'string.empty': 'La calle de la direccion es requerida',
+      'string.min': 'La calle debe tener al menos 3 caracteres',
+      'string.max': 'La calle no puede exceder 200 caracteres',
+      'any.required': 'La calle de la direccion es requerida'
+    }),
+  line2: Joi.string()
+    .trim()
+    .max(200)
+    .allow('', null)
+    .messages({
+      'string.max': 'La linea 2 de la direccion no puede exceder 200 caracteres'
+    }),
+  city: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'La ciudad es requerida',
+      'string.min': 'La ciudad debe tener al menos 2 caracteres',
+      'string.max': 'La ciudad no puede exceder 100 caracteres',
+      'any.required': 'La ciudad es requerida'
+    }),
+  region: Joi.string()
+    .trim()
+    .max(100)
+    .allow('', null)
+    .messages({
+      'string.max': 'La region no puede exceder 100 caracteres'
+    }),
+  postal_code: Joi.string()
+    .trim()
+    .max(20)
+    .allow('', null)
+    .messages({
+      'string.max': 'El codigo postal no puede exceder 20 caracteres'
+    }),
+  country: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{2}$/)
+    .required()
+    .messages({
+      'string.empty': 'El pais es requerido',
+      'string.pattern.base': 'El pais debe ser un codigo ISO de 2 letras',
+      'any.required': 'El pais es requerido'
+    }),
+  phone: Joi.string()
+    .trim()
+    .pattern(/^\+?[0-9\s()-]{6,30}$/)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'El telefono solo puede contener digitos, espacios, guiones, parentesis y un + inicial'
+    })
+});
+
+/**
+ * Convierte una direccion estructurada en una sola linea de texto
+ */
+const formatAddress = (address) => {
+  const cityLine = [address.postal_code, address.city].filter(Boolean).join(' ');
+  return [address.recipient_name, address.line1, address.line2, cityLine, address.region, address.country]
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * Extrae pais y region de una direccion en texto libre
+ * Se espera el formato "calle, ciudad, region, codigo postal, PAIS"; si el ultimo
+ * segmento no es un codigo de pais de 2 letras no se puede determinar la region
+ */
+const parseAddressText = (text) => {
+  const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+
+  if (parts.length < 2 || !/^[A-Za-z]{2}$/.test(parts[parts.length - 1])) {
+    return { country: null, region: null };
+  }
+
+  const country = parts.pop().toUpperCase();
+
+  // Los segmentos numericos al final son codigos postales, no regiones
+  while (parts.length > 0 && /^\d[\d\s-]*$/.test(parts[parts.length - 1])) {
+    parts.pop();
+  }
+
+  return {
+    country,
+    region: parts.length >= 3 ? parts[parts.length - 1] : null
+  };
+};
+
+/**
+ * Normaliza una direccion de pedido
+ * @param {Object|string} address - Direccion estructurada o texto libre
+ * @returns {Object} Direccion ({ text, country, region, structured })
+ */
+const parseAddress = (address) => {
+  if (address && typeof address === 'object') {
+    const { error, value } = structuredAddressSchema.validate(address);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    return {
+      text: formatAddress(value),
+      country: value.country,
+      region: value.region || null,
+      structured: value
+    };
+  }
+
+  const text = typeof address === 'string' ? address.trim() : '';
+  return {
+    text,
+    ...parseAddressText(text),
+    structured: null
+  };
+};
+
+/**
+ * Extrae los campos de direccion de un objeto (direccion de la libreta o estructurada)
+ */
+const pickAddressFields = (address) => ADDRESS_FIELDS.reduce((fields, field) => {
+  const value = address[field];
+  fields[field] = value === undefined || value === '' ? null : value;
+  return fields;
+}, {});
+
+module.exports = {
+  ADDRESS_FIELDS,
+  parseAddress,
+  pickAddressFields,
+  formatAddress,
+  structuredAddressSchema
+};
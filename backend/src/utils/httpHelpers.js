@@ -0,0 +1,60 @@
+const {
+    ValidationError,
+    AuthenticationError,
+    AuthorizationError,
+    NotFoundError,
+    ConflictError,
+    BusinessLogicError
+} = require('./errors');
+
+// Codigo HTTP de cada error conocido; las reglas de negocio incumplidas se responden como 400
+const ERROR_STATUS_CODES = [
+    [ValidationError, 400],
+    [BusinessLogicError, 400],
+    [AuthenticationError, 401],
+    [AuthorizationError, 403],
+    [NotFoundError, 404],
+    [ConflictError, 409]
+];
+
+/**
+ * Responde un error con el codigo HTTP correspondiente
+ * Los errores no previstos se registran y se responden como 500 sin exponer el detalle
+ * @param {Object} res - Respuesta de Express
+ * @param {Error} error - Error capturado
+ * @param {string} logMessage - Mensaje para el registro de errores no previstos
+ */
+const sendError = (res, error, logMessage) => {
+    const known = ERROR_STATUS_CODES.find(([ErrorClass]) => error instanceof ErrorClass);
+    if (known) {
+        return res.status(known[1]).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    console.error(logMessage, error);
+    res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor'
+    });
+};
+
+/**
+ * Valida que un parametro de ruta sea un ID positivo
+ * @param {*} value - Valor del parametro
+ * @param {string} message - Mensaje del error de validacion
+ * @returns {number} ID numerico
+ */
+const parseId = (value, message) => {
+    const id = parseInt(value);
+    if (isNaN(id) || id <= 0) {
+        throw new ValidationError(message);
+    }
+    return id;
+};
+
+module.exports = {
+    sendError,
+    parseId
+};
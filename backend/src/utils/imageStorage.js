@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Almacenamiento en disco local: guarda los archivos bajo un directorio
+ * que el servidor expone como estatico en baseUrl
+ */
+class LocalImageStorage {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.directory = options.directory || path.join(__dirname, '..', '..', 'uploads');
+        this.baseUrl = (options.baseUrl || '/uploads').replace(/\/+$/, '');
+    }
+
+    /**
+     * Resuelve la ruta en disco de una clave sin permitir salir del directorio
+     * @param {string} key - Clave del archivo (ruta relativa)
+     * @returns {string} Ruta absoluta
+     */
+    resolvePath(key) {
+        const filePath = path.resolve(this.directory, key);
+        if (!filePath.startsWith(path.resolve(this.directory) + path.sep)) {
+            throw new Error(`Clave de archivo invalida: ${key}`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Guarda un archivo
+     * @param {string} key - Clave del archivo (ruta relativa)
+     * @param {Buffer} buffer - Contenido del archivo
+     * @returns {Object} Informacion del archivo guardado
+     */
+    async save(key, buffer) {
+        const filePath = this.resolvePath(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+
+        return { key, url: this.getUrl(key), storage: this.name };
+    }
+
+    /**
+     * Elimina un archivo (no falla si ya no existe)
+     * @param {string} key - Clave del archivo
+     */
+    async remove(key) {
+        await fs.promises.rm(this.resolvePath(key), { force: true });
+    }
+
+    /**
+     * Obtiene la URL publica de un archivo
+     * @param {string} key - Clave del archivo
+     * @returns {string} URL del archivo
+     */
+    getUrl(key) {
+        return `${this.baseUrl}/${key}`;
+    }
+}
+
+/**
+ * Almacenamiento en memoria: guarda los archivos en un Map
+ * Util para pruebas que no deben escribir en disco
+ */
+class MemoryImageStorage {
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.baseUrl = (options.baseUrl || 'memory://images').replace(/\/+$/, '');
+        this.files = new Map();
+    }
+
+    /**
+     * Guarda un archivo en memoria
+     * @param {string} key - Clave del archivo
+     * @param {Buffer} buffer - Contenido del archivo
+     * @returns {Object} Informacion del archivo guardado
+     */
+    async save(key, buffer) {
+        this.files.set(key, buffer);
+        return { key, url: this.getUrl(key), storage: this.name };
+    }
+
+    /**
+     * Elimina un archivo de memoria
+     * @param {string} key - Clave del archivo
+     */
+    async remove(key) {
+        this.files.delete(key);
+    }
+
+    /**
+     * Obtiene la URL de un archivo
+     * @param {string} key - Clave del archivo
+     * @returns {string} URL del archivo
+     */
+    getUrl(key) {
+        return `${this.baseUrl}/${key}`;
+    }
+}
+
+/**
+ * Crea un almacenamiento de imagenes segun su tipo
+ * @param {string} type - Tipo de almacenamiento (local, memory)
+ * @param {Object} options - Opciones del almacenamiento ({ directory, baseUrl })
+ * @returns {Object} Almacenamiento creado
+ */
+const createImageStorage = (type = 'local', options = {}) => {
+    switch (type) {
+        case 'local':
+            return new LocalImageStorage(options);
+        case 'memory':
+            return new MemoryImageStorage(options);
+        default:
+            throw new Error(`Almacenamiento de imagenes no soportado: ${type}`);
+    }
+};
+
+module.exports = {
+    LocalImageStorage,
+    MemoryImageStorage,
+    createImageStorage
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Transporte en memoria: guarda los mensajes en un arreglo
+ * Util para pruebas que necesitan leer el correo enviado
+ */
+class MemoryTransport {
+    constructor() {
+        this.name = 'memory';
+        this.messages = [];
+    }
+
+    /**
+     * Guarda el mensaje en memoria
+     * @param {Object} message - Mensaje a enviar
+     * @returns {Object} Informacion del envio
+     */
+    async send(message) {
+        const stored = {
+            id: crypto.randomUUID(),
+            ...message,
+            sent_at: new Date().toISOString()
+        };
+
+        this.messages.push(stored);
+        return { id: stored.id, transport: this.name };
+    }
+
+    /**
+     * Obtiene los mensajes enviados (opcionalmente filtrados por destinatario)
+     * @param {string} to - Email del destinatario
+     * @returns {Array} Mensajes enviados
+     */
+    getMessages(to = null) {
+        if (!to) {
+            return [...this.messages];
+        }
+        return this.messages.filter(message => message.to === to);
+    }
+
+    /**
+     * Elimina todos los mensajes guardados
+     */
+    clear() {
+        this.messages = [];
+    }
+}
+
+/**
+ * Transporte en archivos: escribe cada mensaje como JSON en un directorio
+ * Permite capturar los correos desde un proceso distinto al servidor
+ */
+class FileTransport {
+    constructor(directory) {
+        this.name = 'file';
+        this.directory = directory || path.join(__dirname, '..', '..', 'database', 'mail');
+    }
+
+    /**
+     * Escribe el mensaje en un archivo JSON
+     * @param {Object} message - Mensaje a enviar
+     * @returns {Object} Informacion del envio
+     */
+    async send(message) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const filePath = path.join(this.directory, `${id}.json`);
+
+        await fs.promises.writeFile(filePath, JSON.stringify({
+            id,
+            ...message,
+            sent_at: new Date().toISOString()
+        }, null, 2));
+
+        return { id, transport: this.name, path: filePath };
+    }
+}
+
+/**
+ * Transporte desactivado: se usa con MAIL_TRANSPORT=disabled en entornos que no envian correos
+ * Rechaza cada envio para que nadie reciba una confirmacion de un correo que no salio
+ */
+class DisabledTransport {
+    constructor() {
+        this.name = 'disabled';
+    }
+
+    /**
+     * Rechaza el envio
+     * @param {Object} message - Mensaje a enviar
+     */
+    async send(message) {
+        throw new Error(`El envio de correos esta desactivado (MAIL_TRANSPORT=disabled), no se envio el correo a ${message.to}`);
+    }
+}
+
+/**
+ * Crea un transporte de correo segun su tipo
+ * @param {string} type - Tipo de transporte (memory, file, disabled)
+ * @param {Object} options - Opciones del transporte
+ * @returns {Object} Transporte creado
+ */
+const createTransport = (type, options = {}) => {
+    switch (type) {
+        case 'disabled':
+            return new DisabledTransport();
+        case 'memory':
+            return new MemoryTransport();
+        case 'file':
+            return new FileTransport(options.directory);
+        default:
+            throw new Error(`Transporte de correo no soportado: ${type}`);
+    }
+};
+
+module.exports = {
+    MemoryTransport,
+    FileTransport,
+    DisabledTransport,
+    createTransport
+};
@@ -0,0 +1,10 @@
+/**
+ * Redondea un monto a centavos
+ * @param {number} amount - Monto
+ * @returns {number} Monto redondeado a 2 decimales
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+    roundAmount
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+/**
+ * Notificador por correo: envia cada notificacion con MailService
+ */
+class EmailNotifier {
+    constructor(mailService) {
+        this.name = 'email';
+        this.mailService = mailService || require('../services/MailService');
+    }
+
+    /**
+     * Envia la notificacion al email del usuario
+     * @param {Object} notification - Notificacion ({ user, type, subject, text, data })
+     * @returns {Object} Informacion del envio
+     */
+    async notify(notification) {
+        const { user, type, subject, text, data } = notification;
+
+        return await this.mailService.send({
+            to: user.email,
+            subject,
+            text,
+            metadata: { type, ...data }
+        });
+    }
+}
+
+/**
+ * Notificador en memoria: guarda las notificaciones en un arreglo
+ * Util para pruebas que necesitan leer las notificaciones enviadas
+ */
+class MemoryNotifier {
+    constructor() {
+        this.name = 'memory';
+        this.notifications = [];
+    }
+
+    /**
+     * Guarda la notificacion en memoria
+     * @param {Object} notification - Notificacion ({ user, type, subject, text, data })
+     * @returns {Object} Informacion del envio
+     */
+    async notify(notification) {
+        const stored = {
+            id: crypto.randomUUID(),
+            user_id: notification.user.id,
+            type: notification.type,
+            subject: notification.subject,
+            text: notification.text,
+            data: notification.data,
+            sent_at: new Date().toISOString()
+        };
+
+        this.notifications.push(stored);
+        return { id: stored.id, notifier: this.name };
+    }
+
+    /**
+     * Obtiene las notificaciones enviadas (opcionalmente filtradas por usuario)
+     * @param {number} userId - ID del usuario
+     * @returns {Array} Notificaciones enviadas
+     */
+    getNotifications(userId = null) {
+        if (!userId) {
+            return [...this.notifications];
+        }
+        return this.notifications.filter(notification => notification.user_id === userId);
+    }
+
+    /**
+     * Elimina todas las notificaciones guardadas
+     */
+    clear() {
+        this.notifications = [];
+    }
+}
+
+/**
+ * Crea un notificador segun su tipo
+ * @param {string} type - Tipo de notificador (email, memory)
+ * @param {Object} options - Opciones del notificador
+ * @returns {Object} Notificador creado
+ */
+const createNotifier = (type = 'email', options = {}) => {
+    switch (type) {
+        case 'email':
+            return new EmailNotifier(options.mailService);
+        case 'memory':
+            return new MemoryNotifier();
+        default:
+            throw new Error(`Notificador no soportado: ${type}`);
+    }
+};
+
+module.exports = {
+    EmailNotifier,
+    MemoryNotifier,
+    createNotifier
+};
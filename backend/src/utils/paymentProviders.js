@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const { roundAmount } = require('./money');
+
+// Segundos de tolerancia para la marca de tiempo de un webhook firmado
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+/**
+ * Firma un payload de webhook con HMAC-SHA256
+ * Formato del encabezado: t=<timestamp>,v1=<firma hex>
+ * @param {string} payload - Cuerpo del webhook en texto
+ * @param {string} secret - Secreto compartido con el proveedor
+ * @param {number} timestamp - Segundos desde epoch
+ * @returns {string} Encabezado de firma
+ */
+const signWebhookPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+    const signature = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${payload}`)
+        .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Verifica la firma de un webhook y que no este vencido
+ * @param {string} payload - Cuerpo del webhook en texto
+ * @param {string} header - Encabezado de firma recibido
+ * @param {string} secret - Secreto compartido con el proveedor
+ * @returns {boolean} true si la firma es valida
+ */
+const verifyWebhookSignature = (payload, header, secret) => {
+    if (!payload || !header) {
+        return false;
+    }
+
+    const parts = header.split(',').reduce((acc, part) => {
+        const [key, value] = part.split('=');
+        acc[key] = value;
+        return acc;
+    }, {});
+
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) {
+        return false;
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+        return false;
+    }
+
+    const expected = signWebhookPayload(payload, secret, timestamp).split('v1=')[1];
+    const received = Buffer.from(parts.v1);
+    const computed = Buffer.from(expected);
+
+    return received.length === computed.length && crypto.timingSafeEqual(received, computed);
+};
+
+/**
+ * Proveedor de pagos falso y deterministico para desarrollo y pruebas
+ * El resultado depende del numero de tarjeta:
+ * - 4242424242424242: pago aprobado
+ * - 4000000000000002: tarjeta rechazada
+ * - 4000000000009995: fondos insuficientes
+ * - 4000000000003220: requiere autenticacion 3-D Secure
+ * Los webhooks se envian firmados al manejador registrado, fuera del flujo de la llamada
+ */
+class FakePaymentProvider {
+    constructor(options = {}) {
+        this.name = 'fake';
+        // Sin secreto configurado se usa uno aleatorio por proceso: los webhooks del simulador se siguen
+        // entregando y los que llegan por HTTP se rechazan, porque nadie mas conoce el secreto
+        this.webhookSecret = options.webhookSecret || crypto.randomBytes(32).toString('hex');
+        this.payments = new Map();
+        this.webhookHandler = null;
+    }
+
+    /**
+     * Registra la funcion que recibe los webhooks (payload en texto y encabezado de firma)
+     * @param {Function} handler - Manejador async (payload, signature)
+     */
+    setWebhookHandler(handler) {
+        this.webhookHandler = handler;
+    }
+
+    /**
+     * Autoriza un pago con tarjeta
+     * @param {Object} params - Datos del pago ({ amount, currency, card, reference })
+     * @returns {Object} Resultado ({ id, status, failureCode, failureMessage })
+     */
+    async authorize({ amount, currency, card, reference }) {
+        const id = `fake_pay_${crypto.randomBytes(8).toString('hex')}`;
+        const payment = { id, amount, currency, reference, status: 'authorized' };
+
+        switch (card.number) {
+            case '4242424242424242':
+                break;
+            case '4000000000003220':
+                payment.status = 'requires_action';
+                break;
+            case '4000000000009995':
+                payment.status = 'failed';
+                payment.failureCode = 'insufficient_funds';
+                payment.failureMessage = 'Fondos insuficientes';
+                break;
+            case '4000000000000002':
+                payment.status = 'failed';
+                payment.failureCode = 'card_declined';
+                payment.failureMessage = 'La tarjeta fue rechazada';
+                break;
+            default:
+                payment.status = 'failed';
+                payment.failureCode = 'invalid_card';
+                payment.failureMessage = 'Tarjeta no valida para el proveedor de prueba';
+        }
+
+        this.payments.set(id, payment);
+
+        if (payment.status === 'failed') {
+            this.emit('payment.failed', payment);
+        }
+
+        return { ...payment };
+    }
+
+    /**
+     * Captura un pago autorizado
+     * @param {string} paymentId - ID del pago en el proveedor
+     * @returns {Object} Resultado ({ id, status })
+     */
+    async capture(paymentId) {
+        const payment = this.findPayment(paymentId);
+
+        if (payment.status !== 'authorized') {
+            throw new Error(`No se puede capturar un pago en estado ${payment.status}`);
+        }
+
+        payment.status = 'captured';
+        this.emit('payment.succeeded', payment);
+
+        return { ...payment };
+    }
+
+    /**
+     * Reembolsa un pago capturado, total o parcialmente
+     * @param {string} paymentId - ID del pago en el proveedor
+     * @param {number} amount - Monto a reembolsar (por defecto el saldo restante)
+     * @returns {Object} Resultado ({ id, status, amountRefunded })
+     */
+    async refund(paymentId, amount = null) {
+        const payment = this.findPayment(paymentId);
+
+        if (payment.status !== 'captured') {
+            throw new Error(`No se puede reembolsar un pago en estado ${payment.status}`);
+        }
+
+        const refunded = payment.amountRefunded || 0;
+        const remaining = roundAmount(payment.amount - refunded);
+        const refundAmount = amount === null ? remaining : amount;
+
+        if (refundAmount <= 0 || refundAmount > remaining) {
+            throw new Error(`Monto de reembolso invalido. Disponible: ${remaining}`);
+        }
+
+        payment.amountRefunded = roundAmount(refunded + refundAmount);
+        if (payment.amountRefunded >= payment.amount) {
+            payment.status = 'refunded';
+        }
+        this.emit('payment.refunded', payment);
+
+        return { ...payment };
+    }
+
+    /**
+     * Simula que el cliente completa (o no) el desafio 3-D Secure
+     * @param {string} paymentId - ID del pago en el proveedor
+     * @param {boolean} approved - Resultado del desafio
+     * @returns {Object} Resultado ({ id, status })
+     */
+    async completeAction(paymentId, approved) {
+        const payment = this.findPayment(paymentId);
+
+        if (payment.status !== 'requires_action') {
+            throw new Error('El pago no requiere autenticacion');
+        }
+
+        if (!approved) {
+            payment.status = 'failed';
+            payment.failureCode = 'authentication_failed';
+            payment.failureMessage = 'La autenticacion 3-D Secure fallo';
+            this.emit('payment.failed', payment);
+            return { ...payment };
+        }
+
+        payment.status = 'authorized';
+        return await this.capture(paymentId);
+    }
+
+    /**
+     * Verifica la firma de un webhook recibido
+     * @param {string} payload - Cuerpo del webhook en texto
+     * @param {string} signature - Encabezado de firma
+     * @returns {boolean} true si la firma es valida
+     */
+    verifyWebhook(payload, signature) {
+        return verifyWebhookSignature(payload, signature, this.webhookSecret);
+    }
+
+    /**
+     * Busca un pago registrado en el proveedor
+     * @param {string} paymentId - ID del pago en el proveedor
+     * @returns {Object} Pago
+     */
+    findPayment(paymentId) {
+        const payment = this.payments.get(paymentId);
+        if (!payment) {
+            throw new Error('Pago no encontrado en el proveedor');
+        }
+        return payment;
+    }
+
+    /**
+     * Construye, firma y envia un webhook al manejador registrado
+     * @param {string} type - Tipo de evento
+     * @param {Object} payment - Pago del proveedor
+     */
+    emit(type, payment) {
+        if (!this.webhookHandler) {
+            return;
+        }
+
+        const payload = JSON.stringify({
+            id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+            type,
+            created: Math.floor(Date.now() / 1000),
+            data: {
+                id: payment.id,
+                reference: payment.reference,
+                amount: payment.amount,
+                currency: payment.currency,
+                status: payment.status,
+                amount_refunded: payment.amountRefunded || 0,
+                failure_code: payment.failureCode || null,
+                failure_message: payment.failureMessage || null
+            }
+        });
+        const signature = signWebhookPayload(payload, this.webhookSecret);
+
+        // Igual que un proveedor real, el webhook llega despues de responder la llamada
+        setImmediate(() => {
+            Promise.resolve(this.webhookHandler(payload, signature)).catch((error) => {
+                console.error('Error al entregar webhook de pago:', error);
+            });
+        });
+    }
+}
+
+/**
+ * Crea un proveedor de pagos segun su tipo
+ * @param {string} type - Tipo de proveedor (fake)
+ * @param {Object} options - Opciones del proveedor
+ * @returns {Object} Proveedor creado
+ */
+const createPaymentProvider = (type = 'fake', options = {}) => {
+    switch (type) {
+        case 'fake':
+            return new FakePaymentProvider(options);
+        default:
+            throw new Error(`Proveedor de pagos no soportado: ${type}`);
+    }
+};
+
+module.exports = {
+    FakePaymentProvider,
+    createPaymentProvider,
+    signWebhookPayload,
+    verifyWebhookSignature
+};
@@ -0,0 +1,214 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Indice de busqueda de texto completo de productos (SQLite FTS5)
+ *
+ * La tabla virtual products_fts guarda el nombre, descripcion, SKU y nombre de categoria de cada
+ * producto (rowid = id del producto). Se mantiene sincronizada con los hooks de Product y Category
+ * y se reconstruye con `npm run rebuild-search-index`. El tokenizador unicode61 con
+ * remove_diacritics ignora acentos y mayusculas, por lo que "camara" encuentra "Cámara".
+ */
+
+const INDEX_TABLE = 'products_fts';
+
+// Peso de cada columna en el ranking BM25 (name, description, sku, category_name)
+const COLUMN_WEIGHTS = [10.0, 1.0, 5.0, 2.0];
+
+// Marcadores que FTS5 pone alrededor de los terminos encontrados; se reemplazan por <mark>
+// despues de escapar el HTML del texto
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+const MAX_QUERY_TERMS = 10;
+const MAX_RESULTS = 1000;
+
+// Misma definicion que database/schema-sqlite.sql, para crear el indice en bases existentes
+const CREATE_INDEX_TABLE = `
+    CREATE VIRTUAL TABLE IF NOT EXISTS ${INDEX_TABLE} USING fts5(
+        name,
+        description,
+        sku,
+        category_name,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+    )`;
+
+const INSERT_DOCUMENTS = `
+    INSERT INTO ${INDEX_TABLE} (rowid, name, description, sku, category_name)
+    SELECT p.id, p.name, COALESCE(p.description, ''), COALESCE(p.sku, ''), COALESCE(c.name, '')
+    FROM products p
+    LEFT JOIN categories c ON c.id = p.category_id`;
+
+/**
+ * Convierte el texto del usuario en una consulta FTS5 segura
+ * Cada palabra se busca como prefijo y todas deben aparecer ("lap pro" -> "lap"* "pro"*)
+ * @param {string} term - Texto de busqueda
+ * @returns {string|null} Consulta MATCH o null si no hay palabras buscables
+ */
+const buildMatchQuery = (term) => {
+    const words = String(term || '')
+        .normalize('NFC')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .slice(0, MAX_QUERY_TERMS);
+
+    if (words.length === 0) {
+        return null;
+    }
+
+    return words.map(word => `"${word}"*`).join(' ');
+};
+
+/**
+ * Escapa el HTML de un fragmento y marca los terminos encontrados con <mark>
+ * @param {string} text - Texto devuelto por highlight() o snippet()
+ * @returns {string} Fragmento listo para mostrar como HTML
+ */
+const toHighlightedHtml = (text) => String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+
+/**
+ * Crea la tabla del indice si no existe (bases creadas antes de la busqueda de texto completo)
+ * @param {Object} options - Opciones ({ transaction })
+ * @returns {boolean} true si la tabla se creo y hay que llenarla con rebuildIndex
+ */
+const ensureIndex = async (options = {}) => {
+    const { transaction = null } = options;
+
+    const existing = await sequelize.query(
+        'SELECT name FROM sqlite_master WHERE type = \'table\' AND name = :name',
+        { replacements: { name: INDEX_TABLE }, type: QueryTypes.SELECT, transaction }
+    );
+    if (existing.length > 0) {
+        return false;
+    }
+
+    await sequelize.query(CREATE_INDEX_TABLE, { transaction });
+    return true;
+};
+
+/**
+ * Vuelve a indexar productos (los elimina del indice y los inserta con sus datos actuales)
+ * @param {Array} productIds - IDs de los productos
+ * @param {Object} options - Opciones ({ transaction })
+ */
+const indexProducts = async (productIds, options = {}) => {
+    if (productIds.length === 0) {
+        return;
+    }
+
+    const { transaction = null } = options;
+    await sequelize.query(`DELETE FROM ${INDEX_TABLE} WHERE rowid IN (:productIds)`, {
+        replacements: { productIds },
+        transaction
+    });
+    await sequelize.query(`${INSERT_DOCUMENTS} WHERE p.id IN (:productIds)`, {
+        replacements: { productIds },
+        transaction
+    });
+};
+
+/**
+ * Quita productos del indice
+ * @param {Array} productIds - IDs de los productos
+ * @param {Object} options - Opciones ({ transaction })
+ */
+const removeProducts = async (productIds, options = {}) => {
+    if (productIds.length === 0) {
+        return;
+    }
+
+    await sequelize.query(`DELETE FROM ${INDEX_TABLE} WHERE rowid IN (:productIds)`, {
+        replacements: { productIds },
+        transaction: options.transaction || null
+    });
+};
+
+/**
+ * Vuelve a indexar los productos de una categoria (por ejemplo, al renombrarla)
+ * @param {number} categoryId - ID de la categoria
+ * @param {Object} options - Opciones ({ transaction })
+ */
+const indexCategory = async (categoryId, options = {}) => {
+    const { transaction = null } = options;
+    await sequelize.query(
+        `DELETE FROM ${INDEX_TABLE} WHERE rowid IN (SELECT id FROM products WHERE category_id = :categoryId)`,
+        { replacements: { categoryId }, transaction }
+    );
+    await sequelize.query(`${INSERT_DOCUMENTS} WHERE p.category_id = :categoryId`, {
+        replacements: { categoryId },
+        transaction
+    });
+};
+
+/**
+ * Reconstruye el indice completo a partir de la tabla de productos
+ * @param {Object} options - Opciones ({ transaction })
+ * @returns {number} Cantidad de productos indexados
+ */
+const rebuildIndex = async (options = {}) => {
+    const { transaction = null } = options;
+
+    await sequelize.query(`DELETE FROM ${INDEX_TABLE}`, { transaction });
+    await sequelize.query(INSERT_DOCUMENTS, { transaction });
+    await sequelize.query(`INSERT INTO ${INDEX_TABLE} (${INDEX_TABLE}) VALUES ('optimize')`, { transaction });
+
+    const [{ total }] = await sequelize.query(`SELECT COUNT(*) AS total FROM ${INDEX_TABLE}`, {
+        type: QueryTypes.SELECT,
+        transaction
+    });
+    return total;
+};
+
+/**
+ * Busca productos en el indice ordenados por relevancia (BM25, el nombre pesa mas que la descripcion)
+ * @param {string} term - Texto de busqueda
+ * @param {Object} options - Opciones ({ limit, transaction })
+ * @returns {Array} Coincidencias ({ productId, rank, nameHighlight, snippet }); menor rank es mas relevante
+ */
+const searchProducts = async (term, options = {}) => {
+    const { limit = MAX_RESULTS, transaction = null } = options;
+
+    const match = buildMatchQuery(term);
+    if (!match) {
+        return [];
+    }
+
+    const rows = await sequelize.query(`
+        SELECT rowid AS product_id,
+               bm25(${INDEX_TABLE}, ${COLUMN_WEIGHTS.join(', ')}) AS rank,
+               highlight(${INDEX_TABLE}, 0, :start, :end) AS name_highlight,
+               snippet(${INDEX_TABLE}, 1, :start, :end, '...', 16) AS description_snippet
+        FROM ${INDEX_TABLE}
+        WHERE ${INDEX_TABLE} MATCH :match
+        ORDER BY rank
+        LIMIT :limit`, {
+        replacements: { match, start: MATCH_START, end: MATCH_END, limit },
+        type: QueryTypes.SELECT,
+        transaction
+    });
+
+    return rows.map(row => ({
+        productId: row.product_id,
+        rank: row.rank,
+        nameHighlight: toHighlightedHtml(row.name_highlight),
+        snippet: toHighlightedHtml(row.description_snippet)
+    }));
+};
+
+module.exports = {
+    buildMatchQuery,
+    ensureIndex,
+    indexProducts,
+    removeProducts,
+    indexCategory,
+    rebuildIndex,
+    searchProducts
+};
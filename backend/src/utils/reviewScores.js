@@ -0,0 +1,84 @@
+// Valor z para un intervalo de confianza del 95%
+const Z_95 = 1.96;
+
+// Promedio previo y su peso (en resenas) para la puntuacion bayesiana de los productos
+const RATING_PRIOR_MEAN = parseFloat(process.env.RATING_PRIOR_MEAN) || 3;
+const RATING_PRIOR_WEIGHT = parseInt(process.env.RATING_PRIOR_WEIGHT) || 5;
+
+/**
+ * Calcula el limite inferior del intervalo de confianza de Wilson para una proporcion
+ * Premia las resenas con muchos votos utiles frente a las que tienen pocos votos:
+ * 2 de 2 votos utiles puntua menos que 90 de 100
+ * @param {number} positive - Votos utiles
+ * @param {number} total - Votos totales
+ * @param {number} z - Valor z del nivel de confianza
+ * @returns {number} Puntuacion entre 0 y 1 (0 sin votos)
+ */
+const wilsonLowerBound = (positive, total, z = Z_95) => {
+    if (!total) {
+        return 0;
+    }
+
+    const phat = positive / total;
+    const z2 = z * z;
+    const score = (phat + z2 / (2 * total) - z * Math.sqrt((phat * (1 - phat) + z2 / (4 * total)) / total))
+        / (1 + z2 / total);
+
+    return Math.max(0, Math.round(score * 100000) / 100000);
+};
+
+/**
+ * Redondea una calificacion promedio a 2 decimales
+ * @param {number} rating - Calificacion
+ * @returns {number} Calificacion redondeada
+ */
+const roundRating = (rating) => Math.round(rating * 100) / 100;
+
+/**
+ * Calcula el promedio bayesiano de las calificaciones de un producto
+ * Mezcla el promedio real con un promedio previo que pesa como `priorWeight` resenas,
+ * para que un producto con una sola resena de 5 estrellas no supere a uno con cientos de 4.8
+ * @param {number} ratingSum - Suma de las calificaciones
+ * @param {number} count - Cantidad de calificaciones
+ * @param {number} priorMean - Promedio previo
+ * @param {number} priorWeight - Cantidad de resenas que vale el promedio previo
+ * @returns {number} Promedio ponderado redondeado a 2 decimales
+ */
+const bayesianAverage = (ratingSum, count, priorMean, priorWeight) => {
+    const score = (priorMean * priorWeight + ratingSum) / (priorWeight + count);
+    return roundRating(score);
+};
+
+/**
+ * Calcula los agregados de valoracion de un producto a partir de sus resenas aprobadas
+ * Sin resenas la puntuacion queda en 0 para que los productos sin valorar vayan al final
+ * @param {Object} countsByStars - Cantidad de resenas por calificacion ({ 1: n, ..., 5: n })
+ * @returns {Object} Columnas del producto (rating_N_count, review_count, average_rating, rating_score)
+ */
+const summarizeRatings = (countsByStars) => {
+    const aggregates = {};
+    let reviewCount = 0;
+    let ratingSum = 0;
+    for (let stars = 1; stars <= 5; stars++) {
+        const count = countsByStars[stars] || 0;
+        aggregates[`rating_${stars}_count`] = count;
+        reviewCount += count;
+        ratingSum += stars * count;
+    }
+
+    return {
+        ...aggregates,
+        review_count: reviewCount,
+        average_rating: reviewCount > 0 ? roundRating(ratingSum / reviewCount) : 0,
+        rating_score: reviewCount > 0
+            ? bayesianAverage(ratingSum, reviewCount, RATING_PRIOR_MEAN, RATING_PRIOR_WEIGHT)
+            : 0
+    };
+};
+
+module.exports = {
+    wilsonLowerBound,
+    bayesianAverage,
+    roundRating,
+    summarizeRatings
+};
@@ -0,0 +1,77 @@
+// Terminos que marcan una resena para revision si no se configura REVIEW_FLAGGED_WORDS
+const DEFAULT_FLAGGED_WORDS = [
+    'estafa', 'fraude', 'spam', 'idiota', 'imbecil', 'estupido', 'mierda', 'http', 'https', 'www'
+];
+
+/**
+ * Normaliza un texto para comparar sin mayusculas ni acentos
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado
+ */
+const normalize = (text) => String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Lee la lista de terminos de una cadena separada por comas
+ * @param {string} value - Terminos separados por coma
+ * @returns {Array} Terminos sin vacios
+ */
+const parseWordList = (value) => String(value)
+    .split(',')
+    .map(word => word.trim())
+    .filter(Boolean);
+
+/**
+ * Crea un filtro de palabras; los terminos se buscan como palabras completas
+ * (ignorando mayusculas y acentos) y pueden tener varias palabras
+ * @param {Array} words - Terminos a buscar
+ * @returns {Object} Filtro ({ words, findTerms(text) })
+ */
+const createWordFilter = (words = DEFAULT_FLAGGED_WORDS) => {
+    const patterns = [...new Set(words.map(normalize))]
+        .map(word => ({
+            word,
+            pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(word)}(?=$|[^a-z0-9])`)
+        }));
+
+    return {
+        words: patterns.map(({ word }) => word),
+
+        /**
+         * Obtiene los terminos del filtro presentes en un texto
+         * @param {string} text - Texto a revisar
+         * @returns {Array} Terminos encontrados
+         */
+        findTerms(text) {
+            if (!text) {
+                return [];
+            }
+
+            const normalized = normalize(text);
+            return patterns
+                .filter(({ pattern }) => pattern.test(normalized))
+                .map(({ word }) => word);
+        }
+    };
+};
+
+/**
+ * Crea el filtro a partir de la configuracion (REVIEW_FLAGGED_WORDS, separado por comas)
+ * @returns {Object} Filtro de palabras
+ */
+const createConfiguredWordFilter = () => createWordFilter(
+    process.env.REVIEW_FLAGGED_WORDS !== undefined
+        ? parseWordList(process.env.REVIEW_FLAGGED_WORDS)
+        : DEFAULT_FLAGGED_WORDS
+);
+
+module.exports = {
+    DEFAULT_FLAGGED_WORDS,
+    createWordFilter,
+    createConfiguredWordFilter,
+    parseWordList
+};
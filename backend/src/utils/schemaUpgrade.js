@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const { QueryTypes, Transaction } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { summarizeRatings } = require('./reviewScores');
+
+/**
+ * Actualizacion del esquema de bases de datos existentes
+ *
+ * `npm run init-db` solo crea bases nuevas. Para una base creada con una version anterior,
+ * database/schema-sqlite.sql se toma como la definicion vigente y se aplica lo que falte:
+ * tablas nuevas (con sus datos de configuracion), columnas nuevas en tablas existentes
+ * (ALTER TABLE ADD COLUMN) e indices. Es idempotente: en una base al dia no cambia nada.
+ * Se ejecuta al iniciar el servidor y con `npm run upgrade-db`.
+ */
+
+const SCHEMA_FILE = path.join(__dirname, '..', '..', 'database', 'schema-sqlite.sql');
+
+// Tablas cuyos datos de ejemplo del esquema son configuracion necesaria para operar
+// (sin metodos de envio no se pueden crear pedidos); se cargan solo si la tabla es nueva
+const REFERENCE_DATA_TABLES = ['tax_rates', 'shipping_zones', 'shipping_zone_locations', 'shipping_methods'];
+
+// Valores de las columnas nuevas que no salen de su valor por defecto
+const COLUMN_BACKFILLS = {
+    // Las resenas anteriores a la moderacion ya eran publicas
+    'reviews.status': "UPDATE reviews SET status = 'approved'",
+    // Los pedidos anteriores no tienen desglose: su total era el importe de los productos
+    'orders.subtotal_amount': 'UPDATE orders SET subtotal_amount = total_amount',
+    'orders.net_amount': 'UPDATE orders SET net_amount = total_amount'
+};
+
+const TABLE_CONSTRAINTS = ['CONSTRAINT', 'PRIMARY', 'FOREIGN', 'UNIQUE', 'CHECK'];
+
+/**
+ * Divide el cuerpo de un CREATE TABLE en sus definiciones (comas fuera de parentesis)
+ * @param {string} body - Texto entre los parentesis del CREATE TABLE
+ * @returns {Array} Definiciones de columnas y restricciones
+ */
+const splitDefinitions = (body) => {
+    const definitions = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of body) {
+        if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        }
+
+        if (char === ',' && depth === 0) {
+            definitions.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) {
+        definitions.push(current.trim());
+    }
+
+    return definitions;
+};
+
+/**
+ * Lee las sentencias del esquema agrupadas por tipo
+ * @returns {Object} Sentencias ({ tables, indexes, inserts })
+ */
+const parseSchema = () => {
+    const sql = fs.readFileSync(SCHEMA_FILE, 'utf8').replace(/--.*$/gm, '');
+    const schema = { tables: [], indexes: [], inserts: [] };
+
+    for (const statement of sql.split(';').map(part => part.trim()).filter(Boolean)) {
+        const table = statement.match(/^CREATE TABLE (\w+) \(([\s\S]*)\)$/i);
+        if (table) {
+            const columns = [];
+            const foreignKeys = {};
+            for (const definition of splitDefinitions(table[2])) {
+                const foreignKey = definition.match(/^FOREIGN KEY \((\w+)\) (REFERENCES [\s\S]+)$/i);
+                if (foreignKey) {
+                    foreignKeys[foreignKey[1]] = foreignKey[2];
+                    continue;
+                }
+
+                const name = definition.match(/^\w+/)[0];
+                if (!TABLE_CONSTRAINTS.includes(name.toUpperCase())) {
+                    columns.push({ name, definition });
+                }
+            }
+            schema.tables.push({ name: table[1], statement, columns, foreignKeys });
+            continue;
+        }
+
+        if (/^CREATE (UNIQUE )?INDEX /i.test(statement)) {
+            schema.indexes.push(statement);
+            continue;
+        }
+
+        const insert = statement.match(/^INSERT INTO (\w+)/i);
+        if (insert) {
+            schema.inserts.push({ table: insert[1], statement });
+        }
+    }
+
+    return schema;
+};
+
+/**
+ * Arma la definicion de una columna para ALTER TABLE ADD COLUMN, que en SQLite no admite
+ * UNIQUE ni valores por defecto no constantes
+ * @param {string} tableName - Tabla
+ * @param {Object} column - Columna ({ name, definition })
+ * @param {string} foreignKey - Clausula REFERENCES de la columna (opcional)
+ * @returns {Object} Sentencias ({ addColumn, afterAdd })
+ */
+const buildAddColumn = (tableName, column, foreignKey) => {
+    let definition = column.definition;
+    const afterAdd = [];
+
+    if (/\bUNIQUE\b/i.test(definition)) {
+        definition = definition.replace(/\s+UNIQUE\b/i, '');
+        afterAdd.push(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${tableName}_${column.name}_unique ON ${tableName}(${column.name})`);
+    }
+    if (/DEFAULT CURRENT_TIMESTAMP/i.test(definition)) {
+        definition = definition.replace(/\s+DEFAULT CURRENT_TIMESTAMP/i, '');
+        afterAdd.push(`UPDATE ${tableName} SET ${column.name} = CURRENT_TIMESTAMP`);
+    }
+    if (/\bNOT NULL\b/i.test(definition) && !/\bDEFAULT\b/i.test(definition)) {
+        throw new Error(`La columna ${tableName}.${column.name} es NOT NULL sin valor por defecto y requiere una migracion manual`);
+    }
+    if (foreignKey) {
+        definition += ` ${foreignKey}`;
+    }
+
+    return {
+        addColumn: `ALTER TABLE ${tableName} ADD COLUMN ${definition}`,
+        afterAdd
+    };
+};
+
+/**
+ * Recalcula los agregados de valoracion de todos los productos con las resenas aprobadas
+ * @param {Object} transaction - Transaccion de base de datos
+ */
+const rebuildProductRatings = async (transaction) => {
+    const rows = await sequelize.query(
+        "SELECT product_id, rating, COUNT(*) AS count FROM reviews WHERE status = 'approved' GROUP BY product_id, rating",
+        { type: QueryTypes.SELECT, transaction }
+    );
+
+    const countsByProduct = new Map();
+    rows.forEach((row) => {
+        const counts = countsByProduct.get(row.product_id) || {};
+        counts[parseInt(row.rating)] = parseInt(row.count);
+        countsByProduct.set(row.product_id, counts);
+    });
+
+    for (const [productId, counts] of countsByProduct) {
+        const aggregates = summarizeRatings(counts);
+        const columns = Object.keys(aggregates);
+        await sequelize.query(
+            `UPDATE products SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            { replacements: [...columns.map(column => aggregates[column]), productId], transaction }
+        );
+    }
+};
+
+/**
+ * Aplica a la base de datos las tablas, columnas e indices del esquema que le falten
+ * @returns {Object} Cambios aplicados ({ createdTables, addedColumns })
+ */
+const upgradeSchema = async () => {
+    const schema = parseSchema();
+    const createdTables = [];
+    const addedColumns = [];
+
+    await sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, async (transaction) => {
+        const existingTables = (await sequelize.query(
+            "SELECT name FROM sqlite_master WHERE type = 'table'",
+            { type: QueryTypes.SELECT, transaction }
+        )).map(row => row.name);
+
+        for (const table of schema.tables) {
+            if (!existingTables.includes(table.name)) {
+                await sequelize.query(table.statement, { transaction });
+                createdTables.push(table.name);
+                continue;
+            }
+
+            const existingColumns = (await sequelize.query(
+                `PRAGMA table_info(${table.name})`,
+                { type: QueryTypes.SELECT, transaction }
+            )).map(row => row.name);
+
+            for (const column of table.columns) {
+                if (existingColumns.includes(column.name)) {
+                    continue;
+                }
+
+                const { addColumn, afterAdd } = buildAddColumn(table.name, column, table.foreignKeys[column.name]);
+                await sequelize.query(addColumn, { transaction });
+                for (const statement of afterAdd) {
+                    await sequelize.query(statement, { transaction });
+                }
+                addedColumns.push(`${table.name}.${column.name}`);
+            }
+        }
+
+        for (const index of schema.indexes) {
+            await sequelize.query(index.replace(/^CREATE (UNIQUE )?INDEX /i, 'CREATE $1INDEX IF NOT EXISTS '), { transaction });
+        }
+
+        for (const insert of schema.inserts) {
+            if (REFERENCE_DATA_TABLES.includes(insert.table) && createdTables.includes(insert.table)) {
+                await sequelize.query(insert.statement, { transaction });
+            }
+        }
+
+        for (const column of addedColumns) {
+            if (COLUMN_BACKFILLS[column]) {
+                await sequelize.query(COLUMN_BACKFILLS[column], { transaction });
+            }
+        }
+        if (addedColumns.includes('reviews.status') || addedColumns.includes('products.rating_score')) {
+            await rebuildProductRatings(transaction);
+        }
+    });
+
+    return { createdTables, addedColumns };
+};
+
+module.exports = {
+    upgradeSchema
+};
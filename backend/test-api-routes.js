@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { signWebhookPayload } = require('./src/utils/paymentProviders');
 
 const BASE_URL = 'http://localhost:3001/api';
 
@@ -71,6 +72,82 @@ const testPublicRoutes = async () => {
   // Test 5: Estadisticas de inventario
   const inventoryStats = await makeRequest('GET', '/inventory/stats');
   printResult('Estadisticas de Inventario', inventoryStats.success, `Status: ${inventoryStats.status}`);
+
+  // Test 6: Arbol de categorias
+  const categoryTree = await makeRequest('GET', '/categories/tree');
+  printResult('Arbol de Categorias', categoryTree.success, `Status: ${categoryTree.status}`);
+
+  // Test 7: Webhook de pagos sin firma (debe rechazarse)
+  const unsignedWebhook = await makeRequest('POST', '/payments/webhooks/fake', { type: 'payment.succeeded', data: {} });
+  printResult('Webhook de Pago sin Firma', unsignedWebhook.status === 401, `Status: ${unsignedWebhook.status}`);
+
+  // Test 7b: Webhook firmado con el antiguo secreto por defecto (debe rechazarse sin secreto configurado)
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    const forgedPayload = JSON.stringify({ type: 'payment.succeeded', data: { reference: 1 } });
+    const forgedWebhook = await axios.post(`${BASE_URL}/payments/webhooks/fake`, forgedPayload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Payment-Signature': signWebhookPayload(forgedPayload, 'whsec_fake_local')
+      },
+      validateStatus: () => true
+    });
+    printResult('Webhook con Secreto por Defecto', forgedWebhook.status === 401, `Status: ${forgedWebhook.status}`);
+  }
+
+  // Test 8: Cotizar envio
+  const shippingQuote = await makeRequest('POST', '/shipping/quote', {
+    items: [{ product_id: 1, quantity: 1 }],
+    address: { line1: 'Calle Mayor 1', city: 'Madrid', postal_code: '28001', country: 'ES' }
+  });
+  printResult('Cotizar Envio', shippingQuote.success, `Status: ${shippingQuote.status}`);
+
+  // Test 9: Matriz de variantes de un producto
+  const variants = await makeRequest('GET', '/products/1/variants');
+  printResult('Variantes de Producto', variants.success, `Status: ${variants.status}`);
+
+  // Test 10: Galeria de imagenes de un producto
+  const images = await makeRequest('GET', '/products/1/images');
+  printResult('Imagenes de Producto', images.success, `Status: ${images.status}`);
+
+  // Test 11: Busqueda de texto completo (sin acentos y por prefijo)
+  const search = await makeRequest('GET', '/products/search?q=segur');
+  printResult('Buscar Productos', search.success, `Status: ${search.status}`);
+
+  // Test 12: Listado con facetas y filtros de seleccion multiple
+  const faceted = await makeRequest('GET', '/products?category_id=1,3&price_range=500-1000,1000-');
+  printResult('Facetas de Productos', faceted.success && !!faceted.data.facets, `Status: ${faceted.status}`);
+
+  // Test 13: Filtro por atributo de producto
+  const byAttribute = await makeRequest('GET', '/products?attr[ram_gb][gte]=16');
+  printResult('Filtrar por Atributo', byAttribute.success, `Status: ${byAttribute.status}`);
+
+  // Test 14: Enlace compartido inexistente de lista de deseos (debe responder 404)
+  const sharedWishlist = await makeRequest('GET', '/wishlists/shared/token-inexistente');
+  printResult('Lista de Deseos Compartida', sharedWishlist.status === 404, `Status: ${sharedWishlist.status}`);
+
+  // Test 15: Resenas destacadas (solo aprobadas)
+  const featuredReviews = await makeRequest('GET', '/reviews/featured');
+  printResult('Resenas Destacadas', featuredReviews.success, `Status: ${featuredReviews.status}`);
+
+  // Test 16: Denunciar resena sin autenticacion (debe rechazarse)
+  const reportReview = await makeRequest('POST', '/reviews/1/report', { reason: 'spam' });
+  printResult('Denunciar Resena sin Token', reportReview.status === 401, `Status: ${reportReview.status}`);
+
+  // Test 17: Resenas de un producto ordenadas por utilidad
+  const helpfulReviews = await makeRequest('GET', '/reviews/product/1?sort=helpful&with_text=true');
+  printResult('Resenas por Utilidad', helpfulReviews.success, `Status: ${helpfulReviews.status}`);
+
+  // Test 18: Productos ordenados por puntuacion bayesiana con valoracion minima
+  const byRating = await makeRequest('GET', '/products?sort=rating&min_rating=1');
+  printResult('Ordenar por Valoracion', byRating.success, `Status: ${byRating.status}`);
+
+  // Test 19: Responder resena sin autenticacion (debe rechazarse)
+  const reviewReply = await makeRequest('POST', '/reviews/1/reply', { body: 'Gracias por tu resena' });
+  printResult('Responder Resena sin Token', reviewReply.status === 401, `Status: ${reviewReply.status}`);
+
+  // Test 20: Busqueda en las preguntas de un producto
+  const productQuestions = await makeRequest('GET', '/products/1/questions?q=bateria');
+  printResult('Preguntas de Producto', productQuestions.success, `Status: ${productQuestions.status}`);
 };
 
 // Tests de autenticacion
@@ -82,8 +159,8 @@ const testAuthRoutes = async () => {
     username: 'testuser',
     email: 'test@example.com',
     password: 'password123',
-    firstName: 'Test',
-    lastName: 'User'
+    first_name: 'Test',
+    last_name: 'User'
   };
 
   const register = await makeRequest('POST', '/auth/register', registerData);
@@ -98,7 +175,21 @@ const testAuthRoutes = async () => {
   const login = await makeRequest('POST', '/auth/login', loginData);
   printResult('Login de Usuario', login.success, `Status: ${login.status}`);
 
-  return login.success ? login.data.token : null;
+  // Test 3: Restablecer contrasena responde igual para emails registrados y desconocidos
+  const forgotKnown = await makeRequest('POST', '/auth/forgot-password', { email: 'test@example.com' });
+  const forgotUnknown = await makeRequest('POST', '/auth/forgot-password', { email: 'nadie@example.com' });
+  printResult('Restablecer Contrasena sin Revelar Cuentas',
+    forgotKnown.status === 200 && forgotUnknown.status === 200 &&
+      forgotKnown.data.message === forgotUnknown.data.message,
+    `Status: ${forgotKnown.status} / ${forgotUnknown.status}`);
+
+  return login.success ? login.data.data.token : null;
+};
+
+// Inicia sesion con un usuario del seed y devuelve su token e ID
+const loginAs = async (email, password) => {
+  const login = await makeRequest('POST', '/auth/login', { email, password });
+  return login.success ? { token: login.data.data.token, id: login.data.data.user.id } : null;
 };
 
 // Tests de rutas protegidas
@@ -121,6 +212,14 @@ const testProtectedRoutes = async (token) => {
   // Test 3: Obtener reseñas del usuario
   const userReviews = await makeRequest('GET', '/reviews/user/me', null, token);
   printResult('Reseñas del Usuario', userReviews.success, `Status: ${userReviews.status}`);
+
+  // Test 4: Obtener carrito del usuario
+  const cart = await makeRequest('GET', '/cart', null, token);
+  printResult('Carrito del Usuario', cart.success, `Status: ${cart.status}`);
+
+  // Test 5: Obtener libreta de direcciones del usuario
+  const addresses = await makeRequest('GET', '/auth/addresses', null, token);
+  printResult('Direcciones del Usuario', addresses.success, `Status: ${addresses.status}`);
 };
 
 // Tests de rutas de administracion
@@ -138,7 +237,7 @@ const testAdminRoutes = async (token) => {
     description: 'Descripcion del producto de prueba',
     price: 99.99,
     sku: 'TEST-001',
-    categoryId: 1
+    category_id: 1
   };
 
   const createProduct = await makeRequest('POST', '/products', productData, token);
@@ -148,11 +247,309 @@ const testAdminRoutes = async (token) => {
   const categoryData = {
     name: 'Categoria de Prueba',
     description: 'Descripcion de la categoria de prueba',
-    slug: 'categoria-prueba'
+    slug: 'categoriaprueba'
   };
 
   const createCategory = await makeRequest('POST', '/categories', categoryData, token);
   printResult('Crear Categoria (Admin)', createCategory.success, `Status: ${createCategory.status}`);
+
+  // Test 3: Listar usuarios (requiere rol admin)
+  const users = await makeRequest('GET', '/users?page=1&limit=5', null, token);
+  printResult('Listar Usuarios (Admin)', users.success, `Status: ${users.status}`);
+
+  // Test 4: Historial de movimientos de inventario (requiere rol admin)
+  const movements = await makeRequest('GET', '/inventory/movements?page=1&limit=5', null, token);
+  printResult('Movimientos de Inventario (Admin)', movements.success, `Status: ${movements.status}`);
+
+  // Test 5: Listar cupones (requiere rol admin)
+  const coupons = await makeRequest('GET', '/coupons?page=1&limit=5', null, token);
+  printResult('Listar Cupones (Admin)', coupons.success, `Status: ${coupons.status}`);
+
+  // Test 6: Listar tasas de impuesto (requiere rol admin)
+  const taxRates = await makeRequest('GET', '/taxes/rates', null, token);
+  printResult('Listar Tasas de Impuesto (Admin)', taxRates.success, `Status: ${taxRates.status}`);
+
+  // Test 7: Listar zonas de envio (requiere rol admin)
+  const shippingZones = await makeRequest('GET', '/shipping/zones', null, token);
+  printResult('Listar Zonas de Envio (Admin)', shippingZones.success, `Status: ${shippingZones.status}`);
+};
+
+// Cuerpo de un pedido con el metodo de envio internacional del seed
+const orderPayload = (items, extra = {}) => ({
+  items,
+  shipping_method_id: 5,
+  shipping_address: 'Calle Falsa 123, Springfield',
+  ...extra
+});
+
+// Tarjeta de prueba que el proveedor de pagos local captura sin 3DS
+const TEST_CARD = { number: '4242424242424242', exp_month: 12, exp_year: 2030, cvc: '123' };
+
+// Crea un pedido del cliente y lo paga
+const createPaidOrder = async (customer, admin, items) => {
+  const order = await makeRequest('POST', '/orders', orderPayload(items), customer.token);
+  if (order.status !== 201) {
+    return null;
+  }
+
+  const orderId = order.data.data.id;
+  await makeRequest('POST', '/payments', { order_id: orderId, card: TEST_CARD }, customer.token);
+
+  // El webhook del proveedor confirma el pedido de forma asincrona
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const current = await makeRequest('GET', `/orders/${orderId}`, null, admin.token);
+    if (current.success && current.data.data.status === 'confirmed') {
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return order.data.data;
+};
+
+// Crea un pedido del cliente, lo paga y lo marca como entregado
+const createDeliveredOrder = async (customer, admin, items) => {
+  const order = await createPaidOrder(customer, admin, items);
+  if (!order) {
+    return null;
+  }
+
+  await makeRequest('PUT', `/orders/${order.id}/status`, { status: 'shipped' }, admin.token);
+  await makeRequest('PUT', `/orders/${order.id}/status`, { status: 'delivered' }, admin.token);
+  return order;
+};
+
+// Tests de pertenencia de pedidos
+const testOrderOwnership = async (customer, admin) => {
+  console.log('\n📦 Probando pertenencia de pedidos...\n');
+
+  // Test 1: Un cliente no puede crear pedidos a nombre de otro usuario
+  const foreignOrder = await makeRequest('POST', '/orders', orderPayload([{ product_id: 3, quantity: 1 }], { user_id: admin.id }), customer.token);
+  printResult('Pedido a Nombre de Otro Usuario (Cliente)', foreignOrder.status === 403, `Status: ${foreignOrder.status}`);
+
+  // Test 2: Sin user_id el pedido es del usuario autenticado
+  const ownOrder = await makeRequest('POST', '/orders', orderPayload([{ product_id: 3, quantity: 1 }]), customer.token);
+  printResult('Pedido Propio', ownOrder.status === 201 && ownOrder.data.data.user_id === customer.id, `Status: ${ownOrder.status}`);
+
+  // Test 3: Un administrador puede crear un pedido a nombre de un cliente
+  const adminOrder = await makeRequest('POST', '/orders', orderPayload([{ product_id: 3, quantity: 1 }], { user_id: customer.id }), admin.token);
+  printResult('Pedido a Nombre de Cliente (Admin)', adminOrder.status === 201 && adminOrder.data.data.user_id === customer.id, `Status: ${adminOrder.status}`);
+};
+
+// Tests de limites de cupones
+const testCouponLimits = async (customer, admin) => {
+  console.log('\n🎟️  Probando limites de cupones...\n');
+
+  await makeRequest('POST', '/coupons', { code: 'TEST-UNO-POR-CLIENTE', type: 'percentage', value: 10, usage_limit_per_user: 1 }, admin.token);
+  await makeRequest('POST', '/coupons', { code: 'TEST-UN-USO', type: 'percentage', value: 10, usage_limit: 1 }, admin.token);
+  await makeRequest('POST', '/coupons', { code: 'TEST-CARRITO', type: 'fixed_amount', value: 5 }, admin.token);
+
+  // Test 1: El primer uso del cupon descuenta el pedido
+  const firstUse = await makeRequest('POST', '/orders', orderPayload([{ product_id: 3, quantity: 1 }], { coupon_code: 'TEST-UNO-POR-CLIENTE' }), customer.token);
+  printResult('Primer Uso de Cupon', firstUse.status === 201 && parseFloat(firstUse.data.data.discount_amount) > 0, `Status: ${firstUse.status}`);
+
+  // Test 2: El mismo cliente no puede superar el limite por usuario
+  const secondUse = await makeRequest('POST', '/orders', orderPayload([{ product_id: 3, quantity: 1 }], { coupon_code: 'TEST-UNO-POR-CLIENTE' }), customer.token);
+  printResult('Limite de Cupon por Usuario', secondUse.status === 400, `Status: ${secondUse.status}`);
+
+  // Test 3: Enviar el ID de otro usuario no evita el limite por usuario
+  const bypass = await makeRequest('POST', '/orders', orderPayload([{ product_id: 3, quantity: 1 }], { coupon_code: 'TEST-UNO-POR-CLIENTE', user_id: admin.id }), customer.token);
+  printResult('Limite de Cupon con Otro user_id', bypass.status === 403, `Status: ${bypass.status}`);
+
+  // Test 4: Pedidos concurrentes no superan el limite global de usos
+  const concurrent = await Promise.all([customer, admin, customer].map(user =>
+    makeRequest('POST', '/orders', orderPayload([{ product_id: 3, quantity: 1 }], { coupon_code: 'TEST-UN-USO' }), user.token)
+  ));
+  const accepted = concurrent.filter(result => result.status === 201).length;
+  const rejected = concurrent.filter(result => result.status === 400).length;
+  printResult('Limite Global de Cupon Concurrente', accepted === 1 && rejected === 2, `Estados: ${concurrent.map(result => result.status).join(', ')}`);
+
+  // Test 5: El checkout del carrito aplica el cupon
+  await makeRequest('POST', '/cart/items', { product_id: 4, quantity: 1 }, customer.token);
+  const checkout = await makeRequest('POST', '/cart/checkout', {
+    shipping_method_id: 5,
+    shipping_address: 'Calle Falsa 123, Springfield',
+    coupon_code: 'TEST-CARRITO'
+  }, customer.token);
+  printResult('Cupon en Checkout del Carrito', checkout.status === 201 && parseFloat(checkout.data.data.discount_amount) === 5, `Status: ${checkout.status}`);
+};
+
+// Tests de reembolsos de devoluciones
+const testReturnRefunds = async (customer, admin) => {
+  console.log('\n↩️  Probando reembolsos de devoluciones...\n');
+
+  const order = await createDeliveredOrder(customer, admin, [{ product_id: 3, quantity: 2 }]);
+  if (!order) {
+    printResult('Pedido Entregado para Devolucion', false);
+    return;
+  }
+
+  const returnRequest = await makeRequest('POST', `/orders/${order.id}/returns`, {
+    reason: 'Llego danado',
+    items: [{ order_item_id: order.orderItems[0].id, quantity: 1 }]
+  }, customer.token);
+  const returnPath = `/orders/${order.id}/returns/${returnRequest.data?.data?.id}`;
+  await makeRequest('PUT', `${returnPath}/approve`, { note: 'Aprobada' }, admin.token);
+  await makeRequest('PUT', `${returnPath}/receive`, {}, admin.token);
+
+  // Test 1: Dos reembolsos concurrentes de la misma devolucion devuelven el dinero una sola vez
+  const refunds = await Promise.all([1, 2].map(() => makeRequest('POST', `${returnPath}/refund`, {}, admin.token)));
+  const refunded = refunds.find(result => result.status === 200);
+  const payments = await makeRequest('GET', `/payments/order/${order.id}`, null, admin.token);
+  const paidBack = payments.success
+    ? payments.data.data.reduce((sum, payment) => sum + parseFloat(payment.refunded_amount), 0)
+    : 0;
+  printResult('Reembolso Doble Concurrente',
+    refunds.filter(result => result.status === 200).length === 1 && refunded && paidBack === parseFloat(refunded.data.data.refund_amount),
+    `Estados: ${refunds.map(result => result.status).join(', ')}, reembolsado: ${paidBack}`);
+
+  // Test 2: Reembolsar una parte del pedido no lo marca como reembolsado
+  const orderAfter = await makeRequest('GET', `/orders/${order.id}`, null, admin.token);
+  printResult('Reembolso Parcial de Pedido', orderAfter.success && orderAfter.data.data.payment_status === 'paid',
+    `Estado de pago: ${orderAfter.data?.data?.payment_status}`);
+};
+
+// Tests de cancelacion de pedidos pagados
+const testPaidOrderCancellation = async (customer, admin) => {
+  console.log('\n🚫 Probando cancelacion de pedidos pagados...\n');
+
+  const order = await createPaidOrder(customer, admin, [{ product_id: 3, quantity: 1 }]);
+  if (!order) {
+    printResult('Pedido Pagado para Cancelar', false);
+    return;
+  }
+
+  // Test 1: Cancelar un pedido pagado reembolsa el cobro y marca el pedido como reembolsado
+  const cancelled = await makeRequest('PUT', `/orders/${order.id}/status`, { status: 'cancelled' }, admin.token);
+  const payments = await makeRequest('GET', `/payments/order/${order.id}`, null, admin.token);
+  const paidBack = payments.success
+    ? payments.data.data.reduce((sum, payment) => sum + parseFloat(payment.refunded_amount), 0)
+    : 0;
+  printResult('Cancelacion de Pedido Pagado',
+    cancelled.success && cancelled.data.data.payment_status === 'refunded' && paidBack === parseFloat(order.total_amount),
+    `Estado de pago: ${cancelled.data?.data?.payment_status}, reembolsado: ${paidBack}`);
+
+  // Test 2: Las estadisticas descuentan los reembolsos de los ingresos
+  const stats = await makeRequest('GET', '/orders/stats', null, admin.token);
+  const data = stats.data?.data || {};
+  printResult('Ingresos Descontando Reembolsos',
+    stats.success && data.refundedAmount >= paidBack &&
+      Math.abs(data.revenueAfterRefunds - (data.totalRevenue - data.refundedAmount)) < 0.01,
+    `Ingresos: ${data.totalRevenue}, reembolsado: ${data.refundedAmount}, neto: ${data.revenueAfterRefunds}`);
+};
+
+// Tests del historial de reservas de stock
+const testReservationLedger = async (customer, admin) => {
+  console.log('\n📦 Probando historial de reservas de stock...\n');
+
+  // Test 1: Reservar y liberar stock de un pedido queda registrado en el historial
+  const order = await makeRequest('POST', '/orders', orderPayload([{ product_id: 3, quantity: 1 }]), customer.token);
+  const orderId = order.data?.data?.id;
+  await makeRequest('PUT', `/orders/${orderId}/status`, { status: 'cancelled' }, admin.token);
+  const movements = await makeRequest('GET', `/inventory/movements?order_id=${orderId}`, null, admin.token);
+  const reasons = movements.success ? movements.data.data.map(movement => movement.reason_code) : [];
+  printResult('Historial de Reserva y Liberacion',
+    order.status === 201 && reasons.includes('reservation') && reasons.includes('release'),
+    `Movimientos: ${reasons.join(', ')}`);
+
+  // Test 2: La disponibilidad de un producto con variantes sin indicar la variante usa su nombre real
+  const product = await makeRequest('GET', '/products/5');
+  await makeRequest('POST', '/products/5/variants', {
+    sku: 'TEST-VAR-M',
+    options: { talla: 'M' },
+    stock: { quantity: 3 }
+  }, admin.token);
+  const availability = await makeRequest('GET', '/inventory/check/5?quantity=1');
+  const checked = availability.data?.data?.items?.[0] || {};
+  printResult('Disponibilidad de Producto con Variantes',
+    availability.success && checked.inStock === false && checked.product_name === product.data?.data?.name,
+    `Producto: ${checked.product_name}`);
+};
+
+// Tests de impuestos de pedidos
+const testOrderTaxes = async (customer) => {
+  console.log('\n🧾 Probando impuestos de pedidos...\n');
+
+  const order = await makeRequest('POST', '/orders', orderPayload([{ product_id: 3, quantity: 1 }], {
+    shipping_method_id: 2,
+    shipping_address: { line1: 'Calle Mayor 1', city: 'Madrid', postal_code: '28001', country: 'ES' }
+  }), customer.token);
+  const data = order.data?.data || {};
+  const net = parseFloat(data.net_amount);
+  const tax = parseFloat(data.tax_amount);
+  const shipping = parseFloat(data.shipping_amount);
+  const taxable = (data.taxLines || []).reduce((sum, line) => sum + parseFloat(line.taxable_amount), 0);
+
+  // Test 1: El IVA se calcula sobre los productos y el total suma neto, impuesto y envio
+  printResult('Impuestos de Pedido',
+    order.status === 201 && shipping > 0 && Math.abs(tax - Math.round(net * 21) / 100) < 0.01 &&
+      Math.abs(parseFloat(data.total_amount) - (net + tax + shipping)) < 0.01,
+    `Neto: ${data.net_amount}, impuesto: ${data.tax_amount}, envio: ${data.shipping_amount}, total: ${data.total_amount}`);
+
+  // Test 2: El envio no forma parte de la base imponible
+  printResult('Envio sin Impuesto', order.status === 201 && Math.abs(taxable - net) < 0.01,
+    `Base imponible: ${taxable}, neto: ${net}`);
+};
+
+// Tests del peso de envio de las variantes
+const testVariantShipping = async (customer, admin) => {
+  console.log('\n🚚 Probando envio de variantes...\n');
+
+  const variant = await makeRequest('POST', '/products/5/variants', {
+    sku: 'TEST-VAR-XL',
+    options: { talla: 'XL' },
+    weight: 4.5,
+    stock: { quantity: 5 }
+  }, admin.token);
+  const variantId = variant.data?.data?.id;
+  const items = [{ product_id: 5, variant_id: variantId, quantity: 2 }];
+
+  // Test 1: La cotizacion acepta la variante y usa su peso
+  const quote = await makeRequest('POST', '/shipping/quote', { items, address: 'Calle Falsa 123, Springfield' });
+  printResult('Cotizar Envio de Variante', quote.success && quote.data.data.weight === 9,
+    `Status: ${quote.status}, peso: ${quote.data?.data?.weight}`);
+
+  // Test 2: El pedido cobra el mismo envio que la cotizacion
+  const quoted = quote.success ? quote.data.data.methods.find(method => method.id === 5) : null;
+  const order = await makeRequest('POST', '/orders', orderPayload(items), customer.token);
+  printResult('Envio de Pedido con Variante',
+    order.status === 201 && !!quoted && parseFloat(order.data.data.shipping_amount) === quoted.cost,
+    `Envio: ${order.data?.data?.shipping_amount}, cotizado: ${quoted && quoted.cost}`);
+};
+
+// Tests de moderacion de resenas
+const testReviewModeration = async (customer, admin) => {
+  console.log('\n🛂 Probando moderacion de resenas...\n');
+
+  const created = await makeRequest('POST', '/reviews', {
+    user_id: customer.id,
+    product_id: 4,
+    rating: 5,
+    comment: 'Muy buen antivirus, lo recomiendo'
+  }, customer.token);
+  const reviewId = created.data?.data?.id;
+  const isListed = async () => {
+    const reviews = await makeRequest('GET', '/reviews/product/4');
+    return reviews.success && reviews.data.data.some(review => review.id === reviewId);
+  };
+
+  // Test 1: Una resena nueva queda pendiente y no se publica
+  const listedBefore = await isListed();
+  printResult('Resena Pendiente sin Publicar',
+    created.status === 201 && created.data.data.status === 'pending' && !listedBefore,
+    `Status: ${created.status}, estado: ${created.data?.data?.status}, publicada: ${listedBefore}`);
+
+  // Test 2: Rechazar sin motivo se rechaza
+  const rejected = await makeRequest('PUT', `/reviews/${reviewId}/moderation`, { status: 'rejected' }, admin.token);
+  printResult('Rechazo sin Motivo', rejected.status === 400, `Status: ${rejected.status}`);
+
+  // Test 3: Al aprobarla se publica y cuenta en la valoracion del producto
+  const approved = await makeRequest('PUT', `/reviews/${reviewId}/moderation`, { status: 'approved' }, admin.token);
+  const listedAfter = await isListed();
+  const product = await makeRequest('GET', '/products/4');
+  printResult('Aprobar Resena',
+    approved.success && listedAfter && product.data?.data?.review_count === 1 && parseFloat(product.data.data.average_rating) === 5,
+    `Publicada: ${listedAfter}, resenas del producto: ${product.data?.data?.review_count}`);
 };
 
 // Funcion principal
@@ -170,8 +567,22 @@ const runTests = async () => {
     // Probar rutas protegidas
     await testProtectedRoutes(token);
 
-    // Probar rutas de administracion
-    await testAdminRoutes(token);
+    // Probar rutas de administracion con el administrador del seed
+    const admin = await loginAs('admin@mrrobot.com', 'admin123');
+    await testAdminRoutes(admin && admin.token);
+
+    // Probar reglas de negocio con los usuarios del seed
+    const customer = await loginAs('customer1@example.com', 'customer123');
+    if (admin && customer) {
+      await testOrderOwnership(customer, admin);
+      await testCouponLimits(customer, admin);
+      await testReturnRefunds(customer, admin);
+      await testPaidOrderCancellation(customer, admin);
+      await testReservationLedger(customer, admin);
+      await testOrderTaxes(customer);
+      await testVariantShipping(customer, admin);
+      await testReviewModeration(customer, admin);
+    }
 
     console.log(`\n${colors.green}🎉 PRUEBAS COMPLETADAS${colors.reset}`);
     console.log(`${colors.yellow}Nota: Algunos tests pueden fallar si la base de datos esta vacia o si no hay usuarios admin${colors.reset}`);
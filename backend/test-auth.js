@@ -4,9 +4,35 @@
  */
 
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 
 const BASE_URL = 'http://localhost:3001/api/auth';
 
+// Directorio del transporte de correo en archivos (servidor con MAIL_TRANSPORT=file)
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, 'database', 'mail');
+
+// Obtiene el ultimo correo de restablecimiento enviado a un email
+const getLastResetMail = (email) => {
+  if (!fs.existsSync(MAIL_DIR)) {
+    return null;
+  }
+
+  const messages = fs.readdirSync(MAIL_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(MAIL_DIR, file), 'utf8')))
+    .filter(message => message.to === email && message.metadata?.type === 'password_reset');
+
+  return messages.length > 0 ? messages[messages.length - 1] : null;
+};
+
+// Extrae el token de restablecimiento del enlace del correo
+const getResetToken = (mail) => {
+  const match = mail.text.match(/reset-password\?token=([a-f0-9]+)/);
+  return match ? match[1] : null;
+};
+
 // Configurar axios para mostrar errores completos
 axios.interceptors.response.use(
   response => response,
@@ -176,6 +202,94 @@ async function testAuthSystem() {
       }
     }
 
+    // 13. Probar renovacion de sesion con refresh token
+    console.log('\n13. Probando renovacion de sesion...');
+    const refreshToken = newLoginResponse.data.data.refresh_token;
+    const refreshResponse = await axios.post(`${BASE_URL}/refresh`, { refresh_token: refreshToken });
+    console.log('✅ Sesion renovada, nuevo refresh token emitido:',
+      refreshResponse.data.data.refresh_token !== refreshToken);
+
+    // Reutilizar un refresh token ya rotado revoca toda la familia
+    try {
+      await axios.post(`${BASE_URL}/refresh`, { refresh_token: refreshToken });
+      console.log('❌ Error: Deberia haber detectado la reutilizacion del refresh token');
+    } catch (error) {
+      if (error.response?.status === 401) {
+        console.log('✅ Reutilizacion de refresh token detectada correctamente');
+      } else {
+        console.log('❌ Error inesperado:', error.response?.status);
+      }
+    }
+
+    // 14. Probar cierre de sesion solo con el refresh token (token de acceso vencido o ausente)
+    console.log('\n14. Probando cierre de sesion con refresh token...');
+    const logoutLogin = await axios.post(`${BASE_URL}/login`, newLoginData);
+    const logoutRefreshToken = logoutLogin.data.data.refresh_token;
+    const logoutResponse = await axios.post(`${BASE_URL}/logout`, { refresh_token: logoutRefreshToken });
+    console.log('✅ Sesion cerrada sin token de acceso:', logoutResponse.data.message);
+
+    try {
+      await axios.post(`${BASE_URL}/refresh`, { refresh_token: logoutRefreshToken });
+      console.log('❌ Error: El refresh token deberia haber sido revocado al cerrar sesion');
+    } catch (error) {
+      if (error.response?.status === 401) {
+        console.log('✅ Refresh token revocado al cerrar sesion');
+      } else {
+        console.log('❌ Error inesperado:', error.response?.status);
+      }
+    }
+
+    // 15. Probar restablecimiento de contrasena
+    console.log('\n15. Probando restablecimiento de contrasena...');
+    await axios.post(`${BASE_URL}/forgot-password`, { email: 'test@ejemplo.com' });
+    const resetMail = getLastResetMail('test@ejemplo.com');
+
+    if (!resetMail) {
+      console.log('⚠️  No se encontro el correo; inicia el servidor con MAIL_TRANSPORT=file para esta prueba');
+    } else {
+      const resetToken = getResetToken(resetMail);
+
+      // Dos usos simultaneos del mismo token: solo uno puede restablecer la contrasena
+      const resetResponses = await Promise.all(['restablecida789', 'simultanea456'].map(newPassword =>
+        axios.post(`${BASE_URL}/reset-password`, { token: resetToken, newPassword }, { validateStatus: () => true })
+      ));
+      const succeeded = resetResponses.filter(response => response.status === 200);
+      if (succeeded.length === 1 && resetResponses.some(response => response.status === 400)) {
+        console.log('✅ Contrasena restablecida una sola vez con usos simultaneos:', succeeded[0].data.message);
+      } else {
+        console.log('❌ Error: Estados de los usos simultaneos:', resetResponses.map(response => response.status).join(', '));
+      }
+
+      // El token JWT anterior debe quedar invalidado
+      try {
+        await axios.get(`${BASE_URL}/me`, {
+          headers: { Authorization: `Bearer ${newLoginResponse.data.data.token}` }
+        });
+        console.log('❌ Error: El token anterior deberia haber sido invalidado');
+      } catch (error) {
+        if (error.response?.status === 401) {
+          console.log('✅ Token anterior invalidado correctamente');
+        } else {
+          console.log('❌ Error inesperado:', error.response?.status);
+        }
+      }
+
+      // El token de restablecimiento es de un solo uso
+      try {
+        await axios.post(`${BASE_URL}/reset-password`, {
+          token: resetToken,
+          newPassword: 'otraContrasena000'
+        });
+        console.log('❌ Error: El token de restablecimiento deberia ser de un solo uso');
+      } catch (error) {
+        if (error.response?.status === 400) {
+          console.log('✅ Token de restablecimiento rechazado al reutilizarlo');
+        } else {
+          console.log('❌ Error inesperado:', error.response?.status);
+        }
+      }
+    }
+
     console.log('\n🎉 ¡Todas las pruebas del Sistema de Autenticacion completadas exitosamente!');
     console.log('\n📋 Resumen de funcionalidades probadas:');
     console.log('   ✅ Verificacion de email/username disponibles');
@@ -184,6 +298,9 @@ async function testAuthSystem() {
     console.log('   ✅ Obtencion de usuario actual');
     console.log('   ✅ Actualizacion de perfil');
     console.log('   ✅ Cambio de contrasena');
+    console.log('   ✅ Restablecimiento de contrasena por correo');
+    console.log('   ✅ Renovacion de sesion y deteccion de reutilizacion');
+    console.log('   ✅ Cierre de sesion con refresh token');
     console.log('   ✅ Proteccion de rutas con JWT');
     console.log('   ✅ Manejo de errores de autenticacion');
     console.log('   ✅ Validaciones de entrada');
@@ -20,6 +20,7 @@ CREATE TABLE users (
     last_login TIMESTAMP,
     reset_token VARCHAR(255),
     reset_token_expires TIMESTAMP,
+    token_version INTEGER DEFAULT 0 NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -30,6 +31,7 @@ CREATE TABLE categories (
     name VARCHAR(100) NOT NULL,
     description TEXT,
     slug VARCHAR(100) UNIQUE NOT NULL,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -43,8 +45,22 @@ CREATE TABLE products (
     price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
     category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
     sku VARCHAR(100) UNIQUE,
+    brand VARCHAR(100),
     image_url VARCHAR(500),
+    tax_class VARCHAR(20) NOT NULL DEFAULT 'standard' CHECK (tax_class IN ('standard', 'reduced', 'exempt')),
+    weight DECIMAL(10,3) CHECK (weight >= 0),
+    length DECIMAL(10,2) CHECK (length >= 0),
+    width DECIMAL(10,2) CHECK (width >= 0),
+    height DECIMAL(10,2) CHECK (height >= 0),
     is_active BOOLEAN DEFAULT true,
+    average_rating DECIMAL(3,2) NOT NULL DEFAULT 0,
+    review_count INTEGER NOT NULL DEFAULT 0,
+    rating_1_count INTEGER NOT NULL DEFAULT 0,
+    rating_2_count INTEGER NOT NULL DEFAULT 0,
+    rating_3_count INTEGER NOT NULL DEFAULT 0,
+    rating_4_count INTEGER NOT NULL DEFAULT 0,
+    rating_5_count INTEGER NOT NULL DEFAULT 0,
+    rating_score DECIMAL(3,2) NOT NULL DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -53,7 +69,9 @@ CREATE TABLE products (
 CREATE TABLE inventory (
     id SERIAL PRIMARY KEY,
     product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER UNIQUE,
     quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    reserved_quantity INTEGER NOT NULL DEFAULT 0 CHECK (reserved_quantity >= 0),
     min_stock INTEGER DEFAULT 5,
     max_stock INTEGER DEFAULT 100,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -70,6 +88,17 @@ CREATE TABLE orders (
     shipping_address TEXT NOT NULL,
     billing_address TEXT NOT NULL,
     payment_status VARCHAR(30) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'paid', 'failed', 'refunded')),
+    coupon_id INTEGER,
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    free_shipping BOOLEAN DEFAULT false,
+    shipping_country VARCHAR(2),
+    shipping_region VARCHAR(100),
+    prices_include_tax BOOLEAN DEFAULT false,
+    subtotal_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (subtotal_amount >= 0),
+    net_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (net_amount >= 0),
+    tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0),
+    shipping_method_id INTEGER,
+    shipping_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (shipping_amount >= 0),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -79,9 +108,13 @@ CREATE TABLE order_items (
     id SERIAL PRIMARY KEY,
     order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
     product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER,
     quantity INTEGER NOT NULL CHECK (quantity > 0),
     unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
     total_price DECIMAL(10,2) NOT NULL CHECK (total_price >= 0),
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    tax_rate DECIMAL(6,4) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0),
+    tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -93,18 +126,563 @@ CREATE TABLE reviews (
     rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
     comment TEXT,
     is_verified_purchase BOOLEAN DEFAULT false,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'hidden')),
+    rejection_reason VARCHAR(255),
+    is_flagged BOOLEAN DEFAULT false,
+    flagged_terms TEXT,
+    report_count INTEGER NOT NULL DEFAULT 0,
+    moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    helpful_count INTEGER NOT NULL DEFAULT 0,
+    not_helpful_count INTEGER NOT NULL DEFAULT 0,
+    helpfulness_score REAL NOT NULL DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tabla de carritos (usuarios autenticados o visitantes identificados por token)
+CREATE TABLE carts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    cart_token VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de items de carrito
+CREATE TABLE cart_items (
+    id SERIAL PRIMARY KEY,
+    cart_id INTEGER REFERENCES carts(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (cart_id, product_id, variant_id)
+);
+
+-- Tabla de sesiones (refresh tokens rotativos agrupados por familia)
+CREATE TABLE sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id VARCHAR(64) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    expires_at TIMESTAMP NOT NULL,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(30) CHECK (revoked_reason IN ('rotated', 'logout', 'revoked', 'reuse_detected', 'password_changed', 'password_reset', 'account_deactivated')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de movimientos de inventario (historial de cambios de stock)
+CREATE TABLE inventory_movements (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER,
+    quantity_before INTEGER NOT NULL CHECK (quantity_before >= 0),
+    quantity_after INTEGER NOT NULL CHECK (quantity_after >= 0),
+    delta INTEGER NOT NULL,
+    reason_code VARCHAR(30) NOT NULL CHECK (reason_code IN ('stock_update', 'reservation', 'release', 'manual', 'damaged', 'expired', 'theft', 'correction', 'order_created', 'order_cancelled', 'order_shipped', 'order_returned')),
+    notes TEXT,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de reservas de stock de pedidos
+CREATE TABLE stock_reservations (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'released', 'expired', 'fulfilled')),
+    expires_at TIMESTAMP NOT NULL,
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de historial de estados de pedidos
+CREATE TABLE order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20) CHECK (from_status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled')),
+    to_status VARCHAR(20) NOT NULL CHECK (to_status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled')),
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de pagos de pedidos
+CREATE TABLE payments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(30) NOT NULL,
+    provider_payment_id VARCHAR(100) UNIQUE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'requires_action', 'authorized', 'captured', 'failed', 'refunded')),
+    refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refunded_amount >= 0),
+    card_last4 VARCHAR(4),
+    failure_code VARCHAR(50),
+    failure_message VARCHAR(255),
+    captured_at TIMESTAMP,
+    refunded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de solicitudes de devolucion (RMA)
+CREATE TABLE return_requests (
+    id SERIAL PRIMARY KEY,
+    rma_number VARCHAR(50) UNIQUE NOT NULL,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'approved', 'rejected', 'received', 'refunded')),
+    reason TEXT NOT NULL,
+    admin_note TEXT,
+    refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refund_amount >= 0),
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    received_at TIMESTAMP,
+    refunded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de items de una devolucion
+CREATE TABLE return_items (
+    id SERIAL PRIMARY KEY,
+    return_request_id INTEGER NOT NULL REFERENCES return_requests(id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    disposition VARCHAR(20) CHECK (disposition IN ('restock', 'write_off')),
+    refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refund_amount >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de cupones de descuento
+CREATE TABLE coupons (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    description TEXT,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('percentage', 'fixed_amount', 'free_shipping')),
+    value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+    min_order_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (min_order_amount >= 0),
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    usage_limit INTEGER CHECK (usage_limit > 0),
+    usage_limit_per_user INTEGER CHECK (usage_limit_per_user > 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pedido -> Cupon aplicado (la tabla de pedidos se crea antes que la de cupones)
+ALTER TABLE orders ADD CONSTRAINT fk_orders_coupon FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE SET NULL;
+
+-- Productos a los que aplica un cupon
+CREATE TABLE coupon_products (
+    coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    PRIMARY KEY (coupon_id, product_id)
+);
+
+-- Categorias a las que aplica un cupon (incluye subcategorias)
+CREATE TABLE coupon_categories (
+    coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    PRIMARY KEY (coupon_id, category_id)
+);
+
+-- Tabla de usos de cupones en pedidos
+CREATE TABLE coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    order_id INTEGER UNIQUE NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    voided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de tasas de impuesto por region
+CREATE TABLE tax_rates (
+    id SERIAL PRIMARY KEY,
+    country VARCHAR(2) NOT NULL,
+    region VARCHAR(100),
+    tax_class VARCHAR(20) NOT NULL DEFAULT 'standard' CHECK (tax_class IN ('standard', 'reduced', 'exempt')),
+    name VARCHAR(100) NOT NULL,
+    rate DECIMAL(6,4) NOT NULL CHECK (rate >= 0 AND rate <= 1),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(country, region, tax_class)
+);
+
+-- Lineas de impuesto aplicadas a cada item de un pedido
+CREATE TABLE order_tax_lines (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    tax_rate_id INTEGER REFERENCES tax_rates(id) ON DELETE SET NULL,
+    name VARCHAR(100) NOT NULL,
+    rate DECIMAL(6,4) NOT NULL CHECK (rate >= 0),
+    taxable_amount DECIMAL(10,2) NOT NULL CHECK (taxable_amount >= 0),
+    tax_amount DECIMAL(10,2) NOT NULL CHECK (tax_amount >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de zonas de envio
+CREATE TABLE shipping_zones (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    is_default BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Paises y regiones que cubre cada zona de envio (region NULL = todo el pais)
+CREATE TABLE shipping_zone_locations (
+    id SERIAL PRIMARY KEY,
+    zone_id INTEGER NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+    country VARCHAR(2) NOT NULL,
+    region VARCHAR(100)
+);
+
+-- Tabla de metodos de envio por zona
+CREATE TABLE shipping_methods (
+    id SERIAL PRIMARY KEY,
+    zone_id INTEGER NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    rate_type VARCHAR(20) NOT NULL DEFAULT 'flat' CHECK (rate_type IN ('flat', 'weight_based')),
+    base_rate DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (base_rate >= 0),
+    rate_per_kg DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (rate_per_kg >= 0),
+    free_shipping_threshold DECIMAL(10,2) CHECK (free_shipping_threshold >= 0),
+    max_weight DECIMAL(10,3) CHECK (max_weight > 0),
+    min_delivery_days INTEGER CHECK (min_delivery_days >= 0),
+    max_delivery_days INTEGER CHECK (max_delivery_days >= 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pedido -> Metodo de envio (la tabla de pedidos se crea antes que la de metodos de envio)
+ALTER TABLE orders ADD CONSTRAINT fk_orders_shipping_method FOREIGN KEY (shipping_method_id) REFERENCES shipping_methods(id) ON DELETE SET NULL;
+
+-- Libreta de direcciones de los usuarios
+CREATE TABLE addresses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    label VARCHAR(50),
+    recipient_name VARCHAR(150) NOT NULL,
+    line1 VARCHAR(200) NOT NULL,
+    line2 VARCHAR(200),
+    city VARCHAR(100) NOT NULL,
+    region VARCHAR(100),
+    postal_code VARCHAR(20),
+    country VARCHAR(2) NOT NULL,
+    phone VARCHAR(30),
+    is_default_shipping BOOLEAN DEFAULT false,
+    is_default_billing BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Copia de las direcciones usadas en cada pedido (no cambia si luego se edita la libreta)
+CREATE TABLE order_addresses (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    address_type VARCHAR(20) NOT NULL CHECK (address_type IN ('shipping', 'billing')),
+    address_id INTEGER REFERENCES addresses(id) ON DELETE SET NULL,
+    recipient_name VARCHAR(150),
+    line1 VARCHAR(200) NOT NULL,
+    line2 VARCHAR(200),
+    city VARCHAR(100) NOT NULL,
+    region VARCHAR(100),
+    postal_code VARCHAR(20),
+    country VARCHAR(2) NOT NULL,
+    phone VARCHAR(30),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(order_id, address_type)
+);
+
+-- Tipos de opcion de un producto (talla, color...)
+CREATE TABLE product_options (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(product_id, name)
+);
+
+-- Valores de cada tipo de opcion (S, M, L...)
+CREATE TABLE product_option_values (
+    id SERIAL PRIMARY KEY,
+    option_id INTEGER NOT NULL REFERENCES product_options(id) ON DELETE CASCADE,
+    value VARCHAR(100) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(option_id, value)
+);
+
+-- Variantes vendibles de un producto, cada una con su SKU, precio e inventario
+CREATE TABLE product_variants (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(100) UNIQUE NOT NULL,
+    price DECIMAL(10,2) CHECK (price >= 0),
+    image_url VARCHAR(500),
+    position INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Valor de cada tipo de opcion que define una variante
+CREATE TABLE product_variant_values (
+    variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+    option_value_id INTEGER NOT NULL REFERENCES product_option_values(id) ON DELETE CASCADE,
+    PRIMARY KEY (variant_id, option_value_id)
+);
+
+-- Referencias a variantes desde tablas creadas antes que product_variants
+ALTER TABLE inventory ADD CONSTRAINT fk_inventory_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE order_items ADD CONSTRAINT fk_order_items_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL;
+ALTER TABLE cart_items ADD CONSTRAINT fk_cart_items_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE inventory_movements ADD CONSTRAINT fk_inventory_movements_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL;
+ALTER TABLE stock_reservations ADD CONSTRAINT fk_stock_reservations_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE;
+
+-- Galeria de imagenes de productos (archivos en el almacenamiento configurado)
+CREATE TABLE product_images (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    original_key VARCHAR(255) NOT NULL,
+    medium_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(50) NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+    width INTEGER,
+    height INTEGER,
+    alt_text VARCHAR(255),
+    position INTEGER NOT NULL DEFAULT 0,
+    is_primary BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de definiciones de atributos de producto (especificaciones)
+CREATE TABLE attribute_definitions (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('text', 'number', 'boolean', 'enum')),
+    unit VARCHAR(20),
+    options TEXT,
+    is_filterable BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de atributos asignados a cada categoria (las subcategorias los heredan)
+CREATE TABLE category_attributes (
+    id SERIAL PRIMARY KEY,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    attribute_id INTEGER NOT NULL REFERENCES attribute_definitions(id) ON DELETE CASCADE,
+    is_required BOOLEAN DEFAULT false,
+    position INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (category_id, attribute_id)
+);
+
+-- Tabla de valores de atributos por producto (una columna por tipo para poder filtrar)
+CREATE TABLE product_attribute_values (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    attribute_id INTEGER NOT NULL REFERENCES attribute_definitions(id) ON DELETE CASCADE,
+    value_text VARCHAR(255),
+    value_number DECIMAL(14,4),
+    value_boolean BOOLEAN,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, attribute_id)
+);
+
+-- Tabla de listas de deseos (cada usuario puede tener varias, con nombre)
+CREATE TABLE wishlists (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    is_public BOOLEAN DEFAULT false,
+    share_token VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name)
+);
+
+-- Tabla de productos guardados en listas de deseos y sus suscripciones de aviso
+CREATE TABLE wishlist_items (
+    id SERIAL PRIMARY KEY,
+    wishlist_id INTEGER NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    price_at_add DECIMAL(10,2) NOT NULL,
+    notify_back_in_stock BOOLEAN DEFAULT false,
+    notify_price_drop BOOLEAN DEFAULT false,
+    back_in_stock_notified_at TIMESTAMP,
+    price_drop_notified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de denuncias de resenas hechas por clientes
+CREATE TABLE review_reports (
+    id SERIAL PRIMARY KEY,
+    review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('spam', 'offensive', 'off_topic', 'fake', 'other')),
+    details VARCHAR(500),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (review_id, user_id)
+);
+
+-- Tabla de votos de utilidad de resenas (un voto por usuario y resena)
+CREATE TABLE review_votes (
+    id SERIAL PRIMARY KEY,
+    review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    is_helpful BOOLEAN NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (review_id, user_id)
+);
+
+-- Tabla de respuestas oficiales de la tienda a resenas (una por resena)
+CREATE TABLE review_replies (
+    id SERIAL PRIMARY KEY,
+    review_id INTEGER UNIQUE NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    edited_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de historial de ediciones de respuestas (texto anterior a cada edicion)
+CREATE TABLE review_reply_revisions (
+    id SERIAL PRIMARY KEY,
+    reply_id INTEGER NOT NULL REFERENCES review_replies(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de preguntas de clientes sobre productos
+CREATE TABLE product_questions (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'hidden')),
+    rejection_reason VARCHAR(255),
+    is_flagged BOOLEAN DEFAULT false,
+    flagged_terms TEXT,
+    upvote_count INTEGER NOT NULL DEFAULT 0,
+    answer_count INTEGER NOT NULL DEFAULT 0,
+    moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de respuestas a preguntas (oficiales de la tienda o de compradores verificados)
+CREATE TABLE product_answers (
+    id SERIAL PRIMARY KEY,
+    question_id INTEGER NOT NULL REFERENCES product_questions(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    is_official BOOLEAN DEFAULT false,
+    is_verified_purchase BOOLEAN DEFAULT false,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'hidden')),
+    rejection_reason VARCHAR(255),
+    is_flagged BOOLEAN DEFAULT false,
+    flagged_terms TEXT,
+    upvote_count INTEGER NOT NULL DEFAULT 0,
+    moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (question_id, user_id)
+);
+
+-- Tabla de votos positivos de preguntas y respuestas (cada voto apunta a una sola de las dos)
+CREATE TABLE product_qa_votes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    question_id INTEGER REFERENCES product_questions(id) ON DELETE CASCADE,
+    answer_id INTEGER REFERENCES product_answers(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((question_id IS NULL) <> (answer_id IS NULL)),
+    UNIQUE (user_id, question_id),
+    UNIQUE (user_id, answer_id)
+);
+
 -- Indices para mejorar rendimiento
 CREATE INDEX idx_products_category ON products(category_id);
+CREATE INDEX idx_products_brand ON products(brand);
 CREATE INDEX idx_orders_user ON orders(user_id);
 CREATE INDEX idx_order_items_order ON order_items(order_id);
 CREATE INDEX idx_order_items_product ON order_items(product_id);
 CREATE INDEX idx_reviews_product ON reviews(product_id);
 CREATE INDEX idx_reviews_user ON reviews(user_id);
 CREATE INDEX idx_inventory_product ON inventory(product_id);
+CREATE INDEX idx_cart_items_cart ON cart_items(cart_id);
+CREATE INDEX idx_sessions_user ON sessions(user_id);
+CREATE INDEX idx_sessions_family ON sessions(family_id);
+CREATE INDEX idx_inventory_movements_product ON inventory_movements(product_id, created_at);
+CREATE INDEX idx_inventory_movements_order ON inventory_movements(order_id);
+CREATE INDEX idx_stock_reservations_order ON stock_reservations(order_id);
+CREATE INDEX idx_stock_reservations_status_expires ON stock_reservations(status, expires_at);
+CREATE INDEX idx_categories_parent ON categories(parent_id);
+CREATE INDEX idx_order_status_history_order ON order_status_history(order_id, created_at);
+CREATE INDEX idx_payments_order ON payments(order_id);
+CREATE INDEX idx_return_requests_order ON return_requests(order_id);
+CREATE INDEX idx_return_items_request ON return_items(return_request_id);
+CREATE INDEX idx_return_items_order_item ON return_items(order_item_id);
+CREATE INDEX idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id);
+CREATE INDEX idx_coupon_redemptions_user ON coupon_redemptions(coupon_id, user_id);
+CREATE INDEX idx_tax_rates_lookup ON tax_rates(country, tax_class);
+CREATE INDEX idx_order_tax_lines_order ON order_tax_lines(order_id);
+CREATE INDEX idx_shipping_zone_locations_country ON shipping_zone_locations(country);
+CREATE INDEX idx_shipping_methods_zone ON shipping_methods(zone_id);
+CREATE INDEX idx_addresses_user ON addresses(user_id);
+CREATE UNIQUE INDEX idx_inventory_product_base ON inventory(product_id) WHERE variant_id IS NULL;
+CREATE INDEX idx_product_variants_product ON product_variants(product_id);
+CREATE INDEX idx_order_items_variant ON order_items(variant_id);
+CREATE INDEX idx_product_images_product ON product_images(product_id, position);
+CREATE INDEX idx_category_attributes_attribute ON category_attributes(attribute_id);
+CREATE INDEX idx_product_attribute_values_attribute ON product_attribute_values(attribute_id, value_text);
+CREATE INDEX idx_product_attribute_values_number ON product_attribute_values(attribute_id, value_number);
+CREATE INDEX idx_wishlists_user ON wishlists(user_id);
+CREATE INDEX idx_wishlist_items_wishlist ON wishlist_items(wishlist_id);
+CREATE INDEX idx_wishlist_items_product ON wishlist_items(product_id);
+CREATE INDEX idx_reviews_status ON reviews(status, product_id);
+CREATE INDEX idx_review_reports_review ON review_reports(review_id, status);
+CREATE INDEX idx_reviews_helpfulness ON reviews(product_id, helpfulness_score);
+CREATE INDEX idx_products_rating_score ON products(rating_score);
+CREATE INDEX idx_review_reply_revisions_reply ON review_reply_revisions(reply_id);
+CREATE INDEX idx_product_questions_product ON product_questions(product_id, status);
+CREATE INDEX idx_product_answers_question ON product_answers(question_id, status);
+
+-- La busqueda de texto completo de productos (tabla virtual products_fts) usa FTS5 y
+-- solo existe en el esquema SQLite (backend/database/schema-sqlite.sql)
 
 -- Datos de ejemplo para categorias
 INSERT INTO categories (name, description, slug) VALUES
@@ -115,12 +693,36 @@ INSERT INTO categories (name, description, slug) VALUES
 ('Accesorios', 'Accesorios y gadgets tecnologicos', 'accesorios');
 
 -- Datos de ejemplo para productos
-INSERT INTO products (name, description, price, category_id, sku, image_url) VALUES
-('Laptop Hacker Pro', 'Laptop de alta seguridad con encriptacion de hardware', 1299.99, 1, 'LAP-001', '/images/laptop-hacker.jpg'),
-('Firewall Enterprise', 'Firewall de nivel empresarial con proteccion avanzada', 899.99, 3, 'FW-001', '/images/firewall.jpg'),
-('Cable de Red Blindado', 'Cable de red con blindaje electromagnetico', 45.99, 4, 'CBL-001', '/images/cable-red.jpg'),
-('Software Antivirus Pro', 'Antivirus con proteccion en tiempo real', 79.99, 2, 'AV-001', '/images/antivirus.jpg'),
-('Teclado Mecanico', 'Teclado mecanico con switches Cherry MX', 149.99, 5, 'KB-001', '/images/teclado.jpg');
+INSERT INTO products (name, description, price, category_id, sku, brand, image_url) VALUES
+('Laptop Hacker Pro', 'Laptop de alta seguridad con encriptacion de hardware', 1299.99, 1, 'LAP-001', 'E Corp', '/images/laptop-hacker.jpg'),
+('Firewall Enterprise', 'Firewall de nivel empresarial con proteccion avanzada', 899.99, 3, 'FW-001', 'Allsafe', '/images/firewall.jpg'),
+('Cable de Red Blindado', 'Cable de red con blindaje electromagnetico', 45.99, 4, 'CBL-001', 'E Corp', '/images/cable-red.jpg'),
+('Software Antivirus Pro', 'Antivirus con proteccion en tiempo real', 79.99, 2, 'AV-001', 'Allsafe', '/images/antivirus.jpg'),
+('Teclado Mecanico', 'Teclado mecanico con switches Cherry MX', 149.99, 5, 'KB-001', 'fsociety', '/images/teclado.jpg');
+
+-- Datos de ejemplo para atributos de producto
+INSERT INTO attribute_definitions (code, name, type, unit, options) VALUES
+('ram_gb', 'Memoria RAM', 'number', 'GB', NULL),
+('almacenamiento_gb', 'Almacenamiento', 'number', 'GB', NULL),
+('color', 'Color', 'enum', NULL, '["Negro","Blanco","Gris"]'),
+('inalambrico', 'Inalambrico', 'boolean', NULL, NULL),
+('material', 'Material', 'text', NULL, NULL);
+
+INSERT INTO category_attributes (category_id, attribute_id, is_required, position) VALUES
+(1, 1, false, 0),
+(1, 2, false, 1),
+(1, 3, false, 2),
+(5, 3, false, 0),
+(5, 4, false, 1),
+(5, 5, false, 2);
+
+INSERT INTO product_attribute_values (product_id, attribute_id, value_text, value_number, value_boolean) VALUES
+(1, 1, NULL, 32, NULL),
+(1, 2, NULL, 1024, NULL),
+(1, 3, 'Negro', NULL, NULL),
+(5, 3, 'Negro', NULL, NULL),
+(5, 4, NULL, NULL, false),
+(5, 5, 'Aluminio', NULL, NULL);
 
 -- Datos de ejemplo para inventario
 INSERT INTO inventory (product_id, quantity, min_stock, max_stock) VALUES
@@ -130,6 +732,33 @@ INSERT INTO inventory (product_id, quantity, min_stock, max_stock) VALUES
 (4, 50, 10, 100),
 (5, 25, 5, 75);
 
+-- Datos de ejemplo para tasas de impuesto
+INSERT INTO tax_rates (country, region, tax_class, name, rate) VALUES
+('ES', NULL, 'standard', 'IVA General', 0.2100),
+('ES', NULL, 'reduced', 'IVA Reducido', 0.1000),
+('ES', 'Canarias', 'standard', 'IGIC General', 0.0700),
+('ES', 'Canarias', 'reduced', 'IGIC Reducido', 0.0300),
+('MX', NULL, 'standard', 'IVA', 0.1600);
+
+-- Datos de ejemplo para zonas y metodos de envio
+INSERT INTO shipping_zones (name, is_default) VALUES
+('Espana peninsular', false),
+('Canarias', false),
+('Mexico', false),
+('Internacional', true);
+
+INSERT INTO shipping_zone_locations (zone_id, country, region) VALUES
+(1, 'ES', NULL),
+(2, 'ES', 'Canarias'),
+(3, 'MX', NULL);
+
+INSERT INTO shipping_methods (zone_id, name, rate_type, base_rate, rate_per_kg, free_shipping_threshold, max_weight, min_delivery_days, max_delivery_days) VALUES
+(1, 'Estandar', 'flat', 4.99, 0, 50.00, NULL, 3, 5),
+(1, 'Express', 'weight_based', 6.99, 1.50, NULL, 30.000, 1, 2),
+(2, 'Estandar Canarias', 'weight_based', 9.99, 2.50, 150.00, 30.000, 5, 8),
+(3, 'Estandar', 'flat', 149.00, 0, 2000.00, NULL, 4, 7),
+(4, 'Internacional', 'weight_based', 19.99, 5.00, NULL, 20.000, 7, 15);
+
 -- Funcion para actualizar timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -146,3 +775,26 @@ CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products FOR EACH ROW
 CREATE TRIGGER update_inventory_updated_at BEFORE UPDATE ON inventory FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_reviews_updated_at BEFORE UPDATE ON reviews FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_carts_updated_at BEFORE UPDATE ON carts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_cart_items_updated_at BEFORE UPDATE ON cart_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_sessions_updated_at BEFORE UPDATE ON sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_stock_reservations_updated_at BEFORE UPDATE ON stock_reservations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_return_requests_updated_at BEFORE UPDATE ON return_requests FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_return_items_updated_at BEFORE UPDATE ON return_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_coupons_updated_at BEFORE UPDATE ON coupons FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_tax_rates_updated_at BEFORE UPDATE ON tax_rates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_shipping_zones_updated_at BEFORE UPDATE ON shipping_zones FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_shipping_methods_updated_at BEFORE UPDATE ON shipping_methods FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_addresses_updated_at BEFORE UPDATE ON addresses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_product_variants_updated_at BEFORE UPDATE ON product_variants FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_product_images_updated_at BEFORE UPDATE ON product_images FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_attribute_definitions_updated_at BEFORE UPDATE ON attribute_definitions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_product_attribute_values_updated_at BEFORE UPDATE ON product_attribute_values FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_wishlists_updated_at BEFORE UPDATE ON wishlists FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_wishlist_items_updated_at BEFORE UPDATE ON wishlist_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_review_reports_updated_at BEFORE UPDATE ON review_reports FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_review_votes_updated_at BEFORE UPDATE ON review_votes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_review_replies_updated_at BEFORE UPDATE ON review_replies FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_product_questions_updated_at BEFORE UPDATE ON product_questions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_product_answers_updated_at BEFORE UPDATE ON product_answers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
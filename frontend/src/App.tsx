@@ -6,6 +6,7 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Products from './pages/Products';
+import AdminUsers from './pages/AdminUsers';
 import authService from './services/authService';
 
 // Crear tema oscuro
@@ -39,6 +40,19 @@ const ProtectedRoute: React.FC<{ children: React.ReactNode }> = ({ children }) =
   return <>{children}</>;
 };
 
+// Componente para rutas de administracion
+const AdminRoute: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  if (!authService.isAuthenticated()) {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (!authService.isAdmin()) {
+    return <Navigate to="/dashboard" replace />;
+  }
+  
+  return <>{children}</>;
+};
+
 function App() {
   return (
     <ThemeProvider theme={darkTheme}>
@@ -67,6 +81,17 @@ function App() {
             } 
           />
           
+          {/* Rutas de administracion */}
+          <Route 
+            path="/admin/users" 
+            element={
+              <AdminRoute>
+                <AdminUsers />
+              </AdminRoute>
+            } 
+          />
+          <Route path="/admin" element={<Navigate to="/admin/users" replace />} />
+          
           {/* Ruta por defecto */}
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
           
@@ -0,0 +1,379 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Container,
+  Card,
+  CardContent,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  AppBar,
+  Toolbar,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Switch,
+  Chip,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import { useNavigate } from 'react-router-dom';
+import authService from '../services/authService';
+import userService from '../services/userService';
+
+interface AdminUser {
+  id: number;
+  username: string;
+  email: string;
+  first_name: string;
+  last_name: string;
+  role: 'customer' | 'admin';
+  is_active: boolean;
+  last_login: string | null;
+  created_at: string;
+}
+
+interface UserStats {
+  total: number;
+  active: number;
+  inactive: number;
+  admins: number;
+  customers: number;
+  recentRegistrations: number;
+}
+
+interface UserFilters {
+  search: string;
+  role: string;
+  is_active: string;
+  registered_from: string;
+  registered_to: string;
+}
+
+const emptyFilters: UserFilters = {
+  search: '',
+  role: '',
+  is_active: '',
+  registered_from: '',
+  registered_to: ''
+};
+
+const formatDate = (value: string | null) => {
+  return value ? new Date(value).toLocaleDateString() : '-';
+};
+
+const AdminUsers: React.FC = () => {
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [stats, setStats] = useState<UserStats | null>(null);
+  const [filters, setFilters] = useState<UserFilters>(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState<UserFilters>(emptyFilters);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [userToDelete, setUserToDelete] = useState<AdminUser | null>(null);
+  const navigate = useNavigate();
+  const currentUser = authService.getCurrentUser();
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params: Record<string, string> = {
+        page: String(page + 1),
+        limit: String(rowsPerPage)
+      };
+      (Object.keys(appliedFilters) as (keyof UserFilters)[]).forEach((key) => {
+        if (appliedFilters[key]) {
+          params[key] = appliedFilters[key];
+        }
+      });
+
+      const [usersResponse, statsResponse] = await Promise.all([
+        userService.getUsers(params),
+        userService.getUserStats()
+      ]);
+
+      setUsers(usersResponse.data || []);
+      setTotalItems(usersResponse.pagination?.total_items || 0);
+      setStats(statsResponse.data || null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error cargando usuarios');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, rowsPerPage, appliedFilters]);
+
+  useEffect(() => {
+    if (!authService.isAdmin()) {
+      navigate('/dashboard');
+      return;
+    }
+    loadUsers();
+  }, [navigate, loadUsers]);
+
+  const handleFilterChange = (field: keyof UserFilters, value: string) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleApplyFilters = () => {
+    setPage(0);
+    setAppliedFilters(filters);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(emptyFilters);
+    setPage(0);
+    setAppliedFilters(emptyFilters);
+  };
+
+  const runAction = async (action: () => Promise<unknown>) => {
+    try {
+      setError('');
+      await action();
+      await loadUsers();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error actualizando usuario');
+    }
+  };
+
+  const handleToggleStatus = (user: AdminUser) => {
+    runAction(() => userService.updateUserStatus(user.id, !user.is_active));
+  };
+
+  const handleRoleChange = (user: AdminUser, role: string) => {
+    runAction(() => userService.updateUserRole(user.id, role));
+  };
+
+  const handleConfirmDelete = () => {
+    if (!userToDelete) return;
+    const { id } = userToDelete;
+    setUserToDelete(null);
+    runAction(() => userService.deleteUser(id));
+  };
+
+  const isSelf = (user: AdminUser) => currentUser?.id === user.id;
+
+  return (
+    <Box sx={{ flexGrow: 1 }}>
+      <AppBar position="static">
+        <Toolbar>
+          <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
+            Administracion de Usuarios
+          </Typography>
+
+          <Button color="inherit" onClick={() => navigate('/dashboard')}>
+            Dashboard
+          </Button>
+
+          <Button color="inherit" onClick={() => navigate('/products')}>
+            Productos
+          </Button>
+        </Toolbar>
+      </AppBar>
+
+      <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+        {stats && (
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 3 }}>
+            {[
+              { label: 'Total', value: stats.total },
+              { label: 'Activos', value: stats.active },
+              { label: 'Inactivos', value: stats.inactive },
+              { label: 'Administradores', value: stats.admins },
+              { label: 'Ultimos 30 dias', value: stats.recentRegistrations }
+            ].map((stat) => (
+              <Card key={stat.label} sx={{ flex: '1 1 150px' }}>
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">
+                    {stat.label}
+                  </Typography>
+                  <Typography variant="h5">{stat.value}</Typography>
+                </CardContent>
+              </Card>
+            ))}
+          </Box>
+        )}
+
+        {/* Filtros */}
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 3 }}>
+          <TextField
+            label="Buscar usuarios"
+            value={filters.search}
+            onChange={(e) => handleFilterChange('search', e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleApplyFilters()}
+            sx={{ flex: '2 1 220px' }}
+          />
+          <FormControl sx={{ flex: '1 1 140px' }}>
+            <InputLabel>Rol</InputLabel>
+            <Select
+              value={filters.role}
+              label="Rol"
+              onChange={(e) => handleFilterChange('role', e.target.value)}
+            >
+              <MenuItem value="">Todos</MenuItem>
+              <MenuItem value="customer">Cliente</MenuItem>
+              <MenuItem value="admin">Administrador</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControl sx={{ flex: '1 1 140px' }}>
+            <InputLabel>Estado</InputLabel>
+            <Select
+              value={filters.is_active}
+              label="Estado"
+              onChange={(e) => handleFilterChange('is_active', e.target.value)}
+            >
+              <MenuItem value="">Todos</MenuItem>
+              <MenuItem value="true">Activos</MenuItem>
+              <MenuItem value="false">Inactivos</MenuItem>
+            </Select>
+          </FormControl>
+          <TextField
+            label="Registrado desde"
+            type="date"
+            value={filters.registered_from}
+            onChange={(e) => handleFilterChange('registered_from', e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+            sx={{ flex: '1 1 160px' }}
+          />
+          <TextField
+            label="Registrado hasta"
+            type="date"
+            value={filters.registered_to}
+            onChange={(e) => handleFilterChange('registered_to', e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+            sx={{ flex: '1 1 160px' }}
+          />
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <Button variant="contained" onClick={handleApplyFilters}>
+              Filtrar
+            </Button>
+            <Button variant="outlined" onClick={handleClearFilters}>
+              Limpiar
+            </Button>
+          </Box>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Usuario</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell>Nombre</TableCell>
+                <TableCell>Rol</TableCell>
+                <TableCell>Activo</TableCell>
+                <TableCell>Registro</TableCell>
+                <TableCell>Ultimo acceso</TableCell>
+                <TableCell align="right">Acciones</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={8}>Cargando usuarios...</TableCell>
+                </TableRow>
+              ) : users.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8}>No se encontraron usuarios</TableCell>
+                </TableRow>
+              ) : (
+                users.map((user) => (
+                  <TableRow key={user.id}>
+                    <TableCell>
+                      {user.username}
+                      {isSelf(user) && <Chip label="Tu" size="small" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{user.email}</TableCell>
+                    <TableCell>{user.first_name} {user.last_name}</TableCell>
+                    <TableCell>
+                      <Select
+                        size="small"
+                        value={user.role}
+                        disabled={isSelf(user)}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                      >
+                        <MenuItem value="customer">Cliente</MenuItem>
+                        <MenuItem value="admin">Administrador</MenuItem>
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <Switch
+                        checked={user.is_active}
+                        disabled={isSelf(user)}
+                        onChange={() => handleToggleStatus(user)}
+                      />
+                    </TableCell>
+                    <TableCell>{formatDate(user.created_at)}</TableCell>
+                    <TableCell>{formatDate(user.last_login)}</TableCell>
+                    <TableCell align="right">
+                      <Button
+                        color="error"
+                        size="small"
+                        disabled={isSelf(user)}
+                        onClick={() => setUserToDelete(user)}
+                      >
+                        Eliminar
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+          <TablePagination
+            component="div"
+            count={totalItems}
+            page={page}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={[10, 25, 50]}
+            onPageChange={(_, newPage) => setPage(newPage)}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+            labelRowsPerPage="Filas por pagina"
+          />
+        </TableContainer>
+      </Container>
+
+      <Dialog open={Boolean(userToDelete)} onClose={() => setUserToDelete(null)}>
+        <DialogTitle>Eliminar usuario</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Se eliminara la cuenta de {userToDelete?.username} y todos sus datos asociados.
+            Esta accion no se puede deshacer.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setUserToDelete(null)}>Cancelar</Button>
+          <Button color="error" onClick={handleConfirmDelete}>
+            Eliminar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default AdminUsers;
@@ -60,8 +60,8 @@ const Dashboard: React.FC = () => {
     setAnchorEl(null);
   };
 
-  const handleLogout = () => {
-    authService.logout();
+  const handleLogout = async () => {
+    await authService.logout();
     navigate('/login');
   };
 
@@ -1,37 +1,114 @@
-import React, { useState, useEffect } from 'react';
-import { 
-  Box, 
-  Typography, 
-  Container, 
-  Grid, 
-  Card, 
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Container,
+  Grid,
+  Card,
   CardContent,
   CardMedia,
   Button,
   TextField,
-  FormControl,
-  InputLabel,
-  Select,
-  MenuItem,
   AppBar,
   Toolbar,
   IconButton,
   Menu,
   MenuItem as MenuItemComponent,
-  Avatar
+  Avatar,
+  Checkbox,
+  Chip,
+  Divider,
+  FormControlLabel,
+  FormGroup,
+  Pagination,
+  Paper
 } from '@mui/material';
 import { useNavigate } from 'react-router-dom';
 import authService from '../services/authService';
 import productService from '../services/productService';
-import categoryService from '../services/categoryService';
+
+interface Product {
+  id: number;
+  name: string;
+  description: string;
+  price: number;
+  sku: string;
+  brand: string | null;
+  image_url: string | null;
+  primaryImage?: { medium_url: string } | null;
+  search?: { name_highlight: string; snippet: string };
+}
+
+interface FacetOption {
+  value: string | number;
+  name?: string;
+  min?: number | null;
+  max?: number | null;
+  count: number;
+  selected: boolean;
+}
+
+type FacetKey = 'categories' | 'brands' | 'price_ranges' | 'ratings' | 'availability';
+
+type Facets = Record<FacetKey, FacetOption[]>;
+
+// Cada faceta se envia a la API como un parametro con varios valores separados por coma
+const FACET_PARAMS: Record<FacetKey, string> = {
+  categories: 'category_id',
+  brands: 'brand',
+  price_ranges: 'price_range',
+  ratings: 'rating',
+  availability: 'availability'
+};
+
+const FACET_TITLES: Record<FacetKey, string> = {
+  categories: 'Categorias',
+  brands: 'Marcas',
+  price_ranges: 'Precio',
+  ratings: 'Valoracion',
+  availability: 'Disponibilidad'
+};
+
+const AVAILABILITY_LABELS: Record<string, string> = {
+  in_stock: 'En stock',
+  out_of_stock: 'Agotado'
+};
+
+const PAGE_SIZE = 12;
+
+const emptySelection = (): Record<FacetKey, string[]> => ({
+  categories: [],
+  brands: [],
+  price_ranges: [],
+  ratings: [],
+  availability: []
+});
+
+const facetLabel = (facet: FacetKey, option: FacetOption): string => {
+  switch (facet) {
+    case 'price_ranges':
+      return option.max === null ? `$${option.min} o mas` : `$${option.min} - $${option.max}`;
+    case 'ratings':
+      if (option.value === 'unrated') return 'Sin valoraciones';
+      return option.max === null ? `${option.min} estrellas o mas` : `${option.min} a ${option.max} estrellas`;
+    case 'availability':
+      return AVAILABILITY_LABELS[option.value] || String(option.value);
+    default:
+      return option.name || String(option.value);
+  }
+};
 
 const Products: React.FC = () => {
-  const [products, setProducts] = useState<any[]>([]);
-  const [categories, setCategories] = useState<any[]>([]);
+  const [products, setProducts] = useState<Product[]>([]);
+  const [facets, setFacets] = useState<Facets | null>(null);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('');
-  const [user, setUser] = useState<any>(null);
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [selection, setSelection] = useState<Record<FacetKey, string[]>>(emptySelection);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [totalItems, setTotalItems] = useState(0);
+  const [user, setUser] = useState<{ first_name?: string } | null>(null);
   const [anchorEl, setAnchorEl] = useState<null | HTMLElement>(null);
   const navigate = useNavigate();
 
@@ -42,40 +119,66 @@ const Products: React.FC = () => {
       return;
     }
     setUser(currentUser);
-    loadData();
   }, [navigate]);
 
-  const loadData = async () => {
-    try {
-      const [productsData, categoriesData] = await Promise.all([
-        productService.getProducts(),
-        categoryService.getCategories()
-      ]);
-      setProducts(productsData.products || []);
-      setCategories(categoriesData.categories || []);
-    } catch (error) {
-      console.error('Error cargando datos:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const handleSearch = async () => {
+  const loadProducts = useCallback(async () => {
     try {
       setLoading(true);
-      const params: any = {};
-      if (searchTerm) params.search = searchTerm;
-      if (selectedCategory) params.category_id = selectedCategory;
-      
+      const params: Record<string, string> = { page: String(page), limit: String(PAGE_SIZE) };
+      if (appliedSearch) params.search = appliedSearch;
+      (Object.keys(FACET_PARAMS) as FacetKey[]).forEach((facet) => {
+        if (selection[facet].length > 0) {
+          params[FACET_PARAMS[facet]] = selection[facet].join(',');
+        }
+      });
+
       const response = await productService.getProducts(params);
-      setProducts(response.products || []);
+      setProducts(response.data || []);
+      setFacets(response.facets || null);
+      setTotalPages(response.pagination?.total_pages || 0);
+      setTotalItems(response.pagination?.total_items || 0);
     } catch (error) {
-      console.error('Error buscando productos:', error);
+      console.error('Error cargando productos:', error);
     } finally {
       setLoading(false);
     }
+  }, [appliedSearch, selection, page]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  const handleSearch = () => {
+    setAppliedSearch(searchTerm.trim());
+    setPage(1);
+  };
+
+  const toggleFacet = (facet: FacetKey, value: string | number) => {
+    const key = String(value);
+    setSelection((current) => ({
+      ...current,
+      [facet]: current[facet].includes(key)
+        ? current[facet].filter((item) => item !== key)
+        : [...current[facet], key]
+    }));
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setSearchTerm('');
+    setAppliedSearch('');
+    setSelection(emptySelection());
+    setPage(1);
   };
 
+  const activeFilters = facets
+    ? (Object.keys(FACET_PARAMS) as FacetKey[]).flatMap((facet) =>
+        facets[facet]
+          .filter((option) => option.selected)
+          .map((option) => ({ facet, option }))
+      )
+    : [];
+
   const handleMenuOpen = (event: React.MouseEvent<HTMLElement>) => {
     setAnchorEl(event.currentTarget);
   };
@@ -84,19 +187,11 @@ const Products: React.FC = () => {
     setAnchorEl(null);
   };
 
-  const handleLogout = () => {
-    authService.logout();
+  const handleLogout = async () => {
+    await authService.logout();
     navigate('/login');
   };
 
-  if (loading) {
-    return (
-      <Container>
-        <Typography>Cargando productos...</Typography>
-      </Container>
-    );
-  }
-
   return (
     <Box sx={{ flexGrow: 1 }}>
       <AppBar position="static">
@@ -104,21 +199,21 @@ const Products: React.FC = () => {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             Productos
           </Typography>
-          
+
           <Button color="inherit" onClick={() => navigate('/dashboard')}>
             Dashboard
           </Button>
-          
+
           <Button color="inherit" onClick={() => navigate('/categories')}>
             Categorias
           </Button>
-          
+
           {authService.isAdmin() && (
             <Button color="inherit" onClick={() => navigate('/admin')}>
               Admin
             </Button>
           )}
-          
+
           <IconButton
             size="large"
             edge="end"
@@ -129,7 +224,7 @@ const Products: React.FC = () => {
               {user?.first_name?.charAt(0) || 'U'}
             </Avatar>
           </IconButton>
-          
+
           <Menu
             anchorEl={anchorEl}
             open={Boolean(anchorEl)}
@@ -150,89 +245,138 @@ const Products: React.FC = () => {
           Catalogo de Productos
         </Typography>
 
-        {/* Filtros */}
-        <Box sx={{ mb: 4, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        {/* Busqueda */}
+        <Box sx={{ mb: 2, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
           <TextField
             label="Buscar productos"
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
-            sx={{ minWidth: 200 }}
+            onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+            sx={{ minWidth: 300 }}
           />
-          
-          <FormControl sx={{ minWidth: 200 }}>
-            <InputLabel>Categoria</InputLabel>
-            <Select
-              value={selectedCategory}
-              label="Categoria"
-              onChange={(e) => setSelectedCategory(e.target.value)}
-            >
-              <MenuItem value="">Todas las categorias</MenuItem>
-              {categories.map((category) => (
-                <MenuItem key={category.id} value={category.id}>
-                  {category.name}
-                </MenuItem>
-              ))}
-            </Select>
-          </FormControl>
-          
+
           <Button variant="contained" onClick={handleSearch}>
             Buscar
           </Button>
-          
-          <Button variant="outlined" onClick={() => {
-            setSearchTerm('');
-            setSelectedCategory('');
-            loadData();
-          }}>
+
+          <Button variant="outlined" onClick={clearFilters}>
             Limpiar
           </Button>
         </Box>
 
-        {/* Lista de Productos */}
+        {/* Filtros aplicados */}
+        {activeFilters.length > 0 && (
+          <Box sx={{ mb: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {activeFilters.map(({ facet, option }) => (
+              <Chip
+                key={`${facet}-${option.value}`}
+                label={facetLabel(facet, option)}
+                onDelete={() => toggleFacet(facet, option.value)}
+              />
+            ))}
+          </Box>
+        )}
+
         <Grid container spacing={3}>
-          {products.map((product) => (
-            <Grid item xs={12} sm={6} md={4} key={product.id}>
-              <Card>
-                <CardMedia
-                  component="img"
-                  height="200"
-                  image={product.image_url || 'https://via.placeholder.com/300x200?text=Sin+Imagen'}
-                  alt={product.name}
-                />
-                <CardContent>
-                  <Typography variant="h6" gutterBottom>
-                    {product.name}
+          {/* Facetas */}
+          <Grid size={{ xs: 12, md: 3 }}>
+            <Paper sx={{ p: 2 }}>
+              {facets && (Object.keys(FACET_PARAMS) as FacetKey[]).map((facet, index) => (
+                <Box key={facet}>
+                  {index > 0 && <Divider sx={{ my: 1 }} />}
+                  <Typography variant="subtitle1" gutterBottom>
+                    {FACET_TITLES[facet]}
                   </Typography>
-                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                    {product.description}
-                  </Typography>
-                  <Typography variant="h6" color="primary" gutterBottom>
-                    ${product.price}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    SKU: {product.sku}
-                  </Typography>
-                  <Button 
-                    variant="contained" 
-                    fullWidth 
-                    sx={{ mt: 2 }}
-                    onClick={() => navigate(`/products/${product.id}`)}
-                  >
-                    Ver Detalles
-                  </Button>
-                </CardContent>
-              </Card>
-            </Grid>
-          ))}
-        </Grid>
+                  <FormGroup>
+                    {facets[facet].map((option) => (
+                      <FormControlLabel
+                        key={option.value}
+                        control={
+                          <Checkbox
+                            size="small"
+                            checked={option.selected}
+                            disabled={option.count === 0 && !option.selected}
+                            onChange={() => toggleFacet(facet, option.value)}
+                          />
+                        }
+                        label={`${facetLabel(facet, option)} (${option.count})`}
+                      />
+                    ))}
+                  </FormGroup>
+                </Box>
+              ))}
+            </Paper>
+          </Grid>
 
-        {products.length === 0 && (
-          <Box sx={{ textAlign: 'center', mt: 4 }}>
-            <Typography variant="h6" color="text.secondary">
-              No se encontraron productos
+          {/* Lista de Productos */}
+          <Grid size={{ xs: 12, md: 9 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {loading ? 'Cargando productos...' : `${totalItems} productos encontrados`}
             </Typography>
-          </Box>
-        )}
+
+            <Grid container spacing={3}>
+              {products.map((product) => (
+                <Grid size={{ xs: 12, sm: 6, md: 4 }} key={product.id}>
+                  <Card>
+                    <CardMedia
+                      component="img"
+                      height="200"
+                      image={product.primaryImage?.medium_url || product.image_url || 'https://via.placeholder.com/300x200?text=Sin+Imagen'}
+                      alt={product.name}
+                    />
+                    <CardContent>
+                      {/* El resaltado de la busqueda llega escapado desde la API */}
+                      <Typography
+                        variant="h6"
+                        gutterBottom
+                        dangerouslySetInnerHTML={{ __html: product.search?.name_highlight || product.name }}
+                      />
+                      {product.brand && (
+                        <Typography variant="body2" color="text.secondary">
+                          {product.brand}
+                        </Typography>
+                      )}
+                      <Typography
+                        variant="body2"
+                        color="text.secondary"
+                        sx={{ mb: 2 }}
+                        dangerouslySetInnerHTML={{ __html: product.search?.snippet || product.description }}
+                      />
+                      <Typography variant="h6" color="primary" gutterBottom>
+                        ${product.price}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        SKU: {product.sku}
+                      </Typography>
+                      <Button
+                        variant="contained"
+                        fullWidth
+                        sx={{ mt: 2 }}
+                        onClick={() => navigate(`/products/${product.id}`)}
+                      >
+                        Ver Detalles
+                      </Button>
+                    </CardContent>
+                  </Card>
+                </Grid>
+              ))}
+            </Grid>
+
+            {!loading && products.length === 0 && (
+              <Box sx={{ textAlign: 'center', mt: 4 }}>
+                <Typography variant="h6" color="text.secondary">
+                  No se encontraron productos
+                </Typography>
+              </Box>
+            )}
+
+            {totalPages > 1 && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+                <Pagination count={totalPages} page={page} onChange={(_, value) => setPage(value)} />
+              </Box>
+            )}
+          </Grid>
+        </Grid>
       </Container>
     </Box>
   );
@@ -4,10 +4,67 @@ const API_BASE_URL = 'http://localhost:3001/api';
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL;
+    this.refreshPromise = null;
+  }
+
+  // Token de acceso guardado; localStorage es la unica fuente, tambien para authService
+  getAuthToken() {
+    return localStorage.getItem('authToken');
+  }
+
+  // Refresh token guardado
+  getRefreshToken() {
+    return localStorage.getItem('refreshToken');
+  }
+
+  // Guardar los tokens de una sesion
+  storeTokens(token, refreshToken) {
+    localStorage.setItem('authToken', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+  }
+
+  // Borrar los tokens y el usuario de la sesion guardada
+  clearStoredSession() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+  }
+
+  // Renueva el token de acceso usando el refresh token guardado
+  async refreshSession() {
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      return false;
+    }
+
+    // Compartir la misma renovacion entre peticiones concurrentes
+    if (!this.refreshPromise) {
+      this.refreshPromise = fetch(`${this.baseURL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken }),
+      })
+        .then(async (response) => {
+          if (!response.ok) {
+            this.clearStoredSession();
+            return false;
+          }
+          const { data } = await response.json();
+          this.storeTokens(data.token, data.refresh_token);
+          return true;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
   }
 
   // Metodo base para hacer peticiones HTTP
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, retry = true) {
     const url = `${this.baseURL}${endpoint}`;
     const config = {
       headers: {
@@ -18,17 +75,25 @@ class ApiService {
     };
 
     // Agregar token de autenticacion si existe
-    const token = localStorage.getItem('authToken');
+    const token = this.getAuthToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
 
     try {
       const response = await fetch(url, config);
+
+      // Token de acceso expirado: renovar sesion y reintentar una vez
+      if (response.status === 401 && retry && !endpoint.startsWith('/auth/refresh')) {
+        const refreshed = await this.refreshSession();
+        if (refreshed) {
+          return this.request(endpoint, options, false);
+        }
+      }
       
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `Error ${response.status}: ${response.statusText}`);
+        throw new Error(errorData.error || errorData.message || `Error ${response.status}: ${response.statusText}`);
       }
 
       return await response.json();
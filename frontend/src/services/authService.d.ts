@@ -0,0 +1,46 @@
+// Tipos de authService.js para las paginas en TypeScript
+
+export interface CurrentUser {
+  id: number;
+  username: string;
+  email: string;
+  first_name: string;
+  last_name: string;
+  role: 'customer' | 'admin';
+}
+
+export interface AuthResponse {
+  success: boolean;
+  message?: string;
+  data: {
+    user: CurrentUser;
+    token: string;
+    refresh_token?: string;
+  };
+}
+
+export interface RegisterData {
+  username: string;
+  email: string;
+  password: string;
+  first_name: string;
+  last_name: string;
+}
+
+declare class AuthService {
+  login(email: string, password: string): Promise<AuthResponse | undefined>;
+  register(userData: RegisterData): Promise<AuthResponse | undefined>;
+  logout(): Promise<void>;
+  clearSession(): void;
+  getSessions(): Promise<unknown>;
+  revokeSession(sessionId: number): Promise<unknown>;
+  isAuthenticated(): boolean;
+  getCurrentUser(): CurrentUser | null;
+  getToken(): string | null;
+  isAdmin(): boolean;
+  updateProfile(profileData: Record<string, unknown>): Promise<unknown>;
+  changePassword(passwordData: { currentPassword: string; newPassword: string }): Promise<unknown>;
+}
+
+declare const authService: AuthService;
+export default authService;
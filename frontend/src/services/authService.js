@@ -1,11 +1,8 @@
 import apiService from './api';
 
+// Los tokens y el usuario se leen siempre de localStorage (via apiService): api.js los
+// renueva o borra por su cuenta y una copia en memoria quedaria desactualizada
 class AuthService {
-  constructor() {
-    this.token = localStorage.getItem('authToken');
-    this.user = JSON.parse(localStorage.getItem('user') || 'null');
-  }
-
   // Login de usuario
   async login(email, password) {
     try {
@@ -14,9 +11,9 @@ class AuthService {
         password,
       });
 
-      if (response.token) {
-        this.setToken(response.token);
-        this.setUser(response.user);
+      const data = response.data || response;
+      if (data.token) {
+        this.setSession(data);
         return response;
       }
     } catch (error) {
@@ -30,9 +27,9 @@ class AuthService {
     try {
       const response = await apiService.post('/auth/register', userData);
       
-      if (response.token) {
-        this.setToken(response.token);
-        this.setUser(response.user);
+      const data = response.data || response;
+      if (data.token) {
+        this.setSession(data);
         return response;
       }
     } catch (error) {
@@ -41,44 +38,83 @@ class AuthService {
     }
   }
 
-  // Logout
-  logout() {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('user');
-    this.token = null;
-    this.user = null;
+  // Logout (revoca la sesion en el servidor y limpia el almacenamiento local)
+  // Se envia el refresh token para cerrar la sesion aunque el token de acceso haya vencido
+  async logout() {
+    try {
+      const refreshToken = apiService.getRefreshToken();
+      if (refreshToken) {
+        await apiService.post('/auth/logout', { refresh_token: refreshToken });
+      }
+    } catch (error) {
+      console.error('Error cerrando sesion en el servidor:', error);
+    } finally {
+      this.clearSession();
+    }
+  }
+
+  // Limpiar datos de sesion locales
+  clearSession() {
+    apiService.clearStoredSession();
+  }
+
+  // Guardar tokens y usuario de una sesion nueva
+  setSession({ token, refresh_token, user }) {
+    apiService.storeTokens(token, refresh_token);
+    if (user) {
+      this.setUser(user);
+    }
+  }
+
+  // Listar sesiones activas (dispositivos)
+  async getSessions() {
+    try {
+      return await apiService.get('/auth/sessions');
+    } catch (error) {
+      console.error('Error obteniendo sesiones:', error);
+      throw error;
+    }
+  }
+
+  // Revocar una sesion (dispositivo)
+  async revokeSession(sessionId) {
+    try {
+      return await apiService.delete(`/auth/sessions/${sessionId}`);
+    } catch (error) {
+      console.error('Error revocando sesion:', error);
+      throw error;
+    }
   }
 
   // Verificar si el usuario esta autenticado
   isAuthenticated() {
-    return !!this.token;
+    return !!apiService.getAuthToken();
   }
 
   // Obtener usuario actual
   getCurrentUser() {
-    return this.user;
+    return JSON.parse(localStorage.getItem('user') || 'null');
   }
 
   // Obtener token
   getToken() {
-    return this.token;
+    return apiService.getAuthToken();
   }
 
   // Establecer token
   setToken(token) {
-    this.token = token;
-    localStorage.setItem('authToken', token);
+    apiService.storeTokens(token);
   }
 
   // Establecer usuario
   setUser(user) {
-    this.user = user;
     localStorage.setItem('user', JSON.stringify(user));
   }
 
   // Verificar si es admin
   isAdmin() {
-    return this.user && this.user.role === 'admin';
+    const user = this.getCurrentUser();
+    return !!user && user.role === 'admin';
   }
 
   // Actualizar perfil
@@ -96,7 +132,10 @@ class AuthService {
   // Cambiar contrasena
   async changePassword(passwordData) {
     try {
-      return await apiService.put('/auth/change-password', passwordData);
+      const response = await apiService.put('/auth/change-password', passwordData);
+      // El servidor revoca todas las sesiones al cambiar la contrasena
+      this.clearSession();
+      return response;
     } catch (error) {
       console.error('Error cambiando contrasena:', error);
       throw error;
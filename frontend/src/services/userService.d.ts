@@ -0,0 +1,47 @@
+// Tipos de userService.js para las paginas en TypeScript
+
+export interface ManagedUser {
+  id: number;
+  username: string;
+  email: string;
+  first_name: string;
+  last_name: string;
+  role: 'customer' | 'admin';
+  is_active: boolean;
+  last_login: string | null;
+  created_at: string;
+}
+
+export interface UserStats {
+  total: number;
+  active: number;
+  inactive: number;
+  admins: number;
+  customers: number;
+  recentRegistrations: number;
+}
+
+export interface Pagination {
+  current_page: number;
+  total_pages: number;
+  total_items: number;
+  items_per_page: number;
+}
+
+export interface UserResponse<T> {
+  success: boolean;
+  message?: string;
+  data?: T;
+  pagination?: Pagination;
+}
+
+declare class UserService {
+  getUsers(params?: Record<string, string>): Promise<UserResponse<ManagedUser[]>>;
+  getUserStats(): Promise<UserResponse<UserStats>>;
+  updateUserStatus(id: number, isActive: boolean): Promise<UserResponse<ManagedUser>>;
+  updateUserRole(id: number, role: string): Promise<UserResponse<ManagedUser>>;
+  deleteUser(id: number): Promise<UserResponse<null>>;
+}
+
+declare const userService: UserService;
+export default userService;
@@ -0,0 +1,57 @@
+import apiService from './api';
+
+class UserService {
+  // Listar usuarios con paginacion y filtros (solo admin)
+  async getUsers(params = {}) {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const endpoint = `/users${queryString ? `?${queryString}` : ''}`;
+      return await apiService.get(endpoint);
+    } catch (error) {
+      console.error('Error obteniendo usuarios:', error);
+      throw error;
+    }
+  }
+
+  // Obtener estadisticas de usuarios (solo admin)
+  async getUserStats() {
+    try {
+      return await apiService.get('/users/stats');
+    } catch (error) {
+      console.error('Error obteniendo estadisticas de usuarios:', error);
+      throw error;
+    }
+  }
+
+  // Activar o desactivar usuario (solo admin)
+  async updateUserStatus(id, isActive) {
+    try {
+      return await apiService.put(`/users/${id}/status`, { is_active: isActive });
+    } catch (error) {
+      console.error('Error actualizando estado de usuario:', error);
+      throw error;
+    }
+  }
+
+  // Cambiar rol de usuario (solo admin)
+  async updateUserRole(id, role) {
+    try {
+      return await apiService.put(`/users/${id}/role`, { role });
+    } catch (error) {
+      console.error('Error actualizando rol de usuario:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar usuario (solo admin)
+  async deleteUser(id) {
+    try {
+      return await apiService.delete(`/users/${id}`);
+    } catch (error) {
+      console.error('Error eliminando usuario:', error);
+      throw error;
+    }
+  }
+}
+
+export default new UserService();